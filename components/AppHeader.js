@@ -0,0 +1,50 @@
+import QuickAddCard from './QuickAddCard'
+
+// 顶部区域：当前用户和面板开关、搜索框、添加任务（智能解析的结果显示在下方）
+//   app：useTodoApp 的返回值
+export default function AppHeader({ user, app, onSignOut }) {
+  const { reports, trash, focus, search, quick } = app
+  return (
+    <div className="header-section">
+      <h1 className="app-title">待办事项</h1>
+      <div className="user-bar">
+        <span className="user-email">{user.email}</span>
+        <button onClick={reports.toggleReport} className="auth-switch">{reports.report ? '收起报告' : '报告'}</button>
+        <button onClick={trash.toggleTrash} className="auth-switch">{trash.trash ? '收起回收站' : '回收站'}</button>
+        <button onClick={() => focus.setShowShortcuts(true)} className="auth-switch" title="键盘快捷键（?）">快捷键</button>
+        <button onClick={onSignOut} className="auth-switch">退出登录</button>
+      </div>
+      <input
+        ref={app.searchInputRef}
+        type="search"
+        value={search.searchQuery}
+        onChange={(e) => search.setSearchQuery(e.target.value)}
+        placeholder="搜索任务标题或描述..."
+        className="search-input"
+      />
+      <form onSubmit={quick.addTask} className="input-form">
+        <input
+          ref={app.newTaskInputRef}
+          type="text"
+          value={quick.newTask}
+          onChange={(e) => quick.setNewTask(e.target.value)}
+          placeholder="添加新任务..."
+          className="task-input"
+        />
+        <button
+          type="button"
+          onClick={quick.parseNewTask}
+          disabled={!quick.newTask.trim() || Boolean(quick.quickAdd?.loading)}
+          className="btn-action btn-breakdown"
+          title="识别输入中的优先级、截止日期、父任务等，确认后再创建"
+        >
+          {quick.quickAdd?.loading ? '解析中...' : '智能解析'}
+        </button>
+        <button type="submit" className="btn-add">
+          添加
+        </button>
+      </form>
+      {quick.quickAdd?.draft && <QuickAddCard quick={quick} tasks={app.tasks} />}
+    </div>
+  )
+}
@@ -0,0 +1,38 @@
+// 登录 / 注册界面（表单状态来自 hooks/useAuth）
+export default function AuthScreen({ auth }) {
+  const { authForm, setAuthForm, authError, authSubmitting, submitAuth, switchAuthMode } = auth
+
+  return (
+    <div className="header-section">
+      <h1 className="app-title">待办事项</h1>
+      <form onSubmit={submitAuth} className="auth-form">
+        <input
+          type="email"
+          value={authForm.email}
+          onChange={(e) => setAuthForm({ ...authForm, email: e.target.value })}
+          placeholder="邮箱"
+          autoComplete="email"
+          required
+          className="task-input"
+        />
+        <input
+          type="password"
+          value={authForm.password}
+          onChange={(e) => setAuthForm({ ...authForm, password: e.target.value })}
+          placeholder="密码（至少 8 位）"
+          autoComplete={authForm.mode === 'signup' ? 'new-password' : 'current-password'}
+          minLength={8}
+          required
+          className="task-input"
+        />
+        {authError && <div className="auth-error">{authError}</div>}
+        <button type="submit" disabled={authSubmitting} className="btn-add">
+          {authSubmitting ? '请稍候...' : authForm.mode === 'signup' ? '注册' : '登录'}
+        </button>
+        <button type="button" onClick={switchAuthMode} className="auth-switch">
+          {authForm.mode === 'signup' ? '已有账号？去登录' : '没有账号？注册一个'}
+        </button>
+      </form>
+    </div>
+  )
+}
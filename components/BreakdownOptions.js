@@ -0,0 +1,64 @@
+// 选项的可选值 [值, 显示名称]
+const MODE_OPTIONS = [['append', '补充缺少的步骤'], ['replace', '替换未完成的'], ['refine', '细化未完成的']]
+const COUNT_OPTIONS = [['2-3', '2-3'], ['3-5', '3-5'], ['5-8', '5-8']]
+const GRANULARITY_OPTIONS = [['', '不限'], ['coarse', '粗略'], ['detailed', '详细']]
+const DEPTH_OPTIONS = [[1, '1'], [2, '2'], [3, '3']]
+const LANGUAGE_OPTIONS = [['zh', '中文'], ['en', 'English']]
+
+// 一个拆解选项的下拉框
+function OptionSelect({ label, value, options, onChange, busy }) {
+  return (
+    <label>
+      {label}
+      <select value={value} onChange={(e) => onChange(e.target.value)} disabled={busy} className="label-mode-select">
+        {options.map(([optionValue, name]) => (
+          <option key={optionValue} value={optionValue}>{name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+// 拆解选项（修改后点击「重新生成」生效，也用于之后的拆解）
+// 已有子任务（hasChildren）时可以选择处理方式
+export default function BreakdownOptions({ options, onChange, hasChildren, busy }) {
+  const updateCount = (value) => {
+    const [minSubtasks, maxSubtasks] = value.split('-').map(Number)
+    onChange({ minSubtasks, maxSubtasks })
+  }
+  return (
+    <div className="breakdown-options">
+      {hasChildren && (
+        <OptionSelect label="已有子任务" value={options.mode} options={MODE_OPTIONS} onChange={(mode) => onChange({ mode })} busy={busy} />
+      )}
+      <OptionSelect
+        label="步骤数"
+        value={`${options.minSubtasks}-${options.maxSubtasks}`}
+        options={COUNT_OPTIONS}
+        onChange={updateCount}
+        busy={busy}
+      />
+      <OptionSelect
+        label="粒度"
+        value={options.granularity}
+        options={GRANULARITY_OPTIONS}
+        onChange={(granularity) => onChange({ granularity })}
+        busy={busy}
+      />
+      <OptionSelect
+        label="层数"
+        value={options.depth}
+        options={DEPTH_OPTIONS}
+        onChange={(depth) => onChange({ depth: Number(depth) })}
+        busy={busy}
+      />
+      <OptionSelect
+        label="语言"
+        value={options.language}
+        options={LANGUAGE_OPTIONS}
+        onChange={(language) => onChange({ language })}
+        busy={busy}
+      />
+    </div>
+  )
+}
@@ -0,0 +1,147 @@
+import BreakdownOptions from './BreakdownOptions'
+import { countAccepted } from '../utils/breakdown'
+
+// 一个步骤：修改标题、优先级和预计用时，在同级中上下移动或删除
+function ReviewItem({ item, index, count, busy, breakdown }) {
+  const { updateReviewItem, moveReviewItem, removeReviewItem } = breakdown
+  return (
+    <div className="review-item">
+      {item.task_id && <span className="review-tag" title={`细化现有子任务 #${item.task_id}`}>细化</span>}
+      <input
+        type="text"
+        value={item.title}
+        onChange={(e) => updateReviewItem(item.key, { title: e.target.value })}
+        maxLength={200}
+        disabled={busy}
+        title={item.description || undefined}
+        className="review-input"
+      />
+      <select
+        value={item.priority}
+        onChange={(e) => updateReviewItem(item.key, { priority: e.target.value })}
+        disabled={busy}
+        className="label-mode-select"
+        title="优先级"
+      >
+        <option value="high">高</option>
+        <option value="medium">中</option>
+        <option value="low">低</option>
+      </select>
+      <input
+        type="number"
+        min={1}
+        max={10080}
+        value={item.estimated_minutes ?? ''}
+        onChange={(e) => updateReviewItem(item.key, {
+          estimated_minutes: e.target.value ? parseInt(e.target.value) : null
+        })}
+        placeholder="分钟"
+        disabled={busy}
+        className="review-minutes"
+        title="预计用时（分钟）"
+      />
+      <button onClick={() => moveReviewItem(item.key, -1)} disabled={busy || index === 0} className="btn-action" title="上移">
+        ↑
+      </button>
+      <button onClick={() => moveReviewItem(item.key, 1)} disabled={busy || index === count - 1} className="btn-action" title="下移">
+        ↓
+      </button>
+      <button
+        onClick={() => removeReviewItem(item.key)}
+        disabled={busy}
+        className="btn-action btn-delete"
+        title={item.subtasks.length > 0 ? '删除此步骤及其下层步骤' : '删除此步骤'}
+      >
+        ×
+      </button>
+    </div>
+  )
+}
+
+// 步骤列表（多层拆解时下层步骤缩进显示，只能在同级中移动）
+function ReviewItems({ items, busy, breakdown, level = 0 }) {
+  return (
+    <ol className={level === 0 ? 'review-list' : 'review-list review-sublist'}>
+      {items.map((item, index) => (
+        <li key={item.key}>
+          <ReviewItem item={item} index={index} count={items.length} busy={busy} breakdown={breakdown} />
+          {item.subtasks.length > 0 && (
+            <ReviewItems items={item.subtasks} busy={busy} breakdown={breakdown} level={level + 1} />
+          )}
+        </li>
+      ))}
+    </ol>
+  )
+}
+
+// 预览的说明：将被替换的子任务、使用了缓存的结果、跳过的重复步骤
+function ReviewNotes({ removed, cached, skipped }) {
+  return (
+    <>
+      {removed.length > 0 && (
+        <div className="review-note">
+          保存后以下未完成的子任务将移到回收站（已完成的子任务保留）：{removed.map(t => `「${t.title}」`).join('')}
+        </div>
+      )}
+      {cached && (
+        <div className="review-note">这是之前相同条件下的拆解结果，点击「重新生成」获取新的建议</div>
+      )}
+      {skipped.length > 0 && (
+        <div className="review-note" title={skipped.join('\n')}>
+          已跳过 {skipped.length} 个与现有子任务重复的步骤
+        </div>
+      )}
+    </>
+  )
+}
+
+// AI 拆解确认对话框：改名、排序、删除、添加步骤后保存
+//   breakdown：useBreakdown 的返回值，tasks 用于判断任务是否已有子任务
+export default function BreakdownReview({ breakdown, tasks }) {
+  const { breakdownReview, breakdownOptions, updateBreakdownOptions, closeReview, regenerateBreakdown } = breakdown
+  const { task, items, removed, skipped, cached, newTitle, loading, saving, error } = breakdownReview
+  const acceptedCount = countAccepted(items)
+  const busy = loading || saving
+
+  return (
+    <div className="dialog-backdrop" onClick={() => !saving && closeReview()}>
+      <div className="dialog breakdown-review" role="dialog" aria-label="确认拆解结果" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <span>拆解「{task.title}」</span>
+          <button onClick={regenerateBreakdown} disabled={busy} className="btn-action">
+            {loading ? '生成中...' : '重新生成'}
+          </button>
+        </div>
+        <BreakdownOptions
+          options={breakdownOptions}
+          onChange={updateBreakdownOptions}
+          hasChildren={tasks.some(t => t.parent_id === task.id)}
+          busy={busy}
+        />
+        <ReviewNotes removed={removed} cached={cached} skipped={skipped} />
+        {items.length === 0 ? (
+          <div className="history-empty">没有步骤，可以在下方添加或重新生成</div>
+        ) : <ReviewItems items={items} busy={busy} breakdown={breakdown} />}
+        <form onSubmit={breakdown.addReviewItem} className="review-add">
+          <input
+            type="text"
+            value={newTitle}
+            onChange={(e) => breakdown.changeNewReviewTitle(e.target.value)}
+            placeholder="添加步骤..."
+            maxLength={200}
+            disabled={busy}
+            className="review-input"
+          />
+          <button type="submit" disabled={busy || !newTitle.trim()} className="btn-action">添加</button>
+        </form>
+        {error && <div className="history-error">{error}</div>}
+        <div className="dialog-actions">
+          <button onClick={closeReview} disabled={saving} className="btn-action">取消</button>
+          <button onClick={breakdown.commitBreakdown} disabled={busy || acceptedCount === 0} className="btn-add">
+            {saving ? '保存中...' : `保存 ${acceptedCount} 个子任务`}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
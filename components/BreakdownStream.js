@@ -0,0 +1,31 @@
+// 流式拆解的进度说明
+const BREAKDOWN_STAGE_NAMES = {
+  connecting: '正在连接 AI...',
+  generating: 'AI 正在拆解...',
+  repairing: 'AI 输出格式有误，正在修正...',
+  parsing: '正在整理步骤...',
+  expanding: '正在继续拆解下一层...',
+  cached: '使用之前的拆解结果...',
+  saving: '正在保存...'
+}
+
+// 正在拆解的任务下方显示进度和已生成的子任务（按层级缩进），可以取消
+export default function BreakdownStream({ stream, onCancel }) {
+  return (
+    <div className="breakdown-stream">
+      <div className="breakdown-stream-header">
+        <span>{BREAKDOWN_STAGE_NAMES[stream.stage]}</span>
+        <button onClick={onCancel} className="btn-action btn-delete">取消</button>
+      </div>
+      {stream.items.map(item => (
+        <div
+          key={item.path.join('.')}
+          className="breakdown-stream-item"
+          style={{ paddingLeft: (item.path.length - 1) * 16 }}
+        >
+          {item.title}
+        </div>
+      ))}
+    </div>
+  )
+}
@@ -0,0 +1,47 @@
+// 多选后的批量操作栏：完成、重新打开、设置优先级、移动、删除
+//   selection：useBulkSelection 的返回值，tasks 用于列出可以移动到的父任务
+export default function BulkBar({ selection, tasks }) {
+  const { selectedIds, bulkRunning, runBulkAction, clearSelection } = selection
+  return (
+    <div className="bulk-bar">
+      <span>已选择 {selectedIds.size} 项</span>
+      <button onClick={() => runBulkAction('complete')} disabled={bulkRunning} className="btn-action">
+        完成
+      </button>
+      <button onClick={() => runBulkAction('reopen')} disabled={bulkRunning} className="btn-action">
+        重新打开
+      </button>
+      <select
+        value=""
+        onChange={(e) => e.target.value && runBulkAction('set_priority', { priority: e.target.value })}
+        disabled={bulkRunning}
+        className="bulk-select"
+      >
+        <option value="">设置优先级...</option>
+        <option value="high">高</option>
+        <option value="medium">中</option>
+        <option value="low">低</option>
+      </select>
+      <select
+        value=""
+        onChange={(e) => e.target.value && runBulkAction('move', {
+          parent_id: e.target.value === 'null' ? null : Number(e.target.value)
+        })}
+        disabled={bulkRunning}
+        className="bulk-select"
+      >
+        <option value="">移动到...</option>
+        <option value="null">顶级任务</option>
+        {tasks.filter(t => !selectedIds.has(t.id)).map(t => (
+          <option key={t.id} value={t.id}>{t.title}</option>
+        ))}
+      </select>
+      <button onClick={() => runBulkAction('delete')} disabled={bulkRunning} className="btn-action btn-delete">
+        删除
+      </button>
+      <button onClick={clearSelection} disabled={bulkRunning} className="btn-action">
+        取消选择
+      </button>
+    </div>
+  )
+}
@@ -0,0 +1,191 @@
+import { useState } from 'react'
+
+// 命令面板中最多列出的匹配任务数量
+const PALETTE_MAX_TASKS = 8
+
+// 模糊匹配：query 的字符（忽略空白和大小写）按顺序出现在 text 中即匹配，连续、靠前的匹配得分更高
+// 不匹配时返回 null
+const fuzzyScore = (text, query) => {
+  const source = text.toLowerCase()
+  const chars = query.toLowerCase().replace(/\s+/g, '')
+  let score = 0
+  let from = 0
+  let last = -2
+  for (let i = 0; i < chars.length; i++) {
+    const index = source.indexOf(chars[i], from)
+    if (index === -1) return null
+    score += index === last + 1 ? 3 : 1
+    if (index === 0) score += 2
+    last = index
+    from = index + 1
+  }
+  return score - source.length / 100
+}
+
+// 按输入模糊匹配命令和任务标题（有输入时才列出任务）
+const getPaletteItems = (query, commands, tasks, onSelectTask) => {
+  const rank = (list, text) => list
+    .map(item => ({ item, score: query ? fuzzyScore(text(item), query) : 0 }))
+    .filter(ranked => ranked.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .map(ranked => ranked.item)
+  const commandItems = rank(commands, command => command.label)
+    .map(command => ({ ...command, type: 'command' }))
+  const taskItems = query
+    ? rank(tasks, task => task.title).slice(0, PALETTE_MAX_TASKS).map(task => ({
+        id: `task-${task.id}`,
+        type: 'task',
+        label: task.title,
+        run: () => onSelectTask(task.id)
+      }))
+    : []
+  return [...commandItems, ...taskItems]
+}
+
+// 命令面板（Ctrl+K）：commands 为可以执行的命令 { id, label, keys, run }，tasks 为可以跳转的任务（按显示顺序）
+// 执行命令或选中任务前先调用 onClose
+export default function CommandPalette({ commands, tasks, focusedTask, onSelectTask, onClose }) {
+  const [query, setQuery] = useState('')
+  // 选中的条目
+  const [index, setIndex] = useState(0)
+
+  const items = getPaletteItems(query.trim(), commands, tasks, onSelectTask)
+  const activeIndex = Math.min(index, items.length - 1)
+
+  const runItem = (item) => {
+    onClose()
+    item.run()
+  }
+
+  // ↑/↓ 选择，Enter 执行，Esc 关闭
+  const handleKeyDown = (e) => {
+    if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && items.length > 0) {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setIndex((activeIndex + step + items.length) % items.length)
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (items[activeIndex]) {
+        runItem(items[activeIndex])
+      }
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  return (
+    <div className="dialog-backdrop palette-backdrop" onClick={onClose}>
+      <div className="dialog palette" role="dialog" aria-label="命令面板" onClick={(e) => e.stopPropagation()}>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => {
+            setQuery(e.target.value)
+            setIndex(0)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder="输入命令或任务标题..."
+          className="palette-input"
+          role="combobox"
+          aria-expanded="true"
+          aria-controls="palette-list"
+          aria-activedescendant={items[activeIndex] ? `palette-${items[activeIndex].id}` : undefined}
+          autoFocus
+        />
+        {focusedTask && <div className="palette-context">当前任务：{focusedTask.title}</div>}
+        <ul id="palette-list" className="palette-list" role="listbox">
+          {items.length === 0 && <li className="palette-empty">没有匹配的命令或任务</li>}
+          {items.map((item, itemIndex) => (
+            <li
+              key={item.id}
+              id={`palette-${item.id}`}
+              role="option"
+              aria-selected={itemIndex === activeIndex}
+              className={`palette-item ${itemIndex === activeIndex ? 'active' : ''}`}
+              onMouseEnter={() => setIndex(itemIndex)}
+              onClick={() => runItem(item)}
+            >
+              <span className="palette-type">{item.type === 'task' ? '任务' : '命令'}</span>
+              <span className="palette-label">{item.label}</span>
+              {item.keys && item.keys.length > 0 && <kbd className="kbd">{item.keys[0]}</kbd>}
+            </li>
+          ))}
+        </ul>
+      </div>
+
+      <style jsx>{`
+        .dialog-backdrop.palette-backdrop {
+          align-items: flex-start;
+          padding-top: 12vh;
+        }
+
+        .dialog.palette {
+          padding: 12px;
+        }
+
+        .palette-input {
+          width: 100%;
+          padding: 10px 12px;
+          border: 1px solid #d4c4b0;
+          border-radius: 6px;
+          background: #ffffff;
+          color: #5a4a3a;
+          font-size: 15px;
+          outline: none;
+        }
+
+        .palette-input:focus {
+          border-color: #8b7355;
+        }
+
+        .palette-context {
+          margin-top: 8px;
+          color: #9a8a7a;
+          font-size: 12px;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .palette-list {
+          margin-top: 8px;
+          max-height: 50vh;
+          overflow-y: auto;
+          list-style: none;
+        }
+
+        .palette-item {
+          display: flex;
+          align-items: center;
+          gap: 10px;
+          padding: 8px 10px;
+          border-radius: 4px;
+          cursor: pointer;
+        }
+
+        .palette-item.active {
+          background: #f5f1e8;
+        }
+
+        .palette-type {
+          flex-shrink: 0;
+          color: #9a8a7a;
+          font-size: 12px;
+        }
+
+        .palette-label {
+          flex: 1;
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .palette-empty {
+          padding: 8px 10px;
+          color: #9a8a7a;
+        }
+      `}</style>
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { toDateInputValue, describeRecurrence, formatMinutes, VALUE_NAMES } from '../utils/format'
+
+// 事件类型、操作者类型和字段的显示名称
+const EVENT_TYPE_NAMES = {
+  created: '创建',
+  updated: '修改',
+  status_changed: '状态变更',
+  reparented: '移动',
+  deleted: '移到回收站',
+  restored: '恢复',
+  purged: '彻底删除',
+  breakdown: 'AI 拆解'
+}
+// 这些事件的 changes 是任务当时的全部字段，不逐项显示
+const SNAPSHOT_EVENT_TYPES = ['created', 'deleted', 'purged']
+const ACTOR_TYPE_NAMES = { user: '', ai: 'AI · ', system: '系统 · ' }
+const FIELD_NAMES = {
+  title: '标题',
+  description: '描述',
+  status: '状态',
+  priority: '优先级',
+  parent_id: '父任务',
+  start_at: '开始时间',
+  due_at: '截止时间',
+  recurrence: '重复',
+  estimated_minutes: '预计用时',
+  labels: '标签',
+  subtasks: '子任务'
+}
+
+// 历史记录中字段值的文字描述
+const formatEventValue = (field, value) => {
+  if (value === null || value === undefined || (Array.isArray(value) && value.length === 0)) return '无'
+  if (field === 'start_at' || field === 'due_at') return toDateInputValue(value)
+  if (field === 'parent_id') return `#${value}`
+  if (field === 'recurrence') return describeRecurrence(value)
+  if (field === 'estimated_minutes') return formatMinutes(value)
+  if (Array.isArray(value)) return value.join('、')
+  return VALUE_NAMES[value] || String(value)
+}
+
+// 一条历史记录：操作类型、操作者、时间和修改的字段
+function HistoryEvent({ event }) {
+  return (
+    <li className="history-item">
+      <div className="history-meta">
+        <span className={`history-type history-type-${event.type}`}>{EVENT_TYPE_NAMES[event.type]}</span>
+        <span>{ACTOR_TYPE_NAMES[event.actor_type]}{event.actor}</span>
+        <span>{new Date(event.created_at).toLocaleString()}</span>
+      </div>
+      {!SNAPSHOT_EVENT_TYPES.includes(event.type) && Object.keys(event.changes).map(field => (
+        <div key={field} className="history-change">
+          {FIELD_NAMES[field] || field}：
+          {event.type !== 'breakdown' && (
+            <>
+              <span className="history-before">{formatEventValue(field, event.changes[field].before)}</span>
+              {' → '}
+            </>
+          )}
+          {formatEventValue(field, event.changes[field].after)}
+        </div>
+      ))}
+      {event.note && <div className="history-note">{event.note}</div>}
+    </li>
+  )
+}
+
+// 任务历史面板：history 为 { events, nextBefore, loading, error }，按时间倒序分页加载
+export default function HistoryPanel({ history, onLoadMore }) {
+  return (
+    <div className="history-panel">
+      {history.events.length === 0 && !history.loading && !history.error && (
+        <div className="history-empty">暂无记录</div>
+      )}
+      <ul className="history-list">
+        {history.events.map(event => <HistoryEvent key={event.id} event={event} />)}
+      </ul>
+      {history.error && <div className="history-error">{history.error}</div>}
+      {history.loading && <div className="history-empty">加载中...</div>}
+      {history.nextBefore && !history.loading && (
+        <button onClick={onLoadMore} className="btn-action">加载更早的记录</button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,14 @@
+// 任务上的标签，点击加入或移出标签筛选（active 表示正在按此标签筛选）
+export default function LabelChip({ label, active, onToggle }) {
+  return (
+    <button
+      type="button"
+      onClick={() => onToggle(label.id)}
+      className={`label-chip ${active ? 'label-chip-active' : ''}`}
+      style={{ background: label.color }}
+      title="按此标签筛选"
+    >
+      {label.name}
+    </button>
+  )
+}
@@ -0,0 +1,26 @@
+import LabelChip from './LabelChip'
+
+// 正在使用的标签筛选：筛选的标签、匹配方式（任一 / 全部）和清除
+//   views：useTaskView 的返回值
+export default function LabelFilterBar({ labels, views }) {
+  const { labelFilter, toggleLabelFilter, setLabelFilterMode, clearLabelFilter } = views
+  return (
+    <div className="label-filter-bar">
+      <span>按标签筛选：</span>
+      {labels.filter(label => labelFilter.ids.includes(label.id)).map(label => (
+        <LabelChip key={label.id} label={label} active onToggle={toggleLabelFilter} />
+      ))}
+      <select
+        value={labelFilter.mode}
+        onChange={(e) => setLabelFilterMode(e.target.value)}
+        className="label-mode-select"
+      >
+        <option value="any">包含任一</option>
+        <option value="all">包含全部</option>
+      </select>
+      <button onClick={clearLabelFilter} className="btn-action">
+        清除
+      </button>
+    </div>
+  )
+}
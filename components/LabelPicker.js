@@ -0,0 +1,31 @@
+// 任务的标签选择器：勾选已有标签，或创建新标签并添加到任务上
+//   labelState：useLabels 的返回值
+export default function LabelPicker({ task, labelState }) {
+  const { labels, toggleTaskLabel, newLabelName, setNewLabelName, createLabelForTask } = labelState
+  return (
+    <div className="label-picker">
+      {labels.map(label => (
+        <label key={label.id} className="label-option">
+          <input
+            type="checkbox"
+            checked={(task.labels || []).some(l => l.id === label.id)}
+            onChange={() => toggleTaskLabel(task, label.id)}
+          />
+          <span className="label-swatch" style={{ background: label.color }} />
+          {label.name}
+        </label>
+      ))}
+      <form onSubmit={(e) => createLabelForTask(e, task)} className="label-create-form">
+        <input
+          type="text"
+          value={newLabelName}
+          onChange={(e) => setNewLabelName(e.target.value)}
+          placeholder="新标签名称..."
+          maxLength={50}
+          className="label-create-input"
+        />
+        <button type="submit" className="btn-action">创建</button>
+      </form>
+    </div>
+  )
+}
@@ -0,0 +1,38 @@
+import { useState } from 'react'
+
+// 用键盘新建任务的输入框（显示在列表中的对应位置）：Enter 保存，Esc 取消，内容为空时失去焦点也取消
+export default function NewTaskEditor({ asChild, indent, onSubmit, onCancel }) {
+  const [value, setValue] = useState('')
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    onSubmit(value.trim())
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="new-task-editor" style={{ marginLeft: `${indent}px` }}>
+      <input
+        type="text"
+        value={value}
+        onChange={(e) => setValue(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') {
+            e.preventDefault()
+            onCancel()
+          }
+        }}
+        onBlur={() => !value.trim() && onCancel()}
+        placeholder={asChild ? '子任务标题（Enter 保存，Esc 取消）' : '任务标题（Enter 保存，Esc 取消）'}
+        className="title-input"
+        aria-label={asChild ? '新子任务标题' : '新任务标题'}
+        autoFocus
+      />
+
+      <style jsx>{`
+        .new-task-editor {
+          margin-top: 8px;
+        }
+      `}</style>
+    </form>
+  )
+}
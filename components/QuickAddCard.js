@@ -0,0 +1,85 @@
+// 解析方式（AI 或规则）和提示，取消或创建
+function QuickAddFooter({ quick }) {
+  const { draft, source, warning, saving } = quick.quickAdd
+  return (
+    <div className="quick-add-footer">
+      <span className="quick-add-source" title={warning || undefined}>
+        {source === 'ai' ? 'AI 解析' : '规则解析'}{warning ? `：${warning}` : ''}
+      </span>
+      <button onClick={quick.cancelQuickAdd} disabled={saving} className="btn-action">取消</button>
+      <button onClick={quick.submitQuickAdd} disabled={saving || !draft.title.trim()} className="btn-add">
+        {saving ? '创建中...' : '创建任务'}
+      </button>
+    </div>
+  )
+}
+
+// 智能解析的结果：每个字段显示为可编辑的标签，确认后创建
+//   quick：useQuickAdd 的返回值，tasks 用于列出父任务候选
+export default function QuickAddCard({ quick, tasks }) {
+  const { draft, parent } = quick.quickAdd
+  const update = quick.updateQuickAddDraft
+  // 父任务候选：未完成的任务，以及解析出的父任务（可能不在已加载的列表中）
+  const parentOptions = tasks.filter(t => t.status === 'pending')
+  if (parent && !parentOptions.some(t => t.id === parent.id)) {
+    parentOptions.unshift(parent)
+  }
+
+  return (
+    <div className="quick-add">
+      <div className="quick-add-chips">
+        <label className="chip">
+          标题
+          <input
+            type="text"
+            value={draft.title}
+            onChange={(e) => update({ title: e.target.value })}
+            maxLength={200}
+            className="chip-input chip-input-wide"
+          />
+        </label>
+        <label className="chip">
+          优先级
+          <select value={draft.priority} onChange={(e) => update({ priority: e.target.value })} className="chip-input">
+            <option value="high">高</option>
+            <option value="medium">中</option>
+            <option value="low">低</option>
+          </select>
+        </label>
+        <label className="chip">
+          截止
+          <input type="date" value={draft.due_date} onChange={(e) => update({ due_date: e.target.value })} className="chip-input" />
+        </label>
+        <label className="chip">
+          父任务
+          <select
+            value={draft.parent_id ?? ''}
+            onChange={(e) => update({ parent_id: e.target.value ? Number(e.target.value) : null })}
+            className="chip-input"
+          >
+            <option value="">无（顶级任务）</option>
+            {parentOptions.map(t => (
+              <option key={t.id} value={t.id}>{t.title}</option>
+            ))}
+          </select>
+        </label>
+        <label className="chip">
+          描述
+          <input
+            type="text"
+            value={draft.description}
+            onChange={(e) => update({ description: e.target.value })}
+            placeholder="无"
+            maxLength={1000}
+            className="chip-input"
+          />
+        </label>
+        <label className="chip">
+          <input type="checkbox" checked={draft.breakdown} onChange={(e) => update({ breakdown: e.target.checked })} />
+          创建后 AI 拆解
+        </label>
+      </div>
+      <QuickAddFooter quick={quick} />
+    </div>
+  )
+}
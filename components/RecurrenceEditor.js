@@ -0,0 +1,47 @@
+import { WEEKDAY_NAMES, WEEKDAY_ORDER } from '../utils/format'
+
+// 重复规则编辑器：间隔和频率、每周重复的星期、截止日期，已重复的任务可以停止重复
+//   schedule：useTaskSchedule 的返回值
+export default function RecurrenceEditor({ task, schedule }) {
+  const { recurrenceEditor: editor, changeRecurrence, toggleRecurrenceWeekday, submitRecurrence, saveRecurrence } = schedule
+  return (
+    <form onSubmit={(e) => submitRecurrence(e, task)} className="recurrence-editor">
+      <label className="recurrence-field">
+        每
+        <input
+          type="number"
+          min={1}
+          max={365}
+          value={editor.interval}
+          onChange={(e) => changeRecurrence({ interval: e.target.value })}
+          className="recurrence-interval"
+        />
+        <select value={editor.freq} onChange={(e) => changeRecurrence({ freq: e.target.value })} className="label-mode-select">
+          <option value="daily">天</option>
+          <option value="weekly">周</option>
+          <option value="monthly">月</option>
+        </select>
+      </label>
+      {editor.freq === 'weekly' && (
+        <span className="recurrence-weekdays">
+          {WEEKDAY_ORDER.map(day => (
+            <label key={day} className="label-option">
+              <input type="checkbox" checked={editor.byWeekday.includes(day)} onChange={() => toggleRecurrenceWeekday(day)} />
+              {WEEKDAY_NAMES[day]}
+            </label>
+          ))}
+        </span>
+      )}
+      <label className="recurrence-field">
+        截止
+        <input type="date" value={editor.until} onChange={(e) => changeRecurrence({ until: e.target.value })} className="due-input" />
+      </label>
+      <button type="submit" className="btn-action">保存</button>
+      {task.recurrence && (
+        <button type="button" onClick={() => saveRecurrence(task, null)} className="btn-action btn-delete">
+          停止重复
+        </button>
+      )}
+    </form>
+  )
+}
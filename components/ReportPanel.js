@@ -0,0 +1,59 @@
+// 进展报告面板：选择日期范围后生成 Markdown，可以复制或下载
+//   reports：useReport 的返回值
+export default function ReportPanel({ reports }) {
+  const { report, changeReport, generateReport, copyReport, downloadReport } = reports
+  const { from, to, ai, loading } = report
+  const data = report.report
+
+  return (
+    <div className="today-panel">
+      <div className="today-header">
+        <span>进展报告</span>
+        <input
+          type="date"
+          value={from}
+          max={to}
+          onChange={(e) => changeReport({ from: e.target.value })}
+          disabled={loading}
+          className="chip-input"
+          aria-label="开始日期"
+        />
+        <span className="report-separator">至</span>
+        <input
+          type="date"
+          value={to}
+          min={from}
+          onChange={(e) => changeReport({ to: e.target.value })}
+          disabled={loading}
+          className="chip-input"
+          aria-label="结束日期"
+        />
+        <label className="report-option">
+          <input
+            type="checkbox"
+            checked={ai}
+            onChange={(e) => changeReport({ ai: e.target.checked })}
+            disabled={loading}
+          />
+          AI 润色
+        </label>
+        <button onClick={generateReport} disabled={loading || !from || !to} className="btn-action btn-breakdown">
+          {loading ? '生成中...' : data ? '重新生成' : '生成报告'}
+        </button>
+      </div>
+      {data && (
+        <>
+          <textarea value={data.markdown} readOnly className="report-markdown" aria-label="报告内容" />
+          <div className="quick-add-footer">
+            <span className="quick-add-source" title={data.warning || undefined}>
+              完成 {data.completed_count} 个任务 ·
+              {data.source === 'ai' ? ' AI 润色' : ' 模板生成'}{data.warning ? `：${data.warning}` : ''}
+            </span>
+            <button onClick={copyReport} className="btn-action">复制</button>
+            <button onClick={downloadReport} className="btn-add">下载 .md</button>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,91 @@
+// 键盘快捷键（与 hooks/useKeyboardShortcuts 的处理一致）
+const SHORTCUT_GROUPS = [
+  {
+    title: '浏览',
+    items: [
+      { keys: ['j', '↓'], description: '下一个任务' },
+      { keys: ['k', '↑'], description: '上一个任务' },
+      { keys: ['h', '←'], description: '父任务' },
+      { keys: ['l', '→'], description: '第一个子任务' },
+      { keys: ['/'], description: '搜索任务' },
+      { keys: ['Esc'], description: '取消选中' }
+    ]
+  },
+  {
+    title: '操作选中的任务',
+    items: [
+      { keys: ['空格', 'x'], description: '标记完成 / 未完成' },
+      { keys: ['Enter'], description: '修改标题' },
+      { keys: ['b'], description: 'AI 拆解' },
+      { keys: ['Delete', 'd'], description: '删除' },
+      { keys: ['o'], description: '在后面新建同级任务' },
+      { keys: ['Shift+O'], description: '新建子任务' },
+      { keys: ['Alt+↑', 'Alt+↓'], description: '调整顺序' },
+      { keys: ['Alt+→'], description: '缩进（成为上一个任务的子任务）' },
+      { keys: ['Alt+←'], description: '取消缩进（移到父任务之后）' }
+    ]
+  },
+  {
+    title: '其他',
+    items: [
+      { keys: ['n'], description: '添加顶级任务' },
+      { keys: ['Ctrl+K', '⌘K'], description: '命令面板' },
+      { keys: ['?'], description: '显示快捷键' }
+    ]
+  }
+]
+
+// 快捷键帮助（?）
+export default function ShortcutHelp({ onClose }) {
+  return (
+    <div className="dialog-backdrop" onClick={onClose}>
+      <div className="dialog shortcuts-dialog" role="dialog" aria-label="键盘快捷键" onClick={(e) => e.stopPropagation()}>
+        <div className="dialog-header">
+          <span>键盘快捷键</span>
+          <button onClick={onClose} className="btn-action" autoFocus>关闭</button>
+        </div>
+        {SHORTCUT_GROUPS.map(group => (
+          <div key={group.title} className="shortcut-group">
+            <div className="shortcut-group-title">{group.title}</div>
+            {group.items.map(item => (
+              <div key={item.description} className="shortcut-row">
+                <span>{item.description}</span>
+                <span className="shortcut-keys">
+                  {item.keys.map(key => <kbd key={key} className="kbd">{key}</kbd>)}
+                </span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <style jsx>{`
+        .shortcut-group + .shortcut-group {
+          margin-top: 12px;
+        }
+
+        .shortcut-group-title {
+          margin-bottom: 6px;
+          color: #8b7355;
+          font-size: 13px;
+          font-weight: 600;
+        }
+
+        .shortcut-row {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          padding: 4px 0;
+          border-bottom: 1px solid #f5f1e8;
+        }
+
+        .shortcut-keys {
+          display: flex;
+          gap: 4px;
+          flex-shrink: 0;
+        }
+      `}</style>
+    </div>
+  )
+}
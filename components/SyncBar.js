@@ -0,0 +1,69 @@
+// 同步状态：网络不可用、服务器暂时出错时提示待同步的修改数量，并列出被服务端拒绝的修改
+export default function SyncBar({ online, serverUnavailable, pendingCount, conflicts, onRetry, onDismiss }) {
+  if (online && !serverUnavailable && conflicts.length === 0) return null
+
+  return (
+    <div className="sync-bar" role="status">
+      {!online && (
+        <div className="sync-offline">
+          {pendingCount > 0
+            ? `网络不可用，${pendingCount} 项修改将在恢复连接后同步`
+            : '网络不可用，修改会在恢复连接后同步'}
+          {pendingCount > 0 && (
+            <button onClick={onRetry} className="btn-action">立即重试</button>
+          )}
+        </div>
+      )}
+      {online && serverUnavailable && pendingCount > 0 && (
+        <div className="sync-offline">
+          {`服务器暂时不可用，${pendingCount} 项修改将稍后自动重试`}
+          <button onClick={onRetry} className="btn-action">立即重试</button>
+        </div>
+      )}
+      {conflicts.map(conflict => (
+        <div key={conflict.key} className="sync-conflict">
+          <span>{conflict.message}</span>
+          <button onClick={() => onDismiss(conflict.key)} className="btn-action">
+            知道了
+          </button>
+        </div>
+      ))}
+
+      <style jsx>{`
+        .sync-bar {
+          display: flex;
+          flex-direction: column;
+          gap: 8px;
+          margin-bottom: 16px;
+          font-size: 13px;
+        }
+
+        .sync-offline,
+        .sync-conflict {
+          display: flex;
+          align-items: center;
+          gap: 12px;
+          padding: 8px 12px;
+          border-radius: 6px;
+        }
+
+        .sync-offline {
+          background: #faf8f3;
+          border: 1px solid #d4c4b0;
+          color: #5a4a3a;
+        }
+
+        .sync-conflict {
+          background: #f8e1dc;
+          border: 1px solid #c97a6a;
+          color: #b86959;
+        }
+
+        .sync-offline > :first-child,
+        .sync-conflict > span {
+          flex: 1;
+        }
+      `}</style>
+    </div>
+  )
+}
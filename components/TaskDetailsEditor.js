@@ -0,0 +1,40 @@
+// 任务详情：修改描述和优先级（Ctrl/⌘+Enter 或「保存」保存，Esc 或「取消」放弃）
+//   editors：useTaskEditors 的返回值
+export default function TaskDetailsEditor({ task, editors }) {
+  const { detailsEditor, changeDetails, closeDetails, saveDetails, handleDetailsKeyDown } = editors
+  return (
+    <form onSubmit={(e) => saveDetails(e, task)} className="details-editor">
+      <textarea
+        value={detailsEditor.description}
+        onChange={(e) => changeDetails({ description: e.target.value })}
+        onKeyDown={(e) => handleDetailsKeyDown(e, task)}
+        placeholder="添加描述...（Ctrl+Enter 保存，Esc 取消）"
+        className="details-description"
+        aria-label="任务描述"
+        rows={3}
+        autoFocus
+      />
+      <div className="details-footer">
+        <label className="recurrence-field">
+          优先级
+          <select
+            value={detailsEditor.priority}
+            onChange={(e) => changeDetails({ priority: e.target.value })}
+            className="label-mode-select"
+          >
+            <option value="high">高</option>
+            <option value="medium">中</option>
+            <option value="low">低</option>
+          </select>
+        </label>
+        {detailsEditor.error && <span className="edit-error">{detailsEditor.error}</span>}
+        <button type="button" onClick={closeDetails} className="btn-action">
+          取消
+        </button>
+        <button type="submit" className="btn-action">
+          保存
+        </button>
+      </div>
+    </form>
+  )
+}
@@ -0,0 +1,277 @@
+import NewTaskEditor from './NewTaskEditor'
+import LabelChip from './LabelChip'
+import TaskDetailsEditor from './TaskDetailsEditor'
+import LabelPicker from './LabelPicker'
+import RecurrenceEditor from './RecurrenceEditor'
+import HistoryPanel from './HistoryPanel'
+import BreakdownStream from './BreakdownStream'
+import { getDueState, describeRecurrence, formatMinutes, toDateInputValue, VALUE_NAMES } from '../utils/format'
+
+// 拆解和删除按钮的样式
+const ACTION_BUTTON_STYLE = {
+  appearance: 'none',
+  margin: 0,
+  padding: '6px 14px',
+  border: '1px solid #d1d5db',
+  borderRadius: '4px',
+  fontSize: '13px',
+  fontWeight: 500,
+  background: 'white',
+  color: '#333',
+  cursor: 'pointer',
+  display: 'inline-flex',
+  alignItems: 'center',
+  justifyContent: 'center'
+}
+
+// 尚未同步到服务端的新任务（本地 ID）只能完成或删除
+const isUnsynced = (task) => task.id < 0
+
+// 渲染搜索命中的高亮片段
+const renderHighlight = (segments) => segments.map((segment, index) => (
+  segment.highlight ? <mark key={index} className="search-mark">{segment.text}</mark> : segment.text
+))
+
+// 拖动手柄：拖放或用 Alt+方向键移动任务
+function DragHandle({ task, move }) {
+  return (
+    <span
+      role="button"
+      tabIndex={0}
+      draggable
+      onDragStart={(e) => move.handleDragStart(e, task)}
+      onDragEnd={move.endDrag}
+      onKeyDown={(e) => move.handleMoveKeyDown(e, task)}
+      className="drag-handle"
+      data-move-handle={task.id}
+      aria-label={`移动「${task.title}」：拖动，或按 Alt+上下方向键调整顺序、Alt+右方向键成为上一个任务的子任务、Alt+左方向键移出父任务`}
+      title="拖动调整顺序，拖到任务中间成为其子任务（键盘：Alt+方向键）"
+    >
+      ⠿
+    </span>
+  )
+}
+
+// 多选框和完成状态
+function TaskCheckboxes({ task, ctx }) {
+  return (
+    <>
+      <input
+        type="checkbox"
+        checked={ctx.selection.selectedIds.has(task.id)}
+        onChange={() => ctx.selection.toggleSelect(task.id)}
+        disabled={isUnsynced(task)}
+        className="select-checkbox"
+        title="选择"
+      />
+      <label className="checkbox-wrapper">
+        <input
+          type="checkbox"
+          checked={task.status === 'completed'}
+          onChange={() => ctx.toggleTask(task)}
+          className="checkbox-input"
+        />
+        <span className="checkbox-custom">
+          {task.status === 'completed' && (
+            <svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+              <polyline points="20 6 9 17 4 12"></polyline>
+            </svg>
+          )}
+        </span>
+      </label>
+    </>
+  )
+}
+
+// 标题（搜索时高亮命中的文字）和描述，双击修改标题
+function TaskTitle({ task, isContext, ctx }) {
+  const { titleEditor, changeTitle, handleTitleKeyDown, saveTitle, startTitleEdit, detailsEditor } = ctx.editors
+  const highlights = ctx.searchState?.highlights.get(task.id)
+  if (titleEditor?.taskId === task.id) {
+    return (
+      <span className="task-text">
+        <input
+          type="text"
+          value={titleEditor.value}
+          onChange={(e) => changeTitle(e.target.value)}
+          onKeyDown={handleTitleKeyDown}
+          onBlur={() => saveTitle(task)}
+          className="title-input"
+          aria-label="任务标题"
+          autoFocus
+        />
+        {titleEditor.error && <span className="edit-error">{titleEditor.error}</span>}
+      </span>
+    )
+  }
+  return (
+    <span
+      className={`task-text ${task.status === 'completed' ? 'completed-text' : ''} ${isContext ? 'context-text' : ''}`}
+      onDoubleClick={() => !isUnsynced(task) && startTitleEdit(task)}
+      title="双击修改标题"
+    >
+      {highlights ? renderHighlight(highlights.title) : task.title}
+      {highlights?.description ? (
+        <span className="search-snippet">{renderHighlight(highlights.description)}</span>
+      ) : task.description && detailsEditor?.taskId !== task.id && (
+        <span className="search-snippet task-description">{task.description}</span>
+      )}
+    </span>
+  )
+}
+
+// 同步状态、优先级、重复、标签、预计用时和截止状态
+function TaskBadges({ task, ctx }) {
+  const dueState = getDueState(task)
+  const { online, serverUnavailable } = ctx.sync
+  return (
+    <>
+      {ctx.pendingTaskIds.has(task.id) && (!online || serverUnavailable) && (
+        <span className="due-badge sync-badge" title="修改尚未同步，稍后自动重试">待同步</span>
+      )}
+      <span className={`due-badge priority-${task.priority}`} title="优先级（在详情中修改）">
+        {VALUE_NAMES[task.priority]}优先级
+      </span>
+      {task.recurrence && (
+        <span className="repeat-icon" title={`重复：${describeRecurrence(task.recurrence)}`}>
+          <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <polyline points="17 1 21 5 17 9"></polyline>
+            <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+            <polyline points="7 23 3 19 7 15"></polyline>
+            <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+          </svg>
+        </span>
+      )}
+      {task.labels && task.labels.length > 0 && (
+        <span className="task-labels">
+          {task.labels.map(label => (
+            <LabelChip key={label.id} label={label} active={ctx.labelFilter.ids.includes(label.id)} onToggle={ctx.toggleLabelFilter} />
+          ))}
+        </span>
+      )}
+      {task.estimated_minutes && (
+        <span className="due-badge estimate-badge" title="预计用时">约 {formatMinutes(task.estimated_minutes)}</span>
+      )}
+      {dueState === 'overdue' && <span className="due-badge due-overdue">已逾期</span>}
+      {dueState === 'today' && <span className="due-badge due-today">今天到期</span>}
+    </>
+  )
+}
+
+// 任务的操作按钮
+function TaskButtons({ task, ctx }) {
+  const unsynced = isUnsynced(task)
+  const isBreakingDown = Boolean(ctx.breakdown.breakdownStreams[task.id])
+  return (
+    <div className="task-buttons" style={{ display: 'flex', gap: '8px', marginLeft: 'auto', flexShrink: 0 }}>
+      <button
+        onClick={() => ctx.breakdown.breakdownTask(task)}
+        disabled={unsynced || isBreakingDown || task.status === 'completed'}
+        className="btn-action btn-breakdown"
+        style={ACTION_BUTTON_STYLE}
+      >
+        {isBreakingDown ? '拆解中...' : '拆解'}
+      </button>
+      <button onClick={() => ctx.editors.toggleDetails(task)} disabled={unsynced} className="btn-action btn-details">
+        {ctx.editors.detailsEditor?.taskId === task.id ? '收起' : '详情'}
+      </button>
+      <button onClick={() => ctx.labelState.toggleLabelPicker(task.id)} disabled={unsynced} className="btn-action btn-labels">
+        标签
+      </button>
+      <button
+        onClick={() => ctx.schedule.openRecurrenceEditor(task)}
+        disabled={unsynced || task.status === 'completed'}
+        className="btn-action btn-repeat"
+      >
+        重复
+      </button>
+      <button onClick={() => ctx.taskHistory.toggleHistory(task)} disabled={unsynced} className="btn-action btn-history">
+        历史
+      </button>
+      <button onClick={() => ctx.deleteTask(task.id)} className="btn-action btn-delete" style={ACTION_BUTTON_STYLE}>
+        删除
+      </button>
+    </div>
+  )
+}
+
+// 任务的一行：拖动手柄、选择和完成、标题、标记、截止日期和操作按钮
+function TaskRow({ task, ctx }) {
+  // 作为上下文显示的祖先任务（本身不匹配搜索或筛选条件）
+  const isContext = ctx.searchState
+    ? !ctx.searchState.highlights.get(task.id)
+    : Boolean(ctx.filterState?.contextIds.has(task.id))
+  return (
+    <div className="task-row">
+      {ctx.reorderEnabled && !isUnsynced(task) && <DragHandle task={task} move={ctx.move} />}
+      <TaskCheckboxes task={task} ctx={ctx} />
+      <TaskTitle task={task} isContext={isContext} ctx={ctx} />
+      <TaskBadges task={task} ctx={ctx} />
+      <input
+        type="date"
+        value={toDateInputValue(task.due_at)}
+        onChange={(e) => ctx.schedule.updateDueDate(task, e.target.value)}
+        disabled={isUnsynced(task)}
+        className="due-input"
+        title="截止日期"
+      />
+      <TaskButtons task={task} ctx={ctx} />
+    </div>
+  )
+}
+
+// 任务（可获得焦点、可作为放置目标），下方依次是展开的详情、标签、重复规则和历史面板
+function TaskCard({ task, ctx }) {
+  const { dragState, handleDragOver, handleDrop } = ctx.move
+  const dropZone = dragState?.targetId === task.id ? dragState.zone : null
+  return (
+    <div
+      className={`task-item ${task.status === 'completed' ? 'completed' : ''} ${dropZone ? `drop-${dropZone}` : ''} ${dragState?.taskId === task.id ? 'dragging' : ''} ${ctx.focus.focusedTaskId === task.id ? 'focused' : ''}`}
+      tabIndex={-1}
+      data-task-id={task.id}
+      onFocus={() => ctx.focus.setFocusedTaskId(task.id)}
+      onDragOver={ctx.reorderEnabled ? (e) => handleDragOver(e, task) : undefined}
+      onDrop={ctx.reorderEnabled ? (e) => handleDrop(e, task) : undefined}
+    >
+      <TaskRow task={task} ctx={ctx} />
+      {ctx.editors.detailsEditor?.taskId === task.id && <TaskDetailsEditor task={task} editors={ctx.editors} />}
+      {ctx.labelState.labelPickerFor === task.id && <LabelPicker task={task} labelState={ctx.labelState} />}
+      {ctx.schedule.recurrenceEditor?.taskId === task.id && <RecurrenceEditor task={task} schedule={ctx.schedule} />}
+      {ctx.taskHistory.history?.taskId === task.id && (
+        <HistoryPanel history={ctx.taskHistory.history} onLoadMore={ctx.taskHistory.loadMoreHistory} />
+      )}
+    </div>
+  )
+}
+
+// 任务及其子任务树（level 为层级，每层缩进 24px），正在拆解时显示进度，用键盘新建的任务显示在对应位置
+//   ctx：列表共用的状态和操作（各个 hook 的返回值）
+export default function TaskItem({ task, level = 0, ctx }) {
+  const breakdownStream = ctx.breakdown.breakdownStreams[task.id]
+  const { newTaskEditor, submitNewTask, cancelNewTask } = ctx.newTasks
+  const addingChild = Boolean(newTaskEditor && newTaskEditor.afterId === null && newTaskEditor.parentId === task.id)
+  const hasChildren = task.children && task.children.length > 0
+
+  return (
+    <div className="task-item-wrapper" style={{ marginLeft: `${level * 24}px` }}>
+      <TaskCard task={task} ctx={ctx} />
+
+      {breakdownStream && (
+        <BreakdownStream stream={breakdownStream} onCancel={() => ctx.breakdown.cancelBreakdown(task.id)} />
+      )}
+
+      {(hasChildren || addingChild) && (
+        <div className="subtasks-container">
+          {task.children.map(child => <TaskItem key={child.id} task={child} level={level + 1} ctx={ctx} />)}
+          {addingChild && (
+            <NewTaskEditor asChild indent={(level + 1) * 24} onSubmit={submitNewTask} onCancel={cancelNewTask} />
+          )}
+        </div>
+      )}
+
+      {newTaskEditor?.afterId === task.id && (
+        <NewTaskEditor asChild={false} indent={0} onSubmit={submitNewTask} onCancel={cancelNewTask} />
+      )}
+    </div>
+  )
+}
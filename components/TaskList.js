@@ -0,0 +1,53 @@
+import TaskItem from './TaskItem'
+import { VALUE_NAMES } from '../utils/format'
+
+// 列表底部：搜索时显示匹配数，还有下一页时显示「加载更多」（进入可见区域时自动加载），否则显示任务总数
+function ListFooter({ app }) {
+  const { loader, search, pagination } = app
+  return (
+    <div ref={loader.loadMoreRef} className="list-footer">
+      {search.isSearching ? (
+        <span>找到 {search.searchState ? search.searchState.highlights.size : 0} 个匹配任务</span>
+      ) : pagination.hasMore ? (
+        <button onClick={loader.loadMore} disabled={loader.loadingMore} className="btn-load-more">
+          {loader.loadingMore ? '加载中...' : '加载更多'}
+        </button>
+      ) : (
+        <span>共 {pagination.total} 个任务</span>
+      )}
+    </div>
+  )
+}
+
+// 任务列表：加载中、搜索或筛选没有结果、没有任务时显示提示，分组时按组显示
+//   app：useTodoApp 的返回值，ctx：传给每个任务的共用状态和操作
+export default function TaskList({ app, ctx }) {
+  const { loader, search, views, isFiltered } = app
+  const { organizedTasks, taskGroups } = app.tree
+
+  if (loader.loading) {
+    return <div className="empty-state">加载中...</div>
+  }
+  if (search.isSearching && organizedTasks.length === 0) {
+    return <div className="empty-state">{search.searchState ? '没有找到匹配的任务' : '搜索中...'}</div>
+  }
+  if (organizedTasks.length === 0) {
+    return <div className="empty-state">{isFiltered ? '没有符合筛选条件的任务' : '还没有任务，添加一个吧～'}</div>
+  }
+  return (
+    <>
+      <div className="task-list">
+        {taskGroups ? taskGroups.map(group => (
+          <div key={group.key} className="task-group">
+            <div className="task-group-header">
+              {VALUE_NAMES[group.key]}{views.view.group === 'priority' ? '优先级' : ''}
+              <span className="task-group-count">{group.tasks.length}</span>
+            </div>
+            {group.tasks.map(task => <TaskItem key={task.id} task={task} ctx={ctx} />)}
+          </div>
+        )) : organizedTasks.map(task => <TaskItem key={task.id} task={task} ctx={ctx} />)}
+      </div>
+      <ListFooter app={app} />
+    </>
+  )
+}
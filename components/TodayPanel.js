@@ -0,0 +1,83 @@
+import { formatMinutes, VALUE_NAMES } from '../utils/format'
+
+// 可选的可用时间（分钟）
+const PLAN_MINUTE_OPTIONS = [60, 120, 240, 360, 480]
+
+// 计划中的一个任务：安排的时间、子任务进度、建议的优先级和理由
+function PlanItem({ item, tasks }) {
+  // 计划生成后任务可能已完成，以列表中的状态为准
+  const current = tasks.find(t => t.id === item.task.id) || item.task
+  return (
+    <li className={`today-item ${current.status === 'completed' ? 'today-item-done' : ''}`}>
+      <div className="today-item-main">
+        <span className="today-title">{current.title}</span>
+        <span className="history-meta">
+          <span>{formatMinutes(item.minutes)}</span>
+          {item.subtasks.total > 0 && <span>子任务 {item.subtasks.completed}/{item.subtasks.total}</span>}
+          {item.suggested_priority && (
+            <span className="review-tag">
+              建议优先级：{VALUE_NAMES[current.priority]} → {VALUE_NAMES[item.suggested_priority]}
+            </span>
+          )}
+        </span>
+        <span className="today-rationale">{item.rationale}</span>
+      </div>
+    </li>
+  )
+}
+
+// 「今天」面板：选择可用时间后安排计划，显示每个任务的安排时间和理由
+//   plans：usePlan 的返回值
+export default function TodayPanel({ plans, tasks }) {
+  const { todayPlan, setPlanMinutes, clearPlan, generatePlan, acceptPlan } = plans
+  const { minutes, plan, loading, applying } = todayPlan
+  const changeCount = plan ? plan.items.filter(item => item.suggested_priority).length : 0
+
+  return (
+    <div className="today-panel">
+      <div className="today-header">
+        <span>今天</span>
+        <select
+          value={minutes}
+          onChange={(e) => setPlanMinutes(Number(e.target.value))}
+          disabled={loading}
+          className="bulk-select"
+          aria-label="今天可用时间"
+        >
+          {PLAN_MINUTE_OPTIONS.map(value => (
+            <option key={value} value={value}>可用 {formatMinutes(value)}</option>
+          ))}
+        </select>
+        <button onClick={generatePlan} disabled={loading || applying} className="btn-action btn-breakdown">
+          {loading ? '安排中...' : plan ? '重新安排' : '安排今天'}
+        </button>
+        {plan && (
+          <button onClick={clearPlan} disabled={applying} className="btn-action">
+            收起
+          </button>
+        )}
+      </div>
+      {plan && (
+        plan.items.length === 0 ? (
+          <div className="history-empty">没有可以安排的未完成任务</div>
+        ) : (
+          <>
+            {plan.summary && <div className="review-note">{plan.summary}</div>}
+            <ol className="today-list">
+              {plan.items.map(item => <PlanItem key={item.task.id} item={item} tasks={tasks} />)}
+            </ol>
+            <div className="quick-add-footer">
+              <span className="quick-add-source" title={plan.warning || undefined}>
+                共 {formatMinutes(plan.total_minutes)} / {formatMinutes(plan.budget_minutes)} ·
+                {plan.source === 'ai' ? ' AI 安排' : ' 按规则安排'}{plan.warning ? `：${plan.warning}` : ''}
+              </span>
+              <button onClick={acceptPlan} disabled={applying || changeCount === 0} className="btn-add">
+                {applying ? '调整中...' : changeCount > 0 ? `接受计划（调整 ${changeCount} 个优先级）` : '已接受'}
+              </button>
+            </div>
+          </>
+        )
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,163 @@
+import useTodoApp from '../hooks/useTodoApp'
+import useKeyboardShortcuts from '../hooks/useKeyboardShortcuts'
+import AppHeader from './AppHeader'
+import ReportPanel from './ReportPanel'
+import TrashPanel from './TrashPanel'
+import TodayPanel from './TodayPanel'
+import BulkBar from './BulkBar'
+import SyncBar from './SyncBar'
+import ViewToolbar from './ViewToolbar'
+import LabelFilterBar from './LabelFilterBar'
+import TaskList from './TaskList'
+import BreakdownReview from './BreakdownReview'
+import CommandPalette from './CommandPalette'
+import ShortcutHelp from './ShortcutHelp'
+import UndoToast from './UndoToast'
+import { VIEW_SORTS, VIEW_SORT_NAMES } from '../utils/view'
+
+// 让输入框获得焦点（搜索、添加顶级任务）
+const focusInput = (ref) => ref.current && ref.current.focus()
+
+// 命令面板中可以执行的命令（task 为选中的任务，没有时只显示全局命令）
+const getPaletteCommands = (app, task) => {
+  const { actions, editors, breakdown, taskHistory, newTasks, move, reorderEnabled, views, reports, trash } = app
+  const { view, updateView } = views
+  const editable = task && task.id > 0
+  const reorderable = editable && reorderEnabled
+  const moveBy = (key) => () => move.moveTaskByArrow(task, key, `[data-task-id="${task.id}"]`)
+  return [
+    task && {
+      id: 'toggle',
+      label: task.status === 'completed' ? '标记未完成' : '标记完成',
+      keys: ['空格'],
+      run: () => actions.toggleTask(task)
+    },
+    editable && { id: 'rename', label: '修改标题', keys: ['Enter'], run: () => editors.startTitleEdit(task) },
+    editable && task.status !== 'completed' && { id: 'breakdown', label: 'AI 拆解', keys: ['b'], run: () => breakdown.breakdownTask(task) },
+    editable && { id: 'details', label: '编辑描述和优先级', run: () => editors.toggleDetails(task) },
+    editable && { id: 'history', label: '查看历史', run: () => taskHistory.toggleHistory(task) },
+    editable && { id: 'sibling', label: '在后面新建同级任务', keys: ['o'], run: () => newTasks.startNewTask(task, false) },
+    editable && { id: 'child', label: '新建子任务', keys: ['Shift+O'], run: () => newTasks.startNewTask(task, true) },
+    reorderable && { id: 'move-up', label: '上移', keys: ['Alt+↑'], run: moveBy('ArrowUp') },
+    reorderable && { id: 'move-down', label: '下移', keys: ['Alt+↓'], run: moveBy('ArrowDown') },
+    reorderable && { id: 'indent', label: '缩进', keys: ['Alt+→'], run: moveBy('ArrowRight') },
+    reorderable && { id: 'outdent', label: '取消缩进', keys: ['Alt+←'], run: moveBy('ArrowLeft') },
+    task && { id: 'delete', label: '删除', keys: ['Delete'], run: () => actions.deleteFocusedTask(task, app.tree.navigationOrder) },
+    { id: 'new', label: '添加顶级任务', keys: ['n'], run: () => focusInput(app.newTaskInputRef) },
+    { id: 'search', label: '搜索任务', keys: ['/'], run: () => focusInput(app.searchInputRef) },
+    {
+      id: 'hide-completed',
+      label: view.status === 'pending' ? '显示已完成的任务' : '隐藏已完成的任务',
+      run: () => updateView({ status: view.status === 'pending' ? '' : 'pending' })
+    },
+    ...Object.keys(VIEW_SORTS).filter(sort => sort !== view.sort).map(sort => ({
+      id: `sort-${sort}`,
+      label: `排序：${VIEW_SORT_NAMES[sort]}`,
+      run: () => updateView({ sort, order: VIEW_SORTS[sort] })
+    })),
+    { id: 'report', label: reports.report ? '收起进展报告' : '打开进展报告', run: reports.toggleReport },
+    { id: 'trash', label: trash.trash ? '收起回收站' : '打开回收站', run: trash.toggleTrash },
+    { id: 'shortcuts', label: '显示快捷键', keys: ['?'], run: () => app.focus.setShowShortcuts(true) }
+  ].filter(Boolean)
+}
+
+// 键盘快捷键：浏览和操作选中的任务、命令面板、快捷键说明
+const useAppShortcuts = (app) => {
+  const { focus, actions, tree } = app
+  useKeyboardShortcuts({
+    enabled: true,
+    paletteOpen: focus.showPalette,
+    helpOpen: focus.showShortcuts,
+    dialogOpen: Boolean(app.breakdown.breakdownReview),
+    navigationOrder: tree.navigationOrder,
+    focusedTaskId: focus.focusedTaskId,
+    onTogglePalette: focus.togglePalette,
+    onOpenHelp: () => focus.setShowShortcuts(true),
+    onCloseHelp: () => focus.setShowShortcuts(false),
+    onSearch: () => focusInput(app.searchInputRef),
+    onAddTask: () => focusInput(app.newTaskInputRef),
+    onFocus: focus.focusTask,
+    onClearFocus: () => {
+      focus.setFocusedTaskId(null)
+      document.activeElement && document.activeElement.blur()
+    },
+    onToggle: actions.toggleTask,
+    onRename: app.editors.startTitleEdit,
+    onBreakdown: app.breakdown.breakdownTask,
+    onDelete: (task) => actions.deleteFocusedTask(task, tree.navigationOrder),
+    onNewTask: app.newTasks.startNewTask,
+    onMove: (task, key) => app.move.moveTaskByArrow(task, key, `[data-task-id="${task.id}"]`)
+  })
+}
+
+// 任务列表区域：面板、批量操作、同步状态、视图工具栏和任务列表
+function TasksSection({ app }) {
+  const { queue, views, reports, trash, selection, tree } = app
+  // 每个任务共用的状态和操作
+  const ctx = {
+    ...app,
+    searchState: app.search.searchState,
+    filterState: tree.filterState,
+    sync: queue,
+    labelFilter: views.labelFilter,
+    toggleLabelFilter: views.toggleLabelFilter,
+    toggleTask: app.actions.toggleTask,
+    deleteTask: app.actions.deleteTask
+  }
+  return (
+    <div className="tasks-section">
+      <div className="sr-only" role="status" aria-live="polite">{app.move.moveStatus}</div>
+      {reports.report && <ReportPanel reports={reports} />}
+      {trash.trash && (
+        <TrashPanel trash={trash.trash} onRestore={trash.restoreFromTrash} onPurge={trash.purgeFromTrash} onEmpty={trash.emptyTrash} />
+      )}
+      {!trash.trash && !reports.report && <TodayPanel plans={app.plans} tasks={app.tasks} />}
+      {selection.selectedIds.size > 0 && <BulkBar selection={selection} tasks={app.tasks} />}
+      <SyncBar
+        online={queue.online}
+        serverUnavailable={queue.serverUnavailable}
+        pendingCount={queue.pendingMutations.length}
+        conflicts={queue.syncConflicts}
+        onRetry={queue.processQueue}
+        onDismiss={queue.dismissConflict}
+      />
+      <ViewToolbar view={views.view} onChange={views.updateView} />
+      {views.labelFilter.ids.length > 0 && <LabelFilterBar labels={app.labelState.labels} views={views} />}
+      <TaskList app={app} ctx={ctx} />
+    </div>
+  )
+}
+
+// 已登录的界面（退出登录时整体卸载，上一个用户的数据随之清空）
+//   onSignOut：退出登录，onUnauthorized：登录已失效
+export default function TodoApp({ user, onSignOut, onUnauthorized }) {
+  const app = useTodoApp(user, onUnauthorized)
+  const { focus, trash, breakdown } = app
+  const focusedTask = app.tree.navigationOrder.find(t => t.id === focus.focusedTaskId) || null
+  useAppShortcuts(app)
+
+  // 退出登录：停止同步（未同步的修改留在 localStorage 中，下次以该用户登录时继续同步）
+  const signOut = () => {
+    app.queue.resetQueue()
+    onSignOut()
+  }
+
+  return (
+    <>
+      <AppHeader user={user} app={app} onSignOut={signOut} />
+      <TasksSection app={app} />
+      {breakdown.breakdownReview && <BreakdownReview breakdown={breakdown} tasks={app.tasks} />}
+      {focus.showPalette && (
+        <CommandPalette
+          commands={getPaletteCommands(app, focusedTask)}
+          tasks={app.tree.navigationOrder}
+          focusedTask={focusedTask}
+          onSelectTask={focus.focusTask}
+          onClose={focus.closePalette}
+        />
+      )}
+      {focus.showShortcuts && <ShortcutHelp onClose={() => focus.setShowShortcuts(false)} />}
+      {trash.undoDelete && <UndoToast message={trash.undoDelete.message} onUndo={trash.undoLastDelete} />}
+    </>
+  )
+}
@@ -0,0 +1,37 @@
+import { toDateInputValue } from '../utils/format'
+
+// 回收站面板：trash 为 { entries, loading }，可以恢复或彻底删除任务
+export default function TrashPanel({ trash, onRestore, onPurge, onEmpty }) {
+  return (
+    <div className="trash-panel">
+      <div className="trash-header">
+        <span>回收站</span>
+        {trash.entries.length > 0 && (
+          <button onClick={onEmpty} className="btn-action btn-delete">清空回收站</button>
+        )}
+      </div>
+      {trash.loading ? (
+        <div className="history-empty">加载中...</div>
+      ) : trash.entries.length === 0 ? (
+        <div className="history-empty">回收站是空的</div>
+      ) : (
+        <ul className="history-list">
+          {trash.entries.map(entry => (
+            <li key={entry.task.id} className="history-item trash-item">
+              <div className="trash-info">
+                <span className="trash-title">{entry.task.title}</span>
+                <span className="history-meta">
+                  {entry.descendant_count > 0 && <span>含 {entry.descendant_count} 个子任务</span>}
+                  <span>删除于 {new Date(entry.task.deleted_at).toLocaleString()}</span>
+                  <span>{toDateInputValue(entry.purge_at)} 自动清除</span>
+                </span>
+              </div>
+              <button onClick={() => onRestore(entry)} className="btn-action">恢复</button>
+              <button onClick={() => onPurge(entry)} className="btn-action btn-delete">彻底删除</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
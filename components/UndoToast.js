@@ -0,0 +1,9 @@
+// 删除后的「撤销」提示
+export default function UndoToast({ message, onUndo }) {
+  return (
+    <div className="undo-toast">
+      <span>{message}</span>
+      <button onClick={onUndo} className="undo-button">撤销</button>
+    </div>
+  )
+}
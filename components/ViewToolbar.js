@@ -0,0 +1,95 @@
+import { VIEW_SORTS, VIEW_SORT_NAMES, DEFAULT_VIEW, viewToQuery } from '../utils/view'
+
+// 按状态、优先级筛选，隐藏已完成的任务
+function ViewFilters({ view, onChange }) {
+  return (
+    <>
+      <select
+        value={view.status}
+        onChange={(e) => onChange({ status: e.target.value })}
+        className="label-mode-select"
+        aria-label="按状态筛选"
+      >
+        <option value="">全部状态</option>
+        <option value="pending">未完成</option>
+        <option value="completed">已完成</option>
+      </select>
+      <select
+        value={view.priority}
+        onChange={(e) => onChange({ priority: e.target.value })}
+        className="label-mode-select"
+        aria-label="按优先级筛选"
+      >
+        <option value="">全部优先级</option>
+        <option value="high">高优先级</option>
+        <option value="medium">中优先级</option>
+        <option value="low">低优先级</option>
+      </select>
+      <label className="view-option">
+        <input
+          type="checkbox"
+          checked={view.status === 'pending'}
+          onChange={(e) => onChange({ status: e.target.checked ? 'pending' : '' })}
+        />
+        隐藏已完成
+      </label>
+    </>
+  )
+}
+
+// 排序方式和方向（手动排列没有方向）、分组
+function ViewOrdering({ view, onChange }) {
+  return (
+    <>
+      <label className="view-option">
+        排序
+        <select
+          value={view.sort}
+          onChange={(e) => onChange({ sort: e.target.value, order: VIEW_SORTS[e.target.value] })}
+          className="label-mode-select"
+        >
+          {Object.keys(VIEW_SORTS).map(sort => (
+            <option key={sort} value={sort}>{VIEW_SORT_NAMES[sort]}</option>
+          ))}
+        </select>
+      </label>
+      {view.sort !== 'position' && (
+        <button
+          onClick={() => onChange({ order: view.order === 'asc' ? 'desc' : 'asc' })}
+          className="btn-action"
+          title={view.order === 'asc' ? '升序，点击改为降序' : '降序，点击改为升序'}
+        >
+          {view.order === 'asc' ? '↑ 升序' : '↓ 降序'}
+        </button>
+      )}
+      <label className="view-option">
+        分组
+        <select
+          value={view.group}
+          onChange={(e) => onChange({ group: e.target.value })}
+          className="label-mode-select"
+        >
+          <option value="">不分组</option>
+          <option value="priority">按优先级</option>
+          <option value="status">按状态</option>
+        </select>
+      </label>
+    </>
+  )
+}
+
+// 列表视图工具栏：筛选、排序和分组（onChange 传入修改的字段），不是默认视图时可以重置
+export default function ViewToolbar({ view, onChange }) {
+  return (
+    <div className="view-toolbar" role="toolbar" aria-label="筛选、排序和分组">
+      <ViewFilters view={view} onChange={onChange} />
+      <span className="view-spacer" />
+      <ViewOrdering view={view} onChange={onChange} />
+      {Object.keys(viewToQuery(view)).length > 0 && (
+        <button onClick={() => onChange(DEFAULT_VIEW)} className="btn-action">
+          重置
+        </button>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,85 @@
+import { useState, useEffect } from 'react'
+
+const EMPTY_AUTH_FORM = { mode: 'signin', email: '', password: '' }
+
+// 登录状态与登录 / 注册表单
+//   user：当前登录用户，undefined 表示正在检查登录状态，null 表示未登录
+export default function useAuth() {
+  const [user, setUser] = useState(undefined)
+  const [authForm, setAuthForm] = useState(EMPTY_AUTH_FORM)
+  const [authError, setAuthError] = useState(null)
+  const [authSubmitting, setAuthSubmitting] = useState(false)
+
+  // 检查登录状态
+  const fetchCurrentUser = async () => {
+    try {
+      const res = await fetch('/api/auth/me')
+      const result = await res.json()
+      setUser(result.success ? result.data : null)
+    } catch (error) {
+      console.error('获取登录状态失败:', error)
+      setUser(null)
+    }
+  }
+
+  useEffect(() => {
+    fetchCurrentUser()
+  }, [])
+
+  // 登录或注册
+  const submitAuth = async (e) => {
+    e.preventDefault()
+    setAuthSubmitting(true)
+    setAuthError(null)
+    try {
+      const res = await fetch(`/api/auth/${authForm.mode}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: authForm.email, password: authForm.password })
+      })
+      const result = await res.json()
+      if (!result.success) {
+        setAuthError(result.error)
+      } else if (result.data.confirmation_required) {
+        setAuthForm({ mode: 'signin', email: authForm.email, password: '' })
+        setAuthError('注册成功，请先查收确认邮件，确认后再登录')
+      } else {
+        setAuthForm(EMPTY_AUTH_FORM)
+        setUser(result.data.user)
+      }
+    } catch (error) {
+      console.error('登录失败:', error)
+      setAuthError('网络错误，请稍后重试')
+    } finally {
+      setAuthSubmitting(false)
+    }
+  }
+
+  // 切换登录 / 注册
+  const switchAuthMode = () => {
+    setAuthForm({ ...authForm, mode: authForm.mode === 'signup' ? 'signin' : 'signup' })
+    setAuthError(null)
+  }
+
+  // 退出登录（页面随之卸载已登录的界面，清空上一个用户的数据）
+  const signOut = async () => {
+    try {
+      await fetch('/api/auth/signout', { method: 'POST' })
+    } catch (error) {
+      console.error('退出登录失败:', error)
+    }
+    setUser(null)
+  }
+
+  return {
+    user,
+    setUser,
+    authForm,
+    setAuthForm,
+    authError,
+    authSubmitting,
+    submitAuth,
+    switchAuthMode,
+    signOut
+  }
+}
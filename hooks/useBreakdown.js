@@ -0,0 +1,228 @@
+import { useState, useRef } from 'react'
+import { flattenTasks, collectSubtreeIds } from '../utils/tasks'
+import {
+  readEventStream,
+  comparePaths,
+  toReviewItems,
+  updateReviewSiblings,
+  moveReviewSibling,
+  toCommitSubtasks
+} from '../utils/breakdown'
+
+// 拆解选项的默认值（粒度为空时由服务端决定）
+const DEFAULT_BREAKDOWN_OPTIONS = { mode: 'append', minSubtasks: 3, maxSubtasks: 5, language: 'zh', granularity: '', depth: 1 }
+
+// AI 拆解：流式预览、确认对话框中编辑步骤、保存
+//   breakdownStreams：正在拆解的任务 { [taskId]: { stage, items } }
+//   breakdownReview：确认对话框 { task, items, mode, removed, skipped, cached, newTitle, loading, saving, error }
+export default function useBreakdown(setTasks) {
+  const [breakdownStreams, setBreakdownStreams] = useState({})
+  const [breakdownReview, setBreakdownReview] = useState(null)
+  const [breakdownOptions, setBreakdownOptions] = useState(DEFAULT_BREAKDOWN_OPTIONS)
+  const reviewKeyRef = useRef(0)
+  const breakdownControllersRef = useRef(new Map())
+
+  // 拆解确认对话框中步骤的 key
+  const nextReviewKey = () => {
+    reviewKeyRef.current += 1
+    return reviewKeyRef.current
+  }
+
+  // 请求拆解时附带的选项（粒度为空时不传）
+  const breakdownRequestOptions = () => {
+    const { granularity, ...options } = breakdownOptions
+    return granularity ? { ...options, granularity } : options
+  }
+
+  // 拆解确认对话框的状态（来自预览）
+  const toReviewState = (preview) => ({
+    items: toReviewItems(preview.subtasks, nextReviewKey),
+    mode: preview.mode || 'append',
+    removed: preview.removed || [],
+    skipped: preview.skipped || [],
+    cached: Boolean(preview.cached)
+  })
+
+  // 请求 AI 拆解预览（dryRun，不写入数据库，不使用缓存的结果），返回确认对话框的状态
+  const fetchBreakdownPreview = async (task) => {
+    const res = await fetch('/api/tasks/breakdown', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ taskId: task.id, dryRun: true, cache: false, ...breakdownRequestOptions() })
+    })
+    const result = await res.json()
+    if (!result.success) {
+      throw new Error(result.error || '拆解任务失败，请重试')
+    }
+    return toReviewState(result.data)
+  }
+
+  // 更新某个任务的流式拆解进度（patch 为 null 时移除）
+  const updateBreakdownStream = (taskId, patch) => {
+    setBreakdownStreams(prev => {
+      const next = { ...prev }
+      if (patch === null) {
+        delete next[taskId]
+      } else {
+        next[taskId] = { ...next[taskId], ...patch }
+      }
+      return next
+    })
+  }
+
+  // 读取流式拆解的事件，逐个显示生成的子任务，返回最终的预览
+  const readBreakdownStream = async (task, res) => {
+    let preview = null
+    let streamError = null
+    await readEventStream(res, (event, data) => {
+      if (event === 'progress') {
+        updateBreakdownStream(task.id, { stage: data.stage })
+      } else if (event === 'subtask') {
+        // 多层拆解时下层子任务晚于同层的后续子任务到达，按树中的位置排序显示
+        const item = { title: data.title, path: data.path || [data.index] }
+        setBreakdownStreams(prev => prev[task.id]
+          ? { ...prev, [task.id]: { ...prev[task.id], items: [...prev[task.id].items, item].sort(comparePaths) } }
+          : prev)
+      } else if (event === 'done') {
+        preview = data.data
+      } else if (event === 'error') {
+        streamError = data.error
+      }
+    })
+    if (!preview) {
+      throw new Error(streamError || '拆解任务失败，请重试')
+    }
+    return preview
+  }
+
+  // AI 拆解任务：流式获取预览（子任务逐个显示在任务下方），完成后在确认对话框中编辑再保存
+  const breakdownTask = async (task) => {
+    if (breakdownStreams[task.id]) return
+
+    const controller = new AbortController()
+    breakdownControllersRef.current.set(task.id, controller)
+    updateBreakdownStream(task.id, { stage: 'connecting', items: [] })
+
+    try {
+      const res = await fetch('/api/tasks/breakdown', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ taskId: task.id, dryRun: true, stream: true, ...breakdownRequestOptions() }),
+        signal: controller.signal
+      })
+
+      // 参数错误等在开始生成前返回普通 JSON
+      if (!(res.headers.get('Content-Type') || '').startsWith('text/event-stream')) {
+        const result = await res.json()
+        throw new Error(result.error || '拆解任务失败，请重试')
+      }
+
+      const preview = await readBreakdownStream(task, res)
+      setBreakdownReview({ task, ...toReviewState(preview), newTitle: '', loading: false, saving: false, error: null })
+    } catch (error) {
+      // 用户取消时不提示
+      if (error.name !== 'AbortError') {
+        console.error('拆解任务失败:', error)
+        alert(`拆解任务失败: ${error.message || '请检查网络连接'}`)
+      }
+    } finally {
+      breakdownControllersRef.current.delete(task.id)
+      updateBreakdownStream(task.id, null)
+    }
+  }
+
+  // 取消正在进行的拆解（中止请求，服务端随之中止 AI 调用）
+  const cancelBreakdown = (taskId) => {
+    const controller = breakdownControllersRef.current.get(taskId)
+    if (controller) controller.abort()
+  }
+
+  // 重新生成拆解建议（按当前选项，替换当前列表）
+  const regenerateBreakdown = async () => {
+    const { task } = breakdownReview
+    setBreakdownReview(prev => ({ ...prev, loading: true, error: null }))
+    try {
+      const review = await fetchBreakdownPreview(task)
+      setBreakdownReview(prev => prev && { ...prev, ...review, loading: false })
+    } catch (error) {
+      setBreakdownReview(prev => prev && { ...prev, loading: false, error: error.message || '重新生成失败' })
+    }
+  }
+
+  // 修改步骤树中 key 所在的同级列表
+  const updateReviewItems = (key, update) => {
+    setBreakdownReview(prev => ({ ...prev, items: updateReviewSiblings(prev.items, key, update) }))
+  }
+
+  const addReviewItem = (e) => {
+    e.preventDefault()
+    const title = breakdownReview.newTitle.trim()
+    if (!title) return
+    setBreakdownReview(prev => ({
+      ...prev,
+      items: [...prev.items, {
+        key: nextReviewKey(),
+        title,
+        description: null,
+        priority: 'medium',
+        estimated_minutes: null,
+        subtasks: []
+      }],
+      newTitle: ''
+    }))
+  }
+
+  // 去掉被替换的子任务，更新细化的子任务，追加新子任务（含下层子任务）（保留已加载的分页）
+  const mergeCommitted = (removed, committed) => setTasks(prev => {
+    const removedIds = collectSubtreeIds(prev, removed.map(t => t.id))
+    const saved = flattenTasks(committed)
+    const refined = new Map(saved.filter(t => prev.some(p => p.id === t.id)).map(t => [t.id, t]))
+    return [
+      ...prev.filter(t => !removedIds.has(t.id)).map(t => refined.has(t.id) ? { ...t, ...refined.get(t.id) } : t),
+      ...saved.filter(t => !refined.has(t.id))
+    ]
+  })
+
+  // 保存确认后的子任务树（只创建列表中保留的步骤）
+  const commitBreakdown = async () => {
+    const { task, items, mode, removed } = breakdownReview
+    const subtasks = toCommitSubtasks(items)
+    if (subtasks.length === 0) return
+
+    setBreakdownReview(prev => ({ ...prev, saving: true, error: null }))
+    try {
+      const res = await fetch('/api/tasks/breakdown/commit', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ taskId: task.id, mode, subtasks })
+      })
+      const result = await res.json()
+      if (!result.success) {
+        throw new Error(result.error || '保存子任务失败')
+      }
+      mergeCommitted(removed, result.data)
+      setBreakdownReview(null)
+    } catch (error) {
+      setBreakdownReview(prev => prev && { ...prev, saving: false, error: error.message || '保存子任务失败' })
+    }
+  }
+
+  return {
+    breakdownStreams,
+    breakdownTask,
+    cancelBreakdown,
+    breakdownOptions,
+    updateBreakdownOptions: (changes) => setBreakdownOptions(prev => ({ ...prev, ...changes })),
+    breakdownReview,
+    closeReview: () => setBreakdownReview(null),
+    changeNewReviewTitle: (newTitle) => setBreakdownReview({ ...breakdownReview, newTitle }),
+    regenerateBreakdown,
+    updateReviewItem: (key, changes) => updateReviewItems(key, items => items.map(item => item.key === key ? { ...item, ...changes } : item)),
+    // 在同级步骤中上移（offset = -1）或下移（offset = 1）
+    moveReviewItem: (key, offset) => updateReviewItems(key, items => moveReviewSibling(items, key, offset)),
+    // 删除步骤（连同它的下层步骤）
+    removeReviewItem: (key) => updateReviewItems(key, items => items.filter(item => item.key !== key)),
+    addReviewItem,
+    commitBreakdown
+  }
+}
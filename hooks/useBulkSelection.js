@@ -0,0 +1,75 @@
+import { useState } from 'react'
+import { flattenTasks, collectSubtreeIds } from '../utils/tasks'
+
+// 多选与批量操作：selectedIds 为选中的任务 ID，bulkRunning 为批量操作是否正在执行
+//   showUndo：批量删除后显示撤销提示
+export default function useBulkSelection({ tasks, setTasks, setPagination, showUndo }) {
+  const [selectedIds, setSelectedIds] = useState(new Set())
+  const [bulkRunning, setBulkRunning] = useState(false)
+
+  // 切换任务的选中状态
+  const toggleSelect = (id) => {
+    const next = new Set(selectedIds)
+    if (next.has(id)) {
+      next.delete(id)
+    } else {
+      next.add(id)
+    }
+    setSelectedIds(next)
+  }
+
+  // 批量操作成功：删除时移除任务（连同子任务）并提示撤销，其余按服务端返回的任务更新列表
+  const applyBulkResult = (action, ids, data) => {
+    if (action === 'delete') {
+      const removedIds = collectSubtreeIds(tasks, ids)
+      const removedRoots = tasks.filter(t => removedIds.has(t.id) && !t.parent_id).length
+      setTasks(tasks.filter(t => !removedIds.has(t.id)))
+      setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - removedRoots) }))
+      // 撤销时只需恢复最上层的任务，子任务会随之一起恢复
+      const undoIds = ids.filter(id => !removedIds.has(tasks.find(t => t.id === id)?.parent_id))
+      showUndo(undoIds, `已删除 ${ids.length} 个任务`)
+      return
+    }
+    const updated = new Map(data.tasks.map(t => [t.id, t]))
+    const spawned = flattenTasks(data.next_occurrences || [])
+    setTasks([...tasks.map(t => (updated.has(t.id) ? { ...t, ...updated.get(t.id) } : t)), ...spawned])
+  }
+
+  // 执行批量操作
+  const runBulkAction = async (action, extra = {}) => {
+    const ids = Array.from(selectedIds)
+    if (ids.length === 0 || bulkRunning) return
+
+    setBulkRunning(true)
+    try {
+      const res = await fetch('/api/tasks/bulk', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids, action, ...extra })
+      })
+      const result = await res.json()
+
+      if (result.success && result.data) {
+        applyBulkResult(action, ids, result.data)
+        setSelectedIds(new Set())
+      } else {
+        const failedItems = (result.data?.results || []).filter(item => !item.success)
+        const details = failedItems.map(item => `#${item.id}: ${item.error}`).join('\n')
+        alert([result.error || '批量操作失败', details].filter(Boolean).join('\n'))
+      }
+    } catch (error) {
+      console.error('批量操作失败:', error)
+      alert('批量操作失败，请重试')
+    } finally {
+      setBulkRunning(false)
+    }
+  }
+
+  return {
+    selectedIds,
+    toggleSelect,
+    clearSelection: () => setSelectedIds(new Set()),
+    bulkRunning,
+    runBulkAction
+  }
+}
@@ -0,0 +1,107 @@
+import { useEffect, useRef } from 'react'
+
+const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight']
+
+// 输入框、下拉框中不处理单键快捷键；按钮上的空格和 Enter 保留原来的点击行为
+const isTypingTarget = (target) => target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+const isButtonActivation = (e) => (e.key === ' ' || e.key === 'Enter') &&
+  (e.target.tagName === 'BUTTON' || e.target.getAttribute('role') === 'button')
+
+// 浏览任务（j/k/h/l 与方向键），处理了返回 true
+const handleNavigationKey = (key, index, options) => {
+  const { navigationOrder, onFocus } = options
+  const task = index >= 0 ? navigationOrder[index] : null
+  if (key === 'j' || (key === 'ArrowDown' && task)) {
+    const next = navigationOrder[index + 1] || (task ? null : navigationOrder[0])
+    if (next) onFocus(next.id)
+  } else if (key === 'k' || (key === 'ArrowUp' && task)) {
+    const previous = index > 0 ? navigationOrder[index - 1] : (task ? null : navigationOrder[navigationOrder.length - 1])
+    if (previous) onFocus(previous.id)
+  } else if ((key === 'h' || key === 'ArrowLeft') && task) {
+    if (navigationOrder.some(t => t.id === task.parent_id)) onFocus(task.parent_id)
+  } else if ((key === 'l' || key === 'ArrowRight') && task) {
+    if (task.children.length > 0) onFocus(task.children[0].id)
+  } else {
+    return false
+  }
+  return true
+}
+
+// 操作选中的任务（本地 ID 的任务尚未同步，不能修改标题、拆解或新建子任务），处理了返回 true
+const handleTaskKey = (key, task, options) => {
+  if (key === 'Escape') {
+    options.onClearFocus()
+  } else if (key === ' ' || key === 'x') {
+    options.onToggle(task)
+  } else if (key === 'Enter' && task.id > 0) {
+    options.onRename(task)
+  } else if (key === 'b' && task.id > 0 && task.status !== 'completed') {
+    options.onBreakdown(task)
+  } else if (key === 'Delete' || key === 'd') {
+    options.onDelete(task)
+  } else if (key === 'o' || key === 'O') {
+    options.onNewTask(task, key === 'O')
+  } else {
+    return false
+  }
+  return true
+}
+
+// 全局快捷键（见 components/ShortcutHelp）：对话框打开时只处理关闭它的按键
+const handleShortcut = (e, options) => {
+  if (e.defaultPrevented || !options.enabled) return
+  if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+    e.preventDefault()
+    options.onTogglePalette()
+    return
+  }
+  if (options.paletteOpen || options.dialogOpen) return
+  if (options.helpOpen) {
+    if (e.key === 'Escape' || e.key === '?') {
+      e.preventDefault()
+      options.onCloseHelp()
+    }
+    return
+  }
+  if (isTypingTarget(e.target) || e.ctrlKey || e.metaKey || isButtonActivation(e)) return
+
+  const index = options.navigationOrder.findIndex(t => t.id === options.focusedTaskId)
+  const task = index >= 0 ? options.navigationOrder[index] : null
+  if (e.altKey) {
+    if (task && task.id > 0 && ARROW_KEYS.includes(e.key)) {
+      e.preventDefault()
+      options.onMove(task, e.key)
+    }
+    return
+  }
+
+  let handled = true
+  if (e.key === '?') {
+    options.onOpenHelp()
+  } else if (e.key === '/') {
+    options.onSearch()
+  } else if (e.key === 'n') {
+    options.onAddTask()
+  } else {
+    handled = handleNavigationKey(e.key, index, options) || Boolean(task && handleTaskKey(e.key, task, options))
+  }
+  if (handled) {
+    e.preventDefault()
+  }
+}
+
+// 监听全局快捷键
+//   enabled：已登录；paletteOpen / helpOpen / dialogOpen：命令面板、快捷键帮助和其他对话框是否打开
+//   navigationOrder：键盘浏览的顺序（与显示顺序一致，每个任务带 children），focusedTaskId：选中的任务
+//   onXxx：各快捷键对应的操作，onMove(task, key) 的 key 为方向键
+export default function useKeyboardShortcuts(options) {
+  // 每次渲染更新，保证使用最新的状态
+  const optionsRef = useRef(options)
+  optionsRef.current = options
+
+  useEffect(() => {
+    const listener = (e) => handleShortcut(e, optionsRef.current)
+    window.addEventListener('keydown', listener)
+    return () => window.removeEventListener('keydown', listener)
+  }, [])
+}
@@ -0,0 +1,92 @@
+import { useState, useEffect } from 'react'
+
+// 标签：全部标签、任务的标签选择器（labelPickerFor 为打开选择器的任务 ID）和新建标签
+export default function useLabels(user, setTasks) {
+  const [labels, setLabels] = useState([])
+  const [labelPickerFor, setLabelPickerFor] = useState(null)
+  const [newLabelName, setNewLabelName] = useState('')
+
+  // 获取所有标签
+  const fetchLabels = async () => {
+    try {
+      const res = await fetch('/api/labels')
+      const result = await res.json()
+      if (result.success) {
+        setLabels(result.data || [])
+      }
+    } catch (error) {
+      console.error('获取标签失败:', error)
+    }
+  }
+
+  useEffect(() => {
+    if (user) {
+      fetchLabels()
+    }
+  }, [user])
+
+  // 设置任务的标签
+  const updateTaskLabels = async (task, labelIds) => {
+    try {
+      const res = await fetch(`/api/tasks/${task.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ labels: labelIds })
+      })
+      const result = await res.json()
+      if (result.success && result.data) {
+        setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, labels: result.data.labels || [] } : t)))
+      } else {
+        alert(result.error || '设置标签失败')
+      }
+    } catch (error) {
+      console.error('设置标签失败:', error)
+      alert('设置标签失败，请重试')
+    }
+  }
+
+  // 切换任务上的某个标签
+  const toggleTaskLabel = (task, labelId) => {
+    const currentIds = (task.labels || []).map(label => label.id)
+    const labelIds = currentIds.includes(labelId)
+      ? currentIds.filter(id => id !== labelId)
+      : [...currentIds, labelId]
+    updateTaskLabels(task, labelIds)
+  }
+
+  // 创建新标签并添加到任务上
+  const createLabelForTask = async (e, task) => {
+    e.preventDefault()
+    const name = newLabelName.trim()
+    if (!name) return
+
+    try {
+      const res = await fetch('/api/labels', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name })
+      })
+      const result = await res.json()
+      if (result.success && result.data) {
+        setLabels([...labels, result.data].sort((a, b) => a.name.localeCompare(b.name)))
+        setNewLabelName('')
+        await updateTaskLabels(task, [...(task.labels || []).map(label => label.id), result.data.id])
+      } else {
+        alert(result.error || '创建标签失败')
+      }
+    } catch (error) {
+      console.error('创建标签失败:', error)
+      alert('创建标签失败，请重试')
+    }
+  }
+
+  return {
+    labels,
+    labelPickerFor,
+    toggleLabelPicker: (taskId) => setLabelPickerFor(labelPickerFor === taskId ? null : taskId),
+    newLabelName,
+    setNewLabelName,
+    toggleTaskLabel,
+    createLabelForTask
+  }
+}
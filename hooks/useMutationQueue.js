@@ -0,0 +1,366 @@
+import { useState, useEffect, useRef } from 'react'
+
+// 待同步的修改在 localStorage 中的键（按用户区分）
+const MUTATION_QUEUE_KEY = 'todo_mutation_queue'
+// 网络不可用或服务端出错时重试同步的间隔（毫秒），连续失败时逐次加倍，最长 SYNC_RETRY_MAX_MS
+const SYNC_RETRY_MS = 15000
+const SYNC_RETRY_MAX_MS = 5 * 60 * 1000
+
+// 本地生成的 ID（负数，不会与服务端 ID 冲突）：用于尚未同步的新任务和待同步修改的 key
+let lastLocalId = 0
+export const nextLocalId = () => {
+  lastLocalId = Math.min(lastLocalId - 1, -Date.now())
+  return lastLocalId
+}
+
+// 读取 / 保存待同步的修改（localStorage 不可用时只保存在内存中）
+const loadMutationQueue = (userId) => {
+  try {
+    return JSON.parse(localStorage.getItem(`${MUTATION_QUEUE_KEY}:${userId}`)) || []
+  } catch {
+    return []
+  }
+}
+
+const saveMutationQueue = (userId, queue) => {
+  try {
+    if (queue.length > 0) {
+      localStorage.setItem(`${MUTATION_QUEUE_KEY}:${userId}`, JSON.stringify(queue))
+    } else {
+      localStorage.removeItem(`${MUTATION_QUEUE_KEY}:${userId}`)
+    }
+  } catch (error) {
+    console.error('保存待同步的修改失败:', error)
+  }
+}
+
+// 待同步的修改：
+//   create：{ key, type, taskId, title, label, task, body }，task 为使用本地 ID 的新任务
+//   update：{ key, type, taskId, title, label, changes, previous, updated }，previous / updated 为受影响任务修改前后的字段
+//   move：{ key, type, taskId, title, label, body, previous, updated }，body 为 /api/tasks/[id]/move 的请求体，
+//     previous / updated 为移动的任务修改前后的 parent_id 和 position
+//   delete：{ key, type, taskId, title, label, removed, topLevel }，removed 为连同子任务一起移除的任务
+// 把修改应用到任务列表（乐观更新，重新加载列表后也用它恢复尚未同步的修改）
+const applyMutation = (taskList, mutation) => {
+  if (mutation.type === 'create') {
+    return taskList.some(t => t.id === mutation.taskId) ? taskList : [mutation.task, ...taskList]
+  }
+  if (mutation.type === 'update' || mutation.type === 'move') {
+    const updated = new Map(mutation.updated.map(fields => [fields.id, fields]))
+    return taskList.map(t => (updated.has(t.id) ? { ...t, ...updated.get(t.id) } : t))
+  }
+  const removedIds = new Set(mutation.removed.map(t => t.id))
+  return taskList.filter(t => !removedIds.has(t.id))
+}
+
+// 撤销修改的乐观更新
+const revertMutation = (taskList, mutation) => {
+  if (mutation.type === 'create') {
+    return taskList.filter(t => t.id !== mutation.taskId)
+  }
+  if (mutation.type === 'update' || mutation.type === 'move') {
+    const previous = new Map(mutation.previous.map(fields => [fields.id, fields]))
+    return taskList.map(t => (previous.has(t.id) ? { ...t, ...previous.get(t.id) } : t))
+  }
+  const existingIds = new Set(taskList.map(t => t.id))
+  return [...taskList, ...mutation.removed.filter(t => !existingIds.has(t.id))]
+}
+
+// 修改对顶级任务总数的影响
+const paginationDelta = (mutation) => {
+  if (mutation.type === 'create') return mutation.task.parent_id === null ? 1 : 0
+  if (mutation.type === 'delete' && mutation.topLevel) return -1
+  if (mutation.type === 'move') {
+    return (mutation.updated[0].parent_id === null) - (mutation.previous[0].parent_id === null)
+  }
+  return 0
+}
+
+// 新任务同步后，把后续修改中的本地 ID 换成服务端分配的 ID
+const remapMutation = (mutation, localId, id) => {
+  if (mutation.taskId !== localId) return mutation
+  const remap = (list) => list.map(item => (item.id === localId ? { ...item, id } : item))
+  if (mutation.type === 'update' || mutation.type === 'move') {
+    return { ...mutation, taskId: id, previous: remap(mutation.previous), updated: remap(mutation.updated) }
+  }
+  if (mutation.type === 'delete') {
+    return { ...mutation, taskId: id, removed: remap(mutation.removed) }
+  }
+  return { ...mutation, taskId: id }
+}
+
+// 发送修改对应的请求
+const sendMutation = (mutation) => {
+  if (mutation.type === 'create') {
+    return fetch('/api/tasks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(mutation.body)
+    })
+  }
+  if (mutation.type === 'update') {
+    return fetch(`/api/tasks/${mutation.taskId}`, {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(mutation.changes)
+    })
+  }
+  if (mutation.type === 'move') {
+    return fetch(`/api/tasks/${mutation.taskId}/move`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(mutation.body)
+    })
+  }
+  return fetch(`/api/tasks/${mutation.taskId}`, { method: 'DELETE' })
+}
+
+// 新建任务的修改：同步前使用本地 ID，位置与服务端分配的规则一致（顶级任务排在最前，子任务排在最后）
+export const createMutation = (userId, title, parentId) => {
+  const now = Date.now()
+  const task = {
+    id: nextLocalId(),
+    user_id: userId,
+    title,
+    description: null,
+    status: 'pending',
+    priority: 'medium',
+    parent_id: parentId,
+    start_at: null,
+    due_at: null,
+    recurrence: null,
+    estimated_minutes: null,
+    position: parentId === null ? -now : now,
+    created_at: new Date(now).toISOString(),
+    completed_at: null,
+    deleted_at: null,
+    labels: []
+  }
+  return {
+    key: nextLocalId(),
+    type: 'create',
+    taskId: task.id,
+    title,
+    label: '添加',
+    task,
+    body: parentId === null ? { title, status: 'pending' } : { title, status: 'pending', parent_id: parentId }
+  }
+}
+
+// 修改队列：修改立即应用到任务列表，然后依次发送；网络不可用时保存在 localStorage，恢复后按顺序重放
+//   setTasks / setPagination：任务列表和分页的 state setter
+//   onUnauthorized：登录已失效
+//   onSynced(mutation, data)：修改同步成功（新任务已换成服务端返回的任务），用服务端返回的结果更新列表
+export default function useMutationQueue(user, { setTasks, setPagination, onUnauthorized, onSynced }) {
+  const [pendingMutations, setPendingMutations] = useState([])
+  const [online, setOnline] = useState(true)
+  // 服务端暂时出错（5xx 或返回的内容无法解析），修改保留在队列中稍后重试
+  const [serverUnavailable, setServerUnavailable] = useState(false)
+  // 同步时被服务端拒绝的修改：[{ key, message }]
+  const [syncConflicts, setSyncConflicts] = useState([])
+  // 重放离线修改或出现冲突后递增，重新加载任务列表
+  const [syncVersion, setSyncVersion] = useState(0)
+  // 修改队列的最新值（同步过程跨越多次渲染，不能依赖闭包中的 state）
+  const mutationQueueRef = useRef([])
+  const queueUserRef = useRef(null)
+  const syncingRef = useRef(false)
+  const syncRetryRef = useRef(null)
+  // 连续同步失败的次数（决定下次重试的等待时间）
+  const syncFailuresRef = useRef(0)
+  // 队列中有离线时积压的修改，全部同步后需要重新加载列表
+  const syncStaleRef = useRef(false)
+  // 回调每次渲染更新，同步过程中始终使用最新的状态
+  const handlersRef = useRef(null)
+  handlersRef.current = { onUnauthorized, onSynced }
+
+  // 登录后读取上次未同步的修改，并在网络恢复时继续同步
+  useEffect(() => {
+    if (!user) return
+    queueUserRef.current = user.id
+    const queue = loadMutationQueue(user.id)
+    mutationQueueRef.current = queue
+    setPendingMutations(queue)
+    syncStaleRef.current = queue.length > 0
+    setOnline(navigator.onLine)
+
+    const handleOnline = () => {
+      setOnline(true)
+      processQueue()
+    }
+    const handleOffline = () => setOnline(false)
+    window.addEventListener('online', handleOnline)
+    window.addEventListener('offline', handleOffline)
+    processQueue()
+    return () => {
+      window.removeEventListener('online', handleOnline)
+      window.removeEventListener('offline', handleOffline)
+      clearTimeout(syncRetryRef.current)
+    }
+  }, [user])
+
+  // 更新修改队列（同时保存到 localStorage）
+  const updateQueue = (queue) => {
+    mutationQueueRef.current = queue
+    setPendingMutations(queue)
+    if (queueUserRef.current) {
+      saveMutationQueue(queueUserRef.current, queue)
+    }
+  }
+
+  // 修改立即显示在列表中，然后排队发送
+  const enqueueMutation = (mutation) => {
+    setTasks(prev => applyMutation(prev, mutation))
+    const delta = paginationDelta(mutation)
+    if (delta !== 0) {
+      setPagination(prev => ({ ...prev, total: Math.max(0, prev.total + delta) }))
+    }
+    updateQueue([...mutationQueueRef.current, mutation])
+    processQueue()
+  }
+
+  // 取消尚未发送的新任务（连同针对它的后续修改），正在发送时返回 false，由调用方照常排队删除
+  const cancelPendingCreate = (taskId) => {
+    const queue = mutationQueueRef.current
+    const createIndex = queue.findIndex(m => m.type === 'create' && m.taskId === taskId)
+    if (createIndex < 0 || (createIndex === 0 && syncingRef.current)) return false
+    updateQueue(queue.filter(m => m.taskId !== taskId))
+    setTasks(prev => prev.filter(t => t.id !== taskId))
+    const delta = paginationDelta(queue[createIndex])
+    if (delta !== 0) {
+      setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - delta) }))
+    }
+    return true
+  }
+
+  // 重新加载的任务列表恢复尚未同步的修改（新任务只加在第一页），返回恢复后的列表和对顶级任务总数的影响
+  const restorePendingMutations = (fetched, firstPage) => {
+    const pending = mutationQueueRef.current.filter(m => firstPage || m.type !== 'create')
+    return {
+      tasks: pending.reduce(applyMutation, fetched),
+      totalDelta: firstPage ? pending.reduce((sum, m) => sum + paginationDelta(m), 0) : 0
+    }
+  }
+
+  // 修改成功：新任务换成服务端分配的 ID，其余由调用方用服务端返回的结果更新列表
+  const handleMutationSuccess = (mutation, data) => {
+    if (mutation.type === 'create') {
+      const queue = mutationQueueRef.current.map(m => remapMutation(m, mutation.taskId, data.id))
+      updateQueue(queue)
+      // 针对新任务的后续修改（如调整位置）尚未同步，重新应用到服务端返回的任务上
+      setTasks(prev => queue
+        .filter(m => m.taskId === data.id)
+        .reduce(applyMutation, prev.map(t => (t.id === mutation.taskId ? data : t))))
+    }
+    handlersRef.current.onSynced(mutation, data)
+  }
+
+  // 修改被服务端拒绝（任务已在其他地方删除、校验失败等）：撤销乐观更新并提示，不直接丢弃
+  const handleMutationConflict = (mutation, message) => {
+    // 新任务没有创建成功时，针对它的后续修改也无法同步
+    if (mutation.type === 'create') {
+      updateQueue(mutationQueueRef.current.filter(m => m.taskId !== mutation.taskId))
+    }
+    setTasks(prev => revertMutation(prev, mutation))
+    const delta = paginationDelta(mutation)
+    if (delta !== 0) {
+      setPagination(prev => ({ ...prev, total: Math.max(0, prev.total - delta) }))
+    }
+    setSyncConflicts(prev => [...prev, { key: mutation.key, message: `「${mutation.title}」${mutation.label}失败：${message}` }])
+  }
+
+  const dismissConflict = (key) => {
+    setSyncConflicts(prev => prev.filter(c => c.key !== key))
+  }
+
+  // 稍后重试同步（连续失败时等待时间逐次加倍）
+  const scheduleSyncRetry = () => {
+    const delay = Math.min(SYNC_RETRY_MS * Math.pow(2, syncFailuresRef.current), SYNC_RETRY_MAX_MS)
+    syncFailuresRef.current += 1
+    syncStaleRef.current = true
+    syncRetryRef.current = setTimeout(processQueue, delay)
+  }
+
+  // 按顺序发送队列中的修改；网络不可用或服务端出错时保留队列，网络恢复或稍后重试时继续
+  // 只有 4xx（校验失败、任务不存在等）视为冲突，撤销对应的修改
+  const processQueue = async () => {
+    if (syncingRef.current) return
+    syncingRef.current = true
+    clearTimeout(syncRetryRef.current)
+    let conflicted = false
+
+    try {
+      while (mutationQueueRef.current.length > 0) {
+        const [mutation] = mutationQueueRef.current
+        let res
+        try {
+          res = await sendMutation(mutation)
+        } catch (error) {
+          console.error('同步修改失败:', error)
+          setOnline(false)
+          scheduleSyncRetry()
+          return
+        }
+        setOnline(true)
+        // 登录已失效：保留队列，重新登录后继续同步
+        if (res.status === 401) {
+          handlersRef.current.onUnauthorized()
+          return
+        }
+
+        // 服务端出错或返回的内容无法解析：不是修改本身的问题，保留在队列中稍后重试
+        const result = await res.json().catch(() => null)
+        const rejected = res.status >= 400 && res.status < 500
+        if (!result || (!result.success && !rejected)) {
+          console.error('同步修改失败:', result?.error || `服务器错误（${res.status}）`)
+          setServerUnavailable(true)
+          scheduleSyncRetry()
+          return
+        }
+        syncFailuresRef.current = 0
+        setServerUnavailable(false)
+        updateQueue(mutationQueueRef.current.slice(1))
+        if (result.success) {
+          handleMutationSuccess(mutation, result.data)
+        } else if (mutation.type === 'delete' && res.status === 404) {
+          // 要删除的任务已经不存在，结果与预期一致
+        } else {
+          conflicted = true
+          handleMutationConflict(mutation, res.status === 404 ? '任务已在其他地方删除' : result.error || '保存失败')
+        }
+      }
+    } finally {
+      syncingRef.current = false
+    }
+
+    // 离线修改全部同步或出现冲突后，重新加载列表以与服务端保持一致
+    if (conflicted || syncStaleRef.current) {
+      syncStaleRef.current = false
+      setSyncVersion(version => version + 1)
+    }
+  }
+
+  // 退出登录：未同步的修改留在 localStorage 中，下次以该用户登录时继续同步
+  const resetQueue = () => {
+    clearTimeout(syncRetryRef.current)
+    mutationQueueRef.current = []
+    queueUserRef.current = null
+    setPendingMutations([])
+    setSyncConflicts([])
+    setServerUnavailable(false)
+    syncFailuresRef.current = 0
+  }
+
+  return {
+    pendingMutations,
+    online,
+    serverUnavailable,
+    syncConflicts,
+    syncVersion,
+    enqueueMutation,
+    cancelPendingCreate,
+    restorePendingMutations,
+    dismissConflict,
+    processQueue,
+    resetQueue
+  }
+}
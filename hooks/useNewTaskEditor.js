@@ -0,0 +1,53 @@
+import { useState } from 'react'
+import { nextLocalId, createMutation } from './useMutationQueue'
+import { getSiblings, positionAt, syncedIndex } from '../utils/tasks'
+
+// 用键盘在任务之后新建同级任务，或在任务下新建子任务（输入框显示在列表中的对应位置）
+//   newTaskEditor：{ parentId, afterId, value }，afterId 为 null 时新建的是 parentId 的子任务
+//   focus：useTaskFocus 的返回值，新任务渲染后获得焦点
+export default function useNewTaskEditor({ user, tasks, enqueueMutation, reorderEnabled, focus }) {
+  const [newTaskEditor, setNewTaskEditor] = useState(null)
+
+  const startNewTask = (task, asChild) => {
+    if (task.id < 0) return
+    setNewTaskEditor({
+      parentId: asChild ? task.id : task.parent_id,
+      afterId: asChild ? null : task.id,
+      value: ''
+    })
+  }
+
+  // 保存用键盘新建的任务（与添加任务一样立即显示、排队同步）：同级任务按手动排列显示时移到原任务之后，子任务排在最后
+  const submitNewTask = (title) => {
+    if (!newTaskEditor) return
+    const { parentId, afterId } = newTaskEditor
+    setNewTaskEditor(null)
+    if (!title) return
+
+    const mutation = createMutation(user.id, title, parentId)
+    focus.pendingFocusRef.current = `[data-task-id="${mutation.taskId}"]`
+    focus.setFocusedTaskId(mutation.taskId)
+    enqueueMutation(mutation)
+    if (afterId === null || !reorderEnabled) return
+
+    const siblings = getSiblings(tasks, parentId)
+    const index = siblings.findIndex(t => t.id === afterId) + 1
+    enqueueMutation({
+      key: nextLocalId(),
+      type: 'move',
+      taskId: mutation.taskId,
+      title,
+      label: '移动',
+      body: { parent_id: parentId, index: syncedIndex(siblings, index) },
+      previous: [{ id: mutation.taskId, parent_id: parentId, position: mutation.task.position }],
+      updated: [{ id: mutation.taskId, parent_id: parentId, position: positionAt(siblings, index) }]
+    })
+  }
+
+  return {
+    newTaskEditor,
+    startNewTask,
+    submitNewTask,
+    cancelNewTask: () => setNewTaskEditor(null)
+  }
+}
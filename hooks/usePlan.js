@@ -0,0 +1,75 @@
+import { useState } from 'react'
+
+// 今天的计划：按可用时间挑选任务，接受后按建议调整优先级
+//   todayPlan：{ minutes, plan, loading, applying }，plan 为服务端返回的计划（未生成时为 null）
+export default function usePlan(setTasks) {
+  const [todayPlan, setTodayPlan] = useState({ minutes: 240, plan: null, loading: false, applying: false })
+
+  // 安排今天的计划（不修改任务）
+  const generatePlan = async () => {
+    setTodayPlan(prev => ({ ...prev, loading: true }))
+    try {
+      const res = await fetch('/api/plan', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ minutes: todayPlan.minutes, timezoneOffset: new Date().getTimezoneOffset() })
+      })
+      const result = await res.json()
+      if (!result.success) {
+        throw new Error(result.error || '安排计划失败')
+      }
+      setTodayPlan(prev => ({ ...prev, plan: result.data, loading: false }))
+    } catch (error) {
+      console.error('安排计划失败:', error)
+      setTodayPlan(prev => ({ ...prev, loading: false }))
+      alert(`安排计划失败: ${error.message || '请检查网络连接'}`)
+    }
+  }
+
+  // 调整一个任务的优先级，返回服务端保存的任务（失败时返回 null）
+  const applyPriority = async (item) => {
+    try {
+      const res = await fetch(`/api/tasks/${item.task.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ priority: item.suggested_priority })
+      })
+      const result = await res.json()
+      return result.success ? result.data : null
+    } catch (error) {
+      console.error('调整优先级失败:', error)
+      return null
+    }
+  }
+
+  // 接受计划：按建议调整任务的优先级
+  const acceptPlan = async () => {
+    const changes = todayPlan.plan.items.filter(item => item.suggested_priority)
+    setTodayPlan(prev => ({ ...prev, applying: true }))
+
+    const results = await Promise.all(changes.map(applyPriority))
+    const updated = new Map(results.filter(Boolean).map(task => [task.id, task]))
+    setTasks(prev => prev.map(t => updated.has(t.id) ? { ...t, priority: updated.get(t.id).priority } : t))
+    setTodayPlan(prev => ({
+      ...prev,
+      applying: false,
+      plan: prev.plan && {
+        ...prev.plan,
+        items: prev.plan.items.map(item => updated.has(item.task.id)
+          ? { ...item, task: { ...item.task, priority: updated.get(item.task.id).priority }, suggested_priority: null }
+          : item)
+      }
+    }))
+    if (updated.size < changes.length) {
+      alert(`${changes.length - updated.size} 个任务的优先级调整失败，请重试`)
+    }
+  }
+
+  return {
+    todayPlan,
+    setPlanMinutes: (minutes) => setTodayPlan(prev => ({ ...prev, minutes })),
+    clearPlan: () => setTodayPlan(prev => ({ ...prev, plan: null })),
+    generatePlan,
+    acceptPlan
+  }
+}
@@ -0,0 +1,112 @@
+import { useState } from 'react'
+import { createMutation } from './useMutationQueue'
+import { toDateInputValue } from '../utils/format'
+
+// 添加顶级任务的输入框：直接添加（排队同步），或智能解析后逐项确认再创建
+//   quickAdd：{ loading, saving, draft, parent, source, warning }，draft 为解析出的可编辑字段
+//   onBreakdown(task)：确认时勾选了「创建后 AI 拆解」
+export default function useQuickAdd({ user, enqueueMutation, setTasks, setPagination, onBreakdown }) {
+  const [newTask, setNewTask] = useState('')
+  const [quickAdd, setQuickAdd] = useState(null)
+
+  // 添加任务（立即显示，同步前使用本地 ID）
+  const addTask = (e) => {
+    e.preventDefault()
+    const title = newTask.trim()
+    if (!title) return
+
+    setNewTask('')
+    enqueueMutation(createMutation(user.id, title, null))
+  }
+
+  // 智能解析：把输入的一句话解析为标题、优先级、截止日期等字段，在确认前可以逐项修改
+  const parseNewTask = async () => {
+    const text = newTask.trim()
+    if (!text) return
+
+    setQuickAdd({ loading: true, saving: false, draft: null, source: null, warning: null })
+    try {
+      const res = await fetch('/api/tasks/parse', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, timezoneOffset: new Date().getTimezoneOffset() })
+      })
+      const result = await res.json()
+      if (!result.success) {
+        throw new Error(result.error || '解析失败')
+      }
+      const { task, parent, breakdown, source, warning } = result.data
+      const draft = {
+        title: task.title,
+        description: task.description || '',
+        priority: task.priority,
+        due_date: toDateInputValue(task.due_at),
+        parent_id: task.parent_id,
+        breakdown
+      }
+      setQuickAdd({ loading: false, saving: false, draft, parent, source, warning })
+    } catch (error) {
+      console.error('解析任务失败:', error)
+      setQuickAdd(null)
+      alert(`解析任务失败: ${error.message || '请检查网络连接'}`)
+    }
+  }
+
+  // 创建解析（及修改）后的任务，返回服务端创建的任务
+  const createDraftTask = async (draft) => {
+    const res = await fetch('/api/tasks', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        title: draft.title.trim(),
+        description: draft.description.trim() || null,
+        priority: draft.priority,
+        parent_id: draft.parent_id,
+        due_at: draft.due_date ? new Date(`${draft.due_date}T23:59:59`).toISOString() : null,
+        status: 'pending'
+      })
+    })
+    const result = await res.json()
+    if (!result.success || !result.data) {
+      throw new Error(result.error || '添加任务失败')
+    }
+    return result.data
+  }
+
+  // 按解析（及修改）后的字段创建任务，需要时接着用 AI 拆解
+  const submitQuickAdd = async () => {
+    const { draft } = quickAdd
+    if (!draft.title.trim()) return
+
+    setQuickAdd(prev => ({ ...prev, saving: true }))
+    try {
+      const created = await createDraftTask(draft)
+      if (created.parent_id) {
+        setTasks(prev => [...prev, created])
+      } else {
+        setTasks(prev => [created, ...prev])
+        setPagination(prev => ({ ...prev, total: prev.total + 1 }))
+      }
+      setNewTask('')
+      setQuickAdd(null)
+      if (draft.breakdown) {
+        onBreakdown(created)
+      }
+    } catch (error) {
+      console.error('添加任务失败:', error)
+      setQuickAdd(prev => prev && { ...prev, saving: false })
+      alert(error.message || '添加任务失败，请重试')
+    }
+  }
+
+  return {
+    newTask,
+    setNewTask,
+    quickAdd,
+    addTask,
+    parseNewTask,
+    updateQuickAddDraft: (changes) => setQuickAdd(prev => ({ ...prev, draft: { ...prev.draft, ...changes } })),
+    cancelQuickAdd: () => setQuickAdd(null),
+    submitQuickAdd
+  }
+}
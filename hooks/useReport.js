@@ -0,0 +1,72 @@
+import { useState } from 'react'
+import { toDateInputValue } from '../utils/format'
+
+// 进展报告：report 为 { from, to, ai, report, loading }（收起时为 null），report.report 为生成的报告
+export default function useReport() {
+  const [report, setReport] = useState(null)
+
+  // 打开或收起进展报告（默认最近 7 天）
+  const toggleReport = () => {
+    if (report) {
+      setReport(null)
+      return
+    }
+    const today = new Date()
+    const weekAgo = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 6)
+    setReport({ from: toDateInputValue(weekAgo), to: toDateInputValue(today), ai: true, report: null, loading: false })
+  }
+
+  // 生成进展报告
+  const generateReport = async () => {
+    const params = new URLSearchParams({
+      from: report.from,
+      to: report.to,
+      ai: String(report.ai),
+      timezoneOffset: String(new Date().getTimezoneOffset())
+    })
+    setReport(prev => ({ ...prev, loading: true }))
+    try {
+      const res = await fetch(`/api/reports?${params}`)
+      const result = await res.json()
+      if (!result.success) {
+        throw new Error(result.error || '生成报告失败')
+      }
+      setReport(prev => prev && { ...prev, report: result.data, loading: false })
+    } catch (error) {
+      console.error('生成报告失败:', error)
+      setReport(prev => prev && { ...prev, loading: false })
+      alert(`生成报告失败: ${error.message || '请检查网络连接'}`)
+    }
+  }
+
+  // 复制报告的 Markdown
+  const copyReport = async () => {
+    try {
+      await navigator.clipboard.writeText(report.report.markdown)
+      alert('已复制到剪贴板')
+    } catch (error) {
+      console.error('复制失败:', error)
+      alert('复制失败，请手动选择文本复制')
+    }
+  }
+
+  // 下载报告为 .md 文件（使用已生成的内容，不重新请求）
+  const downloadReport = () => {
+    const { markdown, from, to } = report.report
+    const url = URL.createObjectURL(new Blob([markdown], { type: 'text/markdown;charset=utf-8' }))
+    const link = document.createElement('a')
+    link.href = url
+    link.download = `report-${from}-${to}.md`
+    link.click()
+    URL.revokeObjectURL(url)
+  }
+
+  return {
+    report,
+    changeReport: (changes) => setReport(prev => ({ ...prev, ...changes })),
+    toggleReport,
+    generateReport,
+    copyReport,
+    downloadReport
+  }
+}
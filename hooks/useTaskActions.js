@@ -0,0 +1,101 @@
+import { nextLocalId } from './useMutationQueue'
+import { flattenTasks, isInSubtree, collectSubtreeIds } from '../utils/tasks'
+
+// 完成和删除任务（立即显示、排队同步），以及修改同步成功后用服务端返回的结果更新列表
+//   queue：useMutationQueue 的返回值，focus：useTaskFocus 的返回值
+//   showUndo：删除同步后显示撤销提示
+export default function useTaskActions({ tasks, setTasks, setPagination, queue, focus, showUndo }) {
+  // 切换任务状态（立即显示；完成时服务端把未完成的后代任务一并完成，列表中同样处理）
+  const toggleTask = (task) => {
+    const newStatus = task.status === 'completed' ? 'pending' : 'completed'
+    const completedAt = newStatus === 'completed' ? new Date().toISOString() : null
+    const affected = newStatus === 'completed'
+      ? [task, ...tasks.filter(t => t.id !== task.id && t.status !== 'completed' && isInSubtree(tasks, t, task.id))]
+      : [task]
+    queue.enqueueMutation({
+      key: nextLocalId(),
+      type: 'update',
+      taskId: task.id,
+      title: task.title,
+      label: newStatus === 'completed' ? '标记完成' : '标记未完成',
+      changes: { status: newStatus },
+      previous: affected.map(t => ({ id: t.id, status: t.status, completed_at: t.completed_at })),
+      updated: affected.map(t => ({ id: t.id, status: newStatus, completed_at: completedAt }))
+    })
+  }
+
+  // 删除任务（连同子任务移到回收站，立即从列表中移除）
+  const deleteTask = (id) => {
+    const deletedTask = tasks.find(t => t.id === id)
+    if (!deletedTask) return
+
+    // 尚未同步的新任务：还没发送时直接从队列中取消（正在发送时仍排队删除）
+    if (queue.cancelPendingCreate(id)) return
+
+    const removedIds = collectSubtreeIds(tasks, [id])
+    queue.enqueueMutation({
+      key: nextLocalId(),
+      type: 'delete',
+      taskId: id,
+      title: deletedTask.title,
+      label: '删除',
+      removed: tasks.filter(t => removedIds.has(t.id)),
+      topLevel: !deletedTask.parent_id
+    })
+  }
+
+  // 删除选中的任务，然后选中显示在它之后（没有时为之前）的任务
+  const deleteFocusedTask = (task, navigationOrder) => {
+    const removedIds = collectSubtreeIds(tasks, [task.id])
+    const index = navigationOrder.findIndex(t => t.id === task.id)
+    const next = navigationOrder.slice(index + 1).find(t => !removedIds.has(t.id)) ||
+      navigationOrder.slice(0, index).reverse().find(t => !removedIds.has(t.id))
+    deleteTask(task.id)
+    if (next) {
+      focus.focusTask(next.id)
+    } else {
+      focus.setFocusedTaskId(null)
+    }
+  }
+
+  // 修改同步成功：修改的字段以服务端保存的值为准
+  const applySyncedUpdate = (mutation, data) => {
+    const saved = { recurrence: data.recurrence }
+    Object.keys(mutation.changes).forEach(field => { saved[field] = data[field] })
+    setTasks(prev => {
+      const updated = prev.map(t => (t.id === data.id ? { ...t, ...saved } : t))
+      // 重复任务完成后，服务端生成的下一次任务（含子任务）插入到当前任务之后
+      if (data.next_occurrence) {
+        const index = updated.findIndex(t => t.id === data.id)
+        updated.splice(index + 1, 0, ...flattenTasks([data.next_occurrence]))
+      }
+      return updated
+    })
+    if (data.next_occurrence && !data.parent_id) {
+      setPagination(prev => ({ ...prev, total: prev.total + 1 }))
+    }
+  }
+
+  // 修改同步成功：用服务端返回的结果更新列表
+  const handleMutationSynced = (mutation, data) => {
+    if (mutation.type === 'create') {
+      // 正在用键盘操作的新任务换成服务端 ID 后保持焦点
+      if (document.activeElement?.getAttribute('data-task-id') === String(mutation.taskId)) {
+        focus.pendingFocusRef.current = `[data-task-id="${data.id}"]`
+      }
+      focus.setFocusedTaskId(prev => (prev === mutation.taskId ? data.id : prev))
+    } else if (mutation.type === 'move') {
+      const positions = new Map(data.repositioned.map(item => [item.id, item.position]))
+      setTasks(prev => prev.map(t => {
+        if (t.id === data.task.id) return { ...t, parent_id: data.task.parent_id, position: data.task.position }
+        return positions.has(t.id) ? { ...t, position: positions.get(t.id) } : t
+      }))
+    } else if (mutation.type === 'update') {
+      applySyncedUpdate(mutation, data)
+    } else {
+      showUndo([mutation.taskId], `已删除「${mutation.title}」`)
+    }
+  }
+
+  return { toggleTask, deleteTask, deleteFocusedTask, handleMutationSynced }
+}
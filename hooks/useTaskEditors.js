@@ -0,0 +1,107 @@
+import { useState, useRef } from 'react'
+import { nextLocalId } from './useMutationQueue'
+import { validateTaskFields } from '../utils/tasks'
+
+// 行内编辑：双击修改标题，展开详情修改描述和优先级
+//   titleEditor：{ taskId, value, error }，detailsEditor：{ taskId, description, priority, error }
+//   保存的修改与切换状态一样立即显示、排队同步（enqueueMutation 来自修改队列）
+export default function useTaskEditors(enqueueMutation) {
+  const [titleEditor, setTitleEditor] = useState(null)
+  const [detailsEditor, setDetailsEditor] = useState(null)
+  // 按 Esc 取消编辑标题后，输入框失去焦点时不再保存
+  const titleEditCancelledRef = useRef(false)
+
+  // 修改任务字段：明显无效的输入不排队，返回错误信息显示在编辑框下方，其余返回 null；
+  // 服务端拒绝时撤销修改并在同步栏显示原因
+  const saveTaskFields = (task, changes) => {
+    const error = validateTaskFields(changes)
+    if (error) return error
+    const updated = { ...changes }
+    if (changes.title !== undefined) updated.title = changes.title.trim()
+    if (changes.description !== undefined) updated.description = changes.description.trim() || null
+    const previous = { id: task.id }
+    Object.keys(updated).forEach(field => { previous[field] = task[field] })
+    enqueueMutation({
+      key: nextLocalId(),
+      type: 'update',
+      taskId: task.id,
+      title: task.title,
+      label: '修改',
+      changes: updated,
+      previous: [previous],
+      updated: [{ id: task.id, ...updated }]
+    })
+    return null
+  }
+
+  // 双击标题开始编辑
+  const startTitleEdit = (task) => {
+    titleEditCancelledRef.current = false
+    setTitleEditor({ taskId: task.id, value: task.title, error: null })
+  }
+
+  // 保存标题（未修改时直接结束编辑，出错时保留输入框并显示错误）
+  const saveTitle = (task) => {
+    if (titleEditCancelledRef.current || !titleEditor) return
+    const error = titleEditor.value === task.title ? null : saveTaskFields(task, { title: titleEditor.value })
+    setTitleEditor(error ? { ...titleEditor, error } : null)
+  }
+
+  // 标题输入框：Enter 保存（通过失去焦点触发），Esc 取消
+  const handleTitleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault()
+      e.currentTarget.blur()
+    } else if (e.key === 'Escape') {
+      titleEditCancelledRef.current = true
+      setTitleEditor(null)
+    }
+  }
+
+  // 展开或收起任务详情（描述和优先级）
+  const toggleDetails = (task) => {
+    if (detailsEditor?.taskId === task.id) {
+      setDetailsEditor(null)
+      return
+    }
+    setDetailsEditor({ taskId: task.id, description: task.description || '', priority: task.priority, error: null })
+  }
+
+  // 保存详情中修改过的字段
+  const saveDetails = (e, task) => {
+    e.preventDefault()
+    const changes = {}
+    if (detailsEditor.description.trim() !== (task.description || '')) {
+      changes.description = detailsEditor.description
+    }
+    if (detailsEditor.priority !== task.priority) {
+      changes.priority = detailsEditor.priority
+    }
+    const error = Object.keys(changes).length > 0 ? saveTaskFields(task, changes) : null
+    setDetailsEditor(error ? { ...detailsEditor, error } : null)
+  }
+
+  // 描述输入框：Ctrl/⌘+Enter 保存，Esc 取消（普通 Enter 换行）
+  const handleDetailsKeyDown = (e, task) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      saveDetails(e, task)
+    } else if (e.key === 'Escape') {
+      setDetailsEditor(null)
+    }
+  }
+
+  return {
+    titleEditor,
+    detailsEditor,
+    startTitleEdit,
+    // 输入时清除上次的错误
+    changeTitle: (value) => setTitleEditor({ ...titleEditor, value, error: null }),
+    saveTitle,
+    handleTitleKeyDown,
+    toggleDetails,
+    changeDetails: (changes) => setDetailsEditor({ ...detailsEditor, ...changes, error: null }),
+    closeDetails: () => setDetailsEditor(null),
+    saveDetails,
+    handleDetailsKeyDown
+  }
+}
@@ -0,0 +1,47 @@
+import { useState, useEffect, useRef } from 'react'
+
+// 键盘操作的焦点：选中的任务、命令面板和快捷键说明
+//   pendingFocusRef：移动或新建任务后需要获得焦点的元素（选择器），任务在新位置渲染后再设置焦点
+export default function useTaskFocus(tasks) {
+  const [focusedTaskId, setFocusedTaskId] = useState(null)
+  const [showPalette, setShowPalette] = useState(false)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const pendingFocusRef = useRef(null)
+
+  // 用键盘移动或新建任务后，任务在新位置重新渲染，把焦点还给它（或它的拖动手柄）
+  useEffect(() => {
+    if (pendingFocusRef.current === null) return
+    const element = document.querySelector(pendingFocusRef.current)
+    pendingFocusRef.current = null
+    if (element) element.focus()
+  }, [tasks])
+
+  // 选中任务并让它获得焦点
+  const focusTask = (id) => {
+    setFocusedTaskId(id)
+    const element = document.querySelector(`[data-task-id="${id}"]`)
+    if (element) {
+      element.focus()
+    }
+  }
+
+  // 关闭命令面板，焦点回到选中的任务
+  const closePalette = () => {
+    setShowPalette(false)
+    if (focusedTaskId !== null) {
+      focusTask(focusedTaskId)
+    }
+  }
+
+  return {
+    focusedTaskId,
+    setFocusedTaskId,
+    pendingFocusRef,
+    focusTask,
+    showPalette,
+    togglePalette: () => (showPalette ? closePalette() : setShowPalette(true)),
+    closePalette,
+    showShortcuts,
+    setShowShortcuts
+  }
+}
@@ -0,0 +1,46 @@
+import { useState } from 'react'
+
+// 任务历史：history 为展开历史的任务 { taskId, events, nextBefore, loading, error }（收起时为 null）
+export default function useTaskHistory() {
+  const [history, setHistory] = useState(null)
+
+  // 加载任务历史，before 为上一页最早事件的游标（加载更多时）
+  const fetchHistory = async (taskId, before = null) => {
+    const params = new URLSearchParams()
+    if (before) params.set('before', before)
+    try {
+      const res = await fetch(`/api/tasks/${taskId}/history?${params}`)
+      const result = await res.json()
+      if (!result.success) {
+        throw new Error(result.error || '加载历史失败')
+      }
+      setHistory(prev => prev && prev.taskId === taskId ? {
+        taskId,
+        events: before ? [...prev.events, ...result.data.events] : result.data.events,
+        nextBefore: result.data.next_before,
+        loading: false,
+        error: null
+      } : prev)
+    } catch (error) {
+      console.error('加载历史失败:', error)
+      setHistory(prev => prev && prev.taskId === taskId ? { ...prev, loading: false, error: error.message } : prev)
+    }
+  }
+
+  // 展开 / 收起任务历史（每次展开都重新加载）
+  const toggleHistory = (task) => {
+    if (history?.taskId === task.id) {
+      setHistory(null)
+      return
+    }
+    setHistory({ taskId: task.id, events: [], nextBefore: null, loading: true, error: null })
+    fetchHistory(task.id)
+  }
+
+  const loadMoreHistory = () => {
+    setHistory({ ...history, loading: true })
+    fetchHistory(history.taskId, history.nextBefore)
+  }
+
+  return { history, toggleHistory, loadMoreHistory }
+}
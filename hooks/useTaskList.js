@@ -0,0 +1,90 @@
+import { useState, useEffect, useRef } from 'react'
+import { flattenTasks } from '../utils/tasks'
+import { listQueryParams } from '../utils/view'
+
+// 加载任务列表（按列表视图和标签筛选分页），滚动到列表底部时自动加载下一页
+//   tasks / pagination 的 state 由调用方持有（修改队列也要更新它们）
+//   restorePendingMutations：修改队列提供，重新加载后恢复尚未同步的修改
+//   loadMoreRef：放在列表底部的元素，进入可见区域时加载下一页（搜索时不加载）
+export default function useTaskList(user, options) {
+  const { view, viewReady, labelFilter, isSearching, syncVersion, pagination, setTasks, setPagination } = options
+  const [loading, setLoading] = useState(true)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const loadMoreRef = useRef(null)
+
+  // 合并一页结果：第一页替换列表，后续页追加（跳过已存在的任务）
+  const applyPage = (result, cursor) => {
+    const fetched = flattenTasks((result.data || []).flatMap(({ ancestors, ...task }) => [...(ancestors || []), task]))
+      .filter((task, index, list) => list.findIndex(t => t.id === task.id) === index)
+    // 恢复尚未同步的修改
+    const { tasks: pageTasks, totalDelta } = options.restorePendingMutations(fetched, !cursor)
+    if (cursor) {
+      setTasks(prev => {
+        const existingIds = new Set(prev.map(t => t.id))
+        return [...prev, ...pageTasks.filter(t => !existingIds.has(t.id))]
+      })
+    } else {
+      setTasks(pageTasks)
+    }
+    setPagination({
+      total: Math.max(0, (result.pagination?.total || 0) + totalDelta),
+      hasMore: Boolean(result.pagination?.has_more),
+      nextCursor: result.pagination?.next_cursor || null
+    })
+  }
+
+  // 获取任务列表（按顶级任务分页，每个顶级任务附带完整子任务树；筛选时附带祖先任务作为上下文）
+  const fetchTasks = async (cursor = null) => {
+    try {
+      const res = await fetch(`/api/tasks?${listQueryParams(view, labelFilter, cursor).toString()}`)
+      if (res.status === 401) {
+        options.onUnauthorized()
+        return
+      }
+      const result = await res.json()
+      if (result.success) {
+        applyPage(result, cursor)
+      }
+    } catch (error) {
+      console.error('获取任务失败:', error)
+      if (!cursor) {
+        setTasks([])
+      }
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  // 加载下一页
+  const loadMore = async () => {
+    if (loadingMore || !pagination.hasMore || !pagination.nextCursor) return
+    setLoadingMore(true)
+    try {
+      await fetchTasks(pagination.nextCursor)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  useEffect(() => {
+    if (user && viewReady) {
+      fetchTasks()
+    }
+  }, [user, labelFilter, view, viewReady, syncVersion])
+
+  // 滚动到列表底部时自动加载下一页
+  useEffect(() => {
+    const sentinel = loadMoreRef.current
+    if (!sentinel || typeof IntersectionObserver === 'undefined') return
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting && !isSearching) {
+        loadMore()
+      }
+    })
+    observer.observe(sentinel)
+    return () => observer.disconnect()
+  }, [pagination, loadingMore, isSearching])
+
+  return { loading, loadingMore, loadMore, fetchTasks, loadMoreRef }
+}
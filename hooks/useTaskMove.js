@@ -0,0 +1,122 @@
+import { useState } from 'react'
+import { nextLocalId } from './useMutationQueue'
+import { getSiblings, isInSubtree, positionAt, syncedIndex } from '../utils/tasks'
+
+const ARROW_KEYS = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight']
+
+// 拖放时按指针在任务上的位置决定放置方式：上方 1/4 放在前面，下方 1/4 放在后面，中间成为子任务
+const getDropZone = (e) => {
+  const rect = e.currentTarget.getBoundingClientRect()
+  const offset = (e.clientY - rect.top) / rect.height
+  return offset < 0.25 ? 'before' : offset > 0.75 ? 'after' : 'inside'
+}
+
+// 调整任务顺序和层级：拖放，或用 Alt+方向键移动
+//   dragState：拖动中的任务和当前的放置目标 { taskId, targetId, zone }，moveStatus：移动后的读屏提示
+//   reorderEnabled：显示的顺序是否为完整的排列顺序（搜索、筛选、分组或不按手动排列排序时不能移动）
+//   pendingFocusRef：移动后需要重新获得焦点的元素（选择器），任务在新位置渲染后再设置焦点
+export default function useTaskMove({ tasks, enqueueMutation, reorderEnabled, pendingFocusRef }) {
+  const [dragState, setDragState] = useState(null)
+  const [moveStatus, setMoveStatus] = useState('')
+
+  // 移动任务（与其他修改一样立即显示、排队同步）：放到 parentId 的子任务（不含自身）中的第 index 个位置
+  const moveTask = (task, parentId, index, { focusSelector = null } = {}) => {
+    const siblings = getSiblings(tasks, parentId, task.id)
+    if (focusSelector) {
+      pendingFocusRef.current = focusSelector
+    }
+    enqueueMutation({
+      key: nextLocalId(),
+      type: 'move',
+      taskId: task.id,
+      title: task.title,
+      label: '移动',
+      body: { parent_id: parentId, index: syncedIndex(siblings, index) },
+      previous: [{ id: task.id, parent_id: task.parent_id, position: task.position }],
+      updated: [{ id: task.id, parent_id: parentId, position: positionAt(siblings, index) }]
+    })
+    const parent = tasks.find(t => t.id === parentId)
+    setMoveStatus(`已将「${task.title}」移到${parent ? `「${parent.title}」下的` : '顶级的'}第 ${index + 1} 位`)
+  }
+
+  // 拖动开始（只有拖动手柄可以拖动）
+  const handleDragStart = (e, task) => {
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', String(task.id))
+    setDragState({ taskId: task.id, targetId: null, zone: null })
+  }
+
+  // 拖到任务上：按指针位置显示放置方式，不能放到自己的子树中
+  const handleDragOver = (e, task) => {
+    if (!dragState) return
+    const dragged = tasks.find(t => t.id === dragState.taskId)
+    if (!dragged || isInSubtree(tasks, task, dragged.id)) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    const zone = getDropZone(e)
+    if (dragState.targetId !== task.id || dragState.zone !== zone) {
+      setDragState({ ...dragState, targetId: task.id, zone })
+    }
+  }
+
+  // 放下：放在目标前后（同级排序）或成为目标的最后一个子任务
+  const handleDrop = (e, target) => {
+    e.preventDefault()
+    const dragged = dragState && tasks.find(t => t.id === dragState.taskId)
+    const zone = dragState?.zone
+    setDragState(null)
+    if (!dragged || !zone || isInSubtree(tasks, target, dragged.id)) return
+
+    if (zone === 'inside') {
+      moveTask(dragged, target.id, getSiblings(tasks, target.id, dragged.id).length)
+      return
+    }
+    const siblings = getSiblings(tasks, target.parent_id, dragged.id)
+    const index = siblings.findIndex(t => t.id === target.id) + (zone === 'after' ? 1 : 0)
+    moveTask(dragged, target.parent_id, index)
+  }
+
+  // 用方向键移动任务：ArrowUp / ArrowDown 调整顺序，ArrowRight 成为上一个任务的子任务，ArrowLeft 移到父任务之后
+  // 移动后焦点回到 focusSelector 对应的元素
+  const moveTaskByArrow = (task, key, focusSelector) => {
+    if (!reorderEnabled) {
+      setMoveStatus('搜索、筛选、分组或不按手动排列排序时不能移动任务')
+      return
+    }
+    const siblings = getSiblings(tasks, task.parent_id)
+    const index = siblings.findIndex(t => t.id === task.id)
+    const options = { focusSelector }
+
+    if (key === 'ArrowUp' && index > 0) {
+      moveTask(task, task.parent_id, index - 1, options)
+    } else if (key === 'ArrowDown' && index < siblings.length - 1) {
+      moveTask(task, task.parent_id, index + 1, options)
+    } else if (key === 'ArrowRight' && index > 0) {
+      const previous = siblings[index - 1]
+      moveTask(task, previous.id, getSiblings(tasks, previous.id).length, options)
+    } else if (key === 'ArrowLeft' && task.parent_id !== null) {
+      const parent = tasks.find(t => t.id === task.parent_id)
+      if (!parent) return
+      const parentSiblings = getSiblings(tasks, parent.parent_id, task.id)
+      moveTask(task, parent.parent_id, parentSiblings.findIndex(t => t.id === parent.id) + 1, options)
+    }
+  }
+
+  // 拖动手柄的键盘操作：Alt+方向键移动任务
+  const handleMoveKeyDown = (e, task) => {
+    if (!e.altKey || !ARROW_KEYS.includes(e.key)) return
+    e.preventDefault()
+    moveTaskByArrow(task, e.key, `[data-move-handle="${task.id}"]`)
+  }
+
+  return {
+    dragState,
+    endDrag: () => setDragState(null),
+    moveStatus,
+    handleDragStart,
+    handleDragOver,
+    handleDrop,
+    moveTaskByArrow,
+    handleMoveKeyDown
+  }
+}
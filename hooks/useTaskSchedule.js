@@ -0,0 +1,88 @@
+import { useState } from 'react'
+import { toDateInputValue } from '../utils/format'
+
+// 截止日期与重复规则：recurrenceEditor 为正在编辑重复规则的任务 { taskId, freq, interval, byWeekday, until }
+export default function useTaskSchedule(setTasks) {
+  const [recurrenceEditor, setRecurrenceEditor] = useState(null)
+
+  // 修改任务的一个字段，成功时用服务端保存的值更新列表并返回 true
+  const patchTask = async (task, field, value, failureMessage) => {
+    try {
+      const res = await fetch(`/api/tasks/${task.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ [field]: value })
+      })
+      const result = await res.json()
+      if (result.success && result.data) {
+        setTasks(prev => prev.map(t => (t.id === task.id ? { ...t, [field]: result.data[field] } : t)))
+        return true
+      }
+      alert(result.error || failureMessage)
+    } catch (error) {
+      console.error(`${failureMessage}:`, error)
+      alert(`${failureMessage}，请重试`)
+    }
+    return false
+  }
+
+  // 设置截止日期（选择的日期按当天结束时间保存，清空则移除截止时间）
+  const updateDueDate = (task, value) => {
+    const dueAt = value ? new Date(`${value}T23:59:59`).toISOString() : null
+    patchTask(task, 'due_at', dueAt, '设置截止日期失败')
+  }
+
+  // 打开重复规则编辑器（不重复的任务默认每周）
+  const openRecurrenceEditor = (task) => {
+    if (recurrenceEditor?.taskId === task.id) {
+      setRecurrenceEditor(null)
+      return
+    }
+    const rule = task.recurrence || { freq: 'weekly', interval: 1, by_weekday: [], by_monthday: null, until: null }
+    setRecurrenceEditor({
+      taskId: task.id,
+      freq: rule.freq,
+      interval: rule.interval,
+      byWeekday: rule.by_weekday,
+      until: toDateInputValue(rule.until)
+    })
+  }
+
+  // 保存重复规则，传入 null 停止重复
+  const saveRecurrence = async (task, recurrence) => {
+    if (await patchTask(task, 'recurrence', recurrence, '设置重复失败')) {
+      setRecurrenceEditor(null)
+    }
+  }
+
+  const submitRecurrence = (e, task) => {
+    e.preventDefault()
+    const { freq, interval, byWeekday, until } = recurrenceEditor
+    saveRecurrence(task, {
+      freq,
+      interval: Number(interval) || 1,
+      by_weekday: freq === 'weekly' ? byWeekday : [],
+      // 保留已记录的每月日期，避免修改规则后按被调整过的日期继续重复
+      by_monthday: freq === 'monthly' ? task.recurrence?.by_monthday ?? null : null,
+      until: until ? new Date(`${until}T23:59:59`).toISOString() : null
+    })
+  }
+
+  const toggleRecurrenceWeekday = (day) => {
+    const { byWeekday } = recurrenceEditor
+    setRecurrenceEditor({
+      ...recurrenceEditor,
+      byWeekday: byWeekday.includes(day) ? byWeekday.filter(d => d !== day) : [...byWeekday, day]
+    })
+  }
+
+  return {
+    updateDueDate,
+    recurrenceEditor,
+    openRecurrenceEditor,
+    changeRecurrence: (changes) => setRecurrenceEditor({ ...recurrenceEditor, ...changes }),
+    toggleRecurrenceWeekday,
+    submitRecurrence,
+    saveRecurrence
+  }
+}
@@ -0,0 +1,63 @@
+import { useState, useEffect } from 'react'
+
+// 搜索输入防抖时间（毫秒）
+const SEARCH_DEBOUNCE_MS = 250
+
+// 搜索任务：命中的任务及其祖先会合并进任务列表，保证层级上下文完整
+//   searchState：{ visibleIds, highlights }，highlights 为命中任务的高亮片段，尚未返回结果时为 null
+export default function useTaskSearch(setTasks) {
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchState, setSearchState] = useState(null)
+
+  // 把搜索结果中尚未加载的任务（及其祖先）合并进列表
+  const applySearchResults = (matches) => {
+    const related = matches.flatMap(item => [...item.ancestors, item.task])
+    setTasks(prev => {
+      const existingIds = new Set(prev.map(t => t.id))
+      const missing = related.filter((t, index) =>
+        !existingIds.has(t.id) && related.findIndex(r => r.id === t.id) === index
+      )
+      return missing.length > 0 ? [...prev, ...missing] : prev
+    })
+    setSearchState({
+      visibleIds: new Set(related.map(t => t.id)),
+      highlights: new Map(matches.map(item => [item.task.id, item.highlights]))
+    })
+  }
+
+  useEffect(() => {
+    const q = searchQuery.trim()
+    if (!q) {
+      setSearchState(null)
+      return
+    }
+
+    let cancelled = false
+    const timer = setTimeout(async () => {
+      try {
+        const res = await fetch(`/api/tasks/search?q=${encodeURIComponent(q)}&limit=50`)
+        const result = await res.json()
+        if (cancelled) return
+        if (!result.success) {
+          console.error('搜索任务失败:', result.error)
+          return
+        }
+        applySearchResults(result.data || [])
+      } catch (error) {
+        console.error('搜索任务失败:', error)
+      }
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [searchQuery])
+
+  return {
+    searchQuery,
+    setSearchQuery,
+    searchState,
+    isSearching: searchQuery.trim().length > 0
+  }
+}
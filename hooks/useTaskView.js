@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react'
+import { useRouter } from 'next/router'
+import { DEFAULT_VIEW, parseView, viewToQuery } from '../utils/view'
+
+const EMPTY_LABEL_FILTER = { ids: [], mode: 'any' }
+
+// 列表的筛选、排序和分组（与地址栏查询参数同步，地址栏参数读取后 viewReady 才为 true）与标签筛选
+export default function useTaskView() {
+  const router = useRouter()
+  const [view, setView] = useState(DEFAULT_VIEW)
+  const [viewReady, setViewReady] = useState(false)
+  const [labelFilter, setLabelFilter] = useState(EMPTY_LABEL_FILTER)
+
+  // 地址栏参数就绪后读取列表视图（收藏或分享的链接打开时保持筛选条件）
+  useEffect(() => {
+    if (!router.isReady) return
+    setView(parseView(router.query))
+    setViewReady(true)
+  }, [router.isReady])
+
+  // 修改列表视图并同步到地址栏（不产生新的历史记录）
+  const updateView = (changes) => {
+    const next = { ...view, ...changes }
+    setView(next)
+    router.replace({ pathname: router.pathname, query: viewToQuery(next) }, undefined, { shallow: true })
+  }
+
+  // 点击标签：加入或移出标签筛选
+  const toggleLabelFilter = (labelId) => {
+    const ids = labelFilter.ids.includes(labelId)
+      ? labelFilter.ids.filter(id => id !== labelId)
+      : [...labelFilter.ids, labelId]
+    setLabelFilter({ ...labelFilter, ids })
+  }
+
+  return {
+    view,
+    viewReady,
+    updateView,
+    labelFilter,
+    setLabelFilterMode: (mode) => setLabelFilter({ ...labelFilter, mode }),
+    clearLabelFilter: () => setLabelFilter(EMPTY_LABEL_FILTER),
+    toggleLabelFilter
+  }
+}
@@ -0,0 +1,88 @@
+import { useState, useRef } from 'react'
+import useMutationQueue from './useMutationQueue'
+import useTaskView from './useTaskView'
+import useTaskSearch from './useTaskSearch'
+import useTaskList from './useTaskList'
+import useLabels from './useLabels'
+import useTaskEditors from './useTaskEditors'
+import useTaskSchedule from './useTaskSchedule'
+import useTaskFocus from './useTaskFocus'
+import useTaskMove from './useTaskMove'
+import useNewTaskEditor from './useNewTaskEditor'
+import useTaskActions from './useTaskActions'
+import useTrash from './useTrash'
+import useTaskHistory from './useTaskHistory'
+import useBreakdown from './useBreakdown'
+import useQuickAdd from './useQuickAdd'
+import usePlan from './usePlan'
+import useReport from './useReport'
+import useBulkSelection from './useBulkSelection'
+import { buildTaskTree, isFilteredView } from '../utils/view'
+
+// 已登录界面的状态：任务列表（tasks / pagination 由修改队列和各个功能共同更新）及各个功能的 hook
+//   返回各个 hook 的返回值，以及按视图组织好的任务树 tree 和派生的列表状态
+export default function useTodoApp(user, onUnauthorized) {
+  const [tasks, setTasks] = useState([])
+  const [pagination, setPagination] = useState({ total: 0, hasMore: false, nextCursor: null })
+  const searchInputRef = useRef(null)
+  const newTaskInputRef = useRef(null)
+  const list = { tasks, setTasks, setPagination }
+
+  const queue = useMutationQueue(user, {
+    setTasks,
+    setPagination,
+    onUnauthorized,
+    onSynced: (mutation, data) => actions.handleMutationSynced(mutation, data)
+  })
+  const views = useTaskView()
+  const search = useTaskSearch(setTasks)
+  const { view, labelFilter } = views
+  const loader = useTaskList(user, {
+    ...views,
+    ...list,
+    isSearching: search.isSearching,
+    syncVersion: queue.syncVersion,
+    pagination,
+    restorePendingMutations: queue.restorePendingMutations,
+    onUnauthorized
+  })
+  const trash = useTrash(() => loader.fetchTasks())
+  const focus = useTaskFocus(tasks)
+  const actions = useTaskActions({ ...list, queue, focus, showUndo: trash.showUndo })
+  const breakdown = useBreakdown(setTasks)
+
+  const isFiltered = isFilteredView(view, labelFilter)
+  // 搜索、筛选、分组或不按手动排列排序时，显示的顺序不是完整的排列顺序，不能调整顺序
+  const reorderEnabled = !search.isSearching && !search.searchState && !isFiltered && !view.group && view.sort === 'position'
+  const move = { tasks, enqueueMutation: queue.enqueueMutation, reorderEnabled }
+
+  return {
+    ...list,
+    pagination,
+    searchInputRef,
+    newTaskInputRef,
+    queue,
+    views,
+    search,
+    loader,
+    trash,
+    focus,
+    actions,
+    breakdown,
+    labelState: useLabels(user, setTasks),
+    editors: useTaskEditors(queue.enqueueMutation),
+    schedule: useTaskSchedule(setTasks),
+    move: useTaskMove({ ...move, pendingFocusRef: focus.pendingFocusRef }),
+    newTasks: useNewTaskEditor({ ...move, user, focus }),
+    taskHistory: useTaskHistory(),
+    quick: useQuickAdd({ ...list, user, enqueueMutation: queue.enqueueMutation, onBreakdown: breakdown.breakdownTask }),
+    plans: usePlan(setTasks),
+    reports: useReport(),
+    selection: useBulkSelection({ ...list, showUndo: trash.showUndo }),
+    isFiltered,
+    reorderEnabled,
+    // 有尚未同步的修改的任务
+    pendingTaskIds: new Set(queue.pendingMutations.map(m => m.taskId)),
+    tree: buildTaskTree(tasks, { view, labelFilter, searchState: search.searchState })
+  }
+}
@@ -0,0 +1,138 @@
+import { useState, useEffect, useRef } from 'react'
+
+// 撤销提示显示的时间
+const UNDO_TIMEOUT_MS = 8000
+
+// 回收站与撤销删除
+//   trash：{ entries, loading }（收起时为 null），undoDelete：{ ids, message }（没有可撤销的删除时为 null）
+//   fetchTasks：恢复任务后重新加载列表
+export default function useTrash(fetchTasks) {
+  const [undoDelete, setUndoDelete] = useState(null)
+  const [trash, setTrash] = useState(null)
+  const undoTimerRef = useRef(null)
+
+  useEffect(() => () => clearTimeout(undoTimerRef.current), [])
+
+  // 删除后显示撤销提示，一段时间后自动消失
+  const showUndo = (ids, message) => {
+    clearTimeout(undoTimerRef.current)
+    setUndoDelete({ ids, message })
+    undoTimerRef.current = setTimeout(() => setUndoDelete(null), UNDO_TIMEOUT_MS)
+  }
+
+  // 撤销删除：从回收站恢复刚删除的任务，然后重新加载列表
+  const undoLastDelete = async () => {
+    if (!undoDelete) return
+    clearTimeout(undoTimerRef.current)
+    const { ids } = undoDelete
+    setUndoDelete(null)
+
+    try {
+      for (const id of ids) {
+        const res = await fetch(`/api/tasks/${id}/restore`, { method: 'POST' })
+        const result = await res.json()
+        if (!result.success) {
+          alert(result.error || '撤销删除失败')
+        }
+      }
+    } catch (error) {
+      console.error('撤销删除失败:', error)
+      alert('撤销删除失败，请到回收站中恢复')
+    }
+    fetchTasks()
+  }
+
+  // 加载回收站
+  const fetchTrash = async () => {
+    try {
+      const res = await fetch('/api/tasks/trash')
+      const result = await res.json()
+      if (result.success) {
+        setTrash({ entries: result.data, loading: false })
+      } else {
+        alert(result.error || '加载回收站失败')
+        setTrash(null)
+      }
+    } catch (error) {
+      console.error('加载回收站失败:', error)
+      setTrash(null)
+    }
+  }
+
+  const toggleTrash = () => {
+    if (trash) {
+      setTrash(null)
+      return
+    }
+    setTrash({ entries: [], loading: true })
+    fetchTrash()
+  }
+
+  // 从回收站恢复任务（连同一起删除的子任务）
+  const restoreFromTrash = async (entry) => {
+    try {
+      const res = await fetch(`/api/tasks/${entry.task.id}/restore`, { method: 'POST' })
+      const result = await res.json()
+      if (result.success) {
+        fetchTrash()
+        fetchTasks()
+      } else {
+        alert(result.error || '恢复任务失败')
+      }
+    } catch (error) {
+      console.error('恢复任务失败:', error)
+      alert('恢复任务失败，请重试')
+    }
+  }
+
+  // 彻底删除回收站中的任务（不可恢复）
+  const purgeFromTrash = async (entry) => {
+    const subtaskText = entry.descendant_count > 0 ? `及其 ${entry.descendant_count} 个子任务` : ''
+    if (!confirm(`确定要彻底删除「${entry.task.title}」${subtaskText}吗？此操作不可恢复。`)) {
+      return
+    }
+
+    try {
+      const res = await fetch(`/api/tasks/${entry.task.id}/purge`, { method: 'POST' })
+      const result = await res.json()
+      if (result.success) {
+        fetchTrash()
+      } else {
+        alert(result.error || '彻底删除失败')
+      }
+    } catch (error) {
+      console.error('彻底删除失败:', error)
+      alert('彻底删除失败，请重试')
+    }
+  }
+
+  const emptyTrash = async () => {
+    if (!confirm('确定要清空回收站吗？其中的任务将被彻底删除，不可恢复。')) {
+      return
+    }
+
+    try {
+      const res = await fetch('/api/tasks/trash', { method: 'DELETE' })
+      const result = await res.json()
+      if (result.success) {
+        setTrash({ entries: [], loading: false })
+      } else {
+        alert(result.error || '清空回收站失败')
+      }
+    } catch (error) {
+      console.error('清空回收站失败:', error)
+      alert('清空回收站失败，请重试')
+    }
+  }
+
+  return {
+    undoDelete,
+    showUndo,
+    undoLastDelete,
+    trash,
+    toggleTrash,
+    restoreFromTrash,
+    purgeFromTrash,
+    emptyTrash
+  }
+}
@@ -0,0 +1,101 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getAuthProvider } from './repository'
+import type { AuthSession } from './repository'
+
+// 会话 Cookie 名称与有效期（30 天）
+const SESSION_COOKIE = 'todo_session'
+const SESSION_MAX_AGE = 30 * 24 * 60 * 60
+
+// 邮箱格式（仅做基本校验）
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+const MIN_PASSWORD_LENGTH = 8
+const MAX_PASSWORD_LENGTH = 72
+
+/**
+ * 验证注册 / 登录请求中的邮箱和密码
+ */
+export function validateCredentials(body: { email?: unknown; password?: unknown }): string[] {
+  const errors: string[] = []
+
+  if (typeof body.email !== 'string' || !EMAIL_PATTERN.test(body.email.trim())) {
+    errors.push('email 必须是有效的邮箱地址')
+  }
+
+  if (typeof body.password !== 'string') {
+    errors.push('password 是必填字段且必须是字符串')
+  } else if (body.password.length < MIN_PASSWORD_LENGTH || body.password.length > MAX_PASSWORD_LENGTH) {
+    errors.push(`password 长度必须在 ${MIN_PASSWORD_LENGTH}-${MAX_PASSWORD_LENGTH} 字符之间`)
+  }
+
+  return errors
+}
+
+/**
+ * 序列化会话 Cookie（HttpOnly，前端脚本无法读取令牌）
+ */
+function serializeCookie(value: string, maxAge: number): string {
+  const parts = [
+    `${SESSION_COOKIE}=${value}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAge}`
+  ]
+  if (process.env.NODE_ENV === 'production') {
+    parts.push('Secure')
+  }
+  return parts.join('; ')
+}
+
+/**
+ * 写入会话 Cookie（内容为 base64url 编码的 [access_token, refresh_token]）
+ */
+export function setSessionCookie(res: NextApiResponse, session: AuthSession): void {
+  const value = Buffer.from(JSON.stringify([session.access_token, session.refresh_token])).toString('base64url')
+  res.setHeader('Set-Cookie', serializeCookie(value, SESSION_MAX_AGE))
+}
+
+/**
+ * 清除会话 Cookie
+ */
+export function clearSessionCookie(res: NextApiResponse): void {
+  res.setHeader('Set-Cookie', serializeCookie('', 0))
+}
+
+/**
+ * 从请求中读取令牌：优先使用 Authorization: Bearer 头，其次使用会话 Cookie
+ */
+function readTokens(req: NextApiRequest): { accessToken: string; refreshToken: string | null } | null {
+  const header = req.headers.authorization
+  if (header && header.startsWith('Bearer ')) {
+    return { accessToken: header.slice('Bearer '.length).trim(), refreshToken: null }
+  }
+
+  const cookie = req.cookies[SESSION_COOKIE]
+  if (!cookie) return null
+
+  try {
+    const parsed = JSON.parse(Buffer.from(cookie, 'base64url').toString('utf8'))
+    if (Array.isArray(parsed) && typeof parsed[0] === 'string') {
+      return { accessToken: parsed[0], refreshToken: typeof parsed[1] === 'string' ? parsed[1] : null }
+    }
+  } catch {
+    // Cookie 格式不正确，视为未登录
+  }
+  return null
+}
+
+/**
+ * 获取当前请求的登录会话，未登录或令牌无效时返回 null
+ * 令牌被续期时会同时更新会话 Cookie
+ */
+export async function authenticate(req: NextApiRequest, res: NextApiResponse): Promise<AuthSession | null> {
+  const tokens = readTokens(req)
+  if (!tokens) return null
+
+  const session = await getAuthProvider().getSession(tokens.accessToken, tokens.refreshToken)
+  if (session && session.access_token !== tokens.accessToken) {
+    setSessionCookie(res, session)
+  }
+  return session
+}
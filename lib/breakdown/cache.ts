@@ -0,0 +1,73 @@
+import crypto from 'crypto'
+import type { BreakdownSuggestion } from '../../types/task'
+import type { ChatMessage, CompletionOptions, LLMProvider } from '../llm'
+import { TTLCache } from '../cache'
+import { AI_CACHE_MAX_ENTRIES, AI_CACHE_TTL_SECONDS } from '../config'
+import type { BreakdownOptions } from './options'
+
+/**
+ * 缓存的拆解结果（已校验、去重并完成多层拆解）
+ */
+export interface CachedBreakdown {
+  subtasks: BreakdownSuggestion[]
+  skipped: string[]
+  model: string
+}
+
+// 拆解结果缓存（挂在 globalThis 上，开发模式下热更新后仍然保留）
+const globalCache = globalThis as typeof globalThis & { __breakdownCache?: TTLCache<CachedBreakdown> }
+
+/**
+ * 拆解结果缓存（按 AI_CACHE_TTL_SECONDS、AI_CACHE_MAX_ENTRIES 配置）
+ */
+export function getBreakdownCache(): TTLCache<CachedBreakdown> {
+  if (!globalCache.__breakdownCache) {
+    globalCache.__breakdownCache = new TTLCache(AI_CACHE_TTL_SECONDS * 1000, AI_CACHE_MAX_ENTRIES)
+  }
+  return globalCache.__breakdownCache
+}
+
+/**
+ * 复制拆解结果，缓存中的对象不会被之后的处理修改
+ */
+function cloneBreakdown(result: CachedBreakdown): CachedBreakdown {
+  return JSON.parse(JSON.stringify(result))
+}
+
+/**
+ * 读取缓存的拆解结果（返回副本），没有或已过期时返回 undefined
+ */
+export function getCachedBreakdown(key: string): CachedBreakdown | undefined {
+  const cached = getBreakdownCache().get(key)
+  return cached && cloneBreakdown(cached)
+}
+
+/**
+ * 缓存完整的拆解结果（保存副本），之后使用缓存时与新生成的结果相同
+ */
+export function setCachedBreakdown(key: string, result: CachedBreakdown): void {
+  getBreakdownCache().set(key, cloneBreakdown(result))
+}
+
+/**
+ * 拆解结果的缓存键：规范化后的提示词（NFKC、合并空白）、服务商、模型、拆解选项和生成参数
+ * refine 模式下 refIds 也计入，缓存结果中的 task_id 只会用于同一组子任务
+ */
+export function breakdownCacheKey(
+  llm: LLMProvider,
+  messages: ChatMessage[],
+  options: BreakdownOptions,
+  { temperature, max_tokens, json }: CompletionOptions,
+  refIds: number[]
+): string {
+  const normalize = (text: string) => text.normalize('NFKC').replace(/\s+/g, ' ').trim()
+  const key = JSON.stringify({
+    provider: llm.name,
+    model: llm.model,
+    messages: messages.map(message => [message.role, normalize(message.content)]),
+    options,
+    completion: { temperature, max_tokens, json },
+    refIds
+  })
+  return crypto.createHash('sha256').update(key).digest('hex')
+}
@@ -0,0 +1,138 @@
+import type { BreakdownSuggestion } from '../../types/task'
+import type { ChatMessage, CompletionOptions, LLMProvider } from '../llm'
+import type { BreakdownOptions } from './options'
+import { buildBreakdownPrompt } from './prompt'
+import { resolveBreakdownOutput, isBreakdownOutputError } from './output'
+import type { BreakdownSubject } from './subtasks'
+
+// 两个标题相似度（字符二元组的 Dice 系数）不低于该值时视为重复
+const DUPLICATE_TITLE_SIMILARITY = 0.8
+
+/**
+ * 任务树中的节点总数
+ */
+export function countBreakdownNodes(subtasks: BreakdownSuggestion[]): number {
+  return subtasks.reduce((sum, subtask) => sum + 1 + countBreakdownNodes(subtask.subtasks || []), 0)
+}
+
+/**
+ * 多层拆解：继续拆解已生成的子任务（深度优先），直到 options.depth 层或总数达到 options.maxNodes
+ *   - roots 为第一层子任务，会被直接修改（为节点补上 subtasks）
+ *   - ancestors 为第一层子任务的上级任务标题（从顶级到被拆解的任务）
+ *   - 某个子任务的输出修正后仍不合格时，该子任务不再拆解；AI 调用失败时抛出异常
+ *   - refine 模式下细化的现有子任务（带 task_id）不继续拆解
+ *   - onSubtask 在每个新节点生成后调用，path 为节点在树中的位置（如 [0, 2] 表示第 1 个子任务的第 3 个子任务）
+ */
+export async function expandBreakdownTree(
+  llm: LLMProvider,
+  roots: BreakdownSuggestion[],
+  ancestors: string[],
+  options: BreakdownOptions,
+  completionOptions: CompletionOptions,
+  onSubtask?: (path: number[], subtask: BreakdownSuggestion) => void
+): Promise<void> {
+  let remaining = options.maxNodes - countBreakdownNodes(roots)
+  // 生成的子任务没有现有子任务，按 append 构建提示词
+  const nodeOptions: BreakdownOptions = { ...options, mode: 'append' }
+
+  const expand = async (nodes: BreakdownSuggestion[], parents: string[], path: number[], level: number) => {
+    for (let i = 0; i < nodes.length; i++) {
+      if (level >= options.depth || remaining <= 0) return
+
+      const node = nodes[i]
+      if (node.task_id) continue
+
+      const subject: BreakdownSubject = {
+        title: node.title,
+        description: node.description,
+        ancestors: parents,
+        children: [],
+        replaceable: []
+      }
+      const messages: ChatMessage[] = [{ role: 'user', content: buildBreakdownPrompt(subject, nodeOptions) }]
+      let subtasks: BreakdownSuggestion[]
+      try {
+        const completion = await llm.complete(messages, completionOptions)
+        subtasks = (await resolveBreakdownOutput(llm, messages, completion, nodeOptions, completionOptions)).subtasks
+      } catch (err) {
+        if (!isBreakdownOutputError(err)) throw err
+        console.warn(`子任务「${node.title}」的拆解结果不合格，跳过:`, err.message)
+        continue
+      }
+
+      node.subtasks = subtasks.slice(0, remaining)
+      remaining -= node.subtasks.length
+      node.subtasks.forEach((subtask, j) => onSubtask?.([...path, i, j], subtask))
+      await expand(node.subtasks, [...parents, node.title], [...path, i], level + 1)
+    }
+  }
+
+  await expand(roots, ancestors, [], 1)
+}
+
+/**
+ * 比较标题用的规范形式：统一全角半角和大小写，去掉空白和标点
+ */
+function normalizeTitle(title: string): string {
+  return title
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s`~!@#$%^&*()\-_=+[\]{}\\|;:'",.<>/?，。、；：？！“”‘’（）【】《》「」『』…—·]/g, '')
+}
+
+/**
+ * 字符二元组（长度不足 2 时为字符本身）
+ */
+function bigrams(text: string): string[] {
+  if (text.length < 2) return [text]
+  const result: string[] = []
+  for (let i = 0; i < text.length - 1; i++) {
+    result.push(text.slice(i, i + 2))
+  }
+  return result
+}
+
+/**
+ * 两个标题是否几乎相同（规范化后相等，或二元组的 Dice 系数不低于 DUPLICATE_TITLE_SIMILARITY）
+ */
+export function isSimilarTitle(a: string, b: string): boolean {
+  const x = normalizeTitle(a)
+  const y = normalizeTitle(b)
+  if (x === y) return true
+  if (!x || !y) return false
+
+  const pool = bigrams(y)
+  let shared = 0
+  bigrams(x).forEach(gram => {
+    const index = pool.indexOf(gram)
+    if (index >= 0) {
+      shared++
+      pool.splice(index, 1)
+    }
+  })
+  return (2 * shared) / (bigrams(x).length + bigrams(y).length) >= DUPLICATE_TITLE_SIMILARITY
+}
+
+/**
+ * 去掉与现有子任务或前面的步骤几乎相同的新步骤（refine 中细化现有子任务的步骤总是保留）
+ * existingTitles 为保留下来的现有子任务标题
+ */
+export function dedupeSuggestions(
+  subtasks: BreakdownSuggestion[],
+  existingTitles: string[]
+): { subtasks: BreakdownSuggestion[]; skipped: string[] } {
+  const seen = [...existingTitles, ...subtasks.filter(subtask => subtask.task_id).map(subtask => subtask.title)]
+  const skipped: string[] = []
+
+  const kept = subtasks.filter(subtask => {
+    if (subtask.task_id) return true
+    if (seen.some(title => isSimilarTitle(title, subtask.title))) {
+      skipped.push(subtask.title)
+      return false
+    }
+    seen.push(subtask.title)
+    return true
+  })
+
+  return { subtasks: kept, skipped }
+}
@@ -0,0 +1,45 @@
+/**
+ * AI 拆解
+ *   - options：拆解选项与数量限制
+ *   - prompt：提示词
+ *   - output：JSON Schema 校验、修正与流式解析
+ *   - expand：多层拆解与去重
+ *   - cache：拆解结果缓存
+ *   - subtasks：被拆解任务的上下文、确认保存的子任务校验与写入
+ */
+export {
+  BREAKDOWN_MIN_SUBTASKS,
+  BREAKDOWN_MAX_SUBTASKS,
+  BREAKDOWN_SUBTASKS_LIMIT,
+  BREAKDOWN_MAX_DEPTH,
+  BREAKDOWN_MAX_NODES,
+  BREAKDOWN_DEFAULT_MAX_NODES,
+  BREAKDOWN_MAX_TITLE_LENGTH,
+  BREAKDOWN_MIN_MINUTES,
+  BREAKDOWN_MAX_MINUTES,
+  BREAKDOWN_MODES,
+  DEFAULT_BREAKDOWN_OPTIONS,
+  parseBreakdownOptions
+} from './options'
+export type { BreakdownOptions } from './options'
+export { buildBreakdownPrompt } from './prompt'
+export {
+  BREAKDOWN_MAX_REPAIR_ATTEMPTS,
+  BreakdownOutputError,
+  isBreakdownOutputError,
+  buildBreakdownSchema,
+  validateBreakdownOutput,
+  resolveBreakdownOutput,
+  SubtaskStreamParser
+} from './output'
+export { countBreakdownNodes, expandBreakdownTree, isSimilarTitle, dedupeSuggestions } from './expand'
+export { getBreakdownCache, getCachedBreakdown, setCachedBreakdown, breakdownCacheKey } from './cache'
+export type { CachedBreakdown } from './cache'
+export {
+  loadBreakdownSubject,
+  refinableChildren,
+  keptChildren,
+  validateCommitSubtasks,
+  createBreakdownSubtasks
+} from './subtasks'
+export type { BreakdownTarget, BreakdownSubject } from './subtasks'
@@ -0,0 +1,108 @@
+import type { BreakdownGranularity, BreakdownLanguage, BreakdownMode, TaskPriority } from '../../types/task'
+import { isRecord } from '../llm/json'
+
+// 每次拆解的子任务数量：默认值和请求中 minSubtasks / maxSubtasks 的允许范围
+export const BREAKDOWN_MIN_SUBTASKS = 3
+export const BREAKDOWN_MAX_SUBTASKS = 5
+export const BREAKDOWN_SUBTASKS_LIMIT = 10
+
+// 多层拆解的最大层数，以及一次拆解（或确认保存）最多生成的任务总数
+export const BREAKDOWN_MAX_DEPTH = 3
+export const BREAKDOWN_MAX_NODES = 50
+export const BREAKDOWN_DEFAULT_MAX_NODES = 30
+
+// 子任务标题最大长度（与创建任务的限制一致）
+export const BREAKDOWN_MAX_TITLE_LENGTH = 200
+
+// 每个子任务的预计用时范围（分钟）
+export const BREAKDOWN_MIN_MINUTES = 5
+export const BREAKDOWN_MAX_MINUTES = 480
+
+export const PRIORITIES: TaskPriority[] = ['low', 'medium', 'high']
+const LANGUAGES: BreakdownLanguage[] = ['zh', 'en']
+const GRANULARITIES: BreakdownGranularity[] = ['coarse', 'detailed']
+export const BREAKDOWN_MODES: BreakdownMode[] = ['append', 'replace', 'refine']
+
+/**
+ * 拆解选项（请求体中的 mode、minSubtasks、maxSubtasks、language、granularity、depth、maxNodes）
+ *   - mode 决定如何处理已有的子任务（见 BreakdownMode）
+ *   - granularity 为 null 时不限定步骤粒度
+ *   - depth > 1 时继续拆解生成的子任务，总数不超过 maxNodes
+ */
+export interface BreakdownOptions {
+  mode: BreakdownMode
+  minSubtasks: number
+  maxSubtasks: number
+  language: BreakdownLanguage
+  granularity: BreakdownGranularity | null
+  depth: number
+  maxNodes: number
+}
+
+export const DEFAULT_BREAKDOWN_OPTIONS: BreakdownOptions = {
+  mode: 'append',
+  minSubtasks: BREAKDOWN_MIN_SUBTASKS,
+  maxSubtasks: BREAKDOWN_MAX_SUBTASKS,
+  language: 'zh',
+  granularity: null,
+  depth: 1,
+  maxNodes: BREAKDOWN_DEFAULT_MAX_NODES
+}
+
+/**
+ * 解析请求体中的拆解选项（未提供的使用默认值）
+ */
+export function parseBreakdownOptions(body: unknown): { options: BreakdownOptions; errors: string[] } {
+  const errors: string[] = []
+  const options = { ...DEFAULT_BREAKDOWN_OPTIONS }
+  const input = isRecord(body) ? body : {}
+
+  const readInt = (key: 'minSubtasks' | 'maxSubtasks' | 'depth' | 'maxNodes', min: number, max: number) => {
+    const value = input[key]
+    if (value === undefined || value === null) return
+    if (typeof value !== 'number' || !Number.isInteger(value) || value < min || value > max) {
+      errors.push(`${key} 必须是 ${min}-${max} 之间的整数`)
+    } else {
+      options[key] = value
+    }
+  }
+  readInt('minSubtasks', 1, BREAKDOWN_SUBTASKS_LIMIT)
+  readInt('maxSubtasks', 1, BREAKDOWN_SUBTASKS_LIMIT)
+  readInt('depth', 1, BREAKDOWN_MAX_DEPTH)
+  readInt('maxNodes', 1, BREAKDOWN_MAX_NODES)
+
+  // 只指定一端时，另一端随之调整
+  if (input.minSubtasks !== undefined && input.maxSubtasks === undefined) {
+    options.maxSubtasks = Math.max(options.maxSubtasks, options.minSubtasks)
+  } else if (input.maxSubtasks !== undefined && input.minSubtasks === undefined) {
+    options.minSubtasks = Math.min(options.minSubtasks, options.maxSubtasks)
+  } else if (options.minSubtasks > options.maxSubtasks) {
+    errors.push('minSubtasks 不能大于 maxSubtasks')
+  }
+
+  if (input.mode !== undefined && input.mode !== null) {
+    if (!BREAKDOWN_MODES.includes(input.mode as BreakdownMode)) {
+      errors.push(`mode 必须是 ${BREAKDOWN_MODES.join('、')}`)
+    } else {
+      options.mode = input.mode as BreakdownMode
+    }
+  }
+
+  if (input.language !== undefined && input.language !== null) {
+    if (!LANGUAGES.includes(input.language as BreakdownLanguage)) {
+      errors.push(`language 必须是 ${LANGUAGES.join('、')}`)
+    } else {
+      options.language = input.language as BreakdownLanguage
+    }
+  }
+
+  if (input.granularity !== undefined && input.granularity !== null) {
+    if (!GRANULARITIES.includes(input.granularity as BreakdownGranularity)) {
+      errors.push(`granularity 必须是 ${GRANULARITIES.join('、')} 或 null`)
+    } else {
+      options.granularity = input.granularity as BreakdownGranularity
+    }
+  }
+
+  return { options, errors }
+}
@@ -0,0 +1,215 @@
+import type { BreakdownLanguage, BreakdownSuggestion, TaskPriority } from '../../types/task'
+import type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider } from '../llm'
+import { parseJSONOutput, isRecord } from '../llm/json'
+import {
+  BREAKDOWN_MAX_SUBTASKS,
+  BREAKDOWN_MAX_TITLE_LENGTH,
+  BREAKDOWN_MIN_MINUTES,
+  BREAKDOWN_MAX_MINUTES,
+  PRIORITIES
+} from './options'
+import type { BreakdownOptions } from './options'
+
+// AI 输出不符合 schema 时，把错误发回给模型要求修正的最多次数
+export const BREAKDOWN_MAX_REPAIR_ATTEMPTS = 2
+
+// 要求修正输出时发给模型的说明（随拆解语言变化）
+const REPAIR_TEXT: Record<BreakdownLanguage, (errors: string) => string> = {
+  zh: errors => `上面的输出不符合要求：\n${errors}\n请修正后重新输出，只返回符合 JSON Schema 的 JSON 对象。`,
+  en: errors => `The output above is invalid:\n${errors}\nFix it and reply with only a JSON object matching the JSON Schema.`
+}
+
+/**
+ * 要求 AI 输出的 JSON Schema（步骤数量由选项决定）
+ * refCount > 0 时（refine 模式）每个步骤可以用 ref 指明它细化的是第几个现有子任务
+ */
+export function buildBreakdownSchema({ minSubtasks, maxSubtasks }: BreakdownOptions, refCount = 0) {
+  const ref = refCount > 0 ? { ref: { type: ['integer', 'null'], minimum: 1, maximum: refCount } } : {}
+  return {
+    type: 'object',
+    required: ['subtasks'],
+    properties: {
+      subtasks: {
+        type: 'array',
+        minItems: minSubtasks,
+        maxItems: maxSubtasks,
+        items: {
+          type: 'object',
+          required: ['title', 'priority', 'estimated_minutes'],
+          properties: {
+            title: { type: 'string', minLength: 1, maxLength: BREAKDOWN_MAX_TITLE_LENGTH },
+            description: { type: ['string', 'null'], maxLength: 1000 },
+            priority: { type: 'string', enum: PRIORITIES },
+            estimated_minutes: { type: 'integer', minimum: BREAKDOWN_MIN_MINUTES, maximum: BREAKDOWN_MAX_MINUTES },
+            ...ref
+          }
+        }
+      }
+    }
+  }
+}
+
+/**
+ * AI 输出在修正后仍不符合 schema
+ */
+export class BreakdownOutputError extends Error {
+  errors: string[]
+
+  constructor(errors: string[]) {
+    super(`AI 返回的子任务不符合要求：${errors.join('；')}`)
+    this.name = 'BreakdownOutputError'
+    this.errors = errors
+  }
+}
+
+/**
+ * 判断是否为 BreakdownOutputError（按 name 判断，与 isLLMError 相同）
+ */
+export function isBreakdownOutputError(error: unknown): error is BreakdownOutputError {
+  return error instanceof Error && error.name === 'BreakdownOutputError'
+}
+
+/**
+ * 按 buildBreakdownSchema 校验 AI 的输出，返回子任务或错误列表
+ * refIds 为 refine 模式下可以细化的子任务 ID，步骤的 ref 转换为对应的 task_id
+ */
+export function validateBreakdownOutput(
+  content: string,
+  { minSubtasks, maxSubtasks }: BreakdownOptions,
+  refIds: number[] = []
+): { subtasks: BreakdownSuggestion[]; errors: string[] } {
+  const parsed = parseJSONOutput(content)
+  if (parsed === undefined) {
+    return { subtasks: [], errors: ['输出不是合法的 JSON'] }
+  }
+  if (!isRecord(parsed) || !Array.isArray(parsed.subtasks)) {
+    return { subtasks: [], errors: ['输出必须是包含 subtasks 数组的 JSON 对象'] }
+  }
+
+  const errors: string[] = []
+  const usedRefs = new Set<number>()
+  const items: unknown[] = parsed.subtasks
+  if (items.length < minSubtasks || items.length > maxSubtasks) {
+    errors.push(`subtasks 必须包含 ${minSubtasks}-${maxSubtasks} 个步骤，实际 ${items.length} 个`)
+  }
+
+  const subtasks = items.map((item, i) => {
+    const path = `subtasks[${i}]`
+    if (!isRecord(item)) {
+      errors.push(`${path} 必须是对象`)
+      return null
+    }
+    const { title, description, priority, estimated_minutes: minutes } = item
+    if (typeof title !== 'string' || !title.trim() || title.trim().length > BREAKDOWN_MAX_TITLE_LENGTH) {
+      errors.push(`${path}.title 必须是 1-${BREAKDOWN_MAX_TITLE_LENGTH} 个字符的字符串`)
+    }
+    if (description !== undefined && description !== null &&
+      (typeof description !== 'string' || description.length > 1000)) {
+      errors.push(`${path}.description 必须是不超过 1000 个字符的字符串或 null`)
+    }
+    if (!PRIORITIES.includes(priority as TaskPriority)) {
+      errors.push(`${path}.priority 必须是 ${PRIORITIES.join('、')} 之一`)
+    }
+    if (typeof minutes !== 'number' || !Number.isInteger(minutes) ||
+      minutes < BREAKDOWN_MIN_MINUTES || minutes > BREAKDOWN_MAX_MINUTES) {
+      errors.push(`${path}.estimated_minutes 必须是 ${BREAKDOWN_MIN_MINUTES}-${BREAKDOWN_MAX_MINUTES} 之间的整数`)
+    }
+    const rawRef = item.ref === undefined ? null : item.ref
+    const ref = typeof rawRef === 'number' && Number.isInteger(rawRef) && rawRef >= 1 && rawRef <= refIds.length
+      ? rawRef
+      : null
+    if (rawRef !== null && ref === null) {
+      errors.push(refIds.length > 0 ? `${path}.ref 必须是 1-${refIds.length} 之间的整数或 null` : `${path} 不能包含 ref`)
+    } else if (ref !== null && usedRefs.has(ref)) {
+      errors.push(`${path}.ref 与前面的步骤重复（每个现有子任务只能细化一次）`)
+    } else if (ref !== null) {
+      usedRefs.add(ref)
+    }
+
+    // 有错误时整体返回错误列表，下面的类型断言只在校验通过时生效
+    const subtask: BreakdownSuggestion = {
+      title: String(title).trim(),
+      description: typeof description === 'string' && description.trim() ? description.trim() : null,
+      priority: priority as TaskPriority,
+      estimated_minutes: minutes as number
+    }
+    if (refIds.length > 0) {
+      subtask.task_id = ref === null ? null : refIds[ref - 1]
+    }
+    return subtask
+  })
+
+  return errors.length > 0 ? { subtasks: [], errors } : { subtasks: subtasks as BreakdownSuggestion[], errors }
+}
+
+/**
+ * 校验 AI 的输出，不符合 schema 时把错误发回给模型要求修正（最多 BREAKDOWN_MAX_REPAIR_ATTEMPTS 次）
+ * 仍不符合时抛出 BreakdownOutputError
+ *   - refIds：与构建提示词时相同（见 validateBreakdownOutput）
+ *   - onRepair：每次修正前调用
+ */
+export async function resolveBreakdownOutput(
+  llm: LLMProvider,
+  messages: ChatMessage[],
+  completion: CompletionResult,
+  options: BreakdownOptions,
+  completionOptions: CompletionOptions,
+  { refIds = [], onRepair }: { refIds?: number[]; onRepair?: (errors: string[]) => void } = {}
+): Promise<{ subtasks: BreakdownSuggestion[]; model: string }> {
+  let conversation = messages
+  let current = completion
+
+  for (let attempt = 0; ; attempt++) {
+    const { subtasks, errors } = validateBreakdownOutput(current.content, options, refIds)
+    if (errors.length === 0) {
+      return { subtasks, model: current.model }
+    }
+
+    console.warn(`AI 输出不符合 schema（第 ${attempt + 1} 次）:`, errors, current.content.substring(0, 200))
+    if (attempt >= BREAKDOWN_MAX_REPAIR_ATTEMPTS) {
+      throw new BreakdownOutputError(errors)
+    }
+
+    onRepair?.(errors)
+    conversation = [
+      ...conversation,
+      { role: 'assistant', content: current.content },
+      { role: 'user', content: REPAIR_TEXT[options.language](errors.map(error => `- ${error}`).join('\n')) }
+    ]
+    current = await llm.complete(conversation, completionOptions)
+  }
+}
+
+/**
+ * 流式拆解时逐步解析子任务：每个子任务的 title 完整输出后立即返回
+ * 结束后以 resolveBreakdownOutput 校验后的结果为准
+ */
+export class SubtaskStreamParser {
+  private buffer = ''
+  private emitted = 0
+
+  constructor(private maxSubtasks: number = BREAKDOWN_MAX_SUBTASKS) {}
+
+  /**
+   * 追加一段输出，返回新完成的子任务标题
+   */
+  push(delta: string): string[] {
+    this.buffer += delta
+
+    const titles: string[] = []
+    const pattern = /"title"\s*:\s*("(?:[^"\\]|\\.)*")/g
+    let match: RegExpExecArray | null
+    while ((match = pattern.exec(this.buffer)) !== null) {
+      try {
+        const title = (JSON.parse(match[1]) as string).trim()
+        if (title) titles.push(title)
+      } catch (err) {
+        // 不完整的转义序列，等待后续内容
+      }
+    }
+
+    const completed = titles.slice(this.emitted, this.maxSubtasks)
+    this.emitted += completed.length
+    return completed
+  }
+}
@@ -0,0 +1,125 @@
+import type { BreakdownGranularity, BreakdownLanguage, BreakdownMode, Task } from '../../types/task'
+import type { BreakdownOptions } from './options'
+import { buildBreakdownSchema } from './output'
+import type { BreakdownSubject } from './subtasks'
+
+// 提示词中最多列出的现有子任务数量
+const PROMPT_MAX_CHILDREN = 30
+
+// 提示词中随语言变化的文字
+const PROMPT_TEXT: Record<BreakdownLanguage, {
+  intro: (count: string) => string
+  rules: string[]
+  granularity: Record<BreakdownGranularity, string>
+  ancestors: (path: string) => string
+  existing: Record<BreakdownMode, string>
+  children: Record<BreakdownMode, string>
+  replaced: string
+  completed: string
+  task: string
+  description: string
+  schema: string
+}> = {
+  zh: {
+    intro: count => `请将以下任务拆解成 ${count} 个具体可执行的小步骤。要求：`,
+    rules: [
+      '每个步骤应该是具体、可操作的',
+      '步骤之间要有逻辑顺序',
+      '为每个步骤给出建议的优先级（low、medium、high）和预计用时（分钟），需要时补充简短说明',
+      '只返回一个符合下方 JSON Schema 的 JSON 对象，不要其他文字说明'
+    ],
+    granularity: {
+      coarse: '步骤粒度较粗：每个步骤是一个阶段性的里程碑，通常需要 1-4 小时',
+      detailed: '步骤粒度较细：每个步骤是可以立即开始的具体动作，通常不超过 30 分钟'
+    },
+    ancestors: path => `该任务属于：${path}，步骤只需覆盖该任务本身`,
+    existing: {
+      append: '该任务已有下方列出的子任务，只补充它们没有覆盖的步骤，不要重复',
+      replace: '下方列出的已完成子任务会保留，其余子任务将被替换：给出完成该任务还需要的步骤，不要重复已完成的子任务',
+      refine: '改进下方编号的未完成子任务：让标题更具体，补充说明、优先级和预计用时，必要时补充缺少的步骤。' +
+        '改进已有子任务时在 ref 中填写它的编号，新增的步骤 ref 为 null'
+    },
+    children: { append: '已有的子任务：', replace: '保留的子任务：', refine: '现有的子任务：' },
+    replaced: '将被替换的子任务：',
+    completed: '已完成',
+    task: '任务：',
+    description: '任务说明：',
+    schema: 'JSON Schema：'
+  },
+  en: {
+    intro: count => `Break the following task down into ${count} concrete, actionable steps. Requirements:`,
+    rules: [
+      'Each step must be specific and actionable',
+      'Steps must follow a logical order',
+      'Give each step a suggested priority (low, medium, high) and an estimate in minutes; add a short description when useful',
+      'Write all text in English and return only one JSON object matching the JSON Schema below, with no other text'
+    ],
+    granularity: {
+      coarse: 'Use coarse steps: each step is a milestone that usually takes 1-4 hours',
+      detailed: 'Use detailed steps: each step is a concrete action that can start right away and takes at most 30 minutes'
+    },
+    ancestors: path => `This task is part of: ${path}. The steps should only cover this task itself`,
+    existing: {
+      append: 'The task already has the subtasks listed below. Only add steps they do not cover, without repeating them',
+      replace: 'The completed subtasks listed below are kept and the others will be replaced. ' +
+        'Give the steps still needed to finish the task, without repeating completed subtasks',
+      refine: 'Improve the numbered unfinished subtasks below: make titles more specific and fill in descriptions, ' +
+        'priorities and estimates, adding missing steps if needed. Set ref to the number of the subtask a step improves, or null for a new step'
+    },
+    children: { append: 'Existing subtasks:', replace: 'Subtasks to keep:', refine: 'Current subtasks:' },
+    replaced: 'Subtasks to be replaced:',
+    completed: 'done',
+    task: 'Task: ',
+    description: 'Task description: ',
+    schema: 'JSON Schema:'
+  }
+}
+
+/**
+ * 提示词中现有子任务的列表：refine 模式下未完成的子任务带编号（对应 ref），replace 模式下只列出保留的子任务
+ */
+function describeChildren(subject: BreakdownSubject, mode: BreakdownMode, refIds: number[], completedLabel: string): string[] {
+  const children = subject.children.slice(0, PROMPT_MAX_CHILDREN)
+  const label = (task: Task) => task.status === 'completed' ? `${task.title}（${completedLabel}）` : task.title
+
+  if (mode === 'refine') {
+    return children.map(task => {
+      const ref = refIds.indexOf(task.id)
+      return ref >= 0 ? `${ref + 1}. ${task.title}` : `- ${label(task)}`
+    })
+  }
+  if (mode === 'replace') {
+    return children.filter(task => !subject.replaceable.includes(task)).map(task => `- ${label(task)}`)
+  }
+  return children.map(task => `- ${label(task)}`)
+}
+
+/**
+ * 构建拆解任务的提示词：包含任务说明、上级任务和现有子任务（按 options.mode 说明如何处理）
+ * refIds 为 refine 模式下可以细化的子任务 ID，提示词中的编号为其下标 + 1
+ */
+export function buildBreakdownPrompt(subject: BreakdownSubject, options: BreakdownOptions, refIds: number[] = []): string {
+  const text = PROMPT_TEXT[options.language]
+  const count = options.minSubtasks === options.maxSubtasks
+    ? String(options.minSubtasks)
+    : `${options.minSubtasks}-${options.maxSubtasks}`
+  const { title, description, ancestors } = subject
+  const children = describeChildren(subject, options.mode, refIds, text.completed)
+  const replaced = options.mode === 'replace' ? subject.replaceable.map(task => `- ${task.title}`) : []
+  const rules = [
+    ...text.rules.slice(0, 2),
+    ...(options.granularity ? [text.granularity[options.granularity]] : []),
+    ...(ancestors.length > 0 ? [text.ancestors(ancestors.map(ancestor => `「${ancestor}」`).join(' > '))] : []),
+    ...(children.length > 0 || replaced.length > 0 ? [text.existing[options.mode]] : []),
+    ...text.rules.slice(2)
+  ]
+
+  const sections = [
+    `${text.intro(count)}\n${rules.map((rule, i) => `${i + 1}. ${rule}`).join('\n')}`,
+    `${text.task}${title}${description ? `\n${text.description}${description}` : ''}`,
+    ...(children.length > 0 ? [`${text.children[options.mode]}\n${children.join('\n')}`] : []),
+    ...(replaced.length > 0 ? [`${text.replaced}\n${replaced.join('\n')}`] : []),
+    `${text.schema}\n${JSON.stringify(buildBreakdownSchema(options, refIds.length), null, 2)}`
+  ]
+  return sections.join('\n\n')
+}
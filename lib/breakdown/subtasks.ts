@@ -0,0 +1,250 @@
+import type { BreakdownMode, BreakdownSuggestion, Task, TaskPriority } from '../../types/task'
+import type { AuthSession, Repositories, TaskEventInput, TaskRepository, TaskTreeInput } from '../repository'
+import { userActor, createdEvents, updateEvents, deletedEvents, recordEvents } from '../history'
+import type { TaskActor } from '../history'
+import { isRecord } from '../llm/json'
+import { BREAKDOWN_MAX_NODES, BREAKDOWN_MAX_TITLE_LENGTH, PRIORITIES } from './options'
+
+/**
+ * 被拆解的任务：parent_id 为 null 时子任务创建为顶层任务
+ */
+export interface BreakdownTarget {
+  parent_id: number | null
+  title: string
+}
+
+/**
+ * 被拆解任务的上下文（写入提示词）
+ */
+export interface BreakdownSubject {
+  title: string
+  description: string | null
+  // 上级任务标题（从顶级到直接父任务）
+  ancestors: string[]
+  // 现有的直接子任务（按创建时间正序）
+  children: Task[]
+  // replace 模式下会被替换的子任务：未完成，且后代中没有已完成的任务
+  replaceable: Task[]
+}
+
+/**
+ * 读取被拆解任务的上下文：上级任务、现有子任务，以及 replace 模式下可以替换的子任务
+ */
+export async function loadBreakdownSubject(tasks: TaskRepository, task: Task): Promise<BreakdownSubject> {
+  const [ancestors, children] = await Promise.all([tasks.getAncestors(task.id), tasks.getChildren([task.id])])
+
+  // 未完成的子任务中，后代里有已完成任务的不替换（避免连同已完成的后代一起移到回收站）
+  const pending = children.filter(child => child.status !== 'completed')
+  const descendants = pending.length > 0 ? await tasks.getSubtree(pending.map(child => child.id)) : []
+  const parentOf = new Map(descendants.map(descendant => [descendant.id, descendant.parent_id]))
+  const protectedIds = new Set<number>()
+  descendants.filter(descendant => descendant.status === 'completed').forEach(descendant => {
+    let id: number | null | undefined = descendant.parent_id
+    while (id !== null && id !== undefined && id !== task.id) {
+      protectedIds.add(id)
+      id = parentOf.get(id)
+    }
+  })
+
+  return {
+    title: task.title,
+    description: task.description,
+    ancestors: ancestors.map(ancestor => ancestor.title),
+    children,
+    replaceable: pending.filter(child => !protectedIds.has(child.id))
+  }
+}
+
+/**
+ * refine 模式下可以细化的子任务（未完成的直接子任务），其 ID 顺序即提示词中的编号
+ */
+export function refinableChildren(subject: BreakdownSubject): Task[] {
+  return subject.children.filter(child => child.status !== 'completed')
+}
+
+/**
+ * 按 mode 保留下来的现有子任务（新步骤需要与它们去重）
+ */
+export function keptChildren(subject: BreakdownSubject, mode: BreakdownMode): Task[] {
+  return mode === 'replace'
+    ? subject.children.filter(child => !subject.replaceable.includes(child))
+    : subject.children
+}
+
+/**
+ * 校验并规范化用户确认的子任务树
+ * 每项为标题字符串，或带描述、优先级、预计用时和下一层 subtasks 的对象，总数不超过 BREAKDOWN_MAX_NODES
+ * 第一层的对象可以带 task_id（refine 模式下细化的现有子任务，不能再带 subtasks），是否可以细化由调用方检查
+ */
+export function validateCommitSubtasks(input: unknown): { subtasks: BreakdownSuggestion[]; error: string | null } {
+  let count = 0
+
+  const validate = (items: unknown, path: string, level: number): BreakdownSuggestion[] => {
+    if (!Array.isArray(items) || items.length === 0) {
+      throw new Error(`${path} 必须是非空数组`)
+    }
+
+    return items.map((raw: unknown, i) => {
+      const itemPath = `${path}[${i}]`
+      const item: unknown = typeof raw === 'string' ? { title: raw } : raw
+      if (!isRecord(item)) {
+        throw new Error(`${itemPath} 必须是字符串或对象`)
+      }
+      if (++count > BREAKDOWN_MAX_NODES) {
+        throw new Error(`一次最多保存 ${BREAKDOWN_MAX_NODES} 个子任务`)
+      }
+
+      const { title, description = null, priority = 'medium', estimated_minutes = null } = item
+      if (typeof title !== 'string' || title.trim().length === 0) {
+        throw new Error(`${itemPath} 的标题必须是非空字符串`)
+      }
+      if (title.trim().length > BREAKDOWN_MAX_TITLE_LENGTH) {
+        throw new Error(`${itemPath} 的标题长度不能超过 ${BREAKDOWN_MAX_TITLE_LENGTH} 字符`)
+      }
+      if (description !== null && (typeof description !== 'string' || description.length > 1000)) {
+        throw new Error(`${itemPath}.description 必须是不超过 1000 字符的字符串或 null`)
+      }
+      if (!PRIORITIES.includes(priority as TaskPriority)) {
+        throw new Error(`${itemPath}.priority 必须是 ${PRIORITIES.join('、')}`)
+      }
+      if (estimated_minutes !== null && (typeof estimated_minutes !== 'number' ||
+        !Number.isInteger(estimated_minutes) || estimated_minutes < 1 || estimated_minutes > 10080)) {
+        throw new Error(`${itemPath}.estimated_minutes 必须是 1-10080 之间的整数或 null`)
+      }
+
+      const subtask: BreakdownSuggestion = {
+        title: title.trim(),
+        description: typeof description === 'string' ? description.trim() || null : null,
+        priority: priority as TaskPriority,
+        estimated_minutes
+      }
+      const taskId = item.task_id
+      if (taskId !== undefined && taskId !== null) {
+        if (level > 0) {
+          throw new Error(`${itemPath} 不能包含 task_id（只能细化第一层的子任务）`)
+        }
+        if (typeof taskId !== 'number' || !Number.isInteger(taskId) || taskId <= 0) {
+          throw new Error(`${itemPath}.task_id 必须是正整数或 null`)
+        }
+        if (Array.isArray(item.subtasks) && item.subtasks.length > 0) {
+          throw new Error(`${itemPath} 细化现有子任务时不能包含 subtasks`)
+        }
+        subtask.task_id = taskId
+      }
+      if (Array.isArray(item.subtasks) && item.subtasks.length > 0) {
+        subtask.subtasks = validate(item.subtasks, `${itemPath}.subtasks`, level + 1)
+      } else if (item.subtasks !== undefined && item.subtasks !== null && !Array.isArray(item.subtasks)) {
+        throw new Error(`${itemPath}.subtasks 必须是数组`)
+      }
+      return subtask
+    })
+  }
+
+  try {
+    return { subtasks: validate(input, 'subtasks', 0), error: null }
+  } catch (err) {
+    return { subtasks: [], error: (err as Error).message }
+  }
+}
+
+/**
+ * 将建议的子任务树转换为 insertTree 的输入
+ */
+function toTreeInput(subtasks: BreakdownSuggestion[]): TaskTreeInput[] {
+  return subtasks.map(subtask => ({
+    title: subtask.title,
+    description: subtask.description,
+    status: 'pending' as const,
+    priority: subtask.priority,
+    start_at: null,
+    due_at: null,
+    recurrence: null,
+    estimated_minutes: subtask.estimated_minutes,
+    subtasks: subtask.subtasks && subtask.subtasks.length > 0 ? toTreeInput(subtask.subtasks) : undefined
+  }))
+}
+
+/**
+ * 各任务的 breakdown 事件：被拆解的任务和树中每个有子任务的节点各记录一条
+ */
+function breakdownEvents(parentId: number | null, children: Task[], actor: TaskActor, note: string): TaskEventInput[] {
+  return [
+    ...(parentId !== null
+      ? [{
+          task_id: parentId,
+          type: 'breakdown' as const,
+          ...actor,
+          changes: { subtasks: { before: null, after: children.map(task => task.title) } },
+          note
+        }]
+      : []),
+    ...children.flatMap(task => task.subtasks && task.subtasks.length > 0
+      ? breakdownEvents(task.id, task.subtasks, actor, note)
+      : [])
+  ]
+}
+
+/**
+ * 在被拆解的任务下写入拆解结果，并记录历史
+ *   - 新步骤作为子任务树一次写入（parent_id 逐层关联），created 事件由 subtaskActor 记录（直接写入时为 AI，确认预览后保存时为用户）
+ *   - replace：先将 subject.replaceable 中的子任务（连同后代）移到回收站，已完成的子任务不受影响
+ *   - refine：带 task_id 的步骤更新对应的未完成子任务（标题、描述、优先级、预计用时）
+ *   - 被拆解的任务记录一条 breakdown 事件（操作者为当前用户），多层拆解时每个被继续拆解的子任务同样记录
+ *   - 返回新建和细化的第一层子任务（按步骤顺序），新建任务的下层子任务在 subtasks 中
+ */
+export async function createBreakdownSubtasks(
+  { tasks, events }: Repositories,
+  session: AuthSession,
+  target: BreakdownTarget,
+  subtasks: BreakdownSuggestion[],
+  subtaskActor: TaskActor,
+  note: string,
+  { mode = 'append', subject = null }: { mode?: BreakdownMode; subject?: BreakdownSubject | null } = {}
+): Promise<Task[]> {
+  const actor = userActor(session)
+  const eventInputs: TaskEventInput[] = []
+
+  if (mode === 'replace' && subject && subject.replaceable.length > 0) {
+    const replacedIds = subject.replaceable.map(task => task.id)
+    const trashed = await tasks.trash(replacedIds)
+    eventInputs.push(
+      ...deletedEvents(trashed.filter(task => replacedIds.includes(task.id)), actor, `${note}，替换原有的未完成子任务`),
+      ...deletedEvents(trashed.filter(task => !replacedIds.includes(task.id)), actor, '随被替换的子任务一起移到回收站')
+    )
+  }
+
+  const refinable = mode === 'refine' && subject ? refinableChildren(subject) : []
+  const refined = new Map<number, Task>()
+  for (const subtask of subtasks) {
+    const before = subtask.task_id ? refinable.find(task => task.id === subtask.task_id) : undefined
+    if (!before) continue
+
+    const after = await tasks.update(before.id, {
+      title: subtask.title,
+      description: subtask.description,
+      priority: subtask.priority,
+      estimated_minutes: subtask.estimated_minutes
+    })
+    if (after) {
+      refined.set(before.id, after)
+      eventInputs.push(...updateEvents(before, after, subtaskActor, note))
+    }
+  }
+
+  const added = subtasks.filter(subtask => !subtask.task_id)
+  const createdTasks = added.length > 0 ? await tasks.insertTree(target.parent_id, toTreeInput(added)) : []
+
+  // 按步骤顺序合并细化和新建的子任务
+  let nextCreated = 0
+  const resultTasks = subtasks
+    .map(subtask => subtask.task_id ? refined.get(subtask.task_id) : createdTasks[nextCreated++])
+    .filter((task): task is Task => Boolean(task))
+
+  if (resultTasks.length > 0) {
+    eventInputs.push(...breakdownEvents(target.parent_id, resultTasks, actor, note))
+  }
+  eventInputs.push(...createdEvents(createdTasks, subtaskActor, note))
+  await recordEvents(events, eventInputs)
+
+  return resultTasks
+}
@@ -0,0 +1,32 @@
+/**
+ * 带过期时间的 LRU 缓存（保存在进程内存中，重启后清空）
+ * ttlMs 或 maxEntries 为 0 时不缓存
+ */
+export class TTLCache<T> {
+  private entries = new Map<string, { value: T; expiresAt: number }>()
+
+  constructor(private ttlMs: number, private maxEntries: number) {}
+
+  get(key: string): T | undefined {
+    const entry = this.entries.get(key)
+    if (!entry) return undefined
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key)
+      return undefined
+    }
+    // 移到末尾，表示最近使用
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return entry.value
+  }
+
+  set(key: string, value: T): void {
+    if (this.ttlMs <= 0 || this.maxEntries <= 0) return
+    this.entries.delete(key)
+    this.entries.set(key, { value, expiresAt: Date.now() + this.ttlMs })
+    // 超出条数时淘汰最久未使用的条目
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value as string)
+    }
+  }
+}
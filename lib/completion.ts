@@ -0,0 +1,76 @@
+import type { Task } from '../types/task'
+import type { TaskEventInput, TaskRepository } from './repository'
+import { RECURRENCE_ACTOR, createdEvents, updateEvents } from './history'
+import type { TaskActor } from './history'
+import { spawnNextOccurrence } from './recurrence'
+
+/**
+ * 完成任务后的处理结果
+ *   - tasks：刚完成的任务，descendants：一并完成的后代任务（都不再带有重复规则）
+ *   - nextOccurrences：重复任务生成的下一次任务（键为生成它的任务 ID）
+ *   - events：后代任务的状态变更和下一次任务的创建事件（刚完成的任务本身的事件由调用方记录）
+ */
+export interface CompletionResult {
+  tasks: Task[]
+  descendants: Task[]
+  nextOccurrences: Map<number, Task>
+  events: TaskEventInput[]
+}
+
+/**
+ * 任务标记为完成后的处理（PATCH /api/tasks/[id] 与批量完成共用）
+ * completed 为刚从未完成变为完成的任务（更新后的值）
+ *   - 未完成的后代任务一并完成，各自记录状态变更
+ *   - 其中的重复任务（包括一并完成的后代任务）按从上到下的顺序生成下一次任务；
+ *     上级任务已经生成时，后代任务连同重复规则已随上级复制，不再单独生成
+ */
+export async function completeTasks(tasks: TaskRepository, completed: Task[], actor: TaskActor): Promise<CompletionResult> {
+  const rootIds = completed.map(task => task.id)
+  const subtree = rootIds.length > 0 ? await tasks.getSubtree(rootIds) : []
+  const pending = subtree.filter(task => task.status !== 'completed')
+  const descendants = pending.length > 0
+    ? await tasks.updateMany(pending.map(task => task.id), { status: 'completed' })
+    : []
+
+  const byId = new Map<number, Task>([...subtree, ...completed, ...descendants].map(task => [task.id, task]))
+  const rootIdSet = new Set(rootIds)
+  const ancestorsOf = (task: Task) => {
+    const ancestors: number[] = []
+    for (let parent = byId.get(task.parent_id as number); parent; parent = byId.get(parent.parent_id as number)) {
+      ancestors.push(parent.id)
+    }
+    return ancestors
+  }
+
+  const beforeById = new Map(pending.map(task => [task.id, task]))
+  const events = descendants.flatMap(task => {
+    const before = beforeById.get(task.id)
+    const rootId = ancestorsOf(task).find(id => rootIdSet.has(id))
+    return before ? updateEvents(before, task, actor, `随父任务 #${rootId} 一起完成`) : []
+  })
+
+  const recurring = [...completed, ...descendants]
+    .filter(task => task.recurrence)
+    .map(task => ({ task, ancestors: ancestorsOf(task) }))
+    .sort((a, b) => a.ancestors.length - b.ancestors.length)
+  const nextOccurrences = new Map<number, Task>()
+  const copiedWithAncestor = (ancestors: number[]) => ancestors.some(id => nextOccurrences.has(id))
+  for (const { task, ancestors } of recurring) {
+    if (copiedWithAncestor(ancestors)) continue
+    const nextOccurrence = await spawnNextOccurrence(tasks, task)
+    if (nextOccurrence) {
+      nextOccurrences.set(task.id, nextOccurrence)
+      events.push(...createdEvents([nextOccurrence], RECURRENCE_ACTOR, `由重复任务 #${task.id} 自动生成`))
+    }
+  }
+
+  // 重复规则都已转移到下一次任务（或系列已结束），完成的任务不再带有规则
+  const settle = (task: Task) => (task.recurrence ? { ...task, recurrence: null } : task)
+
+  return {
+    tasks: completed.map(settle),
+    descendants: descendants.map(settle),
+    nextOccurrences,
+    events
+  }
+}
@@ -4,16 +4,112 @@
 export const DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY
 export const DEEPSEEK_API_BASE_URL = process.env.DEEPSEEK_API_URL || 'https://sg.uiuiapi.com/v1'
 
+/**
+ * 读取数字类型的环境变量（未设置或格式错误时使用默认值）
+ */
+function envNumber(name: string, defaultValue: number): number {
+  const value = process.env[name]
+  if (value === undefined || value.trim() === '' || isNaN(Number(value))) return defaultValue
+  return Number(value)
+}
 
+/**
+ * 单个 LLM 服务商的配置
+ */
+export interface LLMProviderConfig {
+  model: string
+  baseUrl: string
+  apiKey: string | undefined
+  // 单次请求超时（毫秒）
+  timeoutMs: number
+  // 失败后的重试次数（只重试超时、限流、5xx 等可恢复的错误）
+  maxRetries: number
+  // 首次重试前的等待时间（毫秒），之后每次翻倍
+  retryBackoffMs: number
+}
 
+/**
+ * 按前缀读取服务商配置：LLM_<前缀>_MODEL、_BASE_URL、_API_KEY、_TIMEOUT_MS、_MAX_RETRIES、_RETRY_BACKOFF_MS
+ */
+function readLLMProviderConfig(prefix: string, defaults: LLMProviderConfig): LLMProviderConfig {
+  const env = (name: string) => process.env[`LLM_${prefix}_${name}`]
+  return {
+    model: env('MODEL') || defaults.model,
+    baseUrl: env('BASE_URL') || defaults.baseUrl,
+    apiKey: env('API_KEY') || defaults.apiKey,
+    timeoutMs: envNumber(`LLM_${prefix}_TIMEOUT_MS`, defaults.timeoutMs),
+    maxRetries: envNumber(`LLM_${prefix}_MAX_RETRIES`, defaults.maxRetries),
+    retryBackoffMs: envNumber(`LLM_${prefix}_RETRY_BACKOFF_MS`, defaults.retryBackoffMs)
+  }
+}
 
+/**
+ * LLM 配置（用于 AI 拆解任务）
+ * - openai：OpenAI 兼容接口（默认，使用上方 DeepSeek 配置）
+ * - ollama：本地 Ollama 服务
+ * - mock：固定返回的模拟服务，不访问网络，适合测试和离线开发
+ */
+export const LLM_PROVIDER = process.env.LLM_PROVIDER || 'openai'
+export const LLM_PROVIDERS: Record<string, LLMProviderConfig> = {
+  openai: readLLMProviderConfig('OPENAI', {
+    model: 'deepseek-chat',
+    baseUrl: DEEPSEEK_API_BASE_URL,
+    apiKey: DEEPSEEK_API_KEY,
+    timeoutMs: 30000,
+    maxRetries: 2,
+    retryBackoffMs: 500
+  }),
+  ollama: readLLMProviderConfig('OLLAMA', {
+    model: 'qwen2.5',
+    baseUrl: 'http://localhost:11434',
+    apiKey: undefined,
+    timeoutMs: 60000,
+    maxRetries: 1,
+    retryBackoffMs: 1000
+  }),
+  mock: readLLMProviderConfig('MOCK', {
+    model: 'mock',
+    baseUrl: '',
+    apiKey: undefined,
+    timeoutMs: 0,
+    maxRetries: 0,
+    retryBackoffMs: 0
+  })
+}
 
+/**
+ * 任务存储配置
+ * - supabase：Supabase 数据库（默认）
+ * - memory：进程内存，重启后数据丢失，适合测试
+ * - file：本地 JSON 文件，适合离线开发
+ */
+export const TASK_STORAGE = process.env.TASK_STORAGE || 'supabase'
+export const TASK_STORAGE_FILE = process.env.TASK_STORAGE_FILE || '.data/tasks.json'
 
+/**
+ * 回收站保留天数，超过后自动彻底删除
+ */
+export const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS) || 30
 
+/**
+ * AI 使用限额（按用户计算，0 表示不限制）
+ * - AI_RATE_LIMIT_PER_MINUTE：每分钟最多的 AI 请求数（包括使用缓存的请求）
+ * - AI_DAILY_REQUEST_QUOTA / AI_DAILY_TOKEN_QUOTA：每天（UTC）最多调用模型的请求数和 token 用量
+ */
+export const AI_RATE_LIMIT_PER_MINUTE = envNumber('AI_RATE_LIMIT_PER_MINUTE', 30)
+export const AI_DAILY_REQUEST_QUOTA = envNumber('AI_DAILY_REQUEST_QUOTA', 200)
+export const AI_DAILY_TOKEN_QUOTA = envNumber('AI_DAILY_TOKEN_QUOTA', 500000)
 
+/**
+ * AI 拆解结果缓存：保留时间（秒，0 表示不缓存）和最多保存的条数
+ */
+export const AI_CACHE_TTL_SECONDS = envNumber('AI_CACHE_TTL_SECONDS', 3600)
+export const AI_CACHE_MAX_ENTRIES = envNumber('AI_CACHE_MAX_ENTRIES', 500)
 
-
-
-
-
-
+/**
+ * 管理员邮箱（逗号分隔），可以查看所有用户的 AI 用量
+ */
+export const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(email => email.length > 0)
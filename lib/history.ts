@@ -0,0 +1,124 @@
+import type { Task, TaskActorType, TaskFieldChange } from '../types/task'
+import type { AuthSession, TaskEventInput, TaskEventRepository } from './repository'
+
+/**
+ * 事件的操作者
+ */
+export interface TaskActor {
+  actor_type: TaskActorType
+  actor: string
+}
+
+// 记录在历史中的任务字段（labels 记录为标签名称列表）
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'parent_id',
+  'start_at',
+  'due_at',
+  'recurrence',
+  'estimated_minutes',
+  'labels'
+] as const
+
+type TrackedField = typeof TRACKED_FIELDS[number]
+
+// 自动生成下一次重复任务的操作者
+export const RECURRENCE_ACTOR: TaskActor = { actor_type: 'system', actor: 'recurrence' }
+
+/**
+ * 当前登录用户作为操作者
+ */
+export function userActor(session: AuthSession): TaskActor {
+  return { actor_type: 'user', actor: session.user.email }
+}
+
+/**
+ * 取任务字段的可比较值
+ */
+function fieldValue(task: Task, field: TrackedField): unknown {
+  if (field === 'labels') {
+    return (task.labels || []).map(label => label.name).sort()
+  }
+  return task[field] === undefined ? null : task[field]
+}
+
+/**
+ * 比较任务修改前后的字段（before / after 为 null 时分别表示创建和删除）
+ */
+export function diffTask(before: Task | null, after: Task | null): Record<string, TaskFieldChange> {
+  const changes: Record<string, TaskFieldChange> = {}
+
+  TRACKED_FIELDS.forEach(field => {
+    const beforeValue = before ? fieldValue(before, field) : null
+    const afterValue = after ? fieldValue(after, field) : null
+    if (JSON.stringify(beforeValue) !== JSON.stringify(afterValue)) {
+      changes[field] = { before: beforeValue, after: afterValue }
+    }
+  })
+
+  return changes
+}
+
+/**
+ * 任务修改事件：状态变化和移动单独记录，其余字段合并为一条 updated
+ */
+export function updateEvents(before: Task, after: Task, actor: TaskActor, note: string | null = null): TaskEventInput[] {
+  const { status, parent_id, ...rest } = diffTask(before, after)
+  const events: TaskEventInput[] = []
+
+  if (status) {
+    events.push({ task_id: after.id, type: 'status_changed', ...actor, changes: { status }, note })
+  }
+  if (parent_id) {
+    events.push({ task_id: after.id, type: 'reparented', ...actor, changes: { parent_id }, note })
+  }
+  if (Object.keys(rest).length > 0) {
+    events.push({ task_id: after.id, type: 'updated', ...actor, changes: rest, note })
+  }
+
+  return events
+}
+
+/**
+ * 任务创建事件（包含嵌套在 subtasks 中的子任务）
+ */
+export function createdEvents(tasks: Task[], actor: TaskActor, note: string | null = null): TaskEventInput[] {
+  return tasks.flatMap(task => [
+    { task_id: task.id, type: 'created' as const, ...actor, changes: diffTask(null, task), note },
+    ...createdEvents(task.subtasks || [], actor, note)
+  ])
+}
+
+/**
+ * 任务移到回收站（deleted）或彻底删除（purged）的事件（记录删除前的字段）
+ */
+export function deletedEvents(
+  tasks: Task[],
+  actor: TaskActor,
+  note: string | null = null,
+  type: 'deleted' | 'purged' = 'deleted'
+): TaskEventInput[] {
+  return tasks.map(task => ({ task_id: task.id, type, ...actor, changes: diffTask(task, null), note }))
+}
+
+/**
+ * 任务从回收站恢复的事件
+ */
+export function restoredEvents(tasks: Task[], actor: TaskActor, note: string | null = null): TaskEventInput[] {
+  return tasks.map(task => ({ task_id: task.id, type: 'restored' as const, ...actor, changes: {}, note }))
+}
+
+/**
+ * 写入任务事件
+ * 任务的修改已经生效，记录失败时只打印错误，不影响本次请求的结果
+ */
+export async function recordEvents(events: TaskEventRepository, inputs: TaskEventInput[]): Promise<void> {
+  try {
+    await events.record(inputs)
+  } catch (err) {
+    console.error('记录任务历史失败:', err)
+  }
+}
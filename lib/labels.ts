@@ -0,0 +1,9 @@
+/**
+ * 验证 labels 字段：必须是正整数 ID 数组
+ */
+export function validateLabelIds(value: unknown, errors: string[]): void {
+  if (value === undefined) return
+  if (!Array.isArray(value) || !value.every(id => Number.isInteger(id) && id > 0)) {
+    errors.push('labels 必须是标签 ID（正整数）数组')
+  }
+}
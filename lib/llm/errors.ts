@@ -0,0 +1,47 @@
+/**
+ * LLM 调用失败
+ * retryable 表示可以重试（超时、连接失败、限流、服务端错误），status 为服务商返回的 HTTP 状态码
+ * isCancelled 表示调用方通过 signal 主动中止
+ */
+export class LLMError extends Error {
+  retryable: boolean
+  status: number | null
+  isCancelled = false
+
+  constructor(message: string, retryable = false, status: number | null = null) {
+    super(message)
+    this.name = 'LLMError'
+    this.retryable = retryable
+    this.status = status
+  }
+}
+
+/**
+ * 调用方中止请求时抛出的错误（不重试）
+ */
+export function cancelledError(): LLMError {
+  const error = new LLMError('AI 调用已取消')
+  error.isCancelled = true
+  return error
+}
+
+/**
+ * 判断是否为 LLMError（与 isAuthError 相同，按 name 判断而不用 instanceof）
+ */
+export function isLLMError(error: unknown): error is LLMError {
+  return error instanceof Error && error.name === 'LLMError'
+}
+
+/**
+ * 是否为调用方中止导致的失败
+ */
+export function isCancelledError(error: unknown): boolean {
+  return isLLMError(error) && error.isCancelled
+}
+
+/**
+ * 按 HTTP 状态码判断是否可以重试
+ */
+export function isRetryableStatus(status: number): boolean {
+  return status === 408 || status === 409 || status === 429 || status >= 500
+}
@@ -0,0 +1,29 @@
+import { LLM_PROVIDER, LLM_PROVIDERS } from '../config'
+import type { LLMProvider } from './types'
+import { LLMError } from './errors'
+import { OpenAICompatibleProvider } from './openai'
+import { OllamaProvider } from './ollama'
+import { MockProvider } from './mock'
+
+export { LLMError, isLLMError, isCancelledError } from './errors'
+export { MeteredProvider } from './metered'
+export { parseJSONOutput, isRecord } from './json'
+export type { MeteredUsage } from './metered'
+export type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider, StreamDeltaHandler, TokenUsage } from './types'
+
+/**
+ * 获取当前配置的 LLM 服务商（由 LLM_PROVIDER 环境变量决定），配置不完整时抛出 LLMError
+ */
+export function getLLMProvider(): LLMProvider {
+  const config = LLM_PROVIDERS[LLM_PROVIDER]
+  switch (LLM_PROVIDER) {
+    case 'openai':
+      return new OpenAICompatibleProvider(config)
+    case 'ollama':
+      return new OllamaProvider(config)
+    case 'mock':
+      return new MockProvider(config)
+    default:
+      throw new LLMError(`Unknown LLM_PROVIDER: ${LLM_PROVIDER}（可选值：openai、ollama、mock）`)
+  }
+}
@@ -0,0 +1,19 @@
+/**
+ * 解析模型输出的 JSON，不是合法的 JSON 时返回 undefined
+ * 部分模型即使要求只输出 JSON 也会包一层 markdown 代码块，先去掉
+ */
+export function parseJSONOutput(content: string): unknown {
+  const json = content.trim().replace(/^```(?:json)?\s*([\s\S]*?)\s*```$/i, '$1')
+  try {
+    return JSON.parse(json)
+  } catch (err) {
+    return undefined
+  }
+}
+
+/**
+ * 是否为 JSON 对象（不含数组），用于校验解析结果前收窄 unknown
+ */
+export function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
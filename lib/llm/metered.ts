@@ -0,0 +1,43 @@
+import type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider, StreamDeltaHandler } from './types'
+
+/**
+ * 一次请求中累计的 AI 调用次数与 token 用量
+ */
+export interface MeteredUsage {
+  calls: number
+  prompt_tokens: number
+  completion_tokens: number
+}
+
+/**
+ * 统计用量的服务商包装：转发所有调用，并累计调用次数和 token 用量（失败的调用也计入次数）
+ * 一次 API 请求可能调用多次模型（修正输出、多层拆解），请求结束后按累计值写入用量记录
+ */
+export class MeteredProvider implements LLMProvider {
+  name: string
+  model: string
+  usage: MeteredUsage = { calls: 0, prompt_tokens: 0, completion_tokens: 0 }
+
+  constructor(private provider: LLMProvider) {
+    this.name = provider.name
+    this.model = provider.model
+  }
+
+  async complete(messages: ChatMessage[], options?: CompletionOptions): Promise<CompletionResult> {
+    this.usage.calls++
+    return this.track(await this.provider.complete(messages, options))
+  }
+
+  async stream(messages: ChatMessage[], onDelta: StreamDeltaHandler, options?: CompletionOptions): Promise<CompletionResult> {
+    this.usage.calls++
+    return this.track(await this.provider.stream(messages, onDelta, options))
+  }
+
+  private track(result: CompletionResult): CompletionResult {
+    if (result.usage) {
+      this.usage.prompt_tokens += result.usage.prompt_tokens
+      this.usage.completion_tokens += result.usage.completion_tokens
+    }
+    return result
+  }
+}
@@ -0,0 +1,148 @@
+import type { LLMProviderConfig } from '../config'
+import type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider, StreamDeltaHandler, TokenUsage } from './types'
+import { cancelledError } from './errors'
+
+// 流式输出时每段的长度和间隔，模拟模型逐步生成
+const STREAM_CHUNK_SIZE = 8
+const STREAM_CHUNK_DELAY_MS = 30
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 估算的 token 用量（按每 4 个字符 1 个 token 计算）
+ */
+function estimateUsage(messages: ChatMessage[], content: string): TokenUsage {
+  const count = (text: string) => Math.ceil(text.length / 4)
+  return {
+    prompt_tokens: messages.reduce((sum, message) => sum + count(message.content), 0),
+    completion_tokens: count(content)
+  }
+}
+
+// 默认返回的子任务（{title} 替换为任务标题），依次取要求的数量（最多 10 个）
+const MOCK_SUBTASKS = {
+  zh: [
+    { title: '明确「{title}」的目标和完成标准', description: null, priority: 'high', estimated_minutes: 15 },
+    { title: '列出「{title}」需要的资料和工具', description: null, priority: 'medium', estimated_minutes: 20 },
+    { title: '完成「{title}」的主要部分', description: '按前两步的清单逐项完成', priority: 'high', estimated_minutes: 90 },
+    { title: '检查「{title}」的结果并收尾', description: null, priority: 'low', estimated_minutes: 15 },
+    { title: '和相关的人同步「{title}」的进展', description: null, priority: 'medium', estimated_minutes: 20 },
+    { title: '为「{title}」预留处理意外情况的时间', description: null, priority: 'low', estimated_minutes: 30 },
+    { title: '记录「{title}」中遇到的问题', description: null, priority: 'low', estimated_minutes: 10 },
+    { title: '请别人帮忙审阅「{title}」', description: null, priority: 'medium', estimated_minutes: 25 },
+    { title: '整理「{title}」的文件和笔记', description: null, priority: 'low', estimated_minutes: 15 },
+    { title: '回顾「{title}」有哪些可以改进的地方', description: null, priority: 'low', estimated_minutes: 10 }
+  ],
+  en: [
+    { title: 'Define the goal of "{title}"', description: null, priority: 'high', estimated_minutes: 15 },
+    { title: 'Gather what "{title}" needs', description: null, priority: 'medium', estimated_minutes: 20 },
+    { title: 'Do the main part of "{title}"', description: 'Work through the list from the previous steps', priority: 'high', estimated_minutes: 90 },
+    { title: 'Review "{title}" and wrap up', description: null, priority: 'low', estimated_minutes: 15 },
+    { title: 'Share progress on "{title}" with others', description: null, priority: 'medium', estimated_minutes: 20 },
+    { title: 'Leave buffer time for surprises in "{title}"', description: null, priority: 'low', estimated_minutes: 30 },
+    { title: 'Write down issues met during "{title}"', description: null, priority: 'low', estimated_minutes: 10 },
+    { title: 'Ask someone to check "{title}"', description: null, priority: 'medium', estimated_minutes: 25 },
+    { title: 'Tidy up files and notes for "{title}"', description: null, priority: 'low', estimated_minutes: 15 },
+    { title: 'Reflect on what to improve after "{title}"', description: null, priority: 'low', estimated_minutes: 10 }
+  ]
+}
+
+/**
+ * 从提示词中取出任务标题（「任务：」或「Task:」所在行）、语言、要求的步骤数量（JSON Schema 的 minItems / maxItems）
+ * 以及可以细化的现有子任务数量（refine 模式下 ref 的 maximum）
+ */
+function parsePrompt(messages: ChatMessage[]): { title: string; language: 'zh' | 'en'; count: number; refCount: number } {
+  const prompt = messages.find(message => message.role === 'user')?.content || ''
+  const match = prompt.match(/^(任务|Task)[:：]\s*(.+)$/m)
+  const minItems = Number(prompt.match(/"minItems":\s*(\d+)/)?.[1] || 1)
+  const maxItems = Number(prompt.match(/"maxItems":\s*(\d+)/)?.[1] || 10)
+  const refCount = Number(prompt.match(/"ref":\s*\{[^}]*"maximum":\s*(\d+)/)?.[1] || 0)
+  return {
+    title: (match ? match[2] : prompt).trim().slice(0, 50) || '任务',
+    language: match?.[1] === 'Task' ? 'en' : 'zh',
+    count: Math.min(Math.max(4, minItems), maxItems),
+    refCount
+  }
+}
+
+/**
+ * 模拟服务：不访问网络，相同输入总是返回相同的子任务（符合提示词中的 JSON Schema），用于测试和离线开发
+ * refine 模式下前几个步骤依次细化现有子任务（ref 为 1、2、...）；解析任务时原样返回输入作为标题
+ * 安排计划时按列出的顺序挑选放得进可用时间的任务；润色报告时原样返回草稿
+ * 设置 LLM_MOCK_RESPONSE 时原样返回该内容（可用于测试解析失败等情况）
+ */
+export class MockProvider implements LLMProvider {
+  name = 'mock'
+  model: string
+
+  constructor(config: LLMProviderConfig) {
+    this.model = config.model
+  }
+
+  async complete(messages: ChatMessage[]): Promise<CompletionResult> {
+    const content = this.respond(messages)
+    return { content, provider: this.name, model: this.model, usage: estimateUsage(messages, content) }
+  }
+
+  private respond(messages: ChatMessage[]): string {
+    const cannedResponse = process.env.LLM_MOCK_RESPONSE
+    if (cannedResponse !== undefined) {
+      return cannedResponse
+    }
+
+    // 解析一句话为任务（lib/quickadd）：原样返回输入作为标题
+    const prompt = messages.find(message => message.role === 'user')?.content || ''
+    const input = prompt.match(/^输入[:：]\s*(.+)$/m)
+    if (input) {
+      const task = { title: input[1].trim().slice(0, 200), description: null, priority: 'medium', due_date: null, parent_id: null, breakdown: false }
+      return JSON.stringify(task)
+    }
+
+    // 安排今天的计划（lib/plan）：按列出的顺序挑选放得进可用时间的任务，保持原优先级
+    const budget = prompt.match(/今天可用时间[:：]\s*(\d+) 分钟/)
+    if (budget) {
+      const priorities: Record<string, string> = { 高: 'high', 中: 'medium', 低: 'low' }
+      let remaining = Number(budget[1])
+      const items: Array<{ task_id: number; minutes: number; rationale: string; priority: string }> = []
+      prompt.split('\n').forEach(line => {
+        const task = line.match(/^#(\d+) .*（优先级([高中低])/)
+        if (!task) return
+        const minutes = Number(line.match(/预计 (\d+) 分钟/)?.[1] || 30)
+        if (minutes > remaining) return
+        remaining -= minutes
+        items.push({ task_id: Number(task[1]), minutes, rationale: '按优先级顺序安排', priority: priorities[task[2]] })
+      })
+      return JSON.stringify({ items, summary: `今天安排 ${items.length} 个任务` })
+    }
+
+    // 润色进展报告（lib/report）：原样返回草稿
+    const draft = prompt.match(/\n草稿[:：]\n([\s\S]*)$/)
+    if (draft) {
+      return draft[1].trim()
+    }
+
+    const { title, language, count, refCount } = parsePrompt(messages)
+    const subtasks = MOCK_SUBTASKS[language].slice(0, count).map((template, i) => ({
+      ...template,
+      title: template.title.replace('{title}', title),
+      ...(refCount > 0 ? { ref: i < refCount ? i + 1 : null } : {})
+    }))
+    return JSON.stringify({ subtasks })
+  }
+
+  async stream(
+    messages: ChatMessage[],
+    onDelta: StreamDeltaHandler,
+    options: CompletionOptions = {}
+  ): Promise<CompletionResult> {
+    const result = await this.complete(messages)
+    for (let i = 0; i < result.content.length; i += STREAM_CHUNK_SIZE) {
+      await sleep(STREAM_CHUNK_DELAY_MS)
+      if (options.signal?.aborted) {
+        throw cancelledError()
+      }
+      onDelta(result.content.slice(i, i + STREAM_CHUNK_SIZE))
+    }
+    return result
+  }
+}
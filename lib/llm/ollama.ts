@@ -0,0 +1,166 @@
+import type { LLMProviderConfig } from '../config'
+import type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider, StreamDeltaHandler, TokenUsage } from './types'
+import { LLMError, cancelledError, isRetryableStatus } from './errors'
+import { withRetry } from './retry'
+
+/**
+ * Ollama /api/chat 的响应（非流式为一个对象，流式为每行一个对象）
+ */
+interface OllamaChatResponse {
+  model?: string
+  message?: { content?: string }
+  done?: boolean
+  error?: string
+  // 最后一个响应对象带有提示词和生成内容的 token 数
+  prompt_eval_count?: number
+  eval_count?: number
+}
+
+/**
+ * 读取响应中的 token 用量（只有最后一个响应对象带有）
+ */
+function toTokenUsage(data: OllamaChatResponse): TokenUsage | null {
+  if (data.prompt_eval_count === undefined && data.eval_count === undefined) return null
+  return { prompt_tokens: data.prompt_eval_count || 0, completion_tokens: data.eval_count || 0 }
+}
+
+/**
+ * 本地 Ollama 服务（默认 http://localhost:11434）
+ */
+export class OllamaProvider implements LLMProvider {
+  name = 'ollama'
+  model: string
+
+  constructor(private config: LLMProviderConfig) {
+    this.model = config.model
+  }
+
+  /**
+   * 发送一次请求，超时或调用方中止后中止请求
+   * 传入 onDelta 时使用流式输出，超时按两次输出之间的间隔计算
+   */
+  private async request(
+    messages: ChatMessage[],
+    options: CompletionOptions,
+    onDelta?: StreamDeltaHandler
+  ): Promise<CompletionResult> {
+    const controller = new AbortController()
+    let timedOut = false
+    let timer: ReturnType<typeof setTimeout> | undefined
+    const resetTimer = () => {
+      clearTimeout(timer)
+      timer = setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, this.config.timeoutMs)
+    }
+    const onAbort = () => controller.abort()
+    options.signal?.addEventListener('abort', onAbort)
+    resetTimer()
+
+    const fail = (err: unknown, received: boolean): LLMError => {
+      if (options.signal?.aborted) return cancelledError()
+      const reason = timedOut ? `请求超时（${this.config.timeoutMs}ms）` : (err as Error).message
+      // 已经输出的内容无法撤回，不再重试
+      return new LLMError(`无法连接 Ollama 服务: ${reason}`, !received)
+    }
+
+    try {
+      let response: Response
+      try {
+        if (options.signal?.aborted) throw cancelledError()
+        response = await fetch(`${this.config.baseUrl.replace(/\/$/, '')}/api/chat`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            model: this.model,
+            messages,
+            stream: Boolean(onDelta),
+            format: options.json ? 'json' : undefined,
+            options: {
+              temperature: options.temperature,
+              num_predict: options.max_tokens
+            }
+          }),
+          signal: controller.signal
+        })
+      } catch (err) {
+        throw fail(err, false)
+      }
+
+      if (!response.ok || !onDelta || !response.body) {
+        let data: OllamaChatResponse
+        try {
+          data = (await response.json().catch(() => ({}))) as OllamaChatResponse
+        } catch (err) {
+          throw fail(err, false)
+        }
+        if (!response.ok) {
+          throw new LLMError(`Ollama 返回错误: ${data.error || response.statusText}`, isRetryableStatus(response.status), response.status)
+        }
+        const content = data.message?.content
+        if (!content) {
+          throw new LLMError('Ollama 没有返回内容', true)
+        }
+        return { content, provider: this.name, model: data.model || this.model, usage: toTokenUsage(data) }
+      }
+
+      // 流式输出：每行一个 JSON 对象
+      const reader = response.body.getReader()
+      const decoder = new TextDecoder()
+      let buffer = ''
+      let content = ''
+      let model = this.model
+      let usage: TokenUsage | null = null
+      const handleLine = (line: string) => {
+        if (!line.trim()) return
+        const data = JSON.parse(line) as OllamaChatResponse
+        if (data.error) {
+          throw new LLMError(`Ollama 返回错误: ${data.error}`, !content)
+        }
+        model = data.model || model
+        usage = toTokenUsage(data) || usage
+        const delta = data.message?.content
+        if (delta) {
+          content += delta
+          onDelta(delta)
+        }
+      }
+
+      try {
+        for (;;) {
+          const { done, value } = await reader.read()
+          if (done) break
+          resetTimer()
+          buffer += decoder.decode(value, { stream: true })
+          const lines = buffer.split('\n')
+          buffer = lines.pop() || ''
+          lines.forEach(handleLine)
+        }
+        handleLine(buffer)
+      } catch (err) {
+        throw err instanceof LLMError ? err : fail(err, content.length > 0)
+      }
+
+      if (!content) {
+        throw new LLMError('Ollama 没有返回内容', true)
+      }
+      return { content, provider: this.name, model, usage }
+    } finally {
+      clearTimeout(timer)
+      options.signal?.removeEventListener('abort', onAbort)
+    }
+  }
+
+  async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<CompletionResult> {
+    return withRetry(this.config, () => this.request(messages, options))
+  }
+
+  async stream(
+    messages: ChatMessage[],
+    onDelta: StreamDeltaHandler,
+    options: CompletionOptions = {}
+  ): Promise<CompletionResult> {
+    return withRetry(this.config, () => this.request(messages, options, onDelta))
+  }
+}
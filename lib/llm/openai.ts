@@ -0,0 +1,122 @@
+import OpenAI from 'openai'
+import type { LLMProviderConfig } from '../config'
+import type { ChatMessage, CompletionOptions, CompletionResult, LLMProvider, StreamDeltaHandler, TokenUsage } from './types'
+import { LLMError, cancelledError, isRetryableStatus } from './errors'
+import { withRetry } from './retry'
+
+// Node.js 16 兼容性：添加 FormData polyfill
+if (typeof global.FormData === 'undefined') {
+  // @ts-ignore
+  global.FormData = require('form-data')
+}
+
+/**
+ * 将 SDK 的错误转换为 LLMError
+ */
+function toLLMError(error: unknown, signal?: AbortSignal): LLMError {
+  if (signal?.aborted) {
+    return cancelledError()
+  }
+  if (error instanceof OpenAI.APIConnectionError) {
+    // 包括超时（APIConnectionTimeoutError）
+    return new LLMError(`无法连接 AI 服务: ${error.message}`, true)
+  }
+  if (error instanceof OpenAI.APIError) {
+    const status = error.status ?? null
+    return new LLMError(`AI 服务返回错误: ${error.message}`, status !== null && isRetryableStatus(status), status)
+  }
+  return new LLMError(error instanceof Error ? error.message : String(error))
+}
+
+/**
+ * 转换接口返回的 token 用量
+ */
+function toTokenUsage(usage: OpenAI.CompletionUsage | null | undefined): TokenUsage | null {
+  return usage ? { prompt_tokens: usage.prompt_tokens, completion_tokens: usage.completion_tokens } : null
+}
+
+/**
+ * OpenAI 兼容接口（DeepSeek、OpenAI 及其他兼容 /chat/completions 的服务）
+ */
+export class OpenAICompatibleProvider implements LLMProvider {
+  name = 'openai'
+  model: string
+  private client: OpenAI
+
+  constructor(private config: LLMProviderConfig) {
+    if (!config.apiKey) {
+      throw new LLMError('AI API Key 未配置，请设置 LLM_OPENAI_API_KEY 或 DEEPSEEK_API_KEY')
+    }
+    this.model = config.model
+    // 重试由 withRetry 统一处理，关闭 SDK 自带的重试
+    this.client = new OpenAI({
+      apiKey: config.apiKey,
+      baseURL: config.baseUrl,
+      timeout: config.timeoutMs,
+      maxRetries: 0
+    })
+  }
+
+  async complete(messages: ChatMessage[], options: CompletionOptions = {}): Promise<CompletionResult> {
+    return withRetry(this.config, async () => {
+      try {
+        const completion = await this.client.chat.completions.create({
+          model: this.model,
+          messages,
+          temperature: options.temperature,
+          max_tokens: options.max_tokens,
+          response_format: options.json ? { type: 'json_object' } : undefined
+        }, { signal: options.signal })
+        const content = completion.choices[0]?.message?.content
+        if (!content) {
+          throw new LLMError('AI 没有返回内容', true)
+        }
+        return { content, provider: this.name, model: completion.model || this.model, usage: toTokenUsage(completion.usage) }
+      } catch (err) {
+        throw err instanceof LLMError ? err : toLLMError(err, options.signal)
+      }
+    })
+  }
+
+  async stream(
+    messages: ChatMessage[],
+    onDelta: StreamDeltaHandler,
+    options: CompletionOptions = {}
+  ): Promise<CompletionResult> {
+    return withRetry(this.config, async () => {
+      let content = ''
+      let model = this.model
+      let usage: TokenUsage | null = null
+      try {
+        const stream = await this.client.chat.completions.create({
+          model: this.model,
+          messages,
+          temperature: options.temperature,
+          max_tokens: options.max_tokens,
+          response_format: options.json ? { type: 'json_object' } : undefined,
+          stream: true,
+          // 最后一个数据块带上 token 用量（不支持的服务商会忽略该参数）
+          stream_options: { include_usage: true }
+        }, { signal: options.signal })
+        for await (const chunk of stream) {
+          model = chunk.model || model
+          usage = toTokenUsage(chunk.usage) || usage
+          const delta = chunk.choices[0]?.delta?.content
+          if (delta) {
+            content += delta
+            onDelta(delta)
+          }
+        }
+      } catch (err) {
+        const error = err instanceof LLMError ? err : toLLMError(err, options.signal)
+        // 已经输出的内容无法撤回，不再重试
+        if (content) error.retryable = false
+        throw error
+      }
+      if (!content) {
+        throw new LLMError('AI 没有返回内容', true)
+      }
+      return { content, provider: this.name, model, usage }
+    })
+  }
+}
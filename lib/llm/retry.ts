@@ -0,0 +1,26 @@
+import type { LLMProviderConfig } from '../config'
+import { LLMError, isLLMError } from './errors'
+
+const sleep = (ms: number) => new Promise(resolve => setTimeout(resolve, ms))
+
+/**
+ * 按配置重试：只重试 retryable 的 LLMError，等待时间按 retryBackoffMs 指数增长（500ms、1s、2s…）
+ */
+export async function withRetry<T>(
+  config: Pick<LLMProviderConfig, 'maxRetries' | 'retryBackoffMs'>,
+  fn: () => Promise<T>
+): Promise<T> {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn()
+    } catch (err) {
+      const error = isLLMError(err) ? err : new LLMError(err instanceof Error ? err.message : String(err))
+      if (!error.retryable || attempt >= config.maxRetries) {
+        throw error
+      }
+      const delay = config.retryBackoffMs * Math.pow(2, attempt)
+      console.warn(`LLM 调用失败（${error.message}），${delay}ms 后第 ${attempt + 1} 次重试`)
+      await sleep(delay)
+    }
+  }
+}
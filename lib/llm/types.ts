@@ -0,0 +1,53 @@
+/**
+ * 对话消息
+ */
+export interface ChatMessage {
+  role: 'system' | 'user' | 'assistant'
+  content: string
+}
+
+/**
+ * 单次调用的生成参数
+ */
+export interface CompletionOptions {
+  temperature?: number
+  max_tokens?: number
+  // 要求模型只输出一个 JSON 对象（OpenAI 兼容接口的 json_object 模式，Ollama 的 format: json）
+  json?: boolean
+  // 中止请求（例如客户端断开连接），中止后抛出 isCancelled 为 true 的 LLMError
+  signal?: AbortSignal
+}
+
+/**
+ * 流式输出时每收到一段新内容调用一次
+ */
+export type StreamDeltaHandler = (delta: string) => void
+
+/**
+ * 一次调用消耗的 token 数
+ */
+export interface TokenUsage {
+  prompt_tokens: number
+  completion_tokens: number
+}
+
+/**
+ * 模型返回结果（服务商没有返回 token 用量时 usage 为 null）
+ */
+export interface CompletionResult {
+  content: string
+  provider: string
+  model: string
+  usage: TokenUsage | null
+}
+
+/**
+ * LLM 服务商接口：调用失败时抛出 LLMError（已按配置完成重试）
+ */
+export interface LLMProvider {
+  name: string
+  model: string
+  complete(messages: ChatMessage[], options?: CompletionOptions): Promise<CompletionResult>
+  // 流式调用：边生成边通过 onDelta 返回内容，结束后返回完整结果（已输出内容后出错不再重试）
+  stream(messages: ChatMessage[], onDelta: StreamDeltaHandler, options?: CompletionOptions): Promise<CompletionResult>
+}
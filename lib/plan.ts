@@ -0,0 +1,314 @@
+import type { DailyPlan, PlanItem, Task, TaskPriority } from '../types/task'
+import type { ChatMessage } from './llm'
+import { parseJSONOutput, isRecord } from './llm/json'
+import type { TaskRepository } from './repository'
+
+// 可用时间（分钟）：默认值和允许范围
+export const PLAN_DEFAULT_MINUTES = 240
+export const PLAN_MIN_MINUTES = 15
+export const PLAN_MAX_MINUTES = 960
+
+// 参与计划的未完成任务数量上限（逾期和即将到期的任务优先，其余按优先级从高到低取）
+export const PLAN_MAX_CANDIDATES = 50
+
+// 截止日期距今天不超过该天数（含已逾期）的任务视为即将到期
+const PLAN_DUE_SOON_DAYS = 3
+
+// 没有预计用时的任务按该时长安排（分钟）
+const PLAN_DEFAULT_TASK_MINUTES = 30
+
+// 每项安排的时间范围（分钟）
+const PLAN_MIN_ITEM_MINUTES = 5
+
+// 理由的最大长度
+const PLAN_MAX_RATIONALE_LENGTH = 200
+
+const PRIORITIES: TaskPriority[] = ['low', 'medium', 'high']
+const PRIORITY_RANK: Record<TaskPriority, number> = { high: 0, medium: 1, low: 2 }
+const PRIORITY_NAMES: Record<TaskPriority, string> = { high: '高', medium: '中', low: '低' }
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 参与计划的任务及其上下文
+ */
+export interface PlanCandidate {
+  task: Task
+  // 创建至今的天数
+  age_days: number
+  // 截止日期距今天的天数（客户端本地日期，已逾期为负数），没有截止时间时为 null
+  due_in_days: number | null
+  // 预计用时：任务本身的预计用时，没有时为未完成子任务的预计用时之和，都没有时为 null
+  estimated_minutes: number | null
+  subtasks: PlanItem['subtasks']
+}
+
+/**
+ * 客户端本地日期（从 1970-01-01 起的天数）
+ */
+function localDay(time: number, timezoneOffset: number): number {
+  return Math.floor((time - timezoneOffset * 60 * 1000) / DAY_MS)
+}
+
+/**
+ * 客户端本地日期距今天的天数
+ */
+function daysFromToday(iso: string, now: Date, timezoneOffset: number): number {
+  return localDay(Date.parse(iso), timezoneOffset) - localDay(now.getTime(), timezoneOffset)
+}
+
+/**
+ * 候选任务的顺序：逾期和即将到期的任务在前（按截止时间、优先级），其余按优先级、截止时间（没有的在后）
+ */
+function compareCandidates(a: Task, b: Task, dueSoonBefore: number): number {
+  const due = (task: Task) => (task.due_at ? Date.parse(task.due_at) : Infinity)
+  const soon = (task: Task) => (due(task) <= dueSoonBefore ? 0 : 1)
+  const byPriority = PRIORITY_RANK[a.priority] - PRIORITY_RANK[b.priority]
+  const byDue = due(a) === due(b) ? 0 : due(a) < due(b) ? -1 : 1
+  if (soon(a) !== soon(b)) return soon(a) - soon(b)
+  return (soon(a) === 0 ? byDue || byPriority : byPriority || byDue) || a.id - b.id
+}
+
+/**
+ * 读取参与计划的任务：未完成的顶级任务（见 compareCandidates，最多 PLAN_MAX_CANDIDATES 个）及其子任务进度
+ * 逾期和即将到期的任务全部读取后再排序，不会因为优先级低而被截掉
+ */
+export async function loadPlanCandidates(tasks: TaskRepository, now: Date, timezoneOffset: number): Promise<PlanCandidate[]> {
+  // 即将到期：截止时间早于今天起第 PLAN_DUE_SOON_DAYS + 1 天的本地零点
+  const dueSoonBefore = (localDay(now.getTime(), timezoneOffset) + PLAN_DUE_SOON_DAYS + 1) * DAY_MS +
+    timezoneOffset * 60 * 1000 - 1
+  const [{ tasks: dueSoon }, { tasks: byPriority }] = await Promise.all([
+    tasks.list({ status: 'pending', parent_id: null, due_before: new Date(dueSoonBefore).toISOString() }),
+    tasks.list({ status: 'pending', parent_id: null }, { sort: 'priority', order: 'desc', limit: PLAN_MAX_CANDIDATES })
+  ])
+  const pending = Array.from(new Map([...dueSoon, ...byPriority].map(task => [task.id, task])).values())
+    .sort((a, b) => compareCandidates(a, b, dueSoonBefore))
+    .slice(0, PLAN_MAX_CANDIDATES)
+  const children = pending.length > 0 ? await tasks.getChildren(pending.map(task => task.id)) : []
+
+  return pending.map(task => {
+    const own = children.filter(child => child.parent_id === task.id)
+    const remaining = own.filter(child => child.status === 'pending' && child.estimated_minutes !== null)
+    return {
+      task,
+      age_days: Math.max(0, Math.floor((now.getTime() - Date.parse(task.created_at)) / DAY_MS)),
+      due_in_days: task.due_at ? daysFromToday(task.due_at, now, timezoneOffset) : null,
+      estimated_minutes: task.estimated_minutes ??
+        (remaining.length > 0 ? remaining.reduce((sum, child) => sum + (child.estimated_minutes as number), 0) : null),
+      subtasks: { completed: own.filter(child => child.status === 'completed').length, total: own.length }
+    }
+  })
+}
+
+/**
+ * 截止时间的描述，如「已逾期 2 天」「今天到期」「3 天后到期」
+ */
+function describeDue(dueInDays: number): string {
+  if (dueInDays < 0) return `已逾期 ${-dueInDays} 天`
+  if (dueInDays === 0) return '今天到期'
+  if (dueInDays === 1) return '明天到期'
+  return `${dueInDays} 天后到期`
+}
+
+/**
+ * 要求 AI 输出的 JSON Schema
+ */
+function buildPlanSchema(candidates: PlanCandidate[], budget: number) {
+  return {
+    type: 'object',
+    required: ['items', 'summary'],
+    properties: {
+      items: {
+        type: 'array',
+        maxItems: candidates.length,
+        items: {
+          type: 'object',
+          required: ['task_id', 'minutes', 'rationale', 'priority'],
+          properties: {
+            task_id: { type: 'integer', enum: candidates.map(candidate => candidate.task.id) },
+            minutes: { type: 'integer', minimum: PLAN_MIN_ITEM_MINUTES, maximum: budget },
+            rationale: { type: 'string', minLength: 1, maxLength: PLAN_MAX_RATIONALE_LENGTH },
+            priority: { type: 'string', enum: PRIORITIES }
+          }
+        }
+      },
+      summary: { type: ['string', 'null'], maxLength: PLAN_MAX_RATIONALE_LENGTH }
+    }
+  }
+}
+
+/**
+ * 构建安排今天计划的提示词（每个任务带优先级、创建天数、截止时间、预计用时和子任务进度）
+ */
+export function buildPlanPrompt(candidates: PlanCandidate[], budget: number): ChatMessage[] {
+  const list = candidates.map(({ task, age_days, due_in_days, estimated_minutes, subtasks }) => {
+    const details = [
+      `优先级${PRIORITY_NAMES[task.priority]}`,
+      `已创建 ${age_days} 天`,
+      due_in_days !== null ? describeDue(due_in_days) : null,
+      estimated_minutes !== null ? `预计 ${estimated_minutes} 分钟` : null,
+      subtasks.total > 0 ? `子任务已完成 ${subtasks.completed}/${subtasks.total}` : null
+    ].filter(Boolean)
+    return `#${task.id} ${task.title}（${details.join('，')}）`
+  })
+
+  return [{
+    role: 'user',
+    content: `你是一个时间管理助手。请从下方未完成的任务中挑选今天要做的任务，并按建议的执行顺序排列。要求：
+1. 今天可用时间：${budget} 分钟，所有任务的 minutes 之和不能超过可用时间
+2. minutes：为该任务安排的时间，有预计用时的参考预计用时，没有的按任务大小估计
+3. 优先考虑已逾期或即将到期、优先级高、已经开始（子任务部分完成）或搁置已久的任务
+4. rationale：用一句话说明为什么今天做这个任务，使用任务标题的语言
+5. priority：建议的优先级，任务比当前优先级更紧迫（如即将到期但优先级低）时调高，否则保持当前优先级
+6. summary：用一句话概括今天的安排
+7. 只返回一个符合下方 JSON Schema 的 JSON 对象，不要其他文字说明
+
+未完成的任务：
+${list.join('\n')}
+
+JSON Schema：
+${JSON.stringify(buildPlanSchema(candidates, budget), null, 2)}`
+  }]
+}
+
+/**
+ * 组装计划中的一项，建议的优先级与当前相同时为 null
+ */
+function toPlanItem(candidate: PlanCandidate, minutes: number, rationale: string, priority: TaskPriority): PlanItem {
+  return {
+    task: candidate.task,
+    minutes,
+    rationale,
+    suggested_priority: priority !== candidate.task.priority ? priority : null,
+    subtasks: candidate.subtasks
+  }
+}
+
+/**
+ * AI 计划中的一项：task_id 不校验类型，不在候选中时忽略
+ */
+interface PlanOutputItem {
+  task_id: unknown
+  minutes: number
+  rationale: string
+  priority: TaskPriority
+}
+
+/**
+ * 判断计划中的一项是否符合 schema（用时为整数且不少于 PLAN_MIN_ITEM_MINUTES，理由非空）
+ */
+function isPlanOutputItem(value: unknown): value is PlanOutputItem {
+  if (!isRecord(value)) return false
+  const { minutes, rationale, priority } = value
+  return typeof minutes === 'number' && Number.isInteger(minutes) && minutes >= PLAN_MIN_ITEM_MINUTES &&
+    typeof rationale === 'string' && rationale.trim().length > 0 &&
+    PRIORITIES.includes(priority as TaskPriority)
+}
+
+/**
+ * 校验 AI 的输出，返回计划中的任务和总结；不符合 schema 时返回 null
+ * 重复或不在候选中的任务被忽略，超出可用时间的任务从末尾去掉
+ */
+export function validatePlanOutput(
+  content: string,
+  candidates: PlanCandidate[],
+  budget: number
+): { items: PlanItem[]; summary: string | null } | null {
+  const parsed = parseJSONOutput(content)
+  if (!isRecord(parsed) || !Array.isArray(parsed.items)) return null
+
+  const summary = parsed.summary ?? null
+  if (summary !== null && typeof summary !== 'string') return null
+
+  const outputItems: unknown[] = parsed.items
+  const items: PlanItem[] = []
+  let total = 0
+  for (const item of outputItems) {
+    if (!isPlanOutputItem(item)) return null
+    const { task_id, minutes, rationale, priority } = item
+
+    const candidate = candidates.find(c => c.task.id === task_id)
+    if (!candidate || items.some(existing => existing.task.id === task_id)) continue
+    if (total + minutes > budget) break
+    total += minutes
+    items.push(toPlanItem(candidate, minutes, rationale.trim().slice(0, PLAN_MAX_RATIONALE_LENGTH), priority))
+  }
+
+  return { items, summary: summary?.trim().slice(0, PLAN_MAX_RATIONALE_LENGTH) || null }
+}
+
+/**
+ * 规则排序的得分：优先级、截止时间、搁置天数和子任务进度
+ */
+function scoreCandidate({ task, age_days, due_in_days, subtasks }: PlanCandidate): number {
+  let score = { high: 30, medium: 20, low: 10 }[task.priority]
+  if (due_in_days !== null) {
+    score += due_in_days < 0 ? 30 : due_in_days === 0 ? 25 : due_in_days <= PLAN_DUE_SOON_DAYS ? 10 : 0
+  }
+  score += Math.min(age_days, 30) / 3
+  if (subtasks.total > 0 && subtasks.completed > 0) {
+    score += 10 * subtasks.completed / subtasks.total
+  }
+  return score
+}
+
+/**
+ * 规则计划（不使用 AI）：按得分从高到低挑选放得进可用时间的任务
+ * 已逾期或今天到期的任务建议调为高优先级，搁置超过两周的低优先级任务建议调为中优先级
+ */
+export function planByRules(candidates: PlanCandidate[], budget: number): { items: PlanItem[]; summary: string | null } {
+  const ranked = candidates
+    .map(candidate => ({ candidate, score: scoreCandidate(candidate) }))
+    .sort((a, b) => b.score - a.score)
+
+  const items: PlanItem[] = []
+  let remaining = budget
+  for (const { candidate } of ranked) {
+    const minutes = candidate.estimated_minutes ?? PLAN_DEFAULT_TASK_MINUTES
+    if (minutes > remaining) continue
+
+    const { task, age_days, due_in_days, subtasks } = candidate
+    const reasons = [
+      due_in_days !== null && due_in_days <= PLAN_DUE_SOON_DAYS ? describeDue(due_in_days) : null,
+      task.priority === 'high' ? '高优先级' : null,
+      subtasks.completed > 0 ? `子任务已完成 ${subtasks.completed}/${subtasks.total}` : null,
+      age_days >= 7 ? `已搁置 ${age_days} 天` : null
+    ].filter(Boolean)
+
+    let priority = task.priority
+    if (due_in_days !== null && due_in_days <= 0) {
+      priority = 'high'
+    } else if (task.priority === 'low' && age_days > 14) {
+      priority = 'medium'
+    }
+
+    items.push(toPlanItem(candidate, minutes, reasons.length > 0 ? reasons.join('，') : '时间合适，可以顺手完成', priority))
+    remaining -= minutes
+    if (remaining < PLAN_MIN_ITEM_MINUTES) break
+  }
+
+  return {
+    items,
+    summary: items.length > 0 ? `按优先级、截止时间和进度安排了 ${items.length} 个任务` : null
+  }
+}
+
+/**
+ * 组装返回给客户端的计划
+ */
+export function toDailyPlan(
+  result: { items: PlanItem[]; summary: string | null },
+  budget: number,
+  source: DailyPlan['source'],
+  model: string | null,
+  warning: string | null
+): DailyPlan {
+  return {
+    budget_minutes: budget,
+    total_minutes: result.items.reduce((sum, item) => sum + item.minutes, 0),
+    items: result.items,
+    summary: result.summary,
+    source,
+    model,
+    warning
+  }
+}
@@ -0,0 +1,41 @@
+import type { Task } from '../types/task'
+
+// 重新编号时相邻任务之间的间隔
+export const POSITION_GAP = 1024
+
+/**
+ * 新任务（或移动到其他父任务下的任务）的排列位置：以当前时间（毫秒）为基数
+ * 顶级任务取负值排在最前，子任务取正值排在最后，与按创建时间显示的顺序一致
+ * （与数据库触发器 set_task_position 的规则相同）
+ */
+export function initialPosition(parentId: number | null, now = Date.now()): number {
+  return parentId === null ? -now : now
+}
+
+/**
+ * 按排列顺序比较（位置相同时按 ID）
+ */
+export function byPosition(a: Pick<Task, 'id' | 'position'>, b: Pick<Task, 'id' | 'position'>): number {
+  return a.position - b.position || a.id - b.id
+}
+
+/**
+ * 插入到 before 与 after 之间的位置（null 表示在开头或末尾）
+ * 两者之间已没有可用的浮点数时返回 null，调用方应重新编号
+ */
+export function positionBetween(before: number | null, after: number | null): number | null {
+  if (before === null && after === null) return 0
+  if (before === null) return (after as number) - POSITION_GAP
+  if (after === null) return before + POSITION_GAP
+
+  const middle = before + (after - before) / 2
+  return middle > before && middle < after ? middle : null
+}
+
+/**
+ * 重新编号：从第一个任务原来的位置开始按 POSITION_GAP 等距排列
+ */
+export function spreadPositions(ordered: Array<Pick<Task, 'id' | 'position'>>): Array<{ id: number; position: number }> {
+  const start = ordered.length > 0 ? ordered[0].position : 0
+  return ordered.map((task, i) => ({ id: task.id, position: start + i * POSITION_GAP }))
+}
@@ -0,0 +1,335 @@
+import type { ParsedTask, Task, TaskPriority } from '../types/task'
+import { isSimilarTitle } from './breakdown'
+import type { ChatMessage } from './llm'
+import { parseJSONOutput, isRecord } from './llm/json'
+
+// 输入的最大长度
+export const QUICK_ADD_MAX_LENGTH = 500
+
+// 提示词中最多列出的候选父任务数量
+export const QUICK_ADD_MAX_PARENT_CANDIDATES = 50
+
+const PRIORITIES: TaskPriority[] = ['low', 'medium', 'high']
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// 星期名称（下标与 Date.getDay() 一致，0 为周日）
+const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六']
+const EN_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday']
+
+// 优先级关键词（按顺序匹配，先匹配到的生效）
+const PRIORITY_PATTERNS: Array<[RegExp, TaskPriority]> = [
+  [/高优先级|优先级高|高优|紧急|很急|high priority|urgent|[!！]{2,}/i, 'high'],
+  [/低优先级|优先级低|低优|不急|有空再做|low priority/i, 'low'],
+  [/中优先级|优先级中|普通优先级|medium priority/i, 'medium']
+]
+
+// 要求拆分步骤，如「并拆成几步」「拆解成 3 个子任务」「break it down」
+// 前面没有「并」「然后」等连接词时必须写明拆成几步，避免误判标题中的「拆解」
+const BREAKDOWN_PATTERN = new RegExp([
+  '(?:并且|并|然后|再|帮我)\\s*(?:帮我)?(?:拆分|拆解|分解|拆)(?:成|为)?\\s*(?:几|[0-9一二三四五六七八九十]+)?\\s*个?(?:小步骤|步骤|小步|步|子任务|部分)?',
+  '(?:拆分|拆解|分解|拆)(?:成|为)\\s*(?:几|[0-9一二三四五六七八九十]+)\\s*个?(?:小步骤|步骤|小步|步|子任务|部分)',
+  '(?:\\band )?\\bbreak (?:it )?down(?: into steps)?'
+].join('|'), 'i')
+
+// 相对日期距今天的天数
+const RELATIVE_DAYS: Record<string, number> = { 今天: 0, 今日: 0, 明天: 1, 明日: 1, 后天: 2 }
+
+// 截止日期后常见的修饰词
+const DUE_SUFFIX = '\\s*(?:之前|以前|前|截止|到期)?'
+
+// 父任务标记，如「在「发布 v2.0」下」「放到「周报」里」「under "Release"」
+const PARENT_PATTERN =
+  /(?:在|放到|放在|加到|归到|属于)\s*[「『“"]([^」』”"]+)[」』”"]\s*(?:的?下面|下|里面|里|中)?|\bunder\s+"([^"]+)"/i
+
+// 备注，如「备注：带上截图」或末尾括号中的内容
+const NOTE_PATTERN = /(?:备注|说明|note)\s*[:：]\s*(.+)$/i
+const TRAILING_PAREN_PATTERN = /[（(]([^（）()]+)[）)]\s*$/
+
+// 标题首尾要去掉的分隔符
+const TRIM_PATTERN = /^[\s，,。.：:；;、!！-]+|[\s，,。.：:；;、!！-]+$/g
+
+/**
+ * 规则解析的结果（parentTitle 为输入中指明的父任务标题，由 matchParent 匹配现有任务）
+ */
+export interface RuleParseResult {
+  title: string
+  description: string | null
+  priority: TaskPriority
+  due_date: string | null
+  parentTitle: string | null
+  breakdown: boolean
+}
+
+/**
+ * 客户端本地的「今天」（用 UTC 字段表示本地日期）
+ */
+function localToday(now: Date, timezoneOffset: number): Date {
+  const local = new Date(now.getTime() - timezoneOffset * 60 * 1000)
+  return new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate()))
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS)
+}
+
+function formatDate(date: Date): string {
+  return date.toISOString().slice(0, 10)
+}
+
+/**
+ * 合法的日期（YYYY-MM-DD）返回对应的 Date，否则返回 null
+ */
+function parseDate(year: number, month: number, day: number): Date | null {
+  const date = new Date(Date.UTC(year, month - 1, day))
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null
+}
+
+/**
+ * 星期几对应的日期
+ *   - next：下周的这一天（周一为一周的第一天）
+ *   - this：本周的这一天（可能已经过去）
+ *   - 否则为今天起最近的这一天（包括今天）
+ */
+function resolveWeekday(today: Date, weekday: number, week: 'next' | 'this' | null): Date {
+  const mondayOffset = (day: number) => (day + 6) % 7
+  if (week === 'next') {
+    return addDays(today, 7 - mondayOffset(today.getUTCDay()) + mondayOffset(weekday))
+  }
+  if (week === 'this') {
+    return addDays(today, mondayOffset(weekday) - mondayOffset(today.getUTCDay()))
+  }
+  return addDays(today, (weekday - today.getUTCDay() + 7) % 7)
+}
+
+/**
+ * 从文本中取出截止日期，返回日期和去掉日期后的文本
+ */
+function extractDueDate(text: string, today: Date): { date: string | null; rest: string } {
+  const rules: Array<[RegExp, (match: RegExpMatchArray) => Date | null]> = [
+    [new RegExp(`(\\d{4})[-/年](\\d{1,2})[-/月](\\d{1,2})[日号]?${DUE_SUFFIX}`),
+      m => parseDate(Number(m[1]), Number(m[2]), Number(m[3]))],
+    [new RegExp(`(\\d{1,2})月(\\d{1,2})[日号]${DUE_SUFFIX}`), m => {
+      const thisYear = parseDate(today.getUTCFullYear(), Number(m[1]), Number(m[2]))
+      // 今年的这一天已经过去时取明年
+      return thisYear && thisYear < today ? parseDate(today.getUTCFullYear() + 1, Number(m[1]), Number(m[2])) : thisYear
+    }],
+    [new RegExp(`(今天|今日|明天|明日|后天)${DUE_SUFFIX}`), m => addDays(today, RELATIVE_DAYS[m[1]])],
+    [new RegExp(`(下|这|本)?(?:个)?(?:周|星期|礼拜)([一二三四五六日天])${DUE_SUFFIX}`), m => resolveWeekday(
+      today,
+      m[2] === '天' ? 0 : WEEKDAY_NAMES.indexOf(m[2]),
+      m[1] === '下' ? 'next' : m[1] ? 'this' : null
+    )],
+    [/\b(?:by |due |before )?(today|tomorrow)\b/i, m => addDays(today, m[1].toLowerCase() === 'today' ? 0 : 1)],
+    [new RegExp(`\\b(?:by |due |before |on )?(next )?(${EN_WEEKDAYS.join('|')})\\b`, 'i'), m => resolveWeekday(
+      today,
+      EN_WEEKDAYS.indexOf(m[2].toLowerCase()),
+      m[1] ? 'next' : null
+    )]
+  ]
+
+  for (const [pattern, resolve] of rules) {
+    const match = text.match(pattern)
+    if (!match) continue
+    const date = resolve(match)
+    if (date) {
+      return { date: formatDate(date), rest: text.replace(match[0], ' ') }
+    }
+  }
+  return { date: null, rest: text }
+}
+
+/**
+ * 规则解析：按关键词识别优先级、截止日期、父任务、备注和是否拆分，结果只取决于输入和当前日期
+ */
+export function parseTaskByRules(text: string, now: Date = new Date(), timezoneOffset = 0): RuleParseResult {
+  let rest = text.trim()
+
+  let description: string | null = null
+  const note = rest.match(NOTE_PATTERN) || rest.match(TRAILING_PAREN_PATTERN)
+  if (note) {
+    description = note[1].trim() || null
+    rest = rest.replace(note[0], ' ')
+  }
+
+  let parentTitle: string | null = null
+  const parent = rest.match(PARENT_PATTERN)
+  if (parent) {
+    parentTitle = (parent[1] || parent[2]).trim()
+    rest = rest.replace(parent[0], ' ')
+  }
+
+  let priority: TaskPriority = 'medium'
+  for (const [pattern, value] of PRIORITY_PATTERNS) {
+    const match = rest.match(pattern)
+    if (match) {
+      priority = value
+      rest = rest.replace(match[0], ' ')
+      break
+    }
+  }
+
+  const due = extractDueDate(rest, localToday(now, timezoneOffset))
+  rest = due.rest
+
+  const breakdownMatch = rest.match(BREAKDOWN_PATTERN)
+  if (breakdownMatch) {
+    rest = rest.replace(breakdownMatch[0], ' ')
+  }
+
+  // 去掉修饰词后剩下的部分作为标题（全部被去掉时使用原文）
+  const title = rest.replace(/\s+/g, ' ').replace(TRIM_PATTERN, '').trim()
+  return {
+    title: (title || text.trim()).slice(0, 200),
+    description,
+    priority,
+    due_date: due.date,
+    parentTitle,
+    breakdown: Boolean(breakdownMatch)
+  }
+}
+
+/**
+ * 按标题从候选任务中找出父任务：标题相同优先，其次互相包含，最后为几乎相同
+ */
+export function matchParent(title: string, candidates: Task[]): Task | null {
+  const key = title.trim().toLowerCase()
+  if (!key) return null
+  return candidates.find(task => task.title.trim().toLowerCase() === key) ||
+    candidates.find(task => {
+      const candidate = task.title.trim().toLowerCase()
+      return candidate.includes(key) || key.includes(candidate)
+    }) ||
+    candidates.find(task => isSimilarTitle(task.title, title)) ||
+    null
+}
+
+/**
+ * 本地日期（YYYY-MM-DD）当天结束时刻的 ISO 时间（与前端选择截止日期时一致）
+ */
+export function endOfLocalDay(date: string, timezoneOffset: number): string {
+  const [year, month, day] = date.split('-').map(Number)
+  return new Date(Date.UTC(year, month - 1, day, 23, 59, 59) + timezoneOffset * 60 * 1000).toISOString()
+}
+
+/**
+ * 要求 AI 输出的 JSON Schema
+ */
+function buildParseSchema(candidates: Task[]) {
+  return {
+    type: 'object',
+    required: ['title', 'priority', 'due_date', 'parent_id', 'breakdown'],
+    properties: {
+      title: { type: 'string', minLength: 1, maxLength: 200 },
+      description: { type: ['string', 'null'], maxLength: 1000 },
+      priority: { type: 'string', enum: PRIORITIES },
+      due_date: { type: ['string', 'null'], format: 'date' },
+      parent_id: { type: ['integer', 'null'], enum: [...candidates.map(task => task.id), null] },
+      breakdown: { type: 'boolean' }
+    }
+  }
+}
+
+/**
+ * 构建解析任务的提示词（包含当前日期和候选父任务）
+ */
+export function buildParsePrompt(text: string, candidates: Task[], now: Date, timezoneOffset: number): ChatMessage[] {
+  const today = localToday(now, timezoneOffset)
+  const list = candidates.length > 0
+    ? candidates.map(task => `#${task.id} ${task.title}`).join('\n')
+    : '（无）'
+
+  return [{
+    role: 'user',
+    content: `把用户输入的一句话解析成一条待办任务。今天是 ${formatDate(today)}（星期${WEEKDAY_NAMES[today.getUTCDay()]}）。要求：
+1. title：简洁的任务标题，去掉日期、优先级、「拆成几步」等修饰语，保持输入的语言
+2. description：输入中的补充说明，没有时为 null
+3. priority：high、medium 或 low，没有提到时为 medium
+4. due_date：截止日期（YYYY-MM-DD），「周五前」指今天起最近的周五，没有提到时为 null
+5. parent_id：任务明显属于下方某个现有任务时填写它的 ID，否则为 null
+6. breakdown：用户要求把任务拆分成步骤时为 true
+7. 只返回一个符合下方 JSON Schema 的 JSON 对象，不要其他文字说明
+
+现有任务：
+${list}
+
+输入：${text}
+
+JSON Schema：
+${JSON.stringify(buildParseSchema(candidates), null, 2)}`
+  }]
+}
+
+/**
+ * AI 解析的输出（见 buildParseSchema）：可以省略的字段按 null / false 处理
+ * parent_id 不校验类型，不在候选任务中时视为没有父任务
+ */
+interface ParseOutput {
+  title: string
+  description?: string | null
+  priority: TaskPriority
+  due_date?: string | null
+  parent_id?: unknown
+  breakdown?: boolean
+}
+
+/**
+ * 判断解析后的 JSON 是否符合 ParseOutput（标题、描述长度与创建任务的限制一致，due_date 必须是存在的日期）
+ */
+function isParseOutput(value: unknown): value is ParseOutput {
+  if (!isRecord(value)) return false
+  const { title, description = null, priority, due_date: dueDate = null, breakdown = false } = value
+  return typeof title === 'string' && title.trim().length > 0 && title.trim().length <= 200 &&
+    (description === null || (typeof description === 'string' && description.length <= 1000)) &&
+    PRIORITIES.includes(priority as TaskPriority) &&
+    (dueDate === null || (typeof dueDate === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(dueDate) &&
+      parseDate(...(dueDate.split('-').map(Number) as [number, number, number])) !== null)) &&
+    typeof breakdown === 'boolean'
+}
+
+/**
+ * 校验 AI 的输出，返回解析结果或 null（不符合 schema）
+ * parent_id 不在候选任务中时视为没有父任务
+ */
+export function validateParseOutput(
+  content: string,
+  candidates: Task[]
+): (Omit<RuleParseResult, 'parentTitle'> & { parent: Task | null }) | null {
+  const parsed = parseJSONOutput(content)
+  if (!isParseOutput(parsed)) return null
+
+  const { title, description = null, priority, due_date = null, parent_id = null, breakdown = false } = parsed
+  return {
+    title: title.trim(),
+    description: description?.trim() || null,
+    priority,
+    due_date,
+    parent: candidates.find(task => task.id === parent_id) || null,
+    breakdown
+  }
+}
+
+/**
+ * 组装返回给客户端的解析结果
+ */
+export function toParsedTask(
+  result: Omit<RuleParseResult, 'parentTitle'> & { parent: Task | null },
+  timezoneOffset: number,
+  source: ParsedTask['source'],
+  model: string | null,
+  warning: string | null
+): ParsedTask {
+  return {
+    task: {
+      title: result.title,
+      description: result.description,
+      priority: result.priority,
+      parent_id: result.parent ? result.parent.id : null,
+      due_at: result.due_date ? endOfLocalDay(result.due_date, timezoneOffset) : null
+    },
+    parent: result.parent ? { id: result.parent.id, title: result.parent.title } : null,
+    breakdown: result.breakdown,
+    source,
+    model,
+    warning
+  }
+}
@@ -0,0 +1,205 @@
+import type { Task, TaskRecurrence, RecurrenceFrequency } from '../types/task'
+import type { TaskInput, TaskRepository } from './repository'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const MAX_INTERVAL = 365
+const VALID_FREQUENCIES: RecurrenceFrequency[] = ['daily', 'weekly', 'monthly']
+
+/**
+ * 验证并规范化 recurrence 字段
+ * 返回 undefined 表示未提供，null 表示不重复；校验失败时写入 errors
+ */
+export function validateRecurrence(value: unknown, errors: string[]): TaskRecurrence | null | undefined {
+  if (value === undefined || value === null) return value
+
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    errors.push('recurrence 必须是对象或 null')
+    return undefined
+  }
+
+  const rule = value as Partial<TaskRecurrence>
+  const ruleErrors: string[] = []
+
+  if (!rule.freq || !VALID_FREQUENCIES.includes(rule.freq)) {
+    ruleErrors.push(`recurrence.freq 必须是 ${VALID_FREQUENCIES.join('、')}`)
+  }
+
+  const interval = rule.interval === undefined ? 1 : rule.interval
+  if (!Number.isInteger(interval) || interval < 1 || interval > MAX_INTERVAL) {
+    ruleErrors.push(`recurrence.interval 必须是 1-${MAX_INTERVAL} 之间的整数`)
+  }
+
+  const byWeekday = rule.by_weekday === undefined ? [] : rule.by_weekday
+  if (!Array.isArray(byWeekday) || !byWeekday.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+    ruleErrors.push('recurrence.by_weekday 必须是 0-6 的整数数组（0 表示周日）')
+  } else if (byWeekday.length > 0 && rule.freq !== 'weekly') {
+    ruleErrors.push('recurrence.by_weekday 只能用于 weekly')
+  }
+
+  const byMonthday = rule.by_monthday === undefined ? null : rule.by_monthday
+  if (byMonthday !== null && (!Number.isInteger(byMonthday) || byMonthday < 1 || byMonthday > 31)) {
+    ruleErrors.push('recurrence.by_monthday 必须是 1-31 的整数或 null')
+  } else if (byMonthday !== null && rule.freq !== 'monthly') {
+    ruleErrors.push('recurrence.by_monthday 只能用于 monthly')
+  }
+
+  const until = rule.until === undefined ? null : rule.until
+  if (until !== null && (typeof until !== 'string' || isNaN(Date.parse(until)))) {
+    ruleErrors.push('recurrence.until 必须是有效的 ISO 8601 日期时间或 null')
+  }
+
+  if (ruleErrors.length > 0) {
+    errors.push(...ruleErrors)
+    return undefined
+  }
+
+  return {
+    freq: rule.freq as RecurrenceFrequency,
+    interval,
+    by_weekday: Array.from(new Set(byWeekday as number[])).sort((a, b) => a - b),
+    by_monthday: byMonthday,
+    until: until ? new Date(until).toISOString() : null
+  }
+}
+
+/**
+ * 以周一为一周的开始，返回日期所在周的序号（用于判断相隔几周）
+ */
+function weekNumber(date: Date): number {
+  // 1970-01-01 是周四，加 3 天后以周一为界
+  return Math.floor((Math.floor(date.getTime() / DAY_MS) + 3) / 7)
+}
+
+/**
+ * 按重复规则计算 from 之后的下一次时间（保留时分秒，按 UTC 日期计算）
+ */
+export function getNextOccurrence(rule: TaskRecurrence, from: Date): Date {
+  if (rule.freq === 'daily') {
+    return new Date(from.getTime() + rule.interval * DAY_MS)
+  }
+
+  if (rule.freq === 'weekly') {
+    if (rule.by_weekday.length === 0) {
+      return new Date(from.getTime() + rule.interval * 7 * DAY_MS)
+    }
+
+    // 逐日查找：所在周与起始周相隔 interval 的整数倍，且星期在 by_weekday 中
+    const startWeek = weekNumber(from)
+    for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+      const candidate = new Date(from.getTime() + offset * DAY_MS)
+      if ((weekNumber(candidate) - startWeek) % rule.interval === 0 && rule.by_weekday.includes(candidate.getUTCDay())) {
+        return candidate
+      }
+    }
+    return new Date(from.getTime() + rule.interval * 7 * DAY_MS)
+  }
+
+  // monthly：按 by_monthday（未设置时按 from 的日期），超出目标月份天数时取该月最后一天
+  // 只调整结果，不改变每月的日期（1 月 31 日 -> 2 月 28 日 -> 3 月 31 日）
+  const year = from.getUTCFullYear()
+  const month = from.getUTCMonth() + rule.interval
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate()
+  const next = new Date(from.getTime())
+  next.setUTCFullYear(year, month, Math.min(rule.by_monthday || from.getUTCDate(), lastDay))
+  return next
+}
+
+/**
+ * 复制任务的可写字段（新任务均为 pending）
+ */
+function copyTaskInput(task: Task, overrides: Partial<TaskInput>): TaskInput {
+  return {
+    title: task.title,
+    description: task.description,
+    status: 'pending',
+    priority: task.priority,
+    parent_id: task.parent_id,
+    start_at: task.start_at,
+    due_at: task.due_at,
+    recurrence: null,
+    estimated_minutes: task.estimated_minutes ?? null,
+    ...overrides
+  }
+}
+
+/**
+ * 为刚完成的重复任务生成下一次任务，并复制其子任务结构和标签（子任务的重复规则转移到复制的子任务上）
+ *   - 下一次的时间从截止时间推算（没有截止时间时依次使用开始时间、当前时间），开始时间和子任务的时间同步平移
+ *   - 逾期后才完成时跳过已经过去的各次，下一次总在当前时间之后
+ *   - 重复规则转移到新任务上，已完成的任务不再带有规则，重新打开后再完成也不会重复生成
+ *   - 下一次晚于 until 时系列结束，返回 null
+ */
+export async function spawnNextOccurrence(tasks: TaskRepository, task: Task): Promise<Task | null> {
+  if (!task.recurrence) return null
+
+  const now = Date.now()
+  const base = new Date(task.due_at || task.start_at || now)
+  // 每月重复时记下第一次的日期，之后各次都按这一天计算
+  const rule = task.recurrence.freq === 'monthly' && !task.recurrence.by_monthday
+    ? { ...task.recurrence, by_monthday: base.getUTCDate() }
+    : task.recurrence
+  const until = rule.until ? Date.parse(rule.until) : null
+  let next = getNextOccurrence(rule, base)
+  while (next.getTime() <= now && (until === null || next.getTime() <= until)) {
+    next = getNextOccurrence(rule, next)
+  }
+
+  // 规则已转移或系列结束，当前任务都不再重复
+  await tasks.update(task.id, { recurrence: null })
+
+  if (until !== null && next.getTime() > until) {
+    return null
+  }
+
+  const delta = next.getTime() - base.getTime()
+  const shift = (iso: string | null) => (iso ? new Date(Date.parse(iso) + delta).toISOString() : null)
+
+  const created = await tasks.create(copyTaskInput(task, {
+    start_at: task.due_at ? shift(task.start_at) : task.start_at ? next.toISOString() : null,
+    due_at: task.due_at || !task.start_at ? next.toISOString() : null,
+    recurrence: rule
+  }))
+
+  const labelIds = (task.labels || []).map(label => label.id)
+  if (labelIds.length > 0) {
+    await tasks.setLabels(created.id, labelIds)
+  }
+
+  // 逐层复制子任务（旧 ID -> 新任务）
+  const descendants = await tasks.getSubtree([task.id])
+  const copies = new Map<number, Task>([[task.id, { ...created, subtasks: [] }]])
+  let levelIds = new Set([task.id])
+
+  while (levelIds.size > 0) {
+    const level = descendants.filter(child => child.parent_id !== null && levelIds.has(child.parent_id))
+    if (level.length === 0) break
+
+    const inserted = await tasks.bulkInsert(level.map(child => copyTaskInput(child, {
+      parent_id: (copies.get(child.parent_id as number) as Task).id,
+      start_at: shift(child.start_at),
+      due_at: shift(child.due_at),
+      recurrence: child.recurrence
+    })))
+
+    for (let i = 0; i < level.length; i++) {
+      const childLabelIds = (level[i].labels || []).map(label => label.id)
+      if (childLabelIds.length > 0) {
+        await tasks.setLabels(inserted[i].id, childLabelIds)
+      }
+
+      const copy: Task = { ...inserted[i], labels: level[i].labels || [], subtasks: [] }
+      copies.set(level[i].id, copy)
+      copies.get(level[i].parent_id as number)?.subtasks?.push(copy)
+    }
+
+    levelIds = new Set(level.map(child => child.id))
+  }
+
+  const recurringIds = descendants.filter(child => child.recurrence).map(child => child.id)
+  if (recurringIds.length > 0) {
+    await tasks.updateMany(recurringIds, { recurrence: null })
+  }
+
+  const root = copies.get(task.id) as Task
+  return { ...root, labels: task.labels || [] }
+}
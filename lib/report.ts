@@ -0,0 +1,216 @@
+import type { ReportEntry, ReportGroup, Task, TaskReport } from '../types/task'
+import type { ChatMessage } from './llm'
+import type { TaskRepository } from './repository'
+
+// 默认的日期范围（天，含今天）和允许的最大范围
+export const REPORT_DEFAULT_DAYS = 7
+export const REPORT_MAX_DAYS = 366
+
+// 报告最多列出的已完成任务数量（按创建时间取最新的）
+export const REPORT_MAX_TASKS = 500
+
+// AI 润色后的报告最大长度
+const REPORT_MAX_MARKDOWN_LENGTH = 20000
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 报告的日期范围：from / to 为客户端本地日期，start / end 为对应的 ISO 时间（包含两端）
+ */
+export interface ReportRange {
+  from: string
+  to: string
+  start: string
+  end: string
+}
+
+/**
+ * 时间对应的客户端本地日期（YYYY-MM-DD）
+ */
+function localDate(time: number, timezoneOffset: number): string {
+  return new Date(time - timezoneOffset * 60 * 1000).toISOString().slice(0, 10)
+}
+
+/**
+ * 解析 YYYY-MM-DD 格式的日期，返回当天 0 点（按 UTC 计算的毫秒数）；格式不对或日期不存在时返回 null
+ */
+function parseDate(value: string): number | null {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null
+  const time = Date.parse(`${value}T00:00:00Z`)
+  return !isNaN(time) && new Date(time).toISOString().slice(0, 10) === value ? time : null
+}
+
+/**
+ * 根据查询参数确定日期范围：to 默认为今天，from 默认为 to 之前 REPORT_DEFAULT_DAYS - 1 天
+ * 日期无效、from 晚于 to 或超过 REPORT_MAX_DAYS 天时返回错误信息
+ */
+export function resolveReportRange(
+  from: string | undefined,
+  to: string | undefined,
+  timezoneOffset: number,
+  now: Date
+): ReportRange | string {
+  const toDay = parseDate(to ?? localDate(now.getTime(), timezoneOffset))
+  if (toDay === null) return 'to 必须是有效的日期（YYYY-MM-DD）'
+  const fromDay = from === undefined ? toDay - (REPORT_DEFAULT_DAYS - 1) * DAY_MS : parseDate(from)
+  if (fromDay === null) return 'from 必须是有效的日期（YYYY-MM-DD）'
+  if (fromDay > toDay) return 'from 不能晚于 to'
+  if ((toDay - fromDay) / DAY_MS + 1 > REPORT_MAX_DAYS) return `日期范围不能超过 ${REPORT_MAX_DAYS} 天`
+
+  const offset = timezoneOffset * 60 * 1000
+  return {
+    from: new Date(fromDay).toISOString().slice(0, 10),
+    to: new Date(toDay).toISOString().slice(0, 10),
+    start: new Date(fromDay + offset).toISOString(),
+    end: new Date(toDay + DAY_MS + offset - 1).toISOString()
+  }
+}
+
+/**
+ * 读取范围内完成的任务，按顶级任务分组（沿 parent_id 逐层查找祖先）
+ * 祖先任务在回收站中时，以能找到的最上层任务作为分组
+ */
+export async function loadReportGroups(
+  tasks: TaskRepository,
+  range: ReportRange
+): Promise<{ groups: ReportGroup[]; total: number }> {
+  const { tasks: completed, total } = await tasks.list(
+    { status: 'completed', completed_after: range.start, completed_before: range.end },
+    { sort: 'created_at', order: 'desc', limit: REPORT_MAX_TASKS }
+  )
+
+  // 逐层读取不在结果中的祖先任务
+  const known = new Map<number, Task>(completed.map(task => [task.id, task]))
+  const missingParents = (list: Task[]) => Array.from(new Set(
+    list.map(task => task.parent_id).filter((id): id is number => id !== null && !known.has(id))
+  ))
+  let missing = missingParents(completed)
+  while (missing.length > 0) {
+    const parents = await tasks.getByIds(missing)
+    parents.forEach(parent => known.set(parent.id, parent))
+    missing = missingParents(parents)
+  }
+
+  const groups = new Map<number, ReportGroup>()
+  completed
+    .slice()
+    .sort((a, b) => Date.parse(a.completed_at as string) - Date.parse(b.completed_at as string) || a.id - b.id)
+    .forEach(task => {
+      const ancestors: Task[] = []
+      let current = task
+      while (current.parent_id !== null && known.has(current.parent_id)) {
+        current = known.get(current.parent_id) as Task
+        ancestors.unshift(current)
+      }
+      const root = ancestors.length > 0 ? ancestors[0] : task
+      const entry: ReportEntry = { task, path: ancestors.slice(1).map(ancestor => ancestor.title) }
+      const group = groups.get(root.id)
+      if (group) {
+        group.entries.push(entry)
+      } else {
+        groups.set(root.id, { root, entries: [entry] })
+      }
+    })
+
+  return {
+    groups: Array.from(groups.values()).sort((a, b) => b.entries.length - a.entries.length || a.root.id - b.root.id),
+    total
+  }
+}
+
+/**
+ * 报告中的一行：「父任务 › 任务（10-14）」
+ */
+function formatEntry({ task, path }: ReportEntry, timezoneOffset: number): string {
+  const date = localDate(Date.parse(task.completed_at as string), timezoneOffset).slice(5)
+  return `- ${[...path, task.title].join(' › ')}（${date}）`
+}
+
+/**
+ * 用模板生成 Markdown 报告：有子任务完成的顶级任务各占一节，其余单独完成的任务列在「其他」中
+ */
+export function renderReportMarkdown(
+  range: ReportRange,
+  groups: ReportGroup[],
+  total: number,
+  timezoneOffset: number
+): string {
+  const period = range.from === range.to ? range.from : `${range.from} 至 ${range.to}`
+  const lines = [`# 工作进展（${period}）`, '']
+
+  if (total === 0) {
+    lines.push('这段时间没有完成的任务。')
+    return lines.join('\n')
+  }
+
+  const listed = groups.reduce((sum, group) => sum + group.entries.length, 0)
+  const projects = groups.filter(group => group.entries.some(entry => entry.task.id !== group.root.id))
+  const others = groups.filter(group => !projects.includes(group))
+  lines.push(listed < total
+    ? `共完成 ${total} 个任务，以下列出最近创建的 ${listed} 个。`
+    : `共完成 ${total} 个任务${projects.length > 0 ? `，涉及 ${projects.length} 个项目` : ''}。`)
+
+  projects.forEach(group => {
+    const status = group.root.status === 'completed' ? '已完成' : '进行中'
+    lines.push('', `## ${group.root.title}（${status}）`, '')
+    group.entries.forEach(entry => lines.push(formatEntry(entry, timezoneOffset)))
+  })
+
+  if (others.length > 0) {
+    lines.push('', projects.length > 0 ? '## 其他' : '## 已完成的任务', '')
+    others.forEach(group => group.entries.forEach(entry => lines.push(formatEntry(entry, timezoneOffset))))
+  }
+
+  return lines.join('\n')
+}
+
+/**
+ * 构建润色报告的提示词（草稿放在最后的「草稿：」之后）
+ */
+export function buildReportPrompt(draft: string): ChatMessage[] {
+  return [{
+    role: 'user',
+    content: `你是一个帮助团队撰写工作进展的助手。请把下方草稿整理成一份简洁、通顺的进展报告。要求：
+1. 保留草稿中的每一个项目和完成的任务，不要编造草稿中没有的工作
+2. 每个项目先用一两句话概括进展，再列出完成的任务，意思相近的任务可以合并
+3. 保留一级标题中的日期范围，使用草稿中任务标题的语言
+4. 直接输出 Markdown，不要用代码块包裹，不要其他文字说明
+
+草稿：
+${draft}`
+  }]
+}
+
+/**
+ * 校验 AI 润色后的报告，为空或过长时返回 null
+ */
+export function validateReportOutput(content: string): string | null {
+  // 部分模型会把结果包在 markdown 代码块中
+  const markdown = content.trim().replace(/^```(?:markdown|md)?\s*([\s\S]*?)\s*```$/i, '$1').trim()
+  if (!markdown || markdown.length > REPORT_MAX_MARKDOWN_LENGTH) return null
+  return markdown
+}
+
+/**
+ * 组装返回给客户端的报告
+ */
+export function toTaskReport(
+  range: ReportRange,
+  groups: ReportGroup[],
+  total: number,
+  markdown: string,
+  source: TaskReport['source'],
+  model: string | null,
+  warning: string | null
+): TaskReport {
+  return {
+    from: range.from,
+    to: range.to,
+    completed_count: total,
+    groups,
+    markdown,
+    source,
+    model,
+    warning
+  }
+}
@@ -0,0 +1,20 @@
+/**
+ * 注册、登录失败（status 为建议返回的 HTTP 状态码）
+ */
+export class AuthError extends Error {
+  status: number
+
+  constructor(message: string, status = 400) {
+    super(message)
+    this.name = 'AuthError'
+    this.status = status
+  }
+}
+
+/**
+ * 判断是否为 AuthError
+ * 存储实例缓存在 globalThis 上，与各 API 路由加载的 AuthError 可能不是同一个类，因此按 name 判断而不用 instanceof
+ */
+export function isAuthError(error: unknown): error is AuthError {
+  return error instanceof Error && error.name === 'AuthError'
+}
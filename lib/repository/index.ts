@@ -0,0 +1,72 @@
+import { TASK_STORAGE, TASK_STORAGE_FILE } from '../config'
+import { createSupabaseBackend } from './supabase'
+import { createMemoryBackend } from './memory'
+import type { AIUsageLedger, AuthProvider, AuthSession, Repositories, StorageBackend } from './types'
+
+export { AuthError, isAuthError } from './errors'
+export type {
+  TaskInput,
+  TaskTreeInput,
+  LabelInput,
+  TaskEventInput,
+  AIUsageInput,
+  TaskFilter,
+  TaskCursor,
+  TaskListOptions,
+  TaskListResult,
+  TaskRepository,
+  LabelRepository,
+  TaskEventRepository,
+  AIUsageRepository,
+  AIUsageLedger,
+  Repositories,
+  AuthSession,
+  AuthProvider,
+  StorageBackend
+} from './types'
+
+// Next.js 开发模式下各 API 路由会分别加载模块，挂在 globalThis 上保证共用同一份存储
+const globalStore = globalThis as typeof globalThis & { __todoStorage?: StorageBackend }
+
+/**
+ * 获取当前配置的存储后端（由 TASK_STORAGE 环境变量决定）
+ */
+function getStorage(): StorageBackend {
+  if (!globalStore.__todoStorage) {
+    switch (TASK_STORAGE) {
+      case 'supabase':
+        globalStore.__todoStorage = createSupabaseBackend()
+        break
+      case 'memory':
+        globalStore.__todoStorage = createMemoryBackend()
+        break
+      case 'file':
+        globalStore.__todoStorage = createMemoryBackend(TASK_STORAGE_FILE)
+        break
+      default:
+        throw new Error(`Unknown TASK_STORAGE: ${TASK_STORAGE}（可选值：supabase、memory、file）`)
+    }
+  }
+  return globalStore.__todoStorage
+}
+
+/**
+ * 获取账号认证服务
+ */
+export function getAuthProvider(): AuthProvider {
+  return getStorage().auth
+}
+
+/**
+ * 获取当前登录用户的任务、标签与任务事件仓库（只能访问该用户自己的数据）
+ */
+export function getRepositories(session: AuthSession): Repositories {
+  return getStorage().forUser(session)
+}
+
+/**
+ * 获取所有用户的 AI 用量记录（只在确认当前用户是管理员后使用）
+ */
+export function getUsageLedger(): AIUsageLedger {
+  return getStorage().usageLedger
+}
@@ -0,0 +1,736 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import path from 'path'
+import type { Task, Label, TaskEvent, TaskPriority, TaskSortField } from '../../types/task'
+import type { User } from '../../types/user'
+import type { AIUsageRecord, AIUsageTotals } from '../../types/ai'
+import { AuthError } from './errors'
+import { byPosition, initialPosition } from '../position'
+import type {
+  TaskInput,
+  TaskTreeInput,
+  LabelInput,
+  TaskEventInput,
+  AIUsageInput,
+  TaskFilter,
+  TaskListOptions,
+  TaskListResult,
+  TaskRepository,
+  LabelRepository,
+  TaskEventRepository,
+  AIUsageRepository,
+  AIUsageLedger,
+  Repositories,
+  AuthSession,
+  AuthProvider,
+  StorageBackend
+} from './types'
+
+// 优先级排序值（与数据库中的 priority_rank 一致）
+const PRIORITY_RANK: Record<TaskPriority, number> = {
+  low: 1,
+  medium: 2,
+  high: 3
+}
+
+// 本地账号会话有效期：30 天
+const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000
+
+/**
+ * 本地账号（密码以 scrypt 哈希保存）
+ */
+interface StoredUser extends User {
+  password_hash: string
+  created_at: string
+}
+
+/**
+ * 本地会话（只保存令牌的 SHA-256 哈希）
+ */
+interface StoredSession {
+  token_hash: string
+  user_id: string
+  expires_at: string
+}
+
+/**
+ * 存储的数据结构（同时也是 JSON 文件的格式）
+ */
+interface StoreData {
+  users: StoredUser[]
+  sessions: StoredSession[]
+  tasks: Task[]
+  labels: Label[]
+  taskLabels: { task_id: number; label_id: number }[]
+  taskEvents: TaskEvent[]
+  aiUsage: AIUsageRecord[]
+  nextTaskId: number
+  nextLabelId: number
+  nextEventId: number
+  nextUsageId: number
+}
+
+/**
+ * 内存存储：数据保存在进程内，可选地持久化到 JSON 文件
+ */
+class MemoryStore {
+  data: StoreData
+  private filePath: string | null
+
+  constructor(filePath: string | null) {
+    this.filePath = filePath
+    this.data = {
+      users: [],
+      sessions: [],
+      tasks: [],
+      labels: [],
+      taskLabels: [],
+      taskEvents: [],
+      aiUsage: [],
+      nextTaskId: 1,
+      nextLabelId: 1,
+      nextEventId: 1,
+      nextUsageId: 1
+    }
+
+    if (filePath && fs.existsSync(filePath)) {
+      this.data = { ...this.data, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) }
+      // 旧版本的数据文件中没有 completed_at 和 position：已完成的任务以创建时间作为完成时间，位置按创建时间分配
+      this.data.tasks = this.data.tasks.map(task => ({
+        ...task,
+        completed_at: task.completed_at !== undefined ? task.completed_at : task.status === 'completed' ? task.created_at : null,
+        position: task.position ?? initialPosition(task.parent_id, Date.parse(task.created_at))
+      }))
+    }
+  }
+
+  /**
+   * 写入变更（文件模式下同步保存到磁盘）
+   */
+  save(): void {
+    if (!this.filePath) return
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true })
+    fs.writeFileSync(this.filePath, JSON.stringify(this.data, null, 2))
+  }
+
+  /**
+   * 为任务附加标签，返回副本避免外部修改存储中的对象
+   */
+  withLabels(task: Task): Task {
+    const labelIds = new Set(
+      this.data.taskLabels.filter(row => row.task_id === task.id).map(row => row.label_id)
+    )
+    return {
+      ...task,
+      labels: this.data.labels.filter(label => labelIds.has(label.id)).map(label => ({ ...label }))
+    }
+  }
+}
+
+/**
+ * 按排序字段取任务的排序值
+ */
+function sortValue(task: Task, sort: TaskSortField): string | number {
+  if (sort === 'priority') return PRIORITY_RANK[task.priority]
+  return task[sort]
+}
+
+/**
+ * 比较两个排序值（先比较排序值，相同时比较 ID）
+ */
+function compareKeys(a: [string | number, number], b: [string | number, number]): number {
+  if (a[0] < b[0]) return -1
+  if (a[0] > b[0]) return 1
+  return a[1] - b[1]
+}
+
+/**
+ * 按创建时间正序比较
+ */
+function byCreatedAt(a: Task, b: Task): number {
+  return compareKeys([a.created_at, a.id], [b.created_at, b.id])
+}
+
+/**
+ * 按写入后的状态计算完成时间：状态不变时保留原来的完成时间
+ */
+function completedAt(status: Task['status'], before: Task | null, now: string): string | null {
+  if (status !== 'completed') return null
+  return before && before.status === 'completed' ? before.completed_at ?? null : now
+}
+
+/**
+ * 基于内存的任务存储（只能访问 userId 的任务）
+ */
+class MemoryTaskRepository implements TaskRepository {
+  constructor(private store: MemoryStore, private userId: string) {}
+
+  // 当前用户的全部任务（含回收站中的任务）
+  private get allTasks(): Task[] {
+    return this.store.data.tasks.filter(task => task.user_id === this.userId)
+  }
+
+  private get tasks(): Task[] {
+    return this.allTasks.filter(task => !task.deleted_at)
+  }
+
+  /**
+   * 逐层查找后代任务，include 返回 false 的任务及其后代不计入
+   */
+  private findDescendants(rootIds: number[], include: (task: Task) => boolean): Task[] {
+    const all = this.allTasks
+    const descendants: Task[] = []
+    const visited = new Set<number>(rootIds)
+    let levelIds = new Set<number>(rootIds)
+
+    while (levelIds.size > 0) {
+      const children = all.filter(task =>
+        task.parent_id !== null && levelIds.has(task.parent_id) && !visited.has(task.id) && include(task)
+      )
+      children.forEach(task => visited.add(task.id))
+      descendants.push(...children)
+      levelIds = new Set(children.map(task => task.id))
+    }
+
+    return descendants
+  }
+
+  /**
+   * 设置任务的回收站状态
+   */
+  private setDeletedAt(ids: Set<number>, deletedAt: string | null): Task[] {
+    const changed: Task[] = []
+    this.store.data.tasks = this.store.data.tasks.map(task => {
+      if (!ids.has(task.id) || task.user_id !== this.userId) return task
+      const next = { ...task, deleted_at: deletedAt }
+      changed.push(next)
+      return next
+    })
+    this.store.save()
+    return changed.map(task => this.store.withLabels(task))
+  }
+
+  private matches(task: Task, filter: TaskFilter, labelTaskIds: Set<number> | null): boolean {
+    if (labelTaskIds && !labelTaskIds.has(task.id)) return false
+    if (filter.status && task.status !== filter.status) return false
+    if (filter.priority && task.priority !== filter.priority) return false
+    if (filter.parent_id !== undefined && task.parent_id !== filter.parent_id) return false
+    if (filter.due_before && (!task.due_at || Date.parse(task.due_at) > Date.parse(filter.due_before))) return false
+    if (filter.due_after && (!task.due_at || Date.parse(task.due_at) < Date.parse(filter.due_after))) return false
+    if (filter.completed_after && (!task.completed_at || Date.parse(task.completed_at) < Date.parse(filter.completed_after))) {
+      return false
+    }
+    if (filter.completed_before && (!task.completed_at || Date.parse(task.completed_at) > Date.parse(filter.completed_before))) {
+      return false
+    }
+    if (filter.overdue && (task.status !== 'pending' || !task.due_at || Date.parse(task.due_at) >= Date.now())) {
+      return false
+    }
+    return true
+  }
+
+  /**
+   * 按标签筛选任务，返回匹配的任务 ID
+   */
+  private findTaskIdsByLabels(filter: TaskFilter): Set<number> {
+    const labelIds = new Set(filter.labels || [])
+    const matchCounts = new Map<number, number>()
+    this.store.data.taskLabels
+      .filter(row => labelIds.has(row.label_id))
+      .forEach(row => matchCounts.set(row.task_id, (matchCounts.get(row.task_id) || 0) + 1))
+
+    return new Set(
+      Array.from(matchCounts.entries())
+        .filter(([, count]) => filter.labels_mode !== 'all' || count === labelIds.size)
+        .map(([taskId]) => taskId)
+    )
+  }
+
+  async list(filter: TaskFilter, options: TaskListOptions = {}): Promise<TaskListResult> {
+    const labelTaskIds = filter.labels && filter.labels.length > 0 ? this.findTaskIdsByLabels(filter) : null
+    const sort = options.sort || 'created_at'
+    const direction = options.order === 'asc' ? 1 : -1
+
+    const matched = this.tasks
+      .filter(task => this.matches(task, filter, labelTaskIds))
+      .sort((a, b) => direction * compareKeys([sortValue(a, sort), a.id], [sortValue(b, sort), b.id]))
+
+    let page = matched
+    const cursor = options.after
+    if (cursor) {
+      page = page.filter(task => direction * compareKeys([sortValue(task, sort), task.id], [cursor.v, cursor.id]) > 0)
+    }
+
+    const offset = options.offset || 0
+    page = page.slice(offset, options.limit !== undefined ? offset + options.limit : undefined)
+
+    return {
+      tasks: page.map(task => this.store.withLabels(task)),
+      total: matched.length
+    }
+  }
+
+  async getById(id: number): Promise<Task | null> {
+    const task = this.tasks.find(t => t.id === id)
+    return task ? this.store.withLabels(task) : null
+  }
+
+  async getByIds(ids: number[]): Promise<Task[]> {
+    const idSet = new Set(ids)
+    return this.tasks.filter(task => idSet.has(task.id)).map(task => this.store.withLabels(task))
+  }
+
+  async create(input: TaskInput): Promise<Task> {
+    const [task] = await this.bulkInsert([input])
+    return task
+  }
+
+  async bulkInsert(inputs: TaskInput[]): Promise<Task[]> {
+    const created = inputs.map(input => {
+      const now = new Date().toISOString()
+      const task: Task = {
+        ...input,
+        id: this.store.data.nextTaskId++,
+        user_id: this.userId,
+        created_at: now,
+        completed_at: completedAt(input.status, null, now),
+        position: initialPosition(input.parent_id, Date.parse(now)),
+        deleted_at: null
+      }
+      this.store.data.tasks.push(task)
+      return task
+    })
+    this.store.save()
+    return created.map(task => this.store.withLabels(task))
+  }
+
+  async insertTree(parentId: number | null, nodes: TaskTreeInput[]): Promise<Task[]> {
+    const insert = (parent: number | null, level: TaskTreeInput[]): Task[] => level.map(({ subtasks, ...input }) => {
+      const now = new Date().toISOString()
+      const task: Task = {
+        ...input,
+        parent_id: parent,
+        id: this.store.data.nextTaskId++,
+        user_id: this.userId,
+        created_at: now,
+        completed_at: completedAt(input.status, null, now),
+        position: initialPosition(parent, Date.parse(now)),
+        deleted_at: null
+      }
+      this.store.data.tasks.push(task)
+      return { ...this.store.withLabels(task), subtasks: insert(task.id, subtasks || []) }
+    })
+
+    const roots = insert(parentId, nodes)
+    this.store.save()
+    return roots
+  }
+
+  async update(id: number, changes: Partial<TaskInput>): Promise<Task | null> {
+    const [task] = await this.updateMany([id], changes)
+    return task || null
+  }
+
+  async updateMany(ids: number[], changes: Partial<TaskInput>): Promise<Task[]> {
+    const idSet = new Set(ids)
+    const updated: Task[] = []
+    const now = new Date().toISOString()
+    this.store.data.tasks = this.store.data.tasks.map(task => {
+      if (!idSet.has(task.id) || task.user_id !== this.userId || task.deleted_at) return task
+      const next = { ...task, ...changes }
+      next.completed_at = completedAt(next.status, task, now)
+      if (next.parent_id !== task.parent_id) {
+        next.position = initialPosition(next.parent_id, Date.parse(now))
+      }
+      updated.push(next)
+      return next
+    })
+    this.store.save()
+    return updated.map(task => this.store.withLabels(task))
+  }
+
+  async move(id: number, parentId: number | null, position: number): Promise<Task | null> {
+    let moved: Task | null = null
+    this.store.data.tasks = this.store.data.tasks.map(task => {
+      if (task.id !== id || task.user_id !== this.userId || task.deleted_at) return task
+      moved = { ...task, parent_id: parentId, position }
+      return moved
+    })
+    this.store.save()
+    return moved ? this.store.withLabels(moved) : null
+  }
+
+  async setPositions(positions: Array<{ id: number; position: number }>): Promise<void> {
+    const byId = new Map(positions.map(({ id, position }) => [id, position]))
+    this.store.data.tasks = this.store.data.tasks.map(task =>
+      byId.has(task.id) && task.user_id === this.userId ? { ...task, position: byId.get(task.id) as number } : task
+    )
+    this.store.save()
+  }
+
+  async trash(ids: number[]): Promise<Task[]> {
+    const idSet = new Set(ids)
+    const rootIds = this.tasks.filter(task => idSet.has(task.id)).map(task => task.id)
+    if (rootIds.length === 0) return []
+
+    // 已在回收站中的后代任务保留原来的删除时间
+    const descendants = this.findDescendants(rootIds, task => !task.deleted_at)
+    return this.setDeletedAt(new Set([...rootIds, ...descendants.map(task => task.id)]), new Date().toISOString())
+  }
+
+  async listTrash(): Promise<Task[]> {
+    return this.allTasks
+      .filter(task => task.deleted_at)
+      .sort((a, b) => compareKeys([b.deleted_at as string, b.id], [a.deleted_at as string, a.id]))
+      .map(task => this.store.withLabels(task))
+  }
+
+  async restore(id: number): Promise<Task[]> {
+    const task = this.allTasks.find(t => t.id === id && t.deleted_at)
+    if (!task) return []
+
+    // 只恢复与该任务同时移入回收站的后代任务
+    const descendants = this.findDescendants([id], child => child.deleted_at === task.deleted_at)
+    return this.setDeletedAt(new Set([id, ...descendants.map(child => child.id)]), null)
+  }
+
+  async purge(ids: number[]): Promise<Task[]> {
+    const idSet = new Set(ids)
+    const roots = this.allTasks.filter(task => idSet.has(task.id) && task.deleted_at)
+
+    // 与数据库外键一致：级联删除全部后代任务
+    const removed = [...roots, ...this.findDescendants(roots.map(task => task.id), () => true)]
+      .map(task => this.store.withLabels(task))
+    const removedIds = new Set(removed.map(task => task.id))
+    this.store.data.tasks = this.store.data.tasks.filter(task => !removedIds.has(task.id))
+    this.store.data.taskLabels = this.store.data.taskLabels.filter(row => !removedIds.has(row.task_id))
+    this.store.save()
+
+    return removed
+  }
+
+  async purgeExpired(before: string): Promise<Task[]> {
+    const expiredIds = this.allTasks
+      .filter(task => task.deleted_at && Date.parse(task.deleted_at) < Date.parse(before))
+      .map(task => task.id)
+    return expiredIds.length > 0 ? this.purge(expiredIds) : []
+  }
+
+  async getChildren(parentIds: number[]): Promise<Task[]> {
+    const parentSet = new Set(parentIds)
+    return this.tasks
+      .filter(task => task.parent_id !== null && parentSet.has(task.parent_id))
+      .sort(byPosition)
+      .map(task => this.store.withLabels(task))
+  }
+
+  async getSubtree(rootIds: number[]): Promise<Task[]> {
+    const descendants: Task[] = []
+    const visited = new Set<number>(rootIds)
+    let levelIds = rootIds
+
+    while (levelIds.length > 0) {
+      const children = (await this.getChildren(levelIds)).filter(task => !visited.has(task.id))
+      children.forEach(task => visited.add(task.id))
+      descendants.push(...children)
+      levelIds = children.map(task => task.id)
+    }
+
+    return descendants
+  }
+
+  async getAncestors(id: number): Promise<Task[]> {
+    const ancestors: Task[] = []
+    const visited = new Set<number>([id])
+    let current = this.tasks.find(task => task.id === id)
+
+    while (current && current.parent_id !== null && !visited.has(current.parent_id)) {
+      const parentId: number = current.parent_id
+      visited.add(parentId)
+      current = this.tasks.find(task => task.id === parentId)
+      if (current) {
+        ancestors.unshift(this.store.withLabels(current))
+      }
+    }
+
+    return ancestors
+  }
+
+  async search(terms: string[], limit: number): Promise<Task[]> {
+    const lowerTerms = terms.map(term => term.toLowerCase())
+    return this.tasks
+      .filter(task => {
+        const text = `${task.title}\n${task.description || ''}`.toLowerCase()
+        return lowerTerms.some(term => text.includes(term))
+      })
+      .sort((a, b) => byCreatedAt(b, a))
+      .slice(0, limit)
+      .map(task => this.store.withLabels(task))
+  }
+
+  async setLabels(taskId: number, labelIds: number[]): Promise<void> {
+    // 与行级安全策略一致：只能关联自己的任务和标签
+    if (!this.tasks.some(task => task.id === taskId)) return
+    const ownedLabelIds = new Set(
+      this.store.data.labels.filter(label => label.user_id === this.userId).map(label => label.id)
+    )
+    const uniqueIds = Array.from(new Set(labelIds)).filter(id => ownedLabelIds.has(id))
+    this.store.data.taskLabels = [
+      ...this.store.data.taskLabels.filter(row => row.task_id !== taskId),
+      ...uniqueIds.map(labelId => ({ task_id: taskId, label_id: labelId }))
+    ]
+    this.store.save()
+  }
+}
+
+/**
+ * 基于内存的标签存储（只能访问 userId 的标签）
+ */
+class MemoryLabelRepository implements LabelRepository {
+  constructor(private store: MemoryStore, private userId: string) {}
+
+  private get labels(): Label[] {
+    return this.store.data.labels.filter(label => label.user_id === this.userId)
+  }
+
+  async list(): Promise<Label[]> {
+    return [...this.labels]
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(label => ({ ...label }))
+  }
+
+  async getById(id: number): Promise<Label | null> {
+    const label = this.labels.find(l => l.id === id)
+    return label ? { ...label } : null
+  }
+
+  async findByName(name: string, excludeId?: number): Promise<Label | null> {
+    const lowerName = name.toLowerCase()
+    const label = this.labels.find(l => l.name.toLowerCase() === lowerName && l.id !== excludeId)
+    return label ? { ...label } : null
+  }
+
+  async count(): Promise<number> {
+    return this.labels.length
+  }
+
+  async create(input: LabelInput): Promise<Label> {
+    const label: Label = {
+      ...input,
+      id: this.store.data.nextLabelId++,
+      user_id: this.userId,
+      created_at: new Date().toISOString()
+    }
+    this.store.data.labels.push(label)
+    this.store.save()
+    return { ...label }
+  }
+
+  async update(id: number, changes: Partial<LabelInput>): Promise<Label | null> {
+    const label = this.labels.find(l => l.id === id)
+    if (!label) return null
+    Object.assign(label, changes)
+    this.store.save()
+    return { ...label }
+  }
+
+  async delete(id: number): Promise<boolean> {
+    const exists = this.labels.some(l => l.id === id)
+    if (!exists) return false
+    this.store.data.labels = this.store.data.labels.filter(l => l.id !== id)
+    this.store.data.taskLabels = this.store.data.taskLabels.filter(row => row.label_id !== id)
+    this.store.save()
+    return true
+  }
+
+  async findMissingIds(ids: number[]): Promise<number[]> {
+    const existingIds = new Set(this.labels.map(label => label.id))
+    return Array.from(new Set(ids)).filter(id => !existingIds.has(id))
+  }
+}
+
+/**
+ * 基于内存的任务事件存储（只能访问 userId 的事件）
+ */
+class MemoryTaskEventRepository implements TaskEventRepository {
+  constructor(private store: MemoryStore, private userId: string) {}
+
+  async record(inputs: TaskEventInput[]): Promise<void> {
+    if (inputs.length === 0) return
+    const createdAt = new Date().toISOString()
+    inputs.forEach(input => {
+      this.store.data.taskEvents.push({
+        ...input,
+        id: this.store.data.nextEventId++,
+        user_id: this.userId,
+        created_at: createdAt
+      })
+    })
+    this.store.save()
+  }
+
+  async listForTask(taskId: number, limit: number, before?: number): Promise<TaskEvent[]> {
+    return this.store.data.taskEvents
+      .filter(event => event.user_id === this.userId && event.task_id === taskId)
+      .filter(event => before === undefined || event.id < before)
+      .sort((a, b) => b.id - a.id)
+      .slice(0, limit)
+      .map(event => ({ ...event }))
+  }
+}
+
+/**
+ * 基于内存的 AI 用量记录（只能访问 userId 的记录）
+ */
+class MemoryAIUsageRepository implements AIUsageRepository {
+  constructor(private store: MemoryStore, private userId: string) {}
+
+  async record(input: AIUsageInput): Promise<void> {
+    this.store.data.aiUsage.push({
+      ...input,
+      id: this.store.data.nextUsageId++,
+      user_id: this.userId,
+      created_at: new Date().toISOString()
+    })
+    this.store.save()
+  }
+
+  async totalsSince(since: string): Promise<AIUsageTotals> {
+    return sumUsage(listUsage(this.store, since, this.userId))
+  }
+}
+
+/**
+ * 基于内存的所有用户 AI 用量记录
+ */
+class MemoryAIUsageLedger implements AIUsageLedger {
+  constructor(private store: MemoryStore) {}
+
+  async list(since: string, userId?: string): Promise<AIUsageRecord[]> {
+    return listUsage(this.store, since, userId).map(record => ({ ...record }))
+  }
+}
+
+/**
+ * since 之后的用量记录（按时间倒序）
+ */
+function listUsage(store: MemoryStore, since: string, userId?: string): AIUsageRecord[] {
+  return store.data.aiUsage
+    .filter(record => record.created_at >= since && (userId === undefined || record.user_id === userId))
+    .sort((a, b) => b.id - a.id)
+}
+
+/**
+ * 合计实际调用了模型的请求数和 token 用量
+ */
+function sumUsage(records: AIUsageRecord[]): AIUsageTotals {
+  return records.reduce((totals, record) => ({
+    requests: totals.requests + (record.calls > 0 ? 1 : 0),
+    tokens: totals.tokens + record.prompt_tokens + record.completion_tokens
+  }), { requests: 0, tokens: 0 })
+}
+
+/**
+ * 计算密码哈希（scrypt，格式：salt:hash）
+ */
+function hashPassword(password: string, salt = crypto.randomBytes(16).toString('hex')): string {
+  return `${salt}:${crypto.scryptSync(password, salt, 64).toString('hex')}`
+}
+
+/**
+ * 校验密码（常量时间比较）
+ */
+function verifyPassword(password: string, passwordHash: string): boolean {
+  const [salt, hash] = passwordHash.split(':')
+  const actual = Buffer.from(hashPassword(password, salt).split(':')[1], 'hex')
+  const expected = Buffer.from(hash, 'hex')
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected)
+}
+
+function hashToken(token: string): string {
+  return crypto.createHash('sha256').update(token).digest('hex')
+}
+
+/**
+ * 本地账号认证（账号和会话保存在内存存储中）
+ */
+class MemoryAuthProvider implements AuthProvider {
+  constructor(private store: MemoryStore) {}
+
+  private createSession(user: StoredUser): AuthSession {
+    const token = crypto.randomBytes(32).toString('base64url')
+    const now = Date.now()
+
+    // 顺便清理已过期的会话
+    this.store.data.sessions = this.store.data.sessions.filter(session => Date.parse(session.expires_at) > now)
+    this.store.data.sessions.push({
+      token_hash: hashToken(token),
+      user_id: user.id,
+      expires_at: new Date(now + SESSION_TTL_MS).toISOString()
+    })
+    this.store.save()
+
+    return { user: { id: user.id, email: user.email }, access_token: token, refresh_token: null }
+  }
+
+  async signUp(email: string, password: string): Promise<{ user: User; session: AuthSession | null }> {
+    const lowerEmail = email.toLowerCase()
+    if (this.store.data.users.some(user => user.email === lowerEmail)) {
+      throw new AuthError('该邮箱已注册', 409)
+    }
+
+    const user: StoredUser = {
+      id: crypto.randomUUID(),
+      email: lowerEmail,
+      password_hash: hashPassword(password),
+      created_at: new Date().toISOString()
+    }
+    this.store.data.users.push(user)
+
+    const session = this.createSession(user)
+    return { user: session.user, session }
+  }
+
+  async signIn(email: string, password: string): Promise<AuthSession> {
+    const lowerEmail = email.toLowerCase()
+    const user = this.store.data.users.find(u => u.email === lowerEmail)
+    if (!user || !verifyPassword(password, user.password_hash)) {
+      throw new AuthError('邮箱或密码错误', 401)
+    }
+    return this.createSession(user)
+  }
+
+  async getSession(accessToken: string): Promise<AuthSession | null> {
+    const tokenHash = hashToken(accessToken)
+    const session = this.store.data.sessions.find(s => s.token_hash === tokenHash)
+    if (!session || Date.parse(session.expires_at) <= Date.now()) return null
+
+    const user = this.store.data.users.find(u => u.id === session.user_id)
+    if (!user) return null
+
+    return { user: { id: user.id, email: user.email }, access_token: accessToken, refresh_token: null }
+  }
+
+  async signOut(session: AuthSession): Promise<void> {
+    const tokenHash = hashToken(session.access_token)
+    this.store.data.sessions = this.store.data.sessions.filter(s => s.token_hash !== tokenHash)
+    this.store.save()
+  }
+}
+
+/**
+ * 创建内存存储，传入 filePath 时从该 JSON 文件加载并在每次写入后保存
+ */
+export function createMemoryBackend(filePath: string | null = null): StorageBackend {
+  const store = new MemoryStore(filePath)
+  return {
+    auth: new MemoryAuthProvider(store),
+    forUser: (session: AuthSession): Repositories => ({
+      tasks: new MemoryTaskRepository(store, session.user.id),
+      labels: new MemoryLabelRepository(store, session.user.id),
+      events: new MemoryTaskEventRepository(store, session.user.id),
+      usage: new MemoryAIUsageRepository(store, session.user.id)
+    }),
+    usageLedger: new MemoryAIUsageLedger(store)
+  }
+}
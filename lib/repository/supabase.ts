@@ -0,0 +1,857 @@
+import type { SupabaseClient } from '@supabase/supabase-js'
+import { createSupabaseClient, createSupabaseAdminClient } from '../supabase'
+import type { Task, Label, TaskEvent, TaskSortField } from '../../types/task'
+import type { User } from '../../types/user'
+import type { AIUsageRecord, AIUsageTotals } from '../../types/ai'
+import { AuthError } from './errors'
+import type {
+  TaskInput,
+  TaskTreeInput,
+  LabelInput,
+  TaskEventInput,
+  AIUsageInput,
+  TaskFilter,
+  TaskListOptions,
+  TaskListResult,
+  TaskRepository,
+  LabelRepository,
+  TaskEventRepository,
+  AIUsageRepository,
+  AIUsageLedger,
+  Repositories,
+  AuthSession,
+  AuthProvider,
+  StorageBackend
+} from './types'
+
+// 查询任务时同时带出标签（通过 task_labels 关联表）
+const TASK_SELECT = '*, labels(*)'
+
+// 排序字段 -> 数据库列（priority 按 priority_rank 排序，保证 high > medium > low）
+const SORT_COLUMNS: Record<TaskSortField, string> = {
+  created_at: 'created_at',
+  priority: 'priority_rank',
+  status: 'status',
+  position: 'position',
+  title: 'title'
+}
+
+/**
+ * 数据库行 -> Task（去掉仅用于排序的 priority_rank 列）
+ */
+function toTask(row: Task & { priority_rank?: number }): Task {
+  const { priority_rank: _rank, ...task } = row
+  return task
+}
+
+function toTasks(rows: unknown): Task[] {
+  return ((rows as Task[]) || []).map(toTask)
+}
+
+/**
+ * 转义 ILIKE 通配符，并为 PostgREST 的 or 过滤器加引号
+ */
+function toIlikePattern(term: string): string {
+  const escaped = term
+    .replace(/\\/g, '\\\\')
+    .replace(/%/g, '\\%')
+    .replace(/_/g, '\\_')
+    .replace(/"/g, '\\"')
+  return `"%${escaped}%"`
+}
+
+/**
+ * 基于 Supabase 的任务存储
+ * 使用用户自己的令牌访问数据库，由行级安全策略保证只能读写自己的任务
+ */
+class SupabaseTaskRepository implements TaskRepository {
+  constructor(private client: SupabaseClient, private userId: string) {}
+
+  /**
+   * 按标签筛选任务，返回匹配的任务 ID
+   */
+  private async findTaskIdsByLabels(filter: TaskFilter): Promise<number[]> {
+    const labelIds = Array.from(new Set(filter.labels || []))
+
+    const { data, error } = await this.client
+      .from('task_labels')
+      .select('task_id, label_id')
+      .in('label_id', labelIds)
+
+    if (error) {
+      throw error
+    }
+
+    const rows = (data as { task_id: number; label_id: number }[]) || []
+    const matchCounts = new Map<number, number>()
+    rows.forEach(row => {
+      matchCounts.set(row.task_id, (matchCounts.get(row.task_id) || 0) + 1)
+    })
+
+    return Array.from(matchCounts.entries())
+      .filter(([, count]) => filter.labels_mode !== 'all' || count === labelIds.length)
+      .map(([taskId]) => taskId)
+  }
+
+  /**
+   * 构建带筛选条件的任务查询（同时统计总数，不含回收站中的任务）
+   */
+  private buildQuery(filter: TaskFilter, labelTaskIds: number[] | null, head = false) {
+    let query = this.client
+      .from('tasks')
+      .select(TASK_SELECT, { count: 'exact', head })
+      .is('deleted_at', null)
+
+    if (labelTaskIds !== null) {
+      query = query.in('id', labelTaskIds)
+    }
+
+    if (filter.status) {
+      query = query.eq('status', filter.status)
+    }
+
+    if (filter.priority) {
+      query = query.eq('priority', filter.priority)
+    }
+
+    if (filter.parent_id !== undefined) {
+      query = filter.parent_id === null
+        ? query.is('parent_id', null)
+        : query.eq('parent_id', filter.parent_id)
+    }
+
+    if (filter.due_before) {
+      query = query.lte('due_at', filter.due_before)
+    }
+
+    if (filter.due_after) {
+      query = query.gte('due_at', filter.due_after)
+    }
+
+    if (filter.completed_after) {
+      query = query.gte('completed_at', filter.completed_after)
+    }
+
+    if (filter.completed_before) {
+      query = query.lte('completed_at', filter.completed_before)
+    }
+
+    // 已逾期：截止时间已过且未完成
+    if (filter.overdue) {
+      query = query.lt('due_at', new Date().toISOString()).eq('status', 'pending')
+    }
+
+    return query
+  }
+
+  async list(filter: TaskFilter, options: TaskListOptions = {}): Promise<TaskListResult> {
+    // 先按标签筛选出任务 ID，没有匹配时直接返回空列表
+    let labelTaskIds: number[] | null = null
+    if (filter.labels && filter.labels.length > 0) {
+      labelTaskIds = await this.findTaskIdsByLabels(filter)
+      if (labelTaskIds.length === 0) {
+        return { tasks: [], total: 0 }
+      }
+    }
+
+    const sortColumn = SORT_COLUMNS[options.sort || 'created_at']
+    const ascending = options.order === 'asc'
+
+    let query = this.buildQuery(filter, labelTaskIds)
+      .order(sortColumn, { ascending })
+      .order('id', { ascending })
+
+    // 游标分页：取排序值在游标之后的记录（排序值相同时按 ID 继续）
+    const cursor = options.after
+    if (cursor) {
+      const op = ascending ? 'gt' : 'lt'
+      // 排序值可能是任务标题，需转义其中的反斜杠和双引号
+      const value = String(cursor.v).replace(/[\\"]/g, char => `\\${char}`)
+      query = query.or(`${sortColumn}.${op}."${value}",and(${sortColumn}.eq."${value}",id.${op}.${cursor.id})`)
+    }
+
+    if (options.limit !== undefined) {
+      const offset = options.offset || 0
+      query = query.range(offset, offset + options.limit - 1)
+    }
+
+    const { data, error, count } = await query
+    if (error) {
+      throw error
+    }
+
+    // 游标模式下 count 只统计游标之后的记录，需单独统计总数
+    let total = count || 0
+    if (cursor) {
+      const { count: totalCount, error: countError } = await this.buildQuery(filter, labelTaskIds, true)
+      if (countError) {
+        throw countError
+      }
+      total = totalCount || 0
+    }
+
+    return { tasks: toTasks(data), total }
+  }
+
+  async getById(id: number): Promise<Task | null> {
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .eq('id', id)
+      .is('deleted_at', null)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return data ? toTask(data as Task) : null
+  }
+
+  async getByIds(ids: number[]): Promise<Task[]> {
+    if (ids.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .in('id', ids)
+      .is('deleted_at', null)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async create(input: TaskInput): Promise<Task> {
+    const [task] = await this.bulkInsert([input])
+    return task
+  }
+
+  async bulkInsert(inputs: TaskInput[]): Promise<Task[]> {
+    if (inputs.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .insert(inputs.map(input => ({ ...input, user_id: this.userId })))
+      .select(TASK_SELECT)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async insertTree(parentId: number | null, nodes: TaskTreeInput[]): Promise<Task[]> {
+    if (nodes.length === 0) return []
+
+    // insert_task_tree 在一个事务中逐层写入（见 supabase-schema.sql），按写入顺序返回全部任务
+    const { data, error } = await this.client
+      .rpc('insert_task_tree', { parent: parentId, nodes })
+      .select(TASK_SELECT)
+
+    if (error) {
+      throw error
+    }
+
+    // 按 parent_id 还原树结构
+    const created = toTasks(data).map(task => ({ ...task, subtasks: [] as Task[] }))
+    const byId = new Map(created.map(task => [task.id, task]))
+    const roots: Task[] = []
+    created.forEach(task => {
+      const parent = task.parent_id !== null ? byId.get(task.parent_id) : undefined
+      if (parent) {
+        parent.subtasks.push(task)
+      } else {
+        roots.push(task)
+      }
+    })
+    return roots
+  }
+
+  async update(id: number, changes: Partial<TaskInput>): Promise<Task | null> {
+    const [task] = await this.updateMany([id], changes)
+    return task || null
+  }
+
+  async updateMany(ids: number[], changes: Partial<TaskInput>): Promise<Task[]> {
+    if (ids.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .update(changes)
+      .in('id', ids)
+      .is('deleted_at', null)
+      .select(TASK_SELECT)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async move(id: number, parentId: number | null, position: number): Promise<Task | null> {
+    const { data, error } = await this.client
+      .from('tasks')
+      .update({ parent_id: parentId, position })
+      .eq('id', id)
+      .is('deleted_at', null)
+      .select(TASK_SELECT)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)[0] || null
+  }
+
+  async setPositions(positions: Array<{ id: number; position: number }>): Promise<void> {
+    const results = await Promise.all(positions.map(({ id, position }) =>
+      this.client.from('tasks').update({ position }).eq('id', id)
+    ))
+
+    const failed = results.find(result => result.error)
+    if (failed) {
+      throw failed.error
+    }
+  }
+
+  /**
+   * 设置任务的回收站状态
+   */
+  private async setDeletedAt(ids: number[], deletedAt: string | null): Promise<Task[]> {
+    if (ids.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .update({ deleted_at: deletedAt })
+      .in('id', ids)
+      .select(TASK_SELECT)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  /**
+   * 逐层查找后代任务（含回收站中的任务），include 返回 false 的任务及其后代不计入
+   */
+  private async findDescendants(rootIds: number[], include: (task: Task) => boolean): Promise<Task[]> {
+    const descendants: Task[] = []
+    const visited = new Set<number>(rootIds)
+    let levelIds = rootIds
+
+    while (levelIds.length > 0) {
+      const { data, error } = await this.client
+        .from('tasks')
+        .select(TASK_SELECT)
+        .in('parent_id', levelIds)
+
+      if (error) {
+        throw error
+      }
+
+      const children = toTasks(data).filter(task => !visited.has(task.id) && include(task))
+      children.forEach(task => visited.add(task.id))
+      descendants.push(...children)
+      levelIds = children.map(task => task.id)
+    }
+
+    return descendants
+  }
+
+  async trash(ids: number[]): Promise<Task[]> {
+    const rootIds = (await this.getByIds(ids)).map(task => task.id)
+    if (rootIds.length === 0) return []
+
+    // 已在回收站中的后代任务保留原来的删除时间
+    const descendants = await this.findDescendants(rootIds, task => !task.deleted_at)
+    return this.setDeletedAt([...rootIds, ...descendants.map(task => task.id)], new Date().toISOString())
+  }
+
+  async listTrash(): Promise<Task[]> {
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .not('deleted_at', 'is', null)
+      .order('deleted_at', { ascending: false })
+      .order('id', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async restore(id: number): Promise<Task[]> {
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .eq('id', id)
+      .not('deleted_at', 'is', null)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+    if (!data) return []
+
+    // 只恢复与该任务同时移入回收站的后代任务
+    const task = toTask(data as Task)
+    const descendants = await this.findDescendants([id], child => child.deleted_at === task.deleted_at)
+    return this.setDeletedAt([id, ...descendants.map(child => child.id)], null)
+  }
+
+  async purge(ids: number[]): Promise<Task[]> {
+    if (ids.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .in('id', ids)
+      .not('deleted_at', 'is', null)
+
+    if (error) {
+      throw error
+    }
+
+    const roots = toTasks(data)
+    if (roots.length === 0) return []
+
+    const rootIds = roots.map(task => task.id)
+    const descendants = await this.findDescendants(rootIds, () => true)
+
+    // 子任务由数据库外键级联删除
+    const { error: deleteError } = await this.client
+      .from('tasks')
+      .delete()
+      .in('id', rootIds)
+
+    if (deleteError) {
+      throw deleteError
+    }
+
+    return [...roots, ...descendants]
+  }
+
+  async purgeExpired(before: string): Promise<Task[]> {
+    const { data, error } = await this.client
+      .from('tasks')
+      .select('id')
+      .lt('deleted_at', before)
+
+    if (error) {
+      throw error
+    }
+
+    return this.purge(((data as { id: number }[]) || []).map(row => row.id))
+  }
+
+  async getChildren(parentIds: number[]): Promise<Task[]> {
+    if (parentIds.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .in('parent_id', parentIds)
+      .is('deleted_at', null)
+      .order('position', { ascending: true })
+      .order('id', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async getSubtree(rootIds: number[]): Promise<Task[]> {
+    const descendants: Task[] = []
+    const visited = new Set<number>(rootIds)
+    let levelIds = rootIds
+
+    while (levelIds.length > 0) {
+      const children = (await this.getChildren(levelIds)).filter(task => !visited.has(task.id))
+      children.forEach(task => visited.add(task.id))
+      descendants.push(...children)
+      levelIds = children.map(task => task.id)
+    }
+
+    return descendants
+  }
+
+  async getAncestors(id: number): Promise<Task[]> {
+    const ancestors: Task[] = []
+    const visited = new Set<number>([id])
+    let current = await this.getById(id)
+
+    while (current && current.parent_id !== null && !visited.has(current.parent_id)) {
+      visited.add(current.parent_id)
+      current = await this.getById(current.parent_id)
+      if (current) {
+        ancestors.unshift(current)
+      }
+    }
+
+    return ancestors
+  }
+
+  async search(terms: string[], limit: number): Promise<Task[]> {
+    if (terms.length === 0) return []
+
+    const conditions = terms
+      .map(term => toIlikePattern(term))
+      .map(pattern => `title.ilike.${pattern},description.ilike.${pattern}`)
+      .join(',')
+
+    const { data, error } = await this.client
+      .from('tasks')
+      .select(TASK_SELECT)
+      .is('deleted_at', null)
+      .or(conditions)
+      .order('created_at', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      throw error
+    }
+
+    return toTasks(data)
+  }
+
+  async setLabels(taskId: number, labelIds: number[]): Promise<void> {
+    const { error: deleteError } = await this.client
+      .from('task_labels')
+      .delete()
+      .eq('task_id', taskId)
+
+    if (deleteError) {
+      throw deleteError
+    }
+
+    const uniqueIds = Array.from(new Set(labelIds))
+    if (uniqueIds.length === 0) return
+
+    const { error: insertError } = await this.client
+      .from('task_labels')
+      .insert(uniqueIds.map(labelId => ({ task_id: taskId, label_id: labelId })))
+
+    if (insertError) {
+      throw insertError
+    }
+  }
+}
+
+/**
+ * 基于 Supabase 的标签存储（同样受行级安全策略约束）
+ */
+class SupabaseLabelRepository implements LabelRepository {
+  constructor(private client: SupabaseClient, private userId: string) {}
+
+  async list(): Promise<Label[]> {
+    const { data, error } = await this.client
+      .from('labels')
+      .select('*')
+      .order('name', { ascending: true })
+
+    if (error) {
+      throw error
+    }
+
+    return (data as Label[]) || []
+  }
+
+  async getById(id: number): Promise<Label | null> {
+    const { data, error } = await this.client
+      .from('labels')
+      .select('*')
+      .eq('id', id)
+      .maybeSingle()
+
+    if (error) {
+      throw error
+    }
+
+    return (data as Label) || null
+  }
+
+  async findByName(name: string, excludeId?: number): Promise<Label | null> {
+    let query = this.client
+      .from('labels')
+      .select('*')
+      .ilike('name', name.replace(/[\\%_]/g, char => `\\${char}`))
+
+    if (excludeId !== undefined) {
+      query = query.neq('id', excludeId)
+    }
+
+    const { data, error } = await query.limit(1)
+    if (error) {
+      throw error
+    }
+
+    return ((data as Label[]) || [])[0] || null
+  }
+
+  async count(): Promise<number> {
+    const { count, error } = await this.client
+      .from('labels')
+      .select('id', { count: 'exact', head: true })
+
+    if (error) {
+      throw error
+    }
+
+    return count || 0
+  }
+
+  async create(input: LabelInput): Promise<Label> {
+    const { data, error } = await this.client
+      .from('labels')
+      .insert([{ ...input, user_id: this.userId }])
+      .select()
+
+    if (error) {
+      throw error
+    }
+
+    return (data as Label[])[0]
+  }
+
+  async update(id: number, changes: Partial<LabelInput>): Promise<Label | null> {
+    const { data, error } = await this.client
+      .from('labels')
+      .update(changes)
+      .eq('id', id)
+      .select()
+
+    if (error) {
+      throw error
+    }
+
+    return ((data as Label[]) || [])[0] || null
+  }
+
+  async delete(id: number): Promise<boolean> {
+    // task_labels 中的关联记录由外键级联删除
+    const { data, error } = await this.client
+      .from('labels')
+      .delete()
+      .eq('id', id)
+      .select('id')
+
+    if (error) {
+      throw error
+    }
+
+    return ((data as { id: number }[]) || []).length > 0
+  }
+
+  async findMissingIds(ids: number[]): Promise<number[]> {
+    const uniqueIds = Array.from(new Set(ids))
+    if (uniqueIds.length === 0) return []
+
+    const { data, error } = await this.client
+      .from('labels')
+      .select('id')
+      .in('id', uniqueIds)
+
+    if (error) {
+      throw error
+    }
+
+    const existingIds = new Set(((data as { id: number }[]) || []).map(label => label.id))
+    return uniqueIds.filter(id => !existingIds.has(id))
+  }
+}
+
+/**
+ * Supabase Auth 用户 -> User
+ */
+function toUser(user: { id: string; email?: string }): User {
+  return { id: user.id, email: user.email || '' }
+}
+
+/**
+ * 基于 Supabase 的任务事件存储（行级安全策略只允许查询和插入，记录不能修改或删除）
+ */
+class SupabaseTaskEventRepository implements TaskEventRepository {
+  constructor(private client: SupabaseClient, private userId: string) {}
+
+  async record(inputs: TaskEventInput[]): Promise<void> {
+    if (inputs.length === 0) return
+
+    const { error } = await this.client
+      .from('task_events')
+      .insert(inputs.map(input => ({ ...input, user_id: this.userId })))
+
+    if (error) {
+      throw error
+    }
+  }
+
+  async listForTask(taskId: number, limit: number, before?: number): Promise<TaskEvent[]> {
+    let query = this.client
+      .from('task_events')
+      .select('*')
+      .eq('task_id', taskId)
+
+    if (before !== undefined) {
+      query = query.lt('id', before)
+    }
+
+    const { data, error } = await query
+      .order('id', { ascending: false })
+      .limit(limit)
+
+    if (error) {
+      throw error
+    }
+
+    return (data as TaskEvent[]) || []
+  }
+}
+
+/**
+ * 基于 Supabase 的 AI 用量记录（RLS 保证只能访问自己的记录）
+ */
+class SupabaseAIUsageRepository implements AIUsageRepository {
+  constructor(private client: SupabaseClient, private userId: string) {}
+
+  async record(input: AIUsageInput): Promise<void> {
+    const { error } = await this.client
+      .from('ai_usage')
+      .insert({ ...input, user_id: this.userId })
+
+    if (error) {
+      throw error
+    }
+  }
+
+  async totalsSince(since: string): Promise<AIUsageTotals> {
+    const { data, error } = await this.client
+      .from('ai_usage')
+      .select('calls, prompt_tokens, completion_tokens')
+      .gte('created_at', since)
+
+    if (error) {
+      throw error
+    }
+
+    return ((data as Pick<AIUsageRecord, 'calls' | 'prompt_tokens' | 'completion_tokens'>[]) || []).reduce(
+      (totals, row) => ({
+        requests: totals.requests + (row.calls > 0 ? 1 : 0),
+        tokens: totals.tokens + row.prompt_tokens + row.completion_tokens
+      }),
+      { requests: 0, tokens: 0 }
+    )
+  }
+}
+
+/**
+ * 所有用户的 AI 用量记录（使用 service role 客户端，需要配置 SUPABASE_SERVICE_ROLE_KEY）
+ */
+class SupabaseAIUsageLedger implements AIUsageLedger {
+  async list(since: string, userId?: string): Promise<AIUsageRecord[]> {
+    let query = createSupabaseAdminClient()
+      .from('ai_usage')
+      .select('*')
+      .gte('created_at', since)
+
+    if (userId !== undefined) {
+      query = query.eq('user_id', userId)
+    }
+
+    const { data, error } = await query.order('id', { ascending: false })
+
+    if (error) {
+      throw error
+    }
+
+    return (data as AIUsageRecord[]) || []
+  }
+}
+
+/**
+ * 基于 Supabase Auth 的账号认证
+ */
+class SupabaseAuthProvider implements AuthProvider {
+  async signUp(email: string, password: string): Promise<{ user: User; session: AuthSession | null }> {
+    const { data, error } = await createSupabaseClient().auth.signUp({ email, password })
+    if (error || !data.user) {
+      throw new AuthError(error?.message || '注册失败', error?.status === 422 ? 409 : 400)
+    }
+
+    const user = toUser(data.user)
+    // 项目开启邮箱确认时，注册后不会立即返回会话
+    const session = data.session
+      ? { user, access_token: data.session.access_token, refresh_token: data.session.refresh_token }
+      : null
+    return { user, session }
+  }
+
+  async signIn(email: string, password: string): Promise<AuthSession> {
+    const { data, error } = await createSupabaseClient().auth.signInWithPassword({ email, password })
+    if (error || !data.session) {
+      throw new AuthError('邮箱或密码错误', 401)
+    }
+
+    return {
+      user: toUser(data.session.user),
+      access_token: data.session.access_token,
+      refresh_token: data.session.refresh_token
+    }
+  }
+
+  async getSession(accessToken: string, refreshToken: string | null): Promise<AuthSession | null> {
+    const client = createSupabaseClient()
+    const { data, error } = await client.auth.getUser(accessToken)
+    if (!error && data.user) {
+      return { user: toUser(data.user), access_token: accessToken, refresh_token: refreshToken }
+    }
+
+    // access token 过期时用 refresh token 续期
+    if (!refreshToken) return null
+    const { data: refreshed, error: refreshError } = await client.auth.refreshSession({ refresh_token: refreshToken })
+    if (refreshError || !refreshed.session) return null
+
+    return {
+      user: toUser(refreshed.session.user),
+      access_token: refreshed.session.access_token,
+      refresh_token: refreshed.session.refresh_token
+    }
+  }
+
+  async signOut(session: AuthSession): Promise<void> {
+    // 使 refresh token 失效；access token 会在到期后自然失效
+    const { error } = await createSupabaseClient().auth.admin.signOut(session.access_token)
+    if (error) {
+      console.error('退出登录失败:', error)
+    }
+  }
+}
+
+/**
+ * 创建 Supabase 存储
+ */
+export function createSupabaseBackend(): StorageBackend {
+  return {
+    auth: new SupabaseAuthProvider(),
+    forUser: (session: AuthSession): Repositories => {
+      const client = createSupabaseClient(session.access_token)
+      return {
+        tasks: new SupabaseTaskRepository(client, session.user.id),
+        labels: new SupabaseLabelRepository(client, session.user.id),
+        events: new SupabaseTaskEventRepository(client, session.user.id),
+        usage: new SupabaseAIUsageRepository(client, session.user.id)
+      }
+    },
+    usageLedger: new SupabaseAIUsageLedger()
+  }
+}
@@ -0,0 +1,211 @@
+import type {
+  Task,
+  Label,
+  TaskEvent,
+  LabelMatchMode,
+  SortOrder,
+  TaskPriority,
+  TaskSortField,
+  TaskStatus
+} from '../../types/task'
+import type { User } from '../../types/user'
+import type { AIUsageRecord, AIUsageTotals } from '../../types/ai'
+
+/**
+ * 写入任务时使用的字段（不含自动生成的 id、created_at、completed_at、position、所属用户、回收站状态和关联数据）
+ */
+export type TaskInput = Omit<
+  Task,
+  'id' | 'user_id' | 'created_at' | 'completed_at' | 'position' | 'deleted_at' | 'labels' | 'subtasks'
+>
+
+/**
+ * 一次写入的任务树节点（parent_id 由所在位置决定）
+ */
+export type TaskTreeInput = Omit<TaskInput, 'parent_id'> & { subtasks?: TaskTreeInput[] }
+
+/**
+ * 写入标签时使用的字段
+ */
+export type LabelInput = Omit<Label, 'id' | 'user_id' | 'created_at'>
+
+/**
+ * 写入任务事件时使用的字段
+ */
+export type TaskEventInput = Omit<TaskEvent, 'id' | 'user_id' | 'created_at'>
+
+/**
+ * 写入 AI 用量记录时使用的字段
+ */
+export type AIUsageInput = Omit<AIUsageRecord, 'id' | 'user_id' | 'created_at'>
+
+/**
+ * 任务列表筛选条件
+ */
+export interface TaskFilter {
+  status?: TaskStatus
+  priority?: TaskPriority
+  // null 表示只查顶级任务
+  parent_id?: number | null
+  due_before?: string
+  due_after?: string
+  // 完成时间范围（ISO 时间，包含两端）
+  completed_after?: string
+  completed_before?: string
+  overdue?: boolean
+  labels?: number[]
+  labels_mode?: LabelMatchMode
+}
+
+/**
+ * 游标：上一页最后一条记录的排序值和 ID
+ */
+export interface TaskCursor {
+  v: string | number
+  id: number
+}
+
+/**
+ * 任务列表排序与分页选项
+ */
+export interface TaskListOptions {
+  sort?: TaskSortField
+  order?: SortOrder
+  limit?: number
+  offset?: number
+  after?: TaskCursor
+}
+
+/**
+ * 任务列表查询结果，total 为满足筛选条件的总数（不受分页和游标影响）
+ */
+export interface TaskListResult {
+  tasks: Task[]
+  total: number
+}
+
+/**
+ * 任务存储接口（只能访问当前用户的任务）
+ * 返回的任务均带有 labels；查询不到时返回 null，存储层出错时抛出异常
+ * 除回收站相关方法外，查询和修改都会忽略回收站中的任务
+ * completed_at 由存储层维护：写入或修改时 status 变为 completed 记下当前时间，变为 pending 时清空
+ * position 由存储层分配（见 lib/position 的 initialPosition）：新建或通过 update 改变父任务时重新分配，只能通过 move 指定
+ */
+export interface TaskRepository {
+  list(filter: TaskFilter, options?: TaskListOptions): Promise<TaskListResult>
+  getById(id: number): Promise<Task | null>
+  getByIds(ids: number[]): Promise<Task[]>
+  create(input: TaskInput): Promise<Task>
+  bulkInsert(inputs: TaskInput[]): Promise<Task[]>
+  // 在 parentId 下一次写入整棵任务树（全部成功或全部失败），返回顶层任务，后代任务在 subtasks 中
+  insertTree(parentId: number | null, nodes: TaskTreeInput[]): Promise<Task[]>
+  update(id: number, changes: Partial<TaskInput>): Promise<Task | null>
+  updateMany(ids: number[], changes: Partial<TaskInput>): Promise<Task[]>
+  // 移到 parentId 下的 position 位置
+  move(id: number, parentId: number | null, position: number): Promise<Task | null>
+  // 重新设置多个任务的排列位置（同级任务重新编号）
+  setPositions(positions: Array<{ id: number; position: number }>): Promise<void>
+  // 将任务及其全部后代任务移到回收站（同一时间戳），返回移入的任务（含后代）
+  trash(ids: number[]): Promise<Task[]>
+  // 回收站中的全部任务（含随父任务一起移入的后代任务）
+  listTrash(): Promise<Task[]>
+  // 恢复回收站中的任务及与其一起移入的后代任务，返回恢复的任务（不在回收站时为空数组）
+  restore(id: number): Promise<Task[]>
+  // 彻底删除回收站中的任务及其全部后代任务，返回被删除的任务
+  purge(ids: number[]): Promise<Task[]>
+  // 彻底删除移入回收站的时间早于 before 的任务
+  purgeExpired(before: string): Promise<Task[]>
+  // 直接子任务（按排列位置）
+  getChildren(parentIds: number[]): Promise<Task[]>
+  // 全部后代任务（逐层，按排列位置）
+  getSubtree(rootIds: number[]): Promise<Task[]>
+  // 祖先任务（从顶级任务到直接父任务）
+  getAncestors(id: number): Promise<Task[]>
+  // 标题或描述包含任一关键词的任务（按创建时间倒序）
+  search(terms: string[], limit: number): Promise<Task[]>
+  // 用给定的标签替换任务现有的全部标签
+  setLabels(taskId: number, labelIds: number[]): Promise<void>
+}
+
+/**
+ * 标签存储接口（只能访问当前用户的标签）
+ */
+export interface LabelRepository {
+  list(): Promise<Label[]>
+  getById(id: number): Promise<Label | null>
+  // 按名称查找（不区分大小写），可排除指定 ID
+  findByName(name: string, excludeId?: number): Promise<Label | null>
+  count(): Promise<number>
+  create(input: LabelInput): Promise<Label>
+  update(id: number, changes: Partial<LabelInput>): Promise<Label | null>
+  // 删除标签，同时移除所有任务上的该标签
+  delete(id: number): Promise<boolean>
+  // 返回不存在的标签 ID
+  findMissingIds(ids: number[]): Promise<number[]>
+}
+
+/**
+ * 任务事件存储接口（只追加；只能访问当前用户的事件）
+ */
+export interface TaskEventRepository {
+  record(inputs: TaskEventInput[]): Promise<void>
+  // 按 ID 倒序返回任务的事件，before 为上一页最后一条事件的 ID
+  listForTask(taskId: number, limit: number, before?: number): Promise<TaskEvent[]>
+}
+
+/**
+ * AI 用量记录存储接口（只追加；只能访问当前用户的记录）
+ */
+export interface AIUsageRepository {
+  record(input: AIUsageInput): Promise<void>
+  // since（ISO 时间）之后的用量合计，用于检查每日额度
+  totalsSince(since: string): Promise<AIUsageTotals>
+}
+
+/**
+ * 所有用户的 AI 用量记录（仅供管理员查看）
+ */
+export interface AIUsageLedger {
+  // since 之后的记录，按时间倒序；指定 userId 时只返回该用户的记录
+  list(since: string, userId?: string): Promise<AIUsageRecord[]>
+}
+
+/**
+ * 存储层：任务、标签、任务事件与 AI 用量仓库
+ */
+export interface Repositories {
+  tasks: TaskRepository
+  labels: LabelRepository
+  events: TaskEventRepository
+  usage: AIUsageRepository
+}
+
+/**
+ * 登录会话（本地账号没有 refresh_token）
+ */
+export interface AuthSession {
+  user: User
+  access_token: string
+  refresh_token: string | null
+}
+
+/**
+ * 账号认证接口，注册或登录失败时抛出 AuthError
+ */
+export interface AuthProvider {
+  // 需要邮箱确认时 session 为 null
+  signUp(email: string, password: string): Promise<{ user: User; session: AuthSession | null }>
+  signIn(email: string, password: string): Promise<AuthSession>
+  // 校验令牌，过期时尝试续期；令牌无效时返回 null
+  getSession(accessToken: string, refreshToken: string | null): Promise<AuthSession | null>
+  signOut(session: AuthSession): Promise<void>
+}
+
+/**
+ * 存储后端：账号认证 + 按用户隔离的任务与标签仓库 + 所有用户的 AI 用量记录
+ */
+export interface StorageBackend {
+  auth: AuthProvider
+  forUser(session: AuthSession): Repositories
+  usageLedger: AIUsageLedger
+}
@@ -1,25 +1,35 @@
-import { createClient } from '@supabase/supabase-js'
+import { createClient, SupabaseClient } from '@supabase/supabase-js'
 
 const supabaseUrl = process.env.SUPABASE_URL
 const supabaseKey = process.env.SUPABASE_KEY
-
-if (!supabaseUrl || !supabaseKey) {
-  throw new Error('Missing Supabase environment variables: SUPABASE_URL and SUPABASE_KEY')
+const supabaseServiceRoleKey = process.env.SUPABASE_SERVICE_ROLE_KEY
+
+/**
+ * 创建 Supabase 客户端
+ * 传入用户的 access token 时以该用户身份访问数据库（受行级安全策略约束）
+ * 服务端按请求创建客户端，不保存会话，避免不同用户之间共享登录状态
+ * 延迟到使用时再校验环境变量，未使用 Supabase 存储时无需配置
+ */
+export function createSupabaseClient(accessToken?: string): SupabaseClient {
+  if (!supabaseUrl || !supabaseKey) {
+    throw new Error('Missing Supabase environment variables: SUPABASE_URL and SUPABASE_KEY')
+  }
+
+  return createClient(supabaseUrl, supabaseKey, {
+    auth: { persistSession: false, autoRefreshToken: false },
+    global: accessToken ? { headers: { Authorization: `Bearer ${accessToken}` } } : undefined
+  })
 }
 
-export const supabase = createClient(supabaseUrl, supabaseKey)
-
-
-
-
-
-
-
-
-
-
-
-
-
-
-
+/**
+ * 创建使用 service role 的客户端（绕过行级安全策略），只用于管理员查看所有用户的 AI 用量
+ */
+export function createSupabaseAdminClient(): SupabaseClient {
+  if (!supabaseUrl || !supabaseServiceRoleKey) {
+    throw new Error('Missing Supabase environment variables: SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY')
+  }
+
+  return createClient(supabaseUrl, supabaseServiceRoleKey, {
+    auth: { persistSession: false, autoRefreshToken: false }
+  })
+}
@@ -0,0 +1,228 @@
+import type { Task, TaskQueryParams, TaskSortField, TaskStatus, TaskPriority } from '../types/task'
+import type { TaskCursor, TaskFilter, TaskRepository } from './repository'
+
+// 分页默认值与上限
+export const DEFAULT_PAGE_LIMIT = 20
+const MAX_PAGE_LIMIT = 100
+
+const SORT_FIELDS: TaskSortField[] = ['created_at', 'priority', 'status', 'position', 'title']
+
+// 优先级排序值（high > medium > low），用于生成游标
+const PRIORITY_RANK: Record<TaskPriority, number> = {
+  low: 1,
+  medium: 2,
+  high: 3
+}
+
+/**
+ * 编码游标（base64url 编码的 JSON）
+ */
+export function encodeCursor(cursor: TaskCursor): string {
+  return Buffer.from(JSON.stringify(cursor)).toString('base64url')
+}
+
+/**
+ * 解码游标，格式不正确时返回 null
+ */
+export function decodeCursor(raw: string): TaskCursor | null {
+  try {
+    const parsed = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'))
+    if (
+      parsed &&
+      (typeof parsed.v === 'string' || typeof parsed.v === 'number') &&
+      Number.isInteger(parsed.id)
+    ) {
+      return { v: parsed.v, id: parsed.id }
+    }
+  } catch {
+    // 忽略，统一按无效游标处理
+  }
+  return null
+}
+
+/**
+ * 解析并验证列表查询参数（GET /api/tasks 的 query）
+ */
+export function parseListQuery(query: Partial<Record<string, string | string[]>>): { errors: string[]; params: TaskQueryParams } {
+  const errors: string[] = []
+  const params: TaskQueryParams = {}
+  const single = (value: string | string[] | undefined) => (Array.isArray(value) ? value[0] : value)
+
+  const status = single(query.status)
+  if (status && ['pending', 'completed'].includes(status)) {
+    params.status = status as TaskStatus
+  }
+
+  const priority = single(query.priority)
+  if (priority && ['low', 'medium', 'high'].includes(priority)) {
+    params.priority = priority as TaskPriority
+  }
+
+  const parentId = single(query.parent_id)
+  if (parentId !== undefined) {
+    if (parentId !== 'null' && !/^\d+$/.test(parentId)) {
+      errors.push('parent_id 必须是整数或 null')
+    } else {
+      params.parent_id = parentId
+    }
+  }
+
+  // 截止时间范围筛选
+  const dueBefore = single(query.due_before)
+  if (dueBefore !== undefined) {
+    if (isNaN(Date.parse(dueBefore))) {
+      errors.push('due_before 必须是有效的日期时间')
+    } else {
+      params.due_before = new Date(dueBefore).toISOString()
+    }
+  }
+
+  const dueAfter = single(query.due_after)
+  if (dueAfter !== undefined) {
+    if (isNaN(Date.parse(dueAfter))) {
+      errors.push('due_after 必须是有效的日期时间')
+    } else {
+      params.due_after = new Date(dueAfter).toISOString()
+    }
+  }
+
+  params.overdue = single(query.overdue) === 'true'
+
+  const page = single(query.page)
+  if (page !== undefined) {
+    const numPage = Number(page)
+    if (!Number.isInteger(numPage) || numPage < 1) {
+      errors.push('page 必须是正整数')
+    } else {
+      params.page = numPage
+    }
+  }
+
+  const limit = single(query.limit)
+  if (limit !== undefined) {
+    const numLimit = Number(limit)
+    if (!Number.isInteger(numLimit) || numLimit < 1 || numLimit > MAX_PAGE_LIMIT) {
+      errors.push(`limit 必须是 1-${MAX_PAGE_LIMIT} 之间的整数`)
+    } else {
+      params.limit = numLimit
+    }
+  }
+
+  const cursor = single(query.cursor)
+  if (cursor !== undefined) {
+    params.cursor = cursor
+  }
+
+  const sort = single(query.sort)
+  if (sort !== undefined) {
+    if (!SORT_FIELDS.includes(sort as TaskSortField)) {
+      errors.push(`sort 必须是 ${SORT_FIELDS.join('、')}`)
+    } else {
+      params.sort = sort as TaskSortField
+    }
+  }
+
+  const order = single(query.order)
+  if (order !== undefined) {
+    if (order !== 'asc' && order !== 'desc') {
+      errors.push('order 必须是 asc 或 desc')
+    } else {
+      params.order = order
+    }
+  }
+
+  // 标签筛选：labels=1,2 与 labels_mode=any|all（默认 any）
+  const labels = single(query.labels)
+  if (labels !== undefined && labels !== '') {
+    const labelIds = labels.split(',').map(id => Number(id.trim()))
+    if (!labelIds.every(id => Number.isInteger(id) && id > 0)) {
+      errors.push('labels 必须是以逗号分隔的标签 ID')
+    } else {
+      params.labels = labelIds
+    }
+  }
+
+  const labelsMode = single(query.labels_mode)
+  if (labelsMode !== undefined) {
+    if (labelsMode !== 'any' && labelsMode !== 'all') {
+      errors.push('labels_mode 必须是 any 或 all')
+    } else {
+      params.labels_mode = labelsMode
+    }
+  }
+
+  params.with_subtasks = single(query.with_subtasks) === 'true'
+  params.with_ancestors = single(query.with_ancestors) === 'true'
+
+  return { errors, params }
+}
+
+/**
+ * 查询参数 -> 存储层筛选条件
+ */
+export function toTaskFilter(params: TaskQueryParams): TaskFilter {
+  return {
+    status: params.status,
+    priority: params.priority,
+    parent_id: params.parent_id === undefined
+      ? undefined
+      : params.parent_id === 'null' ? null : parseInt(params.parent_id as string),
+    due_before: params.due_before,
+    due_after: params.due_after,
+    overdue: params.overdue,
+    labels: params.labels,
+    labels_mode: params.labels_mode
+  }
+}
+
+/**
+ * 取任务在指定排序字段上的值（用于生成游标）
+ */
+export function sortValue(task: Task, sort: TaskSortField): string | number {
+  return sort === 'priority' ? PRIORITY_RANK[task.priority] : task[sort]
+}
+
+/**
+ * 将后代任务挂载到对应父任务的 subtasks 上
+ */
+export function attachSubtasks(roots: Task[], descendants: Task[]): Task[] {
+  const childrenMap = new Map<number, Task[]>()
+  descendants.forEach(task => {
+    if (task.parent_id === null) return
+    const siblings = childrenMap.get(task.parent_id) || []
+    siblings.push(task)
+    childrenMap.set(task.parent_id, siblings)
+  })
+
+  const build = (task: Task): Task => ({
+    ...task,
+    subtasks: (childrenMap.get(task.id) || []).map(build)
+  })
+
+  return roots.map(build)
+}
+
+/**
+ * 为每个任务附带祖先任务（从顶级任务开始），逐层读取不在结果中的父任务
+ * 祖先任务在回收站中时，只附带能找到的部分
+ */
+export async function attachAncestors(tasks: TaskRepository, rows: Task[]): Promise<Task[]> {
+  const known = new Map<number, Task>(rows.map(task => [task.id, task]))
+  const missingParents = (list: Task[]) => Array.from(new Set(
+    list.map(task => task.parent_id).filter((id): id is number => id !== null && !known.has(id))
+  ))
+  let missing = missingParents(rows)
+  while (missing.length > 0) {
+    const parents = await tasks.getByIds(missing)
+    parents.forEach(parent => known.set(parent.id, parent))
+    missing = missingParents(parents)
+  }
+
+  return rows.map(task => {
+    const ancestors: Task[] = []
+    for (let current = known.get(task.parent_id as number); current; current = known.get(current.parent_id as number)) {
+      ancestors.unshift(current)
+    }
+    return { ...task, ancestors }
+  })
+}
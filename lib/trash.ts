@@ -0,0 +1,52 @@
+import type { Task, TrashEntry } from '../types/task'
+import { TRASH_RETENTION_DAYS } from './config'
+import type { Repositories } from './repository'
+import { deletedEvents, recordEvents } from './history'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 回收站中的任务自动彻底删除的时间
+ */
+export function getPurgeAt(deletedAt: string): string {
+  return new Date(Date.parse(deletedAt) + TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+}
+
+/**
+ * 将回收站中的任务按删除操作分组：父任务不在回收站、或父任务不是同一次删除的任务作为一个条目
+ */
+export function buildTrashEntries(trashed: Task[]): TrashEntry[] {
+  const byId = new Map(trashed.map(task => [task.id, task]))
+  const isEntryRoot = (task: Task) => {
+    const parent = task.parent_id !== null ? byId.get(task.parent_id) : undefined
+    return !parent || parent.deleted_at !== task.deleted_at
+  }
+
+  // 统计每个条目下与其同时删除的后代任务数量
+  const countDescendants = (root: Task): number => {
+    const children = trashed.filter(task => task.parent_id === root.id && task.deleted_at === root.deleted_at)
+    return children.reduce((sum, child) => sum + 1 + countDescendants(child), 0)
+  }
+
+  return trashed.filter(isEntryRoot).map(task => ({
+    task,
+    descendant_count: countDescendants(task),
+    purge_at: getPurgeAt(task.deleted_at as string)
+  }))
+}
+
+/**
+ * 彻底删除超过保留期的回收站任务，返回被删除的任务
+ * 在访问回收站和删除任务时顺带执行；Supabase 也可以用 purge_expired_trash() 定时清理
+ */
+export async function purgeExpiredTrash({ tasks, events }: Repositories): Promise<Task[]> {
+  const before = new Date(Date.now() - TRASH_RETENTION_DAYS * DAY_MS).toISOString()
+  const purged = await tasks.purgeExpired(before)
+
+  if (purged.length > 0) {
+    const note = `在回收站中超过 ${TRASH_RETENTION_DAYS} 天，自动彻底删除`
+    await recordEvents(events, deletedEvents(purged, { actor_type: 'system', actor: 'retention' }, note, 'purged'))
+  }
+
+  return purged
+}
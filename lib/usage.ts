@@ -0,0 +1,199 @@
+import type { AILimits, AIRoute, AIUsageOutcome, AIUsageRecord, AIUsageReport } from '../types/ai'
+import type { User } from '../types/user'
+import {
+  ADMIN_EMAILS,
+  AI_DAILY_REQUEST_QUOTA,
+  AI_DAILY_TOKEN_QUOTA,
+  AI_RATE_LIMIT_PER_MINUTE
+} from './config'
+import type { MeteredProvider } from './llm'
+import type { AIUsageRepository } from './repository'
+
+const MINUTE_MS = 60 * 1000
+const DAY_MS = 24 * 60 * MINUTE_MS
+
+// 用量报告中最多返回的记录条数
+export const USAGE_REPORT_MAX_RECORDS = 200
+
+// 各用户最近一分钟内的 AI 请求时间（挂在 globalThis 上，开发模式下各 API 路由共用）
+const globalLimiter = globalThis as typeof globalThis & { __aiRequestTimes?: Map<string, number[]> }
+
+/**
+ * 超出限额的原因，retryAfter 为需要等待的秒数（用于 Retry-After 响应头）
+ */
+export interface AILimitExceeded {
+  message: string
+  retryAfter: number
+}
+
+/**
+ * 当前的限额配置
+ */
+export function getAILimits(): AILimits {
+  return {
+    requests_per_minute: AI_RATE_LIMIT_PER_MINUTE,
+    daily_requests: AI_DAILY_REQUEST_QUOTA,
+    daily_tokens: AI_DAILY_TOKEN_QUOTA
+  }
+}
+
+/**
+ * 当天（UTC）的开始时间
+ */
+function startOfDay(now: number): number {
+  return now - now % DAY_MS
+}
+
+/**
+ * 频率限制（最近一分钟的滑动窗口），未超出时记下本次请求
+ * 记录保存在进程内存中，多实例部署时每个实例分别计算
+ */
+function checkRateLimit(userId: string, now: number): AILimitExceeded | null {
+  const limit = AI_RATE_LIMIT_PER_MINUTE
+  if (limit <= 0) return null
+
+  if (!globalLimiter.__aiRequestTimes) {
+    globalLimiter.__aiRequestTimes = new Map()
+  }
+  const times = (globalLimiter.__aiRequestTimes.get(userId) || []).filter(time => time > now - MINUTE_MS)
+  if (times.length >= limit) {
+    globalLimiter.__aiRequestTimes.set(userId, times)
+    const retryAfter = Math.max(1, Math.ceil((times[0] + MINUTE_MS - now) / 1000))
+    return { message: `AI 请求过于频繁（每分钟最多 ${limit} 次），请 ${retryAfter} 秒后再试`, retryAfter }
+  }
+
+  times.push(now)
+  globalLimiter.__aiRequestTimes.set(userId, times)
+  return null
+}
+
+/**
+ * 检查用户的 AI 使用限额：先检查频率限制，再按用量记录检查当天的请求数和 token 用量
+ * 超出时返回原因，调用方应返回 429；未超出时本次请求计入频率限制
+ */
+export async function checkAILimits(usage: AIUsageRepository, userId: string): Promise<AILimitExceeded | null> {
+  const now = Date.now()
+  const rateLimited = checkRateLimit(userId, now)
+  if (rateLimited) return rateLimited
+
+  if (AI_DAILY_REQUEST_QUOTA <= 0 && AI_DAILY_TOKEN_QUOTA <= 0) return null
+
+  const dayStart = startOfDay(now)
+  const totals = await usage.totalsSince(new Date(dayStart).toISOString())
+  const retryAfter = Math.ceil((dayStart + DAY_MS - now) / 1000)
+  if (AI_DAILY_REQUEST_QUOTA > 0 && totals.requests >= AI_DAILY_REQUEST_QUOTA) {
+    return { message: `今天的 AI 使用次数已达上限（${AI_DAILY_REQUEST_QUOTA} 次），请明天再试`, retryAfter }
+  }
+  if (AI_DAILY_TOKEN_QUOTA > 0 && totals.tokens >= AI_DAILY_TOKEN_QUOTA) {
+    return { message: `今天的 AI token 用量已达上限（${AI_DAILY_TOKEN_QUOTA}），请明天再试`, retryAfter }
+  }
+  return null
+}
+
+/**
+ * 写入一次 AI 请求的用量记录（调用次数和 token 用量取自 MeteredProvider 的累计值）
+ * 写入失败只记录日志，不影响请求结果
+ */
+export async function recordAIUsage(
+  usage: AIUsageRepository,
+  route: AIRoute,
+  llm: MeteredProvider,
+  startedAt: number,
+  outcome: AIUsageOutcome,
+  error: string | null = null
+): Promise<void> {
+  try {
+    await usage.record({
+      route,
+      provider: llm.name,
+      model: llm.model,
+      calls: llm.usage.calls,
+      prompt_tokens: llm.usage.prompt_tokens,
+      completion_tokens: llm.usage.completion_tokens,
+      latency_ms: Date.now() - startedAt,
+      outcome,
+      error
+    })
+  } catch (err) {
+    console.error('写入 AI 用量记录失败:', err)
+  }
+}
+
+/**
+ * 一次 AI 请求的用量：exceeded 为超出限额的原因（已写入 limited 记录），未超出时为 null
+ * record 在请求结束时写入用量记录，耗时从 startAIRequest 开始计算
+ */
+export interface AIRequestUsage {
+  exceeded: AILimitExceeded | null
+  record(outcome: AIUsageOutcome, error?: string | null): Promise<void>
+}
+
+/**
+ * 开始一次 AI 请求：检查用户的限额，超出时写入 limited 记录
+ */
+export async function startAIRequest(
+  usage: AIUsageRepository,
+  userId: string,
+  route: AIRoute,
+  llm: MeteredProvider
+): Promise<AIRequestUsage> {
+  const startedAt = Date.now()
+  const record = (outcome: AIUsageOutcome, error: string | null = null) =>
+    recordAIUsage(usage, route, llm, startedAt, outcome, error)
+
+  const exceeded = await checkAILimits(usage, userId)
+  if (exceeded) {
+    await record('limited', exceeded.message)
+  }
+  return { exceeded, record }
+}
+
+/**
+ * 是否为管理员（邮箱在 ADMIN_EMAILS 中）
+ */
+export function isAdmin(user: User): boolean {
+  return ADMIN_EMAILS.includes(user.email.toLowerCase())
+}
+
+/**
+ * 汇总用量记录（records 按时间倒序），最近的记录最多返回 USAGE_REPORT_MAX_RECORDS 条
+ */
+export function buildUsageReport(records: AIUsageRecord[], since: string): AIUsageReport {
+  const byOutcome: Record<AIUsageOutcome, number> = { success: 0, cached: 0, error: 0, cancelled: 0, limited: 0 }
+  const byUser = new Map<string, { user_id: string; requests: number; tokens: number }>()
+  let promptTokens = 0
+  let completionTokens = 0
+  let requests = 0
+  let latency = 0
+
+  records.forEach(record => {
+    const tokens = record.prompt_tokens + record.completion_tokens
+    byOutcome[record.outcome]++
+    promptTokens += record.prompt_tokens
+    completionTokens += record.completion_tokens
+
+    const user = byUser.get(record.user_id) || { user_id: record.user_id, requests: 0, tokens: 0 }
+    user.tokens += tokens
+    if (record.calls > 0) {
+      requests++
+      latency += record.latency_ms
+      user.requests++
+    }
+    byUser.set(record.user_id, user)
+  })
+
+  return {
+    since,
+    totals: {
+      requests,
+      tokens: promptTokens + completionTokens,
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      by_outcome: byOutcome,
+      avg_latency_ms: requests > 0 ? Math.round(latency / requests) : null
+    },
+    by_user: Array.from(byUser.values()).sort((a, b) => b.tokens - a.tokens),
+    records: records.slice(0, USAGE_REPORT_MAX_RECORDS),
+    limits: getAILimits()
+  }
+}
@@ -0,0 +1,9 @@
+import '../styles/base.css'
+import '../styles/tasks.css'
+import '../styles/panels.css'
+import '../styles/controls.css'
+
+// 应用入口：导入全局样式（按原来的顺序，后面的规则覆盖前面的）
+export default function App({ Component, pageProps }) {
+  return <Component {...pageProps} />
+}
@@ -0,0 +1,83 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getUsageLedger } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import { buildUsageReport, isAdmin } from '../../../lib/usage'
+import type { ApiResponse } from '../../../types/task'
+import type { AIUsageReport } from '../../../types/ai'
+
+// 统计的天数（含今天）
+const DEFAULT_DAYS = 7
+const MAX_DAYS = 31
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * GET /api/ai/usage - 查看所有用户的 AI 用量（仅管理员，见 ADMIN_EMAILS）
+ *   - days：统计最近几天（按 UTC 计算，含今天，默认 7，最多 31）
+ *   - userId：只看该用户的用量
+ *   - 返回合计（请求数、token 用量、各结果的次数、平均耗时）、按用户合计、最近的记录和当前的限额配置
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<AIUsageReport | null>>
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+    if (!isAdmin(session.user)) {
+      return errorResponse(res, '只有管理员可以查看 AI 用量', 403)
+    }
+
+    const { days, userId } = req.query
+    let dayCount = DEFAULT_DAYS
+    if (days !== undefined) {
+      if (typeof days !== 'string' || !/^\d+$/.test(days) || Number(days) < 1 || Number(days) > MAX_DAYS) {
+        return errorResponse(res, `days 必须是 1-${MAX_DAYS} 之间的整数`)
+      }
+      dayCount = Number(days)
+    }
+    if (userId !== undefined && (typeof userId !== 'string' || userId.trim().length === 0)) {
+      return errorResponse(res, 'userId 必须是非空字符串')
+    }
+
+    // 从 dayCount - 1 天前的 UTC 零点开始统计
+    const now = Date.now()
+    const since = new Date(now - now % DAY_MS - (dayCount - 1) * DAY_MS).toISOString()
+    const records = await getUsageLedger().list(since, userId)
+
+    return successResponse(res, buildUsageReport(records, since))
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
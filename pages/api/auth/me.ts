@@ -0,0 +1,51 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { authenticate } from '../../../lib/auth'
+import type { ApiResponse } from '../../../types/task'
+import type { User } from '../../../types/user'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * GET /api/auth/me - 获取当前登录用户，未登录时返回 401
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<User | null>>
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    return successResponse(res, session.user)
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
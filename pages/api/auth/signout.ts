@@ -0,0 +1,52 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getAuthProvider } from '../../../lib/repository'
+import { authenticate, clearSessionCookie } from '../../../lib/auth'
+import type { ApiResponse } from '../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * POST /api/auth/signout - 退出登录（使当前会话失效并清除 Cookie）
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<{ message: string } | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    const session = await authenticate(req, res)
+    if (session) {
+      await getAuthProvider().signOut(session)
+    }
+
+    clearSessionCookie(res)
+    return successResponse(res, { message: '已退出登录' })
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
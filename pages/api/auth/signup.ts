@@ -0,0 +1,63 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getAuthProvider, isAuthError } from '../../../lib/repository'
+import { validateCredentials, setSessionCookie } from '../../../lib/auth'
+import type { ApiResponse } from '../../../types/task'
+import type { AuthRequest, AuthResult } from '../../../types/user'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * POST /api/auth/signup - 注册账号
+ *   - 注册成功后直接登录（写入会话 Cookie）
+ *   - 需要邮箱确认时不会登录，返回 confirmation_required: true
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<AuthResult | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    const body = (req.body || {}) as AuthRequest
+    const errors = validateCredentials(body)
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join('; '))
+    }
+
+    const { user, session } = await getAuthProvider().signUp(body.email.trim(), body.password)
+    if (session) {
+      setSessionCookie(res, session)
+    }
+
+    return successResponse(res, { user, confirmation_required: session === null }, 201)
+  } catch (err) {
+    if (isAuthError(err)) {
+      return errorResponse(res, err.message, err.status)
+    }
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
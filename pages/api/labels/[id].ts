@@ -0,0 +1,160 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import type { LabelInput } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import type { Label, UpdateLabelRequest, ApiResponse } from '../../../types/task'
+
+// 标签颜色格式：#RRGGBB
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 验证 ID 格式
+ */
+function validateId(id: string | string[] | undefined): number | null {
+  if (!id || Array.isArray(id)) return null
+  const numId = parseInt(id)
+  if (isNaN(numId) || numId <= 0) return null
+  return numId
+}
+
+/**
+ * 验证更新请求数据
+ */
+function validateUpdateRequest(body: UpdateLabelRequest): {
+  errors: string[]
+  updateData: Partial<LabelInput>
+} {
+  const errors: string[] = []
+  const updateData: Partial<LabelInput> = {}
+
+  // name 验证
+  if (body.name !== undefined) {
+    if (typeof body.name !== 'string') {
+      errors.push('name 必须是字符串')
+    } else if (body.name.trim().length === 0) {
+      errors.push('name 不能为空')
+    } else if (body.name.trim().length > 50) {
+      errors.push('name 长度不能超过 50 字符')
+    } else {
+      updateData.name = body.name.trim()
+    }
+  }
+
+  // color 格式验证
+  if (body.color !== undefined) {
+    if (typeof body.color !== 'string' || !COLOR_PATTERN.test(body.color)) {
+      errors.push('color 必须是 #RRGGBB 格式的颜色值')
+    } else {
+      updateData.color = body.color
+    }
+  }
+
+  return { errors, updateData }
+}
+
+/**
+ * GET    /api/labels/[id] - 获取单个标签
+ * PATCH  /api/labels/[id] - 更新标签名称或颜色
+ * DELETE /api/labels/[id] - 删除标签（同时移除所有任务上的该标签）
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<Label | { message: string; deleted: Label } | null>>
+) {
+  try {
+    // 验证登录状态（只能访问自己的标签）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const labelId = validateId(req.query.id)
+    if (!labelId) {
+      return errorResponse(res, '无效的标签 ID，必须是正整数')
+    }
+
+    const { labels } = getRepositories(session)
+
+    // ==================== GET ====================
+    if (req.method === 'GET') {
+      const label = await labels.getById(labelId)
+      if (!label) {
+        return errorResponse(res, '标签不存在', 404)
+      }
+
+      return successResponse(res, label)
+    }
+
+    // ==================== PATCH ====================
+    if (req.method === 'PATCH') {
+      const { errors, updateData } = validateUpdateRequest(req.body as UpdateLabelRequest)
+
+      if (errors.length > 0) {
+        return errorResponse(res, errors.join('; '))
+      }
+
+      if (Object.keys(updateData).length === 0) {
+        return errorResponse(res, '没有提供任何要更新的字段')
+      }
+
+      // 标签名称唯一
+      if (updateData.name) {
+        if (await labels.findByName(updateData.name, labelId)) {
+          return errorResponse(res, `标签「${updateData.name}」已存在`, 409)
+        }
+      }
+
+      const label = await labels.update(labelId, updateData)
+      if (!label) {
+        return errorResponse(res, '标签不存在', 404)
+      }
+
+      return successResponse(res, label)
+    }
+
+    // ==================== DELETE ====================
+    if (req.method === 'DELETE') {
+      const existingLabel = await labels.getById(labelId)
+      if (!existingLabel) {
+        return errorResponse(res, '标签不存在', 404)
+      }
+
+      await labels.delete(labelId)
+
+      return successResponse(res, {
+        message: '标签已删除',
+        deleted: existingLabel
+      })
+    }
+
+    // ==================== 不支持的方法 ====================
+    res.setHeader('Allow', ['GET', 'PATCH', 'DELETE'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
@@ -0,0 +1,113 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import type { Label, CreateLabelRequest, ApiResponse } from '../../../types/task'
+
+// 标签颜色格式：#RRGGBB
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/
+
+// 未指定颜色时按顺序分配的默认颜色
+const DEFAULT_COLORS = ['#8b7355', '#c97a6a', '#6a8fc9', '#7aa36a', '#b08ac9', '#c9a86a']
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 验证创建标签的请求数据
+ */
+function validateCreateRequest(body: CreateLabelRequest): string[] {
+  const errors: string[] = []
+
+  // name 必填验证
+  if (!body.name || typeof body.name !== 'string') {
+    errors.push('name 是必填字段且必须是字符串')
+  } else if (body.name.trim().length === 0) {
+    errors.push('name 不能为空')
+  } else if (body.name.trim().length > 50) {
+    errors.push('name 长度不能超过 50 字符')
+  }
+
+  // color 格式验证
+  if (body.color !== undefined && (typeof body.color !== 'string' || !COLOR_PATTERN.test(body.color))) {
+    errors.push('color 必须是 #RRGGBB 格式的颜色值')
+  }
+
+  return errors
+}
+
+/**
+ * GET  /api/labels - 获取所有标签（按名称排序）
+ * POST /api/labels - 创建新标签
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<Label | Label[] | null>>
+) {
+  try {
+    // 验证登录状态（只能访问自己的标签）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const { labels } = getRepositories(session)
+
+    // ==================== GET ====================
+    if (req.method === 'GET') {
+      return successResponse(res, await labels.list())
+    }
+
+    // ==================== POST ====================
+    if (req.method === 'POST') {
+      const body = req.body as CreateLabelRequest
+
+      const errors = validateCreateRequest(body)
+      if (errors.length > 0) {
+        return errorResponse(res, errors.join('; '))
+      }
+
+      const name = body.name.trim()
+
+      // 标签名称唯一
+      if (await labels.findByName(name)) {
+        return errorResponse(res, `标签「${name}」已存在`, 409)
+      }
+
+      let color = body.color
+      if (!color) {
+        const count = await labels.count()
+        color = DEFAULT_COLORS[count % DEFAULT_COLORS.length]
+      }
+
+      const label = await labels.create({ name, color })
+      return successResponse(res, label, 201)
+    }
+
+    // ==================== 不支持的方法 ====================
+    res.setHeader('Allow', ['GET', 'POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
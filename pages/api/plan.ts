@@ -0,0 +1,129 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../lib/repository'
+import { authenticate } from '../../lib/auth'
+import { getLLMProvider, MeteredProvider } from '../../lib/llm'
+import type { CompletionOptions } from '../../lib/llm'
+import { checkAILimits, recordAIUsage } from '../../lib/usage'
+import {
+  loadPlanCandidates,
+  buildPlanPrompt,
+  validatePlanOutput,
+  planByRules,
+  toDailyPlan,
+  PLAN_DEFAULT_MINUTES,
+  PLAN_MIN_MINUTES,
+  PLAN_MAX_MINUTES
+} from '../../lib/plan'
+import type { ApiResponse, DailyPlan } from '../../types/task'
+
+const COMPLETION_OPTIONS: CompletionOptions = {
+  temperature: 0.3,  // 排序应较稳定，理由可以有些变化
+  max_tokens: 1500,
+  json: true
+}
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * POST /api/plan - 安排今天的计划（不修改任务）
+ * 请求体：{ minutes, ai, timezoneOffset }（见 PlanRequest）
+ *   - 从未完成的顶级任务中挑选放得进可用时间的任务，按建议的执行顺序返回，每个任务带有理由
+ *   - 参考优先级、创建天数、截止时间、预计用时和子任务进度
+ *   - suggested_priority 为建议调整的优先级，由客户端在用户接受计划后通过 PATCH /api/tasks/[id] 修改
+ *   - 使用与 AI 拆解相同的 LLM 服务；未配置、超出 AI 使用限额、调用失败或输出无效时改用规则排序，并在 warning 中说明
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<DailyPlan | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const { minutes = PLAN_DEFAULT_MINUTES, ai = true, timezoneOffset = new Date().getTimezoneOffset() } = req.body || {}
+    if (!Number.isInteger(minutes) || minutes < PLAN_MIN_MINUTES || minutes > PLAN_MAX_MINUTES) {
+      return errorResponse(res, `minutes 必须是 ${PLAN_MIN_MINUTES}-${PLAN_MAX_MINUTES} 之间的整数`)
+    }
+    if (typeof ai !== 'boolean') {
+      return errorResponse(res, 'ai 必须是布尔值')
+    }
+    if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+      return errorResponse(res, 'timezoneOffset 必须是 -840 到 840 之间的整数（分钟）')
+    }
+
+    const { tasks, usage } = getRepositories(session)
+    const candidates = await loadPlanCandidates(tasks, new Date(), timezoneOffset)
+
+    const planByRulesWith = (warning: string | null) =>
+      successResponse(res, toDailyPlan(planByRules(candidates, minutes), minutes, 'rules', null, warning))
+
+    // 没有未完成的任务时不需要调用 AI
+    if (!ai || candidates.length === 0) {
+      return planByRulesWith(null)
+    }
+
+    // 获取 LLM 服务商（未配置时改用规则排序）
+    let llm: MeteredProvider
+    try {
+      llm = new MeteredProvider(getLLMProvider())
+    } catch (configError) {
+      return planByRulesWith(`AI 服务不可用（${configError instanceof Error ? configError.message : '未配置'}），已按规则安排`)
+    }
+
+    // 超出 AI 使用限额时不调用模型
+    const startedAt = Date.now()
+    const exceeded = await checkAILimits(usage, session.user.id)
+    if (exceeded) {
+      await recordAIUsage(usage, 'plan', llm, startedAt, 'limited', exceeded.message)
+      return planByRulesWith(`${exceeded.message}，已按规则安排`)
+    }
+
+    try {
+      const completion = await llm.complete(buildPlanPrompt(candidates, minutes), COMPLETION_OPTIONS)
+      const result = validatePlanOutput(completion.content, candidates, minutes)
+      if (!result) {
+        console.warn('AI 计划不符合 schema:', completion.content.substring(0, 200))
+        await recordAIUsage(usage, 'plan', llm, startedAt, 'error', 'AI 返回的结果无效')
+        return planByRulesWith('AI 返回的结果无效，已按规则安排')
+      }
+      await recordAIUsage(usage, 'plan', llm, startedAt, 'success')
+      return successResponse(res, toDailyPlan(result, minutes, 'ai', completion.model, null))
+    } catch (apiError) {
+      console.error('AI 安排计划失败:', apiError)
+      const message = apiError instanceof Error ? apiError.message : '未知错误'
+      await recordAIUsage(usage, 'plan', llm, startedAt, 'error', message)
+      return planByRulesWith(`AI 调用失败（${message}），已按规则安排`)
+    }
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
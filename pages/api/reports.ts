@@ -0,0 +1,147 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../lib/repository'
+import { authenticate } from '../../lib/auth'
+import { getLLMProvider, MeteredProvider } from '../../lib/llm'
+import type { CompletionOptions } from '../../lib/llm'
+import { checkAILimits, recordAIUsage } from '../../lib/usage'
+import {
+  resolveReportRange,
+  loadReportGroups,
+  renderReportMarkdown,
+  buildReportPrompt,
+  validateReportOutput,
+  toTaskReport
+} from '../../lib/report'
+import type { ApiResponse, TaskReport } from '../../types/task'
+
+const COMPLETION_OPTIONS: CompletionOptions = {
+  temperature: 0.5,  // 润色措辞可以有些变化
+  max_tokens: 3000
+}
+
+/**
+ * 发送成功响应（format=markdown 时直接返回 Markdown 附件）
+ */
+function successResponse(res: NextApiResponse<ApiResponse<TaskReport> | string>, data: TaskReport, markdown: boolean) {
+  if (markdown) {
+    res.setHeader('Content-Type', 'text/markdown; charset=utf-8')
+    res.setHeader('Content-Disposition', `attachment; filename="report-${data.from}-${data.to}.md"`)
+    return res.status(200).send(data.markdown)
+  }
+  return res.status(200).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 取查询参数的单个值
+ */
+function single(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[0] : value
+}
+
+/**
+ * GET /api/reports - 一段时间内的进展报告（Markdown）
+ * 查询参数：from、to、ai、timezoneOffset、format（见 ReportQueryParams）
+ *   - 收集范围内完成的任务（按 completed_at），沿 parent_id 按顶级任务分组
+ *   - 先用模板生成 Markdown，ai 不为 false 时再交给 LLM 润色
+ *   - 未配置 AI、超出 AI 使用限额、调用失败或输出无效时返回模板生成的报告，并在 warning 中说明
+ *   - format=markdown 时直接返回 Markdown 文件（text/markdown，作为附件下载）
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<TaskReport | null> | string>
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const ai = single(req.query.ai)
+    if (ai !== undefined && ai !== 'true' && ai !== 'false') {
+      return errorResponse(res, 'ai 必须是 true 或 false')
+    }
+    const format = single(req.query.format) ?? 'json'
+    if (format !== 'json' && format !== 'markdown') {
+      return errorResponse(res, 'format 必须是 json 或 markdown')
+    }
+    const offsetParam = single(req.query.timezoneOffset)
+    const timezoneOffset = offsetParam === undefined ? new Date().getTimezoneOffset() : Number(offsetParam)
+    if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+      return errorResponse(res, 'timezoneOffset 必须是 -840 到 840 之间的整数（分钟）')
+    }
+    const range = resolveReportRange(single(req.query.from), single(req.query.to), timezoneOffset, new Date())
+    if (typeof range === 'string') {
+      return errorResponse(res, range)
+    }
+
+    const { tasks, usage } = getRepositories(session)
+    const { groups, total } = await loadReportGroups(tasks, range)
+    const draft = renderReportMarkdown(range, groups, total, timezoneOffset)
+    const markdown = format === 'markdown'
+
+    const reportByTemplate = (warning: string | null) =>
+      successResponse(res, toTaskReport(range, groups, total, draft, 'template', null, warning), markdown)
+
+    // 没有完成的任务时不需要调用 AI
+    if (ai === 'false' || total === 0) {
+      return reportByTemplate(null)
+    }
+
+    // 获取 LLM 服务商（未配置时使用模板）
+    let llm: MeteredProvider
+    try {
+      llm = new MeteredProvider(getLLMProvider())
+    } catch (configError) {
+      return reportByTemplate(`AI 服务不可用（${configError instanceof Error ? configError.message : '未配置'}），已使用模板生成`)
+    }
+
+    // 超出 AI 使用限额时不调用模型
+    const startedAt = Date.now()
+    const exceeded = await checkAILimits(usage, session.user.id)
+    if (exceeded) {
+      await recordAIUsage(usage, 'report', llm, startedAt, 'limited', exceeded.message)
+      return reportByTemplate(`${exceeded.message}，已使用模板生成`)
+    }
+
+    try {
+      const completion = await llm.complete(buildReportPrompt(draft), COMPLETION_OPTIONS)
+      const polished = validateReportOutput(completion.content)
+      if (!polished) {
+        console.warn('AI 报告无效:', completion.content.substring(0, 200))
+        await recordAIUsage(usage, 'report', llm, startedAt, 'error', 'AI 返回的结果无效')
+        return reportByTemplate('AI 返回的结果无效，已使用模板生成')
+      }
+      await recordAIUsage(usage, 'report', llm, startedAt, 'success')
+      return successResponse(res, toTaskReport(range, groups, total, polished, 'ai', completion.model, null), markdown)
+    } catch (apiError) {
+      console.error('AI 润色报告失败:', apiError)
+      const message = apiError instanceof Error ? apiError.message : '未知错误'
+      await recordAIUsage(usage, 'report', llm, startedAt, 'error', message)
+      return reportByTemplate(`AI 调用失败（${message}），已使用模板生成`)
+    }
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
@@ -1,5 +1,12 @@
 import type { NextApiRequest, NextApiResponse } from 'next'
-import { supabase } from '../../../lib/supabase'
+import { getRepositories } from '../../../lib/repository'
+import type { TaskInput, TaskRepository } from '../../../lib/repository'
+import { validateLabelIds } from '../../../lib/labels'
+import { validateRecurrence } from '../../../lib/recurrence'
+import { completeTasks } from '../../../lib/completion'
+import { authenticate } from '../../../lib/auth'
+import { purgeExpiredTrash } from '../../../lib/trash'
+import { userActor, updateEvents, deletedEvents, recordEvents } from '../../../lib/history'
 import type { 
   Task, 
   UpdateTaskRequest, 
@@ -40,15 +47,33 @@ function validateId(id: string | string[] | undefined): number | null {
   return numId
 }
 
+/**
+ * 验证并规范化日期时间字段（ISO 8601 字符串或 null）
+ */
+function validateDateField(
+  value: string | null | undefined,
+  field: 'start_at' | 'due_at',
+  errors: string[],
+  updateData: Partial<TaskInput>
+): void {
+  if (value === undefined) return
+  if (value !== null && (typeof value !== 'string' || isNaN(Date.parse(value)))) {
+    errors.push(`${field} 必须是有效的 ISO 8601 日期时间或 null`)
+  } else {
+    updateData[field] = value ? new Date(value).toISOString() : null
+  }
+}
+
 /**
  * 验证更新请求数据
  */
 function validateUpdateRequest(body: UpdateTaskRequest): { 
   errors: string[]
-  updateData: Partial<Task>
+  updateData: Partial<TaskInput>
+  labelIds: number[] | undefined
 } {
   const errors: string[] = []
-  const updateData: Partial<Task> = {}
+  const updateData: Partial<TaskInput> = {}
   
   // title 验证
   if (body.title !== undefined) {
@@ -102,20 +127,97 @@ function validateUpdateRequest(body: UpdateTaskRequest): {
       updateData.parent_id = body.parent_id
     }
   }
+
+  // start_at / due_at 验证
+  validateDateField(body.start_at, 'start_at', errors, updateData)
+  validateDateField(body.due_at, 'due_at', errors, updateData)
+
+  // estimated_minutes 验证（最多 7 天，null 表示清除）
+  if (body.estimated_minutes !== undefined) {
+    if (
+      body.estimated_minutes !== null &&
+      (!Number.isInteger(body.estimated_minutes) || body.estimated_minutes < 1 || body.estimated_minutes > 10080)
+    ) {
+      errors.push('estimated_minutes 必须是 1-10080 之间的整数或 null')
+    } else {
+      updateData.estimated_minutes = body.estimated_minutes
+    }
+  }
+
+  // labels 验证（标签单独写入 task_labels 关联表）
+  validateLabelIds(body.labels, errors)
+
+  // recurrence 验证（null 表示停止重复）
+  const recurrence = validateRecurrence(body.recurrence, errors)
+  if (recurrence !== undefined) {
+    updateData.recurrence = recurrence
+  }
   
-  return { errors, updateData }
+  return { errors, updateData, labelIds: body.labels }
+}
+
+/**
+ * 校验更新后的时间约束，返回错误信息（无错误时返回 null）
+ */
+async function validateTaskDates(
+  tasks: TaskRepository,
+  taskId: number,
+  updateData: Partial<TaskInput>,
+  newParent: Task | null
+): Promise<{ message: string; status: number } | null> {
+  const currentTask = await tasks.getById(taskId)
+  if (!currentTask) {
+    return { message: '任务不存在', status: 404 }
+  }
+
+  const startAt = 'start_at' in updateData ? updateData.start_at : currentTask.start_at
+  const dueAt = 'due_at' in updateData ? updateData.due_at : currentTask.due_at
+
+  if (startAt && dueAt && Date.parse(startAt) > Date.parse(dueAt)) {
+    return { message: 'start_at 不能晚于 due_at', status: 400 }
+  }
+
+  if (!dueAt) {
+    return null
+  }
+
+  // 与父任务比较（优先使用新的父任务）
+  let parent = newParent
+  const parentId = 'parent_id' in updateData ? updateData.parent_id : currentTask.parent_id
+  if (!parent && parentId) {
+    parent = await tasks.getById(parentId)
+  }
+
+  if (parent?.due_at && Date.parse(dueAt) > Date.parse(parent.due_at)) {
+    return { message: '子任务的截止时间不能晚于父任务的截止时间', status: 400 }
+  }
+
+  // 与现有子任务比较
+  const children = await tasks.getChildren([taskId])
+  if (children.some(child => child.due_at && Date.parse(child.due_at) > Date.parse(dueAt))) {
+    return { message: '截止时间不能早于子任务的截止时间', status: 400 }
+  }
+
+  return null
 }
 
 /**
  * GET    /api/tasks/[id] - 获取单个任务（包含子任务）
- * PATCH  /api/tasks/[id] - 更新任务状态
- * DELETE /api/tasks/[id] - 删除任务
+ * PATCH  /api/tasks/[id] - 更新任务状态（完成时记下 completed_at，重新打开时清空；完成重复任务时自动生成下一次任务，见 next_occurrence）
+ *                           标记为完成时，未完成的后代任务一并完成（其中的重复任务同样生成下一次任务，见 lib/completion），重新打开时不影响后代任务
+ * DELETE /api/tasks/[id] - 删除任务（连同子任务移到回收站，可通过 /api/tasks/[id]/restore 恢复）
  */
 export default async function handler(
   req: NextApiRequest,
   res: NextApiResponse<ApiResponse<Task | { message: string; deleted: Task } | null>>
 ) {
   try {
+    // 验证登录状态（只能访问自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
     const { id } = req.query
 
     // 验证 ID
@@ -124,32 +226,20 @@ export default async function handler(
       return errorResponse(res, '无效的任务 ID，必须是正整数')
     }
 
+    const repositories = getRepositories(session)
+    const { tasks, labels, events } = repositories
+
     // ==================== GET ====================
     if (req.method === 'GET') {
-      const { data: task, error } = await supabase
-        .from('tasks')
-        .select('*')
-        .eq('id', taskId)
-        .single()
-
-      if (error) {
-        if (error.code === 'PGRST116') {
-          return errorResponse(res, '任务不存在', 404)
-        }
-        console.error('获取任务失败:', error)
-        return errorResponse(res, '获取任务失败: ' + error.message, 500)
+      const task = await tasks.getById(taskId)
+      if (!task) {
+        return errorResponse(res, '任务不存在', 404)
       }
 
       // 获取子任务
-      const { data: subtasks } = await supabase
-        .from('tasks')
-        .select('*')
-        .eq('parent_id', taskId)
-        .order('created_at', { ascending: true })
-
       const taskWithSubtasks: Task = {
-        ...(task as Task),
-        subtasks: (subtasks as Task[]) || []
+        ...task,
+        subtasks: await tasks.getChildren([taskId])
       }
 
       return successResponse(res, taskWithSubtasks)
@@ -158,84 +248,116 @@ export default async function handler(
     // ==================== PATCH ====================
     if (req.method === 'PATCH') {
       const body = req.body as UpdateTaskRequest
-      const { errors, updateData } = validateUpdateRequest(body)
+      const { errors, updateData, labelIds } = validateUpdateRequest(body)
 
       if (errors.length > 0) {
         return errorResponse(res, errors.join('; '))
       }
 
-      if (Object.keys(updateData).length === 0) {
+      if (Object.keys(updateData).length === 0 && labelIds === undefined) {
         return errorResponse(res, '没有提供任何要更新的字段')
       }
 
+      const currentTask = await tasks.getById(taskId)
+      if (!currentTask) {
+        return errorResponse(res, '任务不存在', 404)
+      }
+
+      // 验证标签是否存在
+      if (labelIds && labelIds.length > 0) {
+        const missingIds = await labels.findMissingIds(labelIds)
+        if (missingIds.length > 0) {
+          return errorResponse(res, `标签不存在: ${missingIds.join(', ')}`)
+        }
+      }
+
       // 防止任务成为自己的子任务
       if (updateData.parent_id === taskId) {
         return errorResponse(res, '任务不能成为自己的子任务')
       }
 
       // 验证父任务是否存在
+      let parentTask: Task | null = null
       if (updateData.parent_id) {
-        const { data: parentTask, error: parentError } = await supabase
-          .from('tasks')
-          .select('id, parent_id')
-          .eq('id', updateData.parent_id)
-          .single()
-        
-        if (parentError || !parentTask) {
+        parentTask = await tasks.getById(updateData.parent_id)
+        if (!parentTask) {
           return errorResponse(res, '父任务不存在')
         }
 
         // 防止循环引用
-        if ((parentTask as Task).parent_id === taskId) {
+        if (parentTask.parent_id === taskId) {
           return errorResponse(res, '不能创建循环的父子关系')
         }
       }
 
-      const { data, error } = await supabase
-        .from('tasks')
-        .update(updateData)
-        .eq('id', taskId)
-        .select()
+      // 校验时间约束：start_at 不晚于 due_at，子任务截止时间不晚于父任务
+      if ('start_at' in updateData || 'due_at' in updateData || parentTask) {
+        const dateError = await validateTaskDates(tasks, taskId, updateData, parentTask)
+        if (dateError) {
+          return errorResponse(res, dateError.message, dateError.status)
+        }
+      }
 
-      if (error) {
-        console.error('更新任务失败:', error)
-        return errorResponse(res, '更新任务失败: ' + error.message, 500)
+      if (Object.keys(updateData).length > 0) {
+        const updated = await tasks.update(taskId, updateData)
+        if (!updated) {
+          return errorResponse(res, '任务不存在', 404)
+        }
       }
 
-      if (!data || data.length === 0) {
+      // 替换标签
+      if (labelIds !== undefined) {
+        await tasks.setLabels(taskId, labelIds)
+      }
+
+      const updatedTask = await tasks.getById(taskId)
+      if (!updatedTask) {
         return errorResponse(res, '任务不存在', 404)
       }
 
-      return successResponse(res, (data as Task[])[0])
+      const actor = userActor(session)
+
+      // 标记为完成时，后代任务一并完成，重复任务生成下一次任务
+      if (currentTask.status !== 'completed' && updatedTask.status === 'completed') {
+        const completion = await completeTasks(tasks, [updatedTask], actor)
+        const completedTask = completion.tasks[0]
+        const nextOccurrence = completion.nextOccurrences.get(taskId)
+
+        await recordEvents(events, [...updateEvents(currentTask, completedTask, actor), ...completion.events])
+
+        return successResponse(res, {
+          ...completedTask,
+          ...(nextOccurrence ? { next_occurrence: nextOccurrence } : {})
+        })
+      }
+
+      await recordEvents(events, updateEvents(currentTask, updatedTask, actor))
+
+      return successResponse(res, updatedTask)
     }
 
     // ==================== DELETE ====================
     if (req.method === 'DELETE') {
       // 先检查任务是否存在
-      const { data: existingTask, error: checkError } = await supabase
-        .from('tasks')
-        .select('id, title')
-        .eq('id', taskId)
-        .single()
-
-      if (checkError || !existingTask) {
+      const existingTask = await tasks.getById(taskId)
+      if (!existingTask) {
         return errorResponse(res, '任务不存在', 404)
       }
 
-      // 执行删除
-      const { error } = await supabase
-        .from('tasks')
-        .delete()
-        .eq('id', taskId)
+      // 移到回收站（子任务一并移入，每个子任务都记录删除事件）
+      const trashed = await tasks.trash([taskId])
+      const deletedTask = trashed.find(task => task.id === taskId) || existingTask
+      const descendants = trashed.filter(task => task.id !== taskId)
 
-      if (error) {
-        console.error('删除任务失败:', error)
-        return errorResponse(res, '删除任务失败: ' + error.message, 500)
-      }
+      await recordEvents(events, [
+        ...deletedEvents([deletedTask], userActor(session)),
+        ...deletedEvents(descendants, userActor(session), `随父任务 #${taskId} 一起移到回收站`)
+      ])
+      await purgeExpiredTrash(repositories)
 
       return successResponse(res, {
-        message: '任务已删除',
-        deleted: existingTask as Task
+        message: '任务已移到回收站',
+        deleted: deletedTask
       })
     }
 
@@ -0,0 +1,104 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../../lib/repository'
+import { authenticate } from '../../../../lib/auth'
+import type { ApiResponse, TaskHistory } from '../../../../types/task'
+
+// 每页事件数量
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 100
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 解析正整数参数（未提供时返回 undefined，格式错误时返回 null）
+ */
+function parsePositiveInt(value: string | string[] | undefined): number | null | undefined {
+  if (value === undefined) return undefined
+  if (Array.isArray(value) || !/^\d+$/.test(value)) return null
+  const num = parseInt(value)
+  return num > 0 ? num : null
+}
+
+/**
+ * GET /api/tasks/[id]/history - 获取任务的活动历史（按时间倒序）
+ *   - limit：每页数量（默认 50，最大 100）
+ *   - before：上一页返回的 next_before，用于加载更早的记录
+ *   - 任务删除后仍可查询历史，此时 task 为 null
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<TaskHistory | null>>
+) {
+  if (req.method !== 'GET') {
+    res.setHeader('Allow', ['GET'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态（只能查看自己任务的历史）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const taskId = parsePositiveInt(req.query.id)
+    if (!taskId) {
+      return errorResponse(res, '无效的任务 ID，必须是正整数')
+    }
+
+    const limit = parsePositiveInt(req.query.limit)
+    if (limit === null || (limit !== undefined && limit > MAX_LIMIT)) {
+      return errorResponse(res, `limit 必须是 1-${MAX_LIMIT} 之间的整数`)
+    }
+
+    const before = parsePositiveInt(req.query.before)
+    if (before === null) {
+      return errorResponse(res, 'before 必须是正整数')
+    }
+
+    const { tasks, events } = getRepositories(session)
+    const pageSize = limit || DEFAULT_LIMIT
+
+    // 多取一条判断是否还有更早的记录
+    const [task, rows] = await Promise.all([
+      tasks.getById(taskId),
+      events.listForTask(taskId, pageSize + 1, before)
+    ])
+
+    if (!task && rows.length === 0 && before === undefined) {
+      return errorResponse(res, '任务不存在', 404)
+    }
+
+    const hasMore = rows.length > pageSize
+    const page = hasMore ? rows.slice(0, pageSize) : rows
+
+    return successResponse(res, {
+      task,
+      events: page,
+      next_before: hasMore ? page[page.length - 1].id : null
+    })
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
@@ -0,0 +1,160 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../../lib/repository'
+import { authenticate } from '../../../../lib/auth'
+import { userActor, updateEvents, recordEvents } from '../../../../lib/history'
+import { positionBetween, spreadPositions } from '../../../../lib/position'
+import type { ApiResponse, MoveTaskRequest, MoveTaskResult } from '../../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 验证 ID 格式
+ */
+function validateId(id: string | string[] | undefined): number | null {
+  if (!id || Array.isArray(id)) return null
+  const numId = parseInt(id)
+  if (isNaN(numId) || numId <= 0) return null
+  return numId
+}
+
+/**
+ * 验证移动请求
+ */
+function validateMoveRequest(body: MoveTaskRequest): string[] {
+  const errors: string[] = []
+
+  if (
+    !body ||
+    body.parent_id === undefined ||
+    (body.parent_id !== null && (typeof body.parent_id !== 'number' || !Number.isInteger(body.parent_id)))
+  ) {
+    errors.push('parent_id 必须是整数或 null')
+  }
+
+  if (!body || !Number.isInteger(body.index) || body.index < 0) {
+    errors.push('index 必须是非负整数')
+  }
+
+  return errors
+}
+
+/**
+ * POST /api/tasks/[id]/move - 调整任务的顺序或父任务
+ * 请求体：{ parent_id, index }（见 MoveTaskRequest）
+ *   - index 为在目标父任务的子任务（不含被移动的任务）中的位置，0 表示最前，等于子任务数量时排在最后
+ *   - 新位置取相邻两个任务位置的中间值，只修改被移动的任务；相邻位置之间没有空隙时整组重新编号（见 repositioned）
+ *   - 不能移到自己或自己的后代任务下，截止时间不能晚于新的父任务
+ *   - 父任务变化时记录 reparented 历史，只调整顺序时不记录
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<MoveTaskResult | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态（只能操作自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const taskId = validateId(req.query.id)
+    if (!taskId) {
+      return errorResponse(res, '无效的任务 ID，必须是正整数')
+    }
+
+    const body = req.body as MoveTaskRequest
+    const errors = validateMoveRequest(body)
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join('; '))
+    }
+    const { parent_id: parentId, index } = body
+
+    const { tasks, events } = getRepositories(session)
+    const task = await tasks.getById(taskId)
+    if (!task) {
+      return errorResponse(res, '任务不存在', 404)
+    }
+
+    // 验证目标父任务：存在、不形成循环、截止时间不早于被移动的任务
+    if (parentId !== null) {
+      if (parentId === taskId) {
+        return errorResponse(res, '任务不能成为自己的子任务')
+      }
+      const parent = await tasks.getById(parentId)
+      if (!parent) {
+        return errorResponse(res, '父任务不存在')
+      }
+      const ancestors = await tasks.getAncestors(parentId)
+      if (ancestors.some(ancestor => ancestor.id === taskId)) {
+        return errorResponse(res, '不能移动到自己的子任务下')
+      }
+      if (task.due_at && parent.due_at && Date.parse(task.due_at) > Date.parse(parent.due_at)) {
+        return errorResponse(res, '子任务的截止时间不能晚于父任务的截止时间')
+      }
+    }
+
+    // 目标位置的同级任务（按排列位置，不含被移动的任务）
+    const siblings = (parentId === null
+      ? (await tasks.list({ parent_id: null }, { sort: 'position', order: 'asc' })).tasks
+      : await tasks.getChildren([parentId])
+    ).filter(sibling => sibling.id !== taskId)
+    if (index > siblings.length) {
+      return errorResponse(res, `index 不能大于 ${siblings.length}`)
+    }
+
+    let position = positionBetween(
+      index > 0 ? siblings[index - 1].position : null,
+      index < siblings.length ? siblings[index].position : null
+    )
+
+    // 相邻位置之间没有空隙：整组重新编号
+    let repositioned: MoveTaskResult['repositioned'] = []
+    if (position === null) {
+      const spread = spreadPositions([...siblings.slice(0, index), task, ...siblings.slice(index)])
+      position = spread[index].position
+      repositioned = spread.filter(({ id, position: next }) =>
+        id !== taskId && siblings.some(sibling => sibling.id === id && sibling.position !== next)
+      )
+      await tasks.setPositions(repositioned)
+    }
+
+    const moved = await tasks.move(taskId, parentId, position)
+    if (!moved) {
+      return errorResponse(res, '任务不存在', 404)
+    }
+
+    if (moved.parent_id !== task.parent_id) {
+      await recordEvents(events, updateEvents(task, moved, userActor(session)))
+    }
+
+    return successResponse(res, { task: moved, repositioned })
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
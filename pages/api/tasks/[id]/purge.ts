@@ -0,0 +1,82 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../../lib/repository'
+import { authenticate } from '../../../../lib/auth'
+import { userActor, deletedEvents, recordEvents } from '../../../../lib/history'
+import type { ApiResponse } from '../../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 验证 ID 格式
+ */
+function validateId(id: string | string[] | undefined): number | null {
+  if (!id || Array.isArray(id)) return null
+  const numId = parseInt(id)
+  if (isNaN(numId) || numId <= 0) return null
+  return numId
+}
+
+/**
+ * POST /api/tasks/[id]/purge - 彻底删除回收站中的任务（连同全部子任务，不可恢复）
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<{ purged: number } | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态（只能操作自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const taskId = validateId(req.query.id)
+    if (!taskId) {
+      return errorResponse(res, '无效的任务 ID，必须是正整数')
+    }
+
+    const { tasks, events } = getRepositories(session)
+    const trashed = await tasks.listTrash()
+    const task = trashed.find(t => t.id === taskId)
+    if (!task) {
+      return errorResponse(res, '回收站中没有该任务', 404)
+    }
+
+    const purged = await tasks.purge([taskId])
+
+    await recordEvents(events, [
+      ...deletedEvents(purged.filter(t => t.id === taskId), userActor(session), null, 'purged'),
+      ...deletedEvents(purged.filter(t => t.id !== taskId), userActor(session), `随父任务 #${taskId} 一起彻底删除`, 'purged')
+    ])
+
+    return successResponse(res, { purged: purged.length })
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
@@ -0,0 +1,90 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../../lib/repository'
+import { authenticate } from '../../../../lib/auth'
+import { userActor, restoredEvents, recordEvents } from '../../../../lib/history'
+import type { Task, ApiResponse } from '../../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 验证 ID 格式
+ */
+function validateId(id: string | string[] | undefined): number | null {
+  if (!id || Array.isArray(id)) return null
+  const numId = parseInt(id)
+  if (isNaN(numId) || numId <= 0) return null
+  return numId
+}
+
+/**
+ * POST /api/tasks/[id]/restore - 从回收站恢复任务
+ *   - 与该任务同时删除的子任务一并恢复，返回恢复的任务（该任务在前）
+ *   - 父任务仍在回收站中时需要先恢复父任务
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<Task[] | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态（只能操作自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const taskId = validateId(req.query.id)
+    if (!taskId) {
+      return errorResponse(res, '无效的任务 ID，必须是正整数')
+    }
+
+    const { tasks, events } = getRepositories(session)
+    const trashed = await tasks.listTrash()
+    const task = trashed.find(t => t.id === taskId)
+    if (!task) {
+      return errorResponse(res, '回收站中没有该任务', 404)
+    }
+
+    if (task.parent_id !== null && trashed.some(t => t.id === task.parent_id)) {
+      return errorResponse(res, '父任务在回收站中，请先恢复父任务', 409)
+    }
+
+    const restored = await tasks.restore(taskId)
+    const root = restored.filter(t => t.id === taskId)
+    const descendants = restored.filter(t => t.id !== taskId)
+
+    await recordEvents(events, [
+      ...restoredEvents(root, userActor(session)),
+      ...restoredEvents(descendants, userActor(session), `随父任务 #${taskId} 一起恢复`)
+    ])
+
+    return successResponse(res, [...root, ...descendants])
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
@@ -1,22 +1,91 @@
 import type { NextApiRequest, NextApiResponse } from 'next'
-import OpenAI from 'openai'
-import { supabase } from '../../../lib/supabase'
-import { DEEPSEEK_API_KEY, DEEPSEEK_API_BASE_URL } from '../../../lib/config'
-import type { Task, ApiResponse } from '../../../types/task'
-
-// Node.js 16 兼容性：添加 FormData polyfill
-if (typeof global.FormData === 'undefined') {
-  // @ts-ignore
-  global.FormData = require('form-data')
+import { getRepositories } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import {
+  buildBreakdownPrompt,
+  resolveBreakdownOutput,
+  expandBreakdownTree,
+  parseBreakdownOptions,
+  loadBreakdownSubject,
+  refinableChildren,
+  keptChildren,
+  dedupeSuggestions,
+  isBreakdownOutputError,
+  createBreakdownSubtasks,
+  getCachedBreakdown,
+  setCachedBreakdown,
+  breakdownCacheKey,
+  SubtaskStreamParser
+} from '../../../lib/breakdown'
+import type { BreakdownOptions, BreakdownSubject, BreakdownTarget, CachedBreakdown } from '../../../lib/breakdown'
+import { getLLMProvider, isLLMError, isCancelledError, MeteredProvider } from '../../../lib/llm'
+import type { ChatMessage, CompletionOptions, CompletionResult } from '../../../lib/llm'
+import { startAIRequest } from '../../../lib/usage'
+import type { AIRequestUsage } from '../../../lib/usage'
+import type { AuthSession, Repositories } from '../../../lib/repository'
+import type { Task, ApiResponse, BreakdownPreview, BreakdownSuggestion } from '../../../types/task'
+import type { AIUsageOutcome } from '../../../types/ai'
+
+const COMPLETION_OPTIONS: CompletionOptions = {
+  temperature: 0.7,  // 控制输出的随机性
+  max_tokens: 1500,  // 最大 token 数（每个子任务带描述、优先级和预计用时，最多 10 个）
+  json: true         // 只输出 JSON 对象
+}
+
+/**
+ * 一次拆解请求的上下文
+ */
+interface BreakdownContext {
+  repositories: Repositories
+  session: AuthSession
+  // 统计本次请求的调用次数和 token 用量，请求结束后通过 usage 写入用量记录
+  llm: MeteredProvider
+  usage: AIRequestUsage
+  messages: ChatMessage[]
+  target: BreakdownTarget
+  subject: BreakdownSubject
+  // refine 模式下可以细化的子任务 ID（提示词中的编号为下标 + 1）
+  refIds: number[]
+  dryRun: boolean
+  options: BreakdownOptions
+  // 流式模式下带有客户端断开时中止请求的 signal，修正和多层拆解的调用同样可以取消
+  completionOptions: CompletionOptions
+  cacheKey: string
 }
 
 /**
- * POST /api/tasks/breakdown - 使用 DeepSeek AI 拆解任务
- * 将一个大任务拆解成 3-5 个可执行的小步骤
+ * 拆解过程的阶段（流式模式下以 progress 事件发送）
+ */
+type BreakdownStage = 'cached' | 'repairing' | 'expanding' | 'saving'
+
+/**
+ * 拆解结果（流式和非流式共用，error 为 null 表示成功）
+ */
+interface BreakdownOutcome {
+  status: number
+  data: Task[] | BreakdownPreview | null
+  error: string | null
+}
+
+/**
+ * POST /api/tasks/breakdown - 使用 AI 拆解任务
+ * 将一个大任务拆解成若干个可执行的小步骤（服务商由 LLM_PROVIDER 配置，见 lib/llm）
+ * AI 按 JSON Schema 输出每个步骤的标题、描述、优先级和预计用时，不符合时要求修正后重试
+ * 提示词包含任务的描述、上级任务和现有子任务，与现有子任务几乎相同的新步骤会被去掉
+ *   - mode：已有子任务时的处理方式，'append'（默认，只补充缺少的步骤）、'replace'（替换未完成的子任务）
+ *     或 'refine'（改进未完成的子任务），已完成的子任务不会被修改；replace 和 refine 需要 taskId
+ *   - minSubtasks / maxSubtasks：每次拆解的步骤数（默认 3-5，最多 10）
+ *   - language：'zh'（默认）或 'en'；granularity：'coarse' 或 'detailed'（默认不限定）
+ *   - depth：继续拆解生成的子任务的层数（默认 1，最多 3），maxNodes 限制生成的任务总数（默认 30，最多 50）
+ *   - dryRun: true 时只返回建议的子任务（BreakdownPreview），不写入数据库
+ *   - 否则直接创建子任务并返回
+ *   - stream: true 时以 Server-Sent Events 边生成边返回子任务（见 streamBreakdown）
+ *   - 相同的提示词、模型和选项在 AI_CACHE_TTL_SECONDS 内直接使用缓存的结果，cache: false 时重新生成
+ *   - 超出每个用户的频率限制或每日额度时返回 429（带 Retry-After 头）；每次请求写入一条 AI 用量记录
  */
 export default async function handler(
   req: NextApiRequest,
-  res: NextApiResponse<ApiResponse<Task[]>>
+  res: NextApiResponse<ApiResponse<Task[] | BreakdownPreview | null>>
 ) {
   if (req.method !== 'POST') {
     res.setHeader('Allow', ['POST'])
@@ -28,12 +97,41 @@ export default async function handler(
   }
 
   try {
-    const { taskId, taskTitle } = req.body
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        data: null,
+        error: 'Authentication required'
+      })
+    }
+
+    const repositories = getRepositories(session)
+    const { tasks } = repositories
+    const { taskId, taskTitle, dryRun, stream, cache = true } = req.body
+
+    if (typeof cache !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: 'cache must be a boolean'
+      })
+    }
+
+    const { options, errors: optionErrors } = parseBreakdownOptions(req.body)
+    if (optionErrors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        data: null,
+        error: optionErrors.join('；')
+      })
+    }
 
     // 验证参数 - 支持两种方式：taskId 或 taskTitle
     let finalTaskId: number | null = null
     let finalTaskTitle: string
-    let originalTask: Task | null = null
+    let subject: BreakdownSubject
 
     if (taskId) {
       // 方式1: 通过 taskId 获取任务
@@ -46,14 +144,10 @@ export default async function handler(
         })
       }
 
-      // 验证任务是否存在
-      const { data: existingTask, error: fetchError } = await supabase
-        .from('tasks')
-        .select('*')
-        .eq('id', numId)
-        .single()
+      // 验证任务是否存在（只能拆解自己的任务，他人的任务同样视为不存在）
+      const existingTask = await tasks.getById(numId)
 
-      if (fetchError || !existingTask) {
+      if (!existingTask) {
         return res.status(404).json({
           success: false,
           data: null,
@@ -63,7 +157,7 @@ export default async function handler(
 
       finalTaskId = numId
       finalTaskTitle = existingTask.title
-      originalTask = existingTask as Task
+      subject = await loadBreakdownSubject(tasks, existingTask)
     } else if (taskTitle) {
       // 方式2: 直接使用 taskTitle
       if (typeof taskTitle !== 'string' || taskTitle.trim().length === 0) {
@@ -73,7 +167,15 @@ export default async function handler(
           error: 'taskTitle is required and must be a non-empty string'
         })
       }
+      if (options.mode !== 'append') {
+        return res.status(400).json({
+          success: false,
+          data: null,
+          error: 'mode 为 replace 或 refine 时必须提供 taskId'
+        })
+      }
       finalTaskTitle = taskTitle.trim()
+      subject = { title: finalTaskTitle, description: null, ancestors: [], children: [], replaceable: [] }
     } else {
       return res.status(400).json({
         success: false,
@@ -82,184 +184,83 @@ export default async function handler(
       })
     }
 
-    // 验证 DeepSeek API Key
-    if (!DEEPSEEK_API_KEY) {
-      return res.status(500).json({
-        success: false,
-        data: null,
-        error: 'DeepSeek API Key is not configured'
-      })
-    }
-
-    // 初始化 OpenAI 客户端（使用 DeepSeek API）
-    const openai = new OpenAI({
-      apiKey: DEEPSEEK_API_KEY,
-      baseURL: DEEPSEEK_API_BASE_URL,
-    })
-
-    // 构建提示词，让 AI 拆解任务
-    const prompt = `请将以下任务拆解成 3-5 个具体可执行的小步骤。要求：
-1. 每个步骤应该是具体、可操作的
-2. 步骤之间要有逻辑顺序
-3. 返回格式为 JSON 数组，每个元素是一个步骤的标题
-4. 只返回 JSON 数组，不要其他文字说明
-
-任务：${finalTaskTitle}
-
-请返回 JSON 格式的数组，例如：["步骤1", "步骤2", "步骤3"]`
-
-    // 调用 DeepSeek API
-    let completion
+    // 获取 LLM 服务商（配置不完整时返回 500）
+    let llm: MeteredProvider
     try {
-      console.log('调用 DeepSeek API，任务:', finalTaskTitle)
-      completion = await openai.chat.completions.create({
-        model: 'deepseek-chat',  // DeepSeek 的模型名称
-        messages: [
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        temperature: 0.7,  // 控制输出的随机性
-        max_tokens: 500,   // 最大 token 数
-      })
-      console.log('DeepSeek API 调用成功')
-    } catch (apiError: any) {
-      console.error('DeepSeek API 调用失败:', apiError)
+      llm = new MeteredProvider(getLLMProvider())
+    } catch (configError) {
       return res.status(500).json({
         success: false,
         data: null,
-        error: `AI API 调用失败: ${apiError.message || '未知错误'}。请检查 DEEPSEEK_API_KEY 是否正确配置。`
+        error: configError instanceof Error ? configError.message : 'LLM provider is not configured'
       })
     }
 
-    // 获取 AI 返回的内容
-    const aiResponse = completion.choices[0]?.message?.content
-    console.log('AI 返回内容:', aiResponse?.substring(0, 200))
-    if (!aiResponse) {
-      return res.status(500).json({
+    // 检查 AI 使用限额，超出时不调用模型
+    const usage = await startAIRequest(repositories.usage, session.user.id, 'breakdown', llm)
+    const { exceeded } = usage
+    if (exceeded) {
+      res.setHeader('Retry-After', String(exceeded.retryAfter))
+      return res.status(429).json({
         success: false,
         data: null,
-        error: 'AI did not return a valid response'
+        error: exceeded.message
       })
     }
 
-    // 解析 AI 返回的 JSON
-    let subtasks: string[] = []
-    try {
-      // 清理响应内容：移除 markdown 代码块标记
-      let cleanedResponse = aiResponse.trim()
-      cleanedResponse = cleanedResponse.replace(/^```json\s*/i, '')
-      cleanedResponse = cleanedResponse.replace(/^```\s*/i, '')
-      cleanedResponse = cleanedResponse.replace(/\s*```$/i, '')
-      cleanedResponse = cleanedResponse.trim()
-
-      // 尝试直接解析 JSON
-      const parsed = JSON.parse(cleanedResponse)
-      if (Array.isArray(parsed)) {
-        subtasks = parsed
-      } else {
-        // 如果不是数组，尝试从文本中提取数组
-        const arrayMatch = cleanedResponse.match(/\[[\s\S]*?\]/)
-        if (arrayMatch) {
-          subtasks = JSON.parse(arrayMatch[0])
-        }
-      }
-    } catch (parseError) {
-      console.error('Failed to parse AI response as JSON:', aiResponse, parseError)
-      
-      // 如果 JSON 解析失败，尝试从文本中提取数组
-      try {
-        const arrayMatch = aiResponse.match(/\[[\s\S]*?\]/)
-        if (arrayMatch) {
-          const arrayStr = arrayMatch[0]
-            .replace(/```json/gi, '')
-            .replace(/```/g, '')
-            .trim()
-          subtasks = JSON.parse(arrayStr)
-        }
-      } catch (secondParseError) {
-        console.error('Failed to parse array from response:', secondParseError)
-        
-        // 最后尝试：从文本中按行提取步骤
-        const lines = aiResponse
-          .split('\n')
-          .map(line => line.trim())
-          .filter(line => line && line.length > 0)
-          .filter(line => !line.match(/^(```|步骤|Step|Task|JSON)/i))  // 过滤掉标题和代码块标记
-        
-        subtasks = lines
-          .map(line => {
-            // 移除 JSON 数组中的引号、逗号等
-            line = line.replace(/^["'\[,\s]+|["'\]\s,]+$/g, '')
-            // 移除编号、符号等
-            line = line.replace(/^[\d\-•\*\.]\s*/, '')
-            return line.trim()
-          })
-          .filter(line => line.length > 3 && !line.match(/^[\[\],]+$/))  // 过滤太短的行和纯符号
-          .slice(0, 5)  // 最多取 5 个
-      }
-    }
+    // 构建提示词（包含任务的上下文），让 AI 按 JSON Schema 拆解任务
+    const refIds = options.mode === 'refine' ? refinableChildren(subject).map(child => child.id) : []
+    const messages: ChatMessage[] = [{ role: 'user', content: buildBreakdownPrompt(subject, options, refIds) }]
 
-    // 清理子任务标题：移除多余的引号、逗号等
-    subtasks = subtasks.map(task => {
-      return task
-        .replace(/^["'\[,\s]+|["'\]\s,]+$/g, '')  // 移除首尾的引号、逗号、方括号
-        .replace(/\\"/g, '"')  // 处理转义的引号
-        .trim()
-    }).filter(task => task.length > 0)
-
-    // 验证拆解结果
-    if (!Array.isArray(subtasks) || subtasks.length === 0) {
-      console.error('Invalid subtasks:', subtasks, 'Original response:', aiResponse)
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: 'AI did not return valid subtasks. Please try again.'
-      })
+    const context: BreakdownContext = {
+      repositories,
+      session,
+      llm,
+      usage,
+      messages,
+      target: { parent_id: finalTaskId, title: finalTaskTitle },
+      subject,
+      refIds,
+      dryRun: dryRun === true,
+      options,
+      completionOptions: COMPLETION_OPTIONS,
+      cacheKey: breakdownCacheKey(llm, messages, options, COMPLETION_OPTIONS, refIds)
     }
+    const cached = cache ? getCachedBreakdown(context.cacheKey) : undefined
 
-    // 确保子任务数量在 3-5 个之间
-    if (subtasks.length < 3) {
-      return res.status(400).json({
-        success: false,
-        data: null,
-        error: `AI only returned ${subtasks.length} subtasks, expected 3-5`
-      })
+    // 流式模式：通过 SSE 逐个返回子任务
+    if (stream === true) {
+      return streamBreakdown(res, context, cached)
     }
 
-    // 限制最多 5 个子任务
-    const finalSubtasks = subtasks.slice(0, 5)
-
-    // 批量创建子任务（适配我们的表结构）
-    const taskDataList = finalSubtasks.map((subtask: string) => ({
-      title: subtask.trim(),
-      description: `由 AI 从「${finalTaskTitle}」拆解生成`,
-      status: 'pending' as const,
-      priority: 'medium' as const,
-      parent_id: finalTaskId  // 设置父任务 ID（如果提供了 taskId）
-    }))
-
-    // 插入所有子任务到数据库
-    const { data: createdTasks, error: insertError } = await supabase
-      .from('tasks')
-      .insert(taskDataList)
-      .select()
-
-    if (insertError) {
-      console.error('Supabase error:', insertError)
-      return res.status(500).json({
-        success: false,
-        data: null,
-        error: insertError.message || 'Failed to create subtasks'
-      })
+    let outcome: BreakdownOutcome
+    if (cached) {
+      console.log('使用缓存的拆解结果，任务:', finalTaskTitle)
+      outcome = await saveBreakdown(context, cached, true)
+    } else {
+      // 调用 LLM（超时和重试由服务商配置决定）
+      let completion: CompletionResult
+      try {
+        console.log(`调用 AI（${llm.name}/${llm.model}），任务:`, finalTaskTitle)
+        completion = await llm.complete(messages, COMPLETION_OPTIONS)
+        console.log('AI 调用成功')
+      } catch (apiError) {
+        console.error('AI 调用失败:', apiError)
+        await usage.record('error', aiErrorMessage(apiError))
+        return res.status(aiErrorStatus(apiError)).json({
+          success: false,
+          data: null,
+          error: aiErrorMessage(apiError)
+        })
+      }
+      outcome = await finishBreakdown(context, completion)
     }
 
-    // 返回创建的子任务
-    return res.status(201).json({
-      success: true,
-      data: (createdTasks as Task[]) || [],
-      error: null
+    await usage.record(usageOutcome(outcome, Boolean(cached)), outcome.error)
+    return res.status(outcome.status).json({
+      success: outcome.error === null,
+      data: outcome.data,
+      error: outcome.error
     })
   } catch (error) {
     console.error('Unexpected error:', error)
@@ -270,3 +271,221 @@ export default async function handler(
     })
   }
 }
+
+/**
+ * 流式拆解：以 SSE 返回事件，客户端断开连接时中止上游请求
+ *   - progress：{ stage: 'generating' | 'parsing' | 'repairing' | 'expanding' | 'saving' | 'cached' }
+ *     （repairing 表示输出不符合 schema，正在要求 AI 修正；expanding 表示正在继续拆解下一层；
+ *     cached 表示使用缓存的结果，随后一次发送全部子任务）
+ *   - subtask：{ index, title, path }，每解析出一个子任务发送一次
+ *     path 为子任务在树中的位置（第一层为 [index]），下层子任务在校验通过后发送
+ *   - done：{ data }，与非流式的 data 相同（以此为准）
+ *   - error：{ status, error }，status 为对应非流式请求的状态码
+ */
+async function streamBreakdown(res: NextApiResponse, context: BreakdownContext, cached?: CachedBreakdown) {
+  const { llm, messages } = context
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    // no-transform 避免响应被压缩后缓冲
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  })
+
+  const send = (event: 'progress' | 'subtask' | 'done' | 'error', data: unknown) => {
+    if (!res.writableEnded) {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    }
+  }
+
+  // 响应结束前连接关闭，说明客户端取消了拆解
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort()
+  })
+
+  const parser = new SubtaskStreamParser(context.options.maxSubtasks)
+  const streamContext = { ...context, completionOptions: { ...context.completionOptions, signal: controller.signal } }
+  const sendSubtask = (path: number[], subtask: BreakdownSuggestion) =>
+    send('subtask', { index: path[path.length - 1], title: subtask.title, path })
+  let index = 0
+
+  try {
+    let outcome: BreakdownOutcome
+    if (cached) {
+      console.log('使用缓存的拆解结果，任务:', context.target.title)
+      send('progress', { stage: 'cached' })
+      forEachSuggestion(cached.subtasks, [], sendSubtask)
+      outcome = await saveBreakdown(streamContext, cached, true, stage => send('progress', { stage }))
+    } else {
+      console.log(`流式调用 AI（${llm.name}/${llm.model}），任务:`, context.target.title)
+      send('progress', { stage: 'generating' })
+      const completion = await llm.stream(
+        messages,
+        delta => parser.push(delta).forEach(title => {
+          send('subtask', { index, title, path: [index] })
+          index++
+        }),
+        streamContext.completionOptions
+      )
+
+      send('progress', { stage: 'parsing' })
+      outcome = await finishBreakdown(streamContext, completion, stage => send('progress', { stage }), sendSubtask)
+    }
+
+    if (outcome.error === null) {
+      send('done', { data: outcome.data })
+    } else {
+      send('error', { status: outcome.status, error: outcome.error })
+    }
+    await context.usage.record(usageOutcome(outcome, Boolean(cached)), outcome.error)
+  } catch (apiError) {
+    if (isCancelledError(apiError)) {
+      console.log('AI 拆解已取消，任务:', context.target.title)
+      await context.usage.record('cancelled')
+    } else {
+      console.error('AI 调用失败:', apiError)
+      send('error', { status: aiErrorStatus(apiError), error: aiErrorMessage(apiError) })
+      await context.usage.record('error', aiErrorMessage(apiError))
+    }
+  }
+
+  res.end()
+}
+
+/**
+ * 按深度优先顺序遍历建议的子任务树，path 为子任务在树中的位置
+ */
+function forEachSuggestion(
+  subtasks: BreakdownSuggestion[],
+  parentPath: number[],
+  visit: (path: number[], subtask: BreakdownSuggestion) => void
+) {
+  subtasks.forEach((subtask, i) => {
+    const path = [...parentPath, i]
+    visit(path, subtask)
+    forEachSuggestion(subtask.subtasks || [], path, visit)
+  })
+}
+
+/**
+ * 校验 AI 返回的子任务（不符合 schema 时要求模型修正），去掉与现有子任务重复的步骤，depth > 1 时继续拆解下层
+ * 结果写入缓存后交给 saveBreakdown
+ * 流式模式下取消时抛出 isCancelled 的 LLMError，由调用方处理
+ */
+async function finishBreakdown(
+  context: BreakdownContext,
+  completion: CompletionResult,
+  onProgress?: (stage: BreakdownStage) => void,
+  onSubtask?: (path: number[], subtask: BreakdownSuggestion) => void
+): Promise<BreakdownOutcome> {
+  const { llm, messages, target, subject, refIds, options, completionOptions } = context
+  console.log('AI 返回内容:', completion.content.substring(0, 200))
+
+  let subtasks: BreakdownSuggestion[]
+  let skipped: string[]
+  let aiModel: string
+  try {
+    const output = await resolveBreakdownOutput(llm, messages, completion, options, completionOptions, {
+      refIds,
+      onRepair: () => onProgress?.('repairing')
+    })
+    const deduped = dedupeSuggestions(output.subtasks, keptChildren(subject, options.mode).map(child => child.title))
+    subtasks = deduped.subtasks.slice(0, options.maxNodes)
+    skipped = deduped.skipped
+    aiModel = output.model
+
+    // 多层拆解：第一层的上级任务是被拆解的任务及其上级任务
+    if (options.depth > 1) {
+      onProgress?.('expanding')
+      await expandBreakdownTree(
+        llm,
+        subtasks,
+        [...subject.ancestors, target.title],
+        options,
+        completionOptions,
+        onSubtask
+      )
+    }
+  } catch (outputError) {
+    if (isBreakdownOutputError(outputError)) {
+      return { status: 400, data: null, error: `${outputError.message}。请重试。` }
+    }
+    if (isCancelledError(outputError)) throw outputError
+    console.error('AI 调用失败:', outputError)
+    return { status: aiErrorStatus(outputError), data: null, error: aiErrorMessage(outputError) }
+  }
+
+  const result: CachedBreakdown = { subtasks, skipped, model: aiModel }
+  setCachedBreakdown(context.cacheKey, result)
+  return saveBreakdown(context, result, false, onProgress)
+}
+
+/**
+ * dryRun 时返回预览，否则按 mode 写入拆解结果；cached 表示结果来自缓存
+ */
+async function saveBreakdown(
+  { repositories, session, target, subject, dryRun, options }: BreakdownContext,
+  { subtasks, skipped, model: aiModel }: CachedBreakdown,
+  cached: boolean,
+  onProgress?: (stage: BreakdownStage) => void
+): Promise<BreakdownOutcome> {
+  // 预览模式：只返回建议的子任务，由用户确认后调用 /api/tasks/breakdown/commit 保存
+  if (dryRun) {
+    return {
+      status: 200,
+      data: {
+        parent_id: target.parent_id,
+        parent_title: target.title,
+        subtasks,
+        model: aiModel,
+        mode: options.mode,
+        removed: options.mode === 'replace' ? subject.replaceable.map(({ id, title }) => ({ id, title })) : [],
+        skipped,
+        cached
+      },
+      error: null
+    }
+  }
+
+  // 插入所有子任务到数据库，子任务由 AI 创建
+  onProgress?.('saving')
+  try {
+    const createdTasks = await createBreakdownSubtasks(
+      repositories,
+      session,
+      target,
+      subtasks,
+      { actor_type: 'ai', actor: aiModel },
+      `由 AI 从「${target.title}」拆解生成`,
+      { mode: options.mode, subject }
+    )
+    return { status: 201, data: createdTasks, error: null }
+  } catch (insertError) {
+    console.error('Storage error:', insertError)
+    const message = insertError instanceof Error ? insertError.message : ''
+    return { status: 500, data: null, error: message || 'Failed to create subtasks' }
+  }
+}
+
+/**
+ * 拆解结果对应的用量记录结果：使用缓存的为 cached（即使保存失败），否则按是否出错区分
+ */
+function usageOutcome(outcome: BreakdownOutcome, cached: boolean): AIUsageOutcome {
+  if (cached) return 'cached'
+  return outcome.error === null ? 'success' : 'error'
+}
+
+/**
+ * AI 调用失败时的状态码：服务商限流返回 429，其余返回 500
+ */
+function aiErrorStatus(apiError: unknown): number {
+  return isLLMError(apiError) && apiError.status === 429 ? 429 : 500
+}
+
+/**
+ * AI 调用失败时返回的错误信息
+ */
+function aiErrorMessage(apiError: unknown): string {
+  return `AI API 调用失败: ${apiError instanceof Error ? apiError.message : '未知错误'}。请检查 LLM 服务配置。`
+}
@@ -0,0 +1,127 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../../lib/repository'
+import { authenticate } from '../../../../lib/auth'
+import { userActor } from '../../../../lib/history'
+import {
+  validateCommitSubtasks,
+  createBreakdownSubtasks,
+  loadBreakdownSubject,
+  refinableChildren,
+  BREAKDOWN_MODES
+} from '../../../../lib/breakdown'
+import type { BreakdownSubject, BreakdownTarget } from '../../../../lib/breakdown'
+import type { ApiResponse, BreakdownMode, Task } from '../../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * POST /api/tasks/breakdown/commit - 保存用户确认后的拆解结果
+ * 请求体：{ taskId 或 taskTitle, mode, subtasks }（见 CommitBreakdownRequest）
+ *   - subtasks 为预览（/api/tasks/breakdown 的 dryRun）经用户改名、排序、增删后的列表，按顺序创建
+ *   - 每项可以只是标题，也可以带上描述、优先级（默认 medium）和预计用时
+ *   - mode 与预览时相同：replace 将未完成的子任务移到回收站，refine 按 task_id 更新未完成的子任务
+ *   - 不调用 AI，只写入提交的子任务，返回新建和细化的第一层子任务
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<Task[] | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const repositories = getRepositories(session)
+    const { taskId, taskTitle, mode = 'append' } = req.body || {}
+
+    if (!BREAKDOWN_MODES.includes(mode)) {
+      return errorResponse(res, `mode 必须是 ${BREAKDOWN_MODES.join('、')}`)
+    }
+
+    const { subtasks, error: validationError } = validateCommitSubtasks(req.body?.subtasks)
+    if (validationError) {
+      return errorResponse(res, validationError)
+    }
+
+    // 确定被拆解的任务：taskId（必须是自己的任务）或 taskTitle
+    let target: BreakdownTarget
+    let subject: BreakdownSubject | null = null
+    if (taskId !== undefined && taskId !== null) {
+      const numId = typeof taskId === 'string' ? parseInt(taskId) : taskId
+      if (typeof numId !== 'number' || isNaN(numId) || numId <= 0) {
+        return errorResponse(res, 'taskId 必须是正整数')
+      }
+
+      const parent = await repositories.tasks.getById(numId)
+      if (!parent) {
+        return errorResponse(res, '任务不存在', 404)
+      }
+      target = { parent_id: parent.id, title: parent.title }
+      subject = await loadBreakdownSubject(repositories.tasks, parent)
+    } else if (typeof taskTitle === 'string' && taskTitle.trim().length > 0) {
+      if (mode !== 'append') {
+        return errorResponse(res, 'mode 为 replace 或 refine 时必须提供 taskId')
+      }
+      target = { parent_id: null, title: taskTitle.trim() }
+    } else {
+      return errorResponse(res, '必须提供 taskId 或 taskTitle')
+    }
+
+    // 只能细化被拆解任务下未完成的直接子任务，且每个子任务只能细化一次
+    const refinableIds = subject ? refinableChildren(subject).map(child => child.id) : []
+    const refinedIds = new Set<number>()
+    for (let i = 0; i < subtasks.length; i++) {
+      const refId = subtasks[i].task_id
+      if (!refId) continue
+      if (mode !== 'refine') {
+        return errorResponse(res, `subtasks[${i}] 包含 task_id，只有 mode 为 refine 时可以细化现有子任务`)
+      }
+      if (!refinableIds.includes(refId) || refinedIds.has(refId)) {
+        return errorResponse(res, `subtasks[${i}].task_id 不是可以细化的未完成子任务`)
+      }
+      refinedIds.add(refId)
+    }
+
+    const createdTasks = await createBreakdownSubtasks(
+      repositories,
+      session,
+      target,
+      subtasks,
+      userActor(session),
+      `由 AI 从「${target.title}」拆解生成，经确认后保存`,
+      { mode: mode as BreakdownMode, subject }
+    )
+
+    return successResponse(res, createdTasks, 201)
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
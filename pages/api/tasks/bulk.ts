@@ -0,0 +1,279 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import type { TaskInput, TaskRepository } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import { completeTasks } from '../../../lib/completion'
+import { purgeExpiredTrash } from '../../../lib/trash'
+import { userActor, updateEvents, deletedEvents, recordEvents } from '../../../lib/history'
+import type { TaskEventInput } from '../../../lib/repository'
+import type {
+  Task,
+  ApiResponse,
+  BulkAction,
+  BulkItemResult,
+  BulkTaskRequest,
+  BulkTaskResult,
+  TaskPriority
+} from '../../../types/task'
+
+// 单次批量操作的任务数量上限
+const MAX_BULK_IDS = 200
+
+const VALID_ACTIONS: BulkAction[] = ['complete', 'reopen', 'set_priority', 'move', 'delete']
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 发送逐项校验失败的响应（整批不执行）
+ */
+function itemsErrorResponse(
+  res: NextApiResponse<ApiResponse<BulkTaskResult>>,
+  action: BulkAction,
+  results: BulkItemResult[]
+) {
+  const failed = results.filter(item => !item.success).length
+  return res.status(400).json({
+    success: false,
+    data: {
+      action,
+      succeeded: 0,
+      failed,
+      results,
+      tasks: [],
+      next_occurrences: []
+    },
+    error: `${failed} 个任务未通过校验，未执行任何操作`
+  })
+}
+
+/**
+ * 验证批量操作请求
+ */
+function validateBulkRequest(body: BulkTaskRequest): string[] {
+  const errors: string[] = []
+
+  // ids 验证
+  if (!Array.isArray(body.ids) || body.ids.length === 0) {
+    errors.push('ids 必须是非空数组')
+  } else if (!body.ids.every(id => Number.isInteger(id) && id > 0)) {
+    errors.push('ids 中的每一项都必须是正整数')
+  } else if (body.ids.length > MAX_BULK_IDS) {
+    errors.push(`ids 数量不能超过 ${MAX_BULK_IDS}`)
+  }
+
+  // action 验证
+  if (!VALID_ACTIONS.includes(body.action)) {
+    errors.push(`action 必须是 ${VALID_ACTIONS.join('、')}`)
+  }
+
+  // 各操作的附加参数
+  if (body.action === 'set_priority') {
+    const validPriorities: TaskPriority[] = ['low', 'medium', 'high']
+    if (!body.priority || !validPriorities.includes(body.priority)) {
+      errors.push(`set_priority 操作需要提供 priority（${validPriorities.join('、')}）`)
+    }
+  }
+
+  if (body.action === 'move') {
+    if (
+      body.parent_id === undefined ||
+      (body.parent_id !== null && (typeof body.parent_id !== 'number' || !Number.isInteger(body.parent_id)))
+    ) {
+      errors.push('move 操作需要提供 parent_id（整数或 null）')
+    }
+  }
+
+  return errors
+}
+
+/**
+ * 校验移动操作：目标父任务存在、不形成循环、截止时间不晚于新父任务
+ */
+async function validateMove(
+  taskRepository: TaskRepository,
+  tasks: Task[],
+  parentId: number | null
+): Promise<{ error: string | null; results: BulkItemResult[] }> {
+  if (parentId === null) {
+    return { error: null, results: tasks.map(task => ({ id: task.id, success: true, error: null })) }
+  }
+
+  const parent = await taskRepository.getById(parentId)
+  if (!parent) {
+    return { error: '父任务不存在', results: [] }
+  }
+
+  // 目标父任务及其祖先：被移动的任务出现在其中即会形成循环
+  const ancestorIds = new Set([parentId, ...(await taskRepository.getAncestors(parentId)).map(task => task.id)])
+
+  const results = tasks.map(task => {
+    let itemError: string | null = null
+
+    if (task.id === parentId) {
+      itemError = '任务不能成为自己的子任务'
+    } else if (ancestorIds.has(task.id)) {
+      itemError = '不能移动到自己的子任务下'
+    } else if (task.due_at && parent.due_at && Date.parse(task.due_at) > Date.parse(parent.due_at)) {
+      itemError = '子任务的截止时间不能晚于父任务的截止时间'
+    }
+
+    return { id: task.id, success: itemError === null, error: itemError }
+  })
+
+  return { error: null, results }
+}
+
+/**
+ * POST /api/tasks/bulk - 批量操作任务
+ *   - action: complete | reopen | set_priority | move | delete
+ *   - 先校验全部任务，任一任务校验失败则整批不执行并返回逐项结果
+ *   - 校验通过后以单条语句执行，保证整批要么全部成功要么全部失败
+ *   - complete 时未完成的后代任务一并完成（随 tasks 返回），重复任务会生成下一次任务（见 next_occurrences），与单个任务的 PATCH 相同
+ *   - delete 将任务连同子任务移到回收站
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<BulkTaskResult | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态（只能访问自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const body = req.body as BulkTaskRequest
+
+    const errors = validateBulkRequest(body)
+    if (errors.length > 0) {
+      return errorResponse(res, errors.join('; '))
+    }
+
+    const ids = Array.from(new Set(body.ids))
+    const repositories = getRepositories(session)
+    const { tasks, events } = repositories
+    const actor = userActor(session)
+
+    // 一次性校验所有任务是否存在
+    const existingTasks = await tasks.getByIds(ids)
+    const existingIds = new Set(existingTasks.map(task => task.id))
+    if (existingIds.size !== ids.length) {
+      return itemsErrorResponse(res, body.action, ids.map(id => ({
+        id,
+        success: existingIds.has(id),
+        error: existingIds.has(id) ? null : '任务不存在'
+      })))
+    }
+
+    // 移动操作需要逐项校验父子关系
+    if (body.action === 'move') {
+      const { error: moveError, results } = await validateMove(tasks, existingTasks, body.parent_id as number | null)
+      if (moveError) {
+        return errorResponse(res, moveError)
+      }
+      if (results.some(item => !item.success)) {
+        return itemsErrorResponse(res, body.action, results)
+      }
+    }
+
+    // ==================== delete ====================
+    if (body.action === 'delete') {
+      const trashed = await tasks.trash(ids)
+      const idSet = new Set(ids)
+
+      await recordEvents(events, [
+        ...deletedEvents(trashed.filter(task => idSet.has(task.id)), actor, '批量删除'),
+        ...deletedEvents(trashed.filter(task => !idSet.has(task.id)), actor, '随父任务一起移到回收站')
+      ])
+      await purgeExpiredTrash(repositories)
+
+      return successResponse(res, {
+        action: body.action,
+        succeeded: ids.length,
+        failed: 0,
+        results: ids.map(id => ({ id, success: true, error: null })),
+        tasks: [],
+        next_occurrences: []
+      })
+    }
+
+    // ==================== complete / reopen / set_priority / move ====================
+    const updateData: Partial<TaskInput> = {}
+    if (body.action === 'complete') {
+      updateData.status = 'completed'
+    } else if (body.action === 'reopen') {
+      updateData.status = 'pending'
+    } else if (body.action === 'set_priority') {
+      updateData.priority = body.priority
+    } else {
+      updateData.parent_id = body.parent_id as number | null
+    }
+
+    let updatedTasks = await tasks.updateMany(ids, updateData)
+
+    // 完成时后代任务一并完成，重复任务生成下一次任务（与 PATCH /api/tasks/[id] 相同）
+    let descendants: Task[] = []
+    let nextOccurrences: Task[] = []
+    let completionEvents: TaskEventInput[] = []
+    if (body.action === 'complete') {
+      const pendingIds = new Set(existingTasks.filter(task => task.status !== 'completed').map(task => task.id))
+      const completion = await completeTasks(tasks, updatedTasks.filter(task => pendingIds.has(task.id)), actor)
+      const completedById = new Map(completion.tasks.map(task => [task.id, task]))
+      updatedTasks = updatedTasks.map(task => completedById.get(task.id) || task)
+      descendants = completion.descendants
+      nextOccurrences = Array.from(completion.nextOccurrences.values())
+      completionEvents = completion.events
+    }
+
+    const beforeById = new Map(existingTasks.map(task => [task.id, task]))
+    const updatedEvents = updatedTasks.flatMap(task => {
+      const before = beforeById.get(task.id)
+      return before ? updateEvents(before, task, actor, '批量操作') : []
+    })
+    await recordEvents(events, [...updatedEvents, ...completionEvents])
+
+    const updatedIds = new Set(updatedTasks.map(task => task.id))
+    const results = ids.map(id => ({
+      id,
+      success: updatedIds.has(id),
+      error: updatedIds.has(id) ? null : '任务不存在'
+    }))
+
+    return successResponse(res, {
+      action: body.action,
+      succeeded: updatedTasks.length,
+      failed: ids.length - updatedTasks.length,
+      results,
+      tasks: [...updatedTasks, ...descendants],
+      next_occurrences: nextOccurrences
+    })
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
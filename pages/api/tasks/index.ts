@@ -1,9 +1,26 @@
 import type { NextApiRequest, NextApiResponse } from 'next'
-import { supabase } from '../../../lib/supabase'
+import { getRepositories } from '../../../lib/repository'
+import type { TaskCursor } from '../../../lib/repository'
+import { validateLabelIds } from '../../../lib/labels'
+import { validateRecurrence } from '../../../lib/recurrence'
+import { userActor, createdEvents, recordEvents } from '../../../lib/history'
+import { authenticate } from '../../../lib/auth'
+import {
+  DEFAULT_PAGE_LIMIT,
+  parseListQuery,
+  toTaskFilter,
+  encodeCursor,
+  decodeCursor,
+  sortValue,
+  attachSubtasks,
+  attachAncestors
+} from '../../../lib/tasklist'
 import type { 
   Task, 
   CreateTaskRequest, 
   ApiResponse,
+  PaginatedResponse,
+  PaginationMeta,
   TaskStatus,
   TaskPriority
 } from '../../../types/task'
@@ -30,6 +47,36 @@ function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string,
   })
 }
 
+/**
+ * 发送分页列表响应
+ */
+function paginatedResponse<T>(res: NextApiResponse<PaginatedResponse<T>>, data: T[], pagination: PaginationMeta) {
+  return res.status(200).json({
+    success: true,
+    data,
+    error: null,
+    pagination
+  })
+}
+
+
+/**
+ * 验证日期时间字段（ISO 8601 字符串或 null）
+ */
+function validateDateField(value: unknown, field: string, errors: string[]): void {
+  if (value === undefined || value === null) return
+  if (typeof value !== 'string' || isNaN(Date.parse(value))) {
+    errors.push(`${field} 必须是有效的 ISO 8601 日期时间或 null`)
+  }
+}
+
+/**
+ * 规范化日期时间字段为 ISO 字符串
+ */
+function normalizeDate(value: string | null | undefined): string | null {
+  return value ? new Date(value).toISOString() : null
+}
+
 /**
  * 验证创建任务的请求数据
  */
@@ -76,55 +123,106 @@ function validateCreateRequest(body: CreateTaskRequest): string[] {
       errors.push('parent_id 必须是整数')
     }
   }
+
+  // start_at / due_at 验证
+  validateDateField(body.start_at, 'start_at', errors)
+  validateDateField(body.due_at, 'due_at', errors)
+  if (
+    body.start_at && body.due_at &&
+    !isNaN(Date.parse(body.start_at)) && !isNaN(Date.parse(body.due_at)) &&
+    Date.parse(body.start_at) > Date.parse(body.due_at)
+  ) {
+    errors.push('start_at 不能晚于 due_at')
+  }
+
+  // estimated_minutes 验证（最多 7 天）
+  if (body.estimated_minutes !== undefined && body.estimated_minutes !== null) {
+    if (!Number.isInteger(body.estimated_minutes) || body.estimated_minutes < 1 || body.estimated_minutes > 10080) {
+      errors.push('estimated_minutes 必须是 1-10080 之间的整数或 null')
+    }
+  }
+
+  // labels 验证
+  validateLabelIds(body.labels, errors)
   
   return errors
 }
 
 /**
- * GET  /api/tasks - 获取所有任务（按创建时间倒序）
+ * GET  /api/tasks - 获取任务列表
+ *   - 筛选：status、priority、parent_id、due_before、due_after、overdue=true、labels + labels_mode
+ *   - 排序：sort=created_at|priority|status|position|title，order=asc|desc（默认 created_at desc；position asc 为手动排列的顺序）
+ *   - 分页：page + limit，或 cursor + limit；均未提供时返回全部任务
+ *   - with_subtasks=true 时为每个任务附带完整的子任务树
+ *   - with_ancestors=true 时为每个任务附带祖先任务（ancestors，从顶级任务开始），只有部分子任务命中筛选时用于显示上下文
  * POST /api/tasks - 创建新任务
  */
 export default async function handler(
   req: NextApiRequest,
-  res: NextApiResponse<ApiResponse<Task | Task[] | null>>
+  res: NextApiResponse<ApiResponse<Task | Task[] | null> | PaginatedResponse<Task>>
 ) {
   try {
+    // 验证登录状态（只能访问自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const { tasks, labels, events } = getRepositories(session)
+
     // ==================== GET ====================
     if (req.method === 'GET') {
-      const { status, priority, parent_id } = req.query
-      
-      let query = supabase
-        .from('tasks')
-        .select('*')
-        .order('created_at', { ascending: false })
-      
-      // 按状态筛选
-      if (status && ['pending', 'completed'].includes(status as string)) {
-        query = query.eq('status', status)
+      const { errors, params } = parseListQuery(req.query)
+      if (errors.length > 0) {
+        return errorResponse(res, errors.join('; '))
       }
 
-      // 按优先级筛选
-      if (priority && ['low', 'medium', 'high'].includes(priority as string)) {
-        query = query.eq('priority', priority)
-      }
-      
-      // 按父任务筛选
-      if (parent_id !== undefined) {
-        if (parent_id === 'null') {
-          query = query.is('parent_id', null)
-        } else {
-          query = query.eq('parent_id', parseInt(parent_id as string))
+      let cursor: TaskCursor | null = null
+      if (params.cursor !== undefined) {
+        cursor = decodeCursor(params.cursor)
+        if (!cursor) {
+          return errorResponse(res, '无效的 cursor')
         }
       }
 
-      const { data, error } = await query
+      const sort = params.sort || 'created_at'
+      const paginated = params.page !== undefined || params.limit !== undefined || cursor !== null
+      const limit = paginated ? params.limit || DEFAULT_PAGE_LIMIT : null
+      const page = paginated && !cursor ? params.page || 1 : null
+
+      // 多取一条用于判断是否还有下一页
+      const result = await tasks.list(toTaskFilter(params), {
+        sort,
+        order: params.order || 'desc',
+        limit: limit !== null ? limit + 1 : undefined,
+        offset: limit !== null && page !== null ? (page - 1) * limit : undefined,
+        after: cursor || undefined
+      })
+
+      let rows = result.tasks
+      const hasMore = limit !== null && rows.length > limit
+      if (hasMore) {
+        rows = rows.slice(0, limit as number)
+      }
+
+      const last = rows[rows.length - 1]
+      const nextCursor = hasMore && last ? encodeCursor({ v: sortValue(last, sort), id: last.id }) : null
 
-      if (error) {
-        console.error('获取任务失败:', error)
-        return errorResponse(res, '获取任务失败: ' + error.message, 500)
+      if (params.with_subtasks && rows.length > 0) {
+        const descendants = await tasks.getSubtree(rows.map(task => task.id))
+        rows = attachSubtasks(rows, descendants)
       }
-      
-      return successResponse(res, data as Task[])
+      if (params.with_ancestors && rows.length > 0) {
+        rows = await attachAncestors(tasks, rows)
+      }
+
+      return paginatedResponse(res, rows, {
+        total: result.total,
+        page,
+        limit,
+        has_more: hasMore,
+        next_cursor: nextCursor
+      })
     }
 
     // ==================== POST ====================
@@ -133,43 +231,57 @@ export default async function handler(
 
       // 类型检查
       const errors = validateCreateRequest(body)
+      const recurrence = validateRecurrence(body.recurrence, errors)
       if (errors.length > 0) {
         return errorResponse(res, errors.join('; '))
       }
 
+      const dueAt = normalizeDate(body.due_at)
+
+      // 验证标签是否存在
+      if (body.labels && body.labels.length > 0) {
+        const missingIds = await labels.findMissingIds(body.labels)
+        if (missingIds.length > 0) {
+          return errorResponse(res, `标签不存在: ${missingIds.join(', ')}`)
+        }
+      }
+
       // 验证父任务是否存在
       if (body.parent_id) {
-        const { data: parentTask, error: parentError } = await supabase
-          .from('tasks')
-          .select('id')
-          .eq('id', body.parent_id)
-          .single()
-        
-        if (parentError || !parentTask) {
+        const parentTask = await tasks.getById(body.parent_id)
+        if (!parentTask) {
           return errorResponse(res, '父任务不存在')
         }
+
+        // 子任务的截止时间不能晚于父任务
+        if (dueAt && parentTask.due_at && Date.parse(dueAt) > Date.parse(parentTask.due_at)) {
+          return errorResponse(res, '子任务的截止时间不能晚于父任务的截止时间')
+        }
       }
 
       // 创建任务
-      const insertData = {
+      const createdTask = await tasks.create({
         title: body.title.trim(),
         description: body.description?.trim() || null,
         status: body.status || 'pending',
         priority: body.priority || 'medium',
-        parent_id: body.parent_id || null
-      }
+        parent_id: body.parent_id || null,
+        start_at: normalizeDate(body.start_at),
+        due_at: dueAt,
+        recurrence: recurrence || null,
+        estimated_minutes: body.estimated_minutes ?? null
+      })
 
-      const { data, error } = await supabase
-        .from('tasks')
-        .insert([insertData])
-        .select()
-
-      if (error) {
-        console.error('创建任务失败:', error)
-        return errorResponse(res, '创建任务失败: ' + error.message, 500)
+      // 关联标签
+      let task = createdTask
+      if (body.labels && body.labels.length > 0) {
+        await tasks.setLabels(createdTask.id, body.labels)
+        task = (await tasks.getById(createdTask.id)) || createdTask
       }
 
-      return successResponse(res, (data as Task[])[0], 201)
+      await recordEvents(events, createdEvents([task], userActor(session)))
+
+      return successResponse(res, task, 201)
     }
 
     // ==================== 不支持的方法 ====================
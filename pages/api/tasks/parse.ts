@@ -0,0 +1,140 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import { getLLMProvider, MeteredProvider } from '../../../lib/llm'
+import type { CompletionOptions } from '../../../lib/llm'
+import { checkAILimits, recordAIUsage } from '../../../lib/usage'
+import {
+  parseTaskByRules,
+  matchParent,
+  buildParsePrompt,
+  validateParseOutput,
+  toParsedTask,
+  QUICK_ADD_MAX_LENGTH,
+  QUICK_ADD_MAX_PARENT_CANDIDATES
+} from '../../../lib/quickadd'
+import type { ApiResponse, ParsedTask } from '../../../types/task'
+
+const COMPLETION_OPTIONS: CompletionOptions = {
+  temperature: 0,  // 解析结果应尽量稳定
+  max_tokens: 500,
+  json: true
+}
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * POST /api/tasks/parse - 将一句话解析为任务（不创建任务）
+ * 请求体：{ text, ai, timezoneOffset }（见 ParseTaskRequest）
+ *   - 返回可直接提交到 POST /api/tasks 的字段：标题、描述、优先级、截止时间和建议的父任务（从未完成的任务中匹配）
+ *   - breakdown 为 true 表示输入要求拆分步骤，由客户端在创建后调用 /api/tasks/breakdown
+ *   - 使用与 AI 拆解相同的 LLM 服务；未配置、超出 AI 使用限额、调用失败或输出无效时改用规则解析，并在 warning 中说明
+ *   - 使用 AI 时写入一条 AI 用量记录
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<ParsedTask | null>>
+) {
+  if (req.method !== 'POST') {
+    res.setHeader('Allow', ['POST'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  }
+
+  try {
+    // 验证登录状态
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const { text, ai = true, timezoneOffset = new Date().getTimezoneOffset() } = req.body || {}
+    if (typeof text !== 'string' || text.trim().length === 0) {
+      return errorResponse(res, 'text 必须是非空字符串')
+    }
+    if (text.trim().length > QUICK_ADD_MAX_LENGTH) {
+      return errorResponse(res, `text 长度不能超过 ${QUICK_ADD_MAX_LENGTH} 字符`)
+    }
+    if (typeof ai !== 'boolean') {
+      return errorResponse(res, 'ai 必须是布尔值')
+    }
+    if (!Number.isInteger(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+      return errorResponse(res, 'timezoneOffset 必须是 -840 到 840 之间的整数（分钟）')
+    }
+
+    const input = text.trim()
+    const now = new Date()
+
+    // 候选父任务：最近创建的未完成任务
+    const { tasks, usage } = getRepositories(session)
+    const { tasks: candidates } = await tasks.list(
+      { status: 'pending' },
+      { sort: 'created_at', order: 'desc', limit: QUICK_ADD_MAX_PARENT_CANDIDATES }
+    )
+
+    const parseByRules = (warning: string | null) => {
+      const { parentTitle, ...result } = parseTaskByRules(input, now, timezoneOffset)
+      const parent = parentTitle ? matchParent(parentTitle, candidates) : null
+      return successResponse(res, toParsedTask({ ...result, parent }, timezoneOffset, 'rules', null, warning))
+    }
+
+    if (!ai) {
+      return parseByRules(null)
+    }
+
+    // 获取 LLM 服务商（未配置时改用规则解析）
+    let llm: MeteredProvider
+    try {
+      llm = new MeteredProvider(getLLMProvider())
+    } catch (configError) {
+      return parseByRules(`AI 服务不可用（${configError instanceof Error ? configError.message : '未配置'}），已使用规则解析`)
+    }
+
+    // 超出 AI 使用限额时不调用模型
+    const startedAt = Date.now()
+    const exceeded = await checkAILimits(usage, session.user.id)
+    if (exceeded) {
+      await recordAIUsage(usage, 'parse', llm, startedAt, 'limited', exceeded.message)
+      return parseByRules(`${exceeded.message}，已使用规则解析`)
+    }
+
+    try {
+      const completion = await llm.complete(buildParsePrompt(input, candidates, now, timezoneOffset), COMPLETION_OPTIONS)
+      const result = validateParseOutput(completion.content, candidates)
+      if (!result) {
+        console.warn('AI 解析结果不符合 schema:', completion.content.substring(0, 200))
+        await recordAIUsage(usage, 'parse', llm, startedAt, 'error', 'AI 返回的结果无效')
+        return parseByRules('AI 返回的结果无效，已使用规则解析')
+      }
+      await recordAIUsage(usage, 'parse', llm, startedAt, 'success')
+      return successResponse(res, toParsedTask(result, timezoneOffset, 'ai', completion.model, null))
+    } catch (apiError) {
+      console.error('AI 解析失败:', apiError)
+      const message = apiError instanceof Error ? apiError.message : '未知错误'
+      await recordAIUsage(usage, 'parse', llm, startedAt, 'error', message)
+      return parseByRules(`AI 调用失败（${message}），已使用规则解析`)
+    }
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
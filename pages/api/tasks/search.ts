@@ -0,0 +1,268 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import type { TaskRepository } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import type {
+  Task,
+  ApiResponse,
+  HighlightSegment,
+  TaskSearchResult
+} from '../../../types/task'
+
+// 搜索参数限制
+const MAX_QUERY_LENGTH = 100
+const MAX_TERMS = 5
+const DEFAULT_RESULT_LIMIT = 20
+const MAX_RESULT_LIMIT = 100
+// 参与排序的候选任务上限
+const MAX_CANDIDATES = 500
+// 描述摘要中命中词前后保留的字符数
+const SNIPPET_CONTEXT = 30
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * 拆分搜索关键词（按空白分词，去重，最多 MAX_TERMS 个）
+ */
+function splitTerms(q: string): string[] {
+  const terms = q.toLowerCase().split(/\s+/).filter(term => term.length > 0)
+  return Array.from(new Set(terms)).slice(0, MAX_TERMS)
+}
+
+/**
+ * 统计关键词在文本中出现的次数（不区分大小写）
+ */
+function countOccurrences(text: string, term: string): number {
+  let count = 0
+  let index = text.indexOf(term)
+  while (index !== -1) {
+    count++
+    index = text.indexOf(term, index + term.length)
+  }
+  return count
+}
+
+/**
+ * 计算任务的相关度得分
+ * - 标题命中权重高于描述命中
+ * - 标题以关键词开头、标题包含完整查询语句时额外加分
+ */
+function scoreTask(task: Task, terms: string[], phrase: string): number {
+  const title = task.title.toLowerCase()
+  const description = (task.description || '').toLowerCase()
+  let score = 0
+
+  terms.forEach(term => {
+    if (title.includes(term)) {
+      score += 10
+      if (title.startsWith(term)) {
+        score += 5
+      }
+    }
+    score += Math.min(countOccurrences(description, term), 3) * 3
+  })
+
+  if (terms.length > 1 && title.includes(phrase)) {
+    score += 8
+  }
+  if (title === phrase) {
+    score += 10
+  }
+
+  return score
+}
+
+/**
+ * 将文本按命中的关键词切分为高亮片段
+ */
+function highlight(text: string, terms: string[]): HighlightSegment[] {
+  const lower = text.toLowerCase()
+  const ranges: Array<[number, number]> = []
+
+  terms.forEach(term => {
+    let index = lower.indexOf(term)
+    while (index !== -1) {
+      ranges.push([index, index + term.length])
+      index = lower.indexOf(term, index + term.length)
+    }
+  })
+
+  // 合并重叠区间
+  ranges.sort((a, b) => a[0] - b[0])
+  const merged: Array<[number, number]> = []
+  ranges.forEach(range => {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([range[0], range[1]])
+    }
+  })
+
+  const segments: HighlightSegment[] = []
+  let cursor = 0
+  merged.forEach(([start, end]) => {
+    if (start > cursor) {
+      segments.push({ text: text.slice(cursor, start), highlight: false })
+    }
+    segments.push({ text: text.slice(start, end), highlight: true })
+    cursor = end
+  })
+  if (cursor < text.length) {
+    segments.push({ text: text.slice(cursor), highlight: false })
+  }
+
+  return segments
+}
+
+/**
+ * 截取描述中第一个命中位置附近的摘要并高亮，未命中时返回 null
+ */
+function highlightSnippet(text: string | null, terms: string[]): HighlightSegment[] | null {
+  if (!text) return null
+
+  const lower = text.toLowerCase()
+  const positions = terms.map(term => lower.indexOf(term)).filter(index => index !== -1)
+  if (positions.length === 0) return null
+
+  const first = Math.min(...positions)
+  const start = Math.max(0, first - SNIPPET_CONTEXT)
+  const end = Math.min(text.length, first + SNIPPET_CONTEXT * 2)
+  const snippet = (start > 0 ? '…' : '') + text.slice(start, end) + (end < text.length ? '…' : '')
+
+  return highlight(snippet, terms)
+}
+
+/**
+ * 获取任务的祖先任务（逐层向上查询），返回 ID -> 任务 的映射
+ */
+async function fetchAncestors(taskRepository: TaskRepository, tasks: Task[]): Promise<Map<number, Task>> {
+  const known = new Map<number, Task>()
+  tasks.forEach(task => known.set(task.id, task))
+
+  let pendingIds = tasks
+    .map(task => task.parent_id)
+    .filter((id): id is number => id !== null && !known.has(id))
+
+  while (pendingIds.length > 0) {
+    const parents = await taskRepository.getByIds(Array.from(new Set(pendingIds)))
+    if (parents.length === 0) break
+
+    parents.forEach(task => known.set(task.id, task))
+    pendingIds = parents
+      .map(task => task.parent_id)
+      .filter((id): id is number => id !== null && !known.has(id))
+  }
+
+  return known
+}
+
+/**
+ * 构建任务的祖先路径（从顶级任务到直接父任务）
+ */
+function buildAncestorPath(task: Task, known: Map<number, Task>): Task[] {
+  const path: Task[] = []
+  const visited = new Set<number>([task.id])
+  let parentId = task.parent_id
+
+  while (parentId !== null && !visited.has(parentId)) {
+    const parent = known.get(parentId)
+    if (!parent) break
+    path.unshift(parent)
+    visited.add(parent.id)
+    parentId = parent.parent_id
+  }
+
+  return path
+}
+
+/**
+ * GET /api/tasks/search?q=关键词 - 按标题和描述搜索任务
+ *   - 多个关键词以空格分隔，命中任意关键词即返回
+ *   - 结果按相关度排序，附带高亮片段和祖先路径
+ *   - limit 控制返回数量（默认 20，最大 100）
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<TaskSearchResult[] | null>>
+) {
+  try {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', ['GET'])
+      return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+    }
+
+    // 验证登录状态（只能访问自己的任务）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const q = Array.isArray(req.query.q) ? req.query.q[0] : req.query.q
+    if (!q || q.trim().length === 0) {
+      return errorResponse(res, 'q 是必填参数且不能为空')
+    }
+    if (q.length > MAX_QUERY_LENGTH) {
+      return errorResponse(res, `q 长度不能超过 ${MAX_QUERY_LENGTH} 字符`)
+    }
+
+    let limit = DEFAULT_RESULT_LIMIT
+    const rawLimit = Array.isArray(req.query.limit) ? req.query.limit[0] : req.query.limit
+    if (rawLimit !== undefined) {
+      limit = Number(rawLimit)
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULT_LIMIT) {
+        return errorResponse(res, `limit 必须是 1-${MAX_RESULT_LIMIT} 之间的整数`)
+      }
+    }
+
+    const phrase = q.trim().toLowerCase()
+    const terms = splitTerms(phrase)
+
+    // 查询标题或描述包含任意关键词的任务
+    const { tasks } = getRepositories(session)
+    const candidates = await tasks.search(terms, MAX_CANDIDATES)
+
+    const ranked = candidates
+      .map(task => ({ task, score: scoreTask(task, terms, phrase) }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+
+    const known = await fetchAncestors(tasks, ranked.map(item => item.task))
+
+    const results: TaskSearchResult[] = ranked.map(({ task, score }) => ({
+      task,
+      score,
+      highlights: {
+        title: highlight(task.title, terms),
+        description: highlightSnippet(task.description, terms)
+      },
+      ancestors: buildAncestorPath(task, known)
+    }))
+
+    return successResponse(res, results)
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
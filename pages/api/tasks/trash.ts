@@ -0,0 +1,72 @@
+import type { NextApiRequest, NextApiResponse } from 'next'
+import { getRepositories } from '../../../lib/repository'
+import { authenticate } from '../../../lib/auth'
+import { userActor, deletedEvents, recordEvents } from '../../../lib/history'
+import { buildTrashEntries, purgeExpiredTrash } from '../../../lib/trash'
+import type { ApiResponse, TrashEntry } from '../../../types/task'
+
+/**
+ * 发送成功响应
+ */
+function successResponse<T>(res: NextApiResponse<ApiResponse<T>>, data: T, status = 200) {
+  return res.status(status).json({
+    success: true,
+    data,
+    error: null
+  })
+}
+
+/**
+ * 发送错误响应
+ */
+function errorResponse(res: NextApiResponse<ApiResponse<null>>, message: string, status = 400) {
+  return res.status(status).json({
+    success: false,
+    data: null,
+    error: message
+  })
+}
+
+/**
+ * GET    /api/tasks/trash - 回收站列表（每次删除操作一个条目，按删除时间倒序）
+ * DELETE /api/tasks/trash - 清空回收站（彻底删除，不可恢复）
+ * 超过保留期（TRASH_RETENTION_DAYS）的任务会在访问时自动彻底删除
+ */
+export default async function handler(
+  req: NextApiRequest,
+  res: NextApiResponse<ApiResponse<TrashEntry[] | { purged: number } | null>>
+) {
+  try {
+    // 验证登录状态（只能访问自己的回收站）
+    const session = await authenticate(req, res)
+    if (!session) {
+      return errorResponse(res, '请先登录', 401)
+    }
+
+    const repositories = getRepositories(session)
+    const { tasks, events } = repositories
+
+    // ==================== GET ====================
+    if (req.method === 'GET') {
+      await purgeExpiredTrash(repositories)
+      return successResponse(res, buildTrashEntries(await tasks.listTrash()))
+    }
+
+    // ==================== DELETE ====================
+    if (req.method === 'DELETE') {
+      const trashed = await tasks.listTrash()
+      const purged = await tasks.purge(trashed.map(task => task.id))
+
+      await recordEvents(events, deletedEvents(purged, userActor(session), '清空回收站', 'purged'))
+
+      return successResponse(res, { purged: purged.length })
+    }
+
+    // ==================== 不支持的方法 ====================
+    res.setHeader('Allow', ['GET', 'DELETE'])
+    return errorResponse(res, `不支持的请求方法: ${req.method}`, 405)
+  } catch (err) {
+    console.error('服务器错误:', err)
+    return errorResponse(res, '服务器内部错误', 500)
+  }
+}
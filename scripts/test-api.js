@@ -5,9 +5,17 @@
  *   node scripts/test-api.js
  * 
  * 确保开发服务器正在运行（npm run dev）
+ * 测试会注册两个临时账号：第一个用于全部任务接口，第二个用于验证用户之间的数据隔离
+ * 无需 Supabase 时可使用内存存储启动：npm run dev:memory
+ * 无需网络（内存存储 + 模拟 AI 服务）：npm run dev:mock
+ * 测试 AI 用量接口时，以 ADMIN_EMAILS 包含的邮箱启动服务器，并设置 TEST_ADMIN_EMAIL 为该邮箱（账号不存在时自动注册）
+ * 存储后端和 AI 调用层的测试不经过开发服务器，在测试进程中直接加载 lib 下的模块（AI 服务由本机的模拟服务代替）
  */
 
 const http = require('http')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
 const BASE_URL = process.env.API_URL || 'http://localhost:3000'
 const urlObj = new URL(BASE_URL)
@@ -37,19 +45,36 @@ function logSection(title) {
   console.log(`\n${colors.yellow}━━━ ${title} ━━━${colors.reset}\n`)
 }
 
+// 当前测试账号的会话 Cookie（登录 / 注册后自动保存）
+let sessionCookie = null
+
+/**
+ * 从响应头中提取会话 Cookie
+ */
+function readSessionCookie(res) {
+  const setCookie = res.headers['set-cookie'] || []
+  const cookie = setCookie.find(c => c.startsWith('todo_session='))
+  return cookie ? cookie.split(';')[0] : null
+}
+
 /**
- * 发送 HTTP 请求
+ * 发送 HTTP 请求（默认携带当前测试账号的会话 Cookie）
  */
-function request(method, path, body = null) {
+function request(method, path, body = null, cookie = sessionCookie) {
   return new Promise((resolve, reject) => {
+    const headers = {
+      'Content-Type': 'application/json'
+    }
+    if (cookie) {
+      headers.Cookie = cookie
+    }
+
     const options = {
       hostname: urlObj.hostname,
       port: urlObj.port || 80,
       path: path,
       method: method,
-      headers: {
-        'Content-Type': 'application/json'
-      }
+      headers
     }
 
     const req = http.request(options, (res) => {
@@ -62,9 +87,9 @@ function request(method, path, body = null) {
       res.on('end', () => {
         try {
           const jsonData = JSON.parse(data)
-          resolve({ status: res.statusCode, data: jsonData })
+          resolve({ status: res.statusCode, data: jsonData, cookie: readSessionCookie(res), headers: res.headers })
         } catch (e) {
-          resolve({ status: res.statusCode, data: data })
+          resolve({ status: res.statusCode, data: data, cookie: readSessionCookie(res), headers: res.headers })
         }
       })
     })
@@ -81,6 +106,17 @@ function request(method, path, body = null) {
   })
 }
 
+/**
+ * 解析 SSE 响应文本为 [{ event, data }]
+ */
+function parseEventStream(text) {
+  return text.split('\n\n').filter(Boolean).map(message => {
+    const event = (message.match(/^event: (.*)$/m) || [])[1]
+    const data = (message.match(/^data: (.*)$/m) || [])[1]
+    return { event, data: data ? JSON.parse(data) : null }
+  })
+}
+
 /**
  * 断言函数
  */
@@ -90,14 +126,217 @@ function assert(condition, message) {
   }
 }
 
+const LIB_DIR = path.join(__dirname, '..', 'lib')
+
+/**
+ * 在测试进程中加载 lib 下的 TypeScript 模块（用 typescript 转译为 CommonJS）
+ * fresh 为 true 时丢弃已加载的模块和共用的存储后，重新读取环境变量加载（相当于重启服务）
+ */
+function requireLib(name, { fresh = false } = {}) {
+  if (!require.extensions['.ts']) {
+    const ts = require('typescript')
+    require.extensions['.ts'] = (module, filename) => {
+      const { outputText } = ts.transpileModule(fs.readFileSync(filename, 'utf8'), {
+        compilerOptions: { module: ts.ModuleKind.CommonJS, target: ts.ScriptTarget.ES2019, esModuleInterop: true },
+        fileName: filename
+      })
+      module._compile(outputText, filename)
+    }
+  }
+  if (fresh) {
+    Object.keys(require.cache)
+      .filter(file => file.startsWith(LIB_DIR))
+      .forEach(file => delete require.cache[file])
+    delete globalThis.__todoStorage
+  }
+  return require(path.join(LIB_DIR, name))
+}
+
+/**
+ * 临时设置环境变量执行 fn，结束后恢复
+ */
+async function withEnv(vars, fn) {
+  const previous = Object.fromEntries(Object.keys(vars).map(key => [key, process.env[key]]))
+  Object.assign(process.env, vars)
+  try {
+    return await fn()
+  } finally {
+    Object.entries(previous).forEach(([key, value]) => {
+      if (value === undefined) {
+        delete process.env[key]
+      } else {
+        process.env[key] = value
+      }
+    })
+  }
+}
+
+/**
+ * 在本机随机端口启动模拟的 AI 服务，依次用 responses 中的 [状态码, 响应体] 回应（用完后重复最后一个）
+ * 返回服务地址、已收到的请求数量和关闭方法
+ */
+async function startFakeLLMServer(responses) {
+  const server = http.createServer((req, res) => {
+    req.resume()
+    req.on('end', () => {
+      const [status, body] = responses[Math.min(fake.requests, responses.length - 1)]
+      fake.requests++
+      res.writeHead(status, { 'Content-Type': 'application/json' })
+      res.end(JSON.stringify(body))
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const fake = {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests: 0,
+    close: () => new Promise(resolve => server.close(resolve))
+  }
+  return fake
+}
+
+// 测试 AI 调用层使用的配置（重试间隔很短，避免拖慢测试）
+const llmTestConfig = (baseUrl) => ({
+  model: 'test-model',
+  baseUrl,
+  apiKey: 'test-key',
+  timeoutMs: 5000,
+  maxRetries: 2,
+  retryBackoffMs: 1
+})
+
+const testMessages = [{ role: 'user', content: '任务：测试' }]
+
+// 调用失败时返回错误，成功时返回 null
+const captureError = (promise) => promise.then(() => null, err => err)
+
+// 直接写入存储层的任务
+const storageTaskInput = (title) => ({
+  title,
+  description: null,
+  status: 'pending',
+  priority: 'medium',
+  parent_id: null,
+  start_at: null,
+  due_at: null,
+  recurrence: null,
+  estimated_minutes: null
+})
+
 // 存储测试过程中创建的任务 ID
 let createdTaskId = null
 let createdSubtaskId = null
+let createdSubtaskTitle = null
+let datedTaskId = null
+let createdLabelId = null
+let labeledTaskId = null
+let bulkTaskIds = []
+const testEmail = `test-${Date.now()}@example.com`
+const testPassword = 'test-password-123'
+const DAY_MS = 24 * 60 * 60 * 1000
+let otherUserCookie = null
+let recurringTaskId = null
+let nextOccurrenceId = null
+let trashParentId = null
+let trashChildId = null
 
 /**
  * 测试用例
  */
 const tests = [
+  // ==================== 账号 ====================
+  {
+    name: 'GET /api/tasks - 未登录时拒绝访问',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks', null, null)
+
+      assert(status === 401, `期望状态码 401，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+
+      return `正确返回 401: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/auth/signup - 注册账号',
+    run: async () => {
+      const { status, data, cookie } = await request('POST', '/api/auth/signup', {
+        email: testEmail,
+        password: testPassword
+      })
+
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(data.data.user.email === testEmail, '期望返回注册的邮箱')
+
+      if (data.data.confirmation_required) {
+        throw new Error('Supabase 项目开启了邮箱确认，请关闭后再运行测试')
+      }
+      assert(cookie, '期望写入会话 Cookie')
+
+      sessionCookie = cookie
+      return `注册用户 ${testEmail}`
+    }
+  },
+
+  {
+    name: 'POST /api/auth/signup - 无效的邮箱和过短的密码',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/auth/signup', {
+        email: 'not-an-email',
+        password: '123'
+      }, null)
+
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/auth/signin - 密码错误',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/auth/signin', {
+        email: testEmail,
+        password: 'wrong-password'
+      }, null)
+
+      assert(status === 401, `期望状态码 401，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+
+      return `正确返回 401: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/auth/signin - 登录',
+    run: async () => {
+      const { status, data, cookie } = await request('POST', '/api/auth/signin', {
+        email: testEmail,
+        password: testPassword
+      }, null)
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.user.email === testEmail, '期望返回登录的邮箱')
+      assert(cookie, '期望写入会话 Cookie')
+
+      sessionCookie = cookie
+      return `已登录 ${testEmail}`
+    }
+  },
+
+  {
+    name: 'GET /api/auth/me - 获取当前用户',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/auth/me')
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.email === testEmail, '期望返回当前登录的邮箱')
+
+      return `当前用户 ${data.data.email}`
+    }
+  },
+
   // ==================== GET /api/tasks ====================
   {
     name: 'GET /api/tasks - 获取所有任务',
@@ -163,6 +402,24 @@ const tests = [
     }
   },
 
+  {
+    name: 'POST /api/tasks - 预计用时',
+    run: async () => {
+      const invalid = await request('POST', '/api/tasks', { title: '测试任务', estimated_minutes: 0 })
+      assert(invalid.status === 400, `无效的 estimated_minutes 期望状态码 400，实际 ${invalid.status}`)
+
+      const { status, data } = await request('POST', '/api/tasks', { title: '预计用时测试', estimated_minutes: 45 })
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.data.estimated_minutes === 45, '期望保存预计用时')
+
+      const cleared = await request('PATCH', `/api/tasks/${data.data.id}`, { estimated_minutes: null })
+      assert(cleared.data.data.estimated_minutes === null, '期望可以清除预计用时')
+
+      await request('DELETE', `/api/tasks/${data.data.id}`)
+      return '预计用时校验、保存和清除正常'
+    }
+  },
+
   {
     name: 'POST /api/tasks - 创建子任务',
     run: async () => {
@@ -170,8 +427,9 @@ const tests = [
         return '跳过：没有父任务 ID'
       }
       
+      createdSubtaskTitle = '子任务 ' + Date.now()
       const { status, data } = await request('POST', '/api/tasks', {
-        title: '子任务 ' + Date.now(),
+        title: createdSubtaskTitle,
         parent_id: createdTaskId
       })
       
@@ -183,96 +441,105 @@ const tests = [
     }
   },
 
-  // ==================== GET /api/tasks/[id] ====================
+  // ==================== GET /api/tasks/search ====================
   {
-    name: 'GET /api/tasks/:id - 获取单个任务（包含子任务）',
+    name: 'GET /api/tasks/search?q=xxx - 搜索子任务并返回祖先路径',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
+      if (!createdSubtaskTitle) {
+        return '跳过：没有子任务'
       }
       
-      const { status, data } = await request('GET', `/api/tasks/${createdTaskId}`)
+      const q = encodeURIComponent(createdSubtaskTitle)
+      const { status, data } = await request('GET', `/api/tasks/search?q=${q}`)
       
       assert(status === 200, `期望状态码 200，实际 ${status}`)
       assert(data.success === true, '期望 success 为 true')
-      assert(data.data.id === createdTaskId, '期望返回正确的任务')
-      assert(Array.isArray(data.data.subtasks), '期望包含 subtasks 数组')
       
-      return `任务: ${data.data.title}, 子任务数: ${data.data.subtasks.length}`
+      const match = data.data.find(item => item.task.id === createdSubtaskId)
+      assert(match, '期望搜索结果包含刚创建的子任务')
+      assert(match.highlights.title.some(segment => segment.highlight), '期望标题包含高亮片段')
+      assert(match.ancestors.length > 0 && match.ancestors[match.ancestors.length - 1].id === createdTaskId, '期望祖先路径以父任务结尾')
+      
+      return `命中 ${data.data.length} 条，最高得分 ${data.data[0].score}`
     }
   },
 
   {
-    name: 'GET /api/tasks/:id - 获取不存在的任务',
+    name: 'GET /api/tasks/search - 缺少 q 参数',
     run: async () => {
-      const { status, data } = await request('GET', '/api/tasks/999999999')
+      const { status, data } = await request('GET', '/api/tasks/search')
       
-      assert(status === 404, `期望状态码 404，实际 ${status}`)
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
       assert(data.success === false, '期望 success 为 false')
       
-      return `正确返回 404`
+      return `正确返回错误: ${data.error}`
     }
   },
 
+  // ==================== 截止时间 ====================
   {
-    name: 'GET /api/tasks/:id - 无效的 ID 格式',
+    name: 'POST /api/tasks - 创建带截止时间的任务',
     run: async () => {
-      const { status, data } = await request('GET', '/api/tasks/abc')
+      const dueAt = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '截止时间测试 ' + Date.now(),
+        due_at: dueAt
+      })
       
-      assert(status === 400, `期望状态码 400，实际 ${status}`)
-      assert(data.success === false, '期望 success 为 false')
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.data.due_at, '期望返回 due_at')
+      assert(Date.parse(data.data.due_at) === Date.parse(dueAt), '期望 due_at 与请求一致')
       
-      return `正确返回错误: ${data.error}`
+      datedTaskId = data.data.id
+      return `创建任务 ID: ${datedTaskId}, 截止: ${data.data.due_at}`
     }
   },
 
-  // ==================== PATCH /api/tasks/[id] ====================
   {
-    name: 'PATCH /api/tasks/:id - 更新任务状态',
+    name: 'POST /api/tasks - 无效的 due_at',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
-      }
-      
-      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {
-        status: 'completed'
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '测试任务',
+        due_at: 'not-a-date'
       })
       
-      assert(status === 200, `期望状态码 200，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
-      assert(data.data.status === 'completed', '期望状态已更新为 completed')
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
       
-      return `状态已更新为: ${data.data.status}`
+      return `正确返回错误: ${data.error}`
     }
   },
 
   {
-    name: 'PATCH /api/tasks/:id - 更新任务标题',
+    name: 'POST /api/tasks - 子任务截止时间晚于父任务',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
+      if (!datedTaskId) {
+        return '跳过：没有带截止时间的任务'
       }
       
-      const newTitle = '更新后的标题 ' + Date.now()
-      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {
-        title: newTitle
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '子任务 ' + Date.now(),
+        parent_id: datedTaskId,
+        due_at: new Date().toISOString()
       })
       
-      assert(status === 200, `期望状态码 200，实际 ${status}`)
-      assert(data.data.title === newTitle, '期望标题已更新')
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
       
-      return `标题已更新为: ${data.data.title}`
+      return `正确返回错误: ${data.error}`
     }
   },
 
   {
-    name: 'PATCH /api/tasks/:id - 空更新请求',
+    name: 'PATCH /api/tasks/:id - start_at 晚于 due_at',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
+      if (!datedTaskId) {
+        return '跳过：没有带截止时间的任务'
       }
       
-      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {})
+      const { status, data } = await request('PATCH', `/api/tasks/${datedTaskId}`, {
+        start_at: new Date().toISOString()
+      })
       
       assert(status === 400, `期望状态码 400，实际 ${status}`)
       assert(data.success === false, '期望 success 为 false')
@@ -281,95 +548,109 @@ const tests = [
     }
   },
 
-  // ==================== GET /api/tasks?status=xxx ====================
   {
-    name: 'GET /api/tasks?status=completed - 筛选已完成任务',
+    name: 'GET /api/tasks?overdue=true - 筛选已逾期任务',
     run: async () => {
-      const { status, data } = await request('GET', '/api/tasks?status=completed')
+      const { status, data } = await request('GET', '/api/tasks?overdue=true')
       
       assert(status === 200, `期望状态码 200，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
-      
-      // 检查所有返回的任务都是 completed
-      const allCompleted = data.data.every(task => task.status === 'completed')
-      assert(allCompleted, '期望所有任务状态都是 completed')
+      const allOverdue = data.data.every(task =>
+        task.status === 'pending' && task.due_at && Date.parse(task.due_at) < Date.now()
+      )
+      assert(allOverdue, '期望所有任务都已逾期且未完成')
+      if (datedTaskId) {
+        assert(data.data.some(task => task.id === datedTaskId), '期望包含刚创建的逾期任务')
+      }
       
-      return `返回 ${data.data.length} 条已完成任务`
+      return `返回 ${data.data.length} 条逾期任务`
     }
   },
 
   {
-    name: 'GET /api/tasks?parent_id=null - 只获取顶级任务',
+    name: 'GET /api/tasks?due_before=xxx - 按截止时间范围筛选',
     run: async () => {
-      const { status, data } = await request('GET', '/api/tasks?parent_id=null')
+      const dueBefore = encodeURIComponent(new Date().toISOString())
+      const { status, data } = await request('GET', `/api/tasks?due_before=${dueBefore}`)
       
       assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const allBefore = data.data.every(task => task.due_at && Date.parse(task.due_at) <= Date.now())
+      assert(allBefore, '期望所有任务截止时间都早于当前时间')
       
-      // 检查所有返回的任务都是顶级任务
-      const allTopLevel = data.data.every(task => task.parent_id === null)
-      assert(allTopLevel, '期望所有任务都是顶级任务')
-      
-      return `返回 ${data.data.length} 条顶级任务`
+      return `返回 ${data.data.length} 条任务`
     }
   },
 
-  // ==================== POST /api/tasks/breakdown ====================
+  // ==================== /api/labels ====================
   {
-    name: 'POST /api/tasks/breakdown - AI 拆解任务（通过 taskId）',
+    name: 'POST /api/labels - 创建标签',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
-      }
+      const name = 'label-' + Date.now()
+      const { status, data } = await request('POST', '/api/labels', { name, color: '#6a8fc9' })
       
-      const { status, data } = await request('POST', '/api/tasks/breakdown', {
-        taskId: createdTaskId
-      })
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.data.name === name, '期望标签名称正确')
+      assert(data.data.color === '#6a8fc9', '期望标签颜色正确')
       
-      // 如果缺少 API Key，跳过测试
-      if (status === 500 && data.error && (data.error.includes('DEEPSEEK_API_KEY') || data.error.includes('not configured'))) {
-        return '跳过：未配置 DEEPSEEK_API_KEY'
-      }
+      createdLabelId = data.data.id
+      return `创建标签 ID: ${createdLabelId}`
+    }
+  },
+
+  {
+    name: 'POST /api/labels - 无效的颜色',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/labels', { name: 'bad-color', color: 'red' })
       
-      assert(status === 201, `期望状态码 201，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
-      assert(Array.isArray(data.data), '期望返回 data 数组')
-      assert(data.data.length >= 3, `期望至少有 3 个子任务，实际 ${data.data.length}`)
-      assert(data.data.length <= 5, `期望最多 5 个子任务，实际 ${data.data.length}`)
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
       
-      // 更新 createdSubtaskId 为 AI 生成的第一个子任务
-      if (data.data.length > 0) {
-        createdSubtaskId = data.data[0].id
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'GET /api/labels - 获取所有标签',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/labels')
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(Array.isArray(data.data), '期望 data 是数组')
+      if (createdLabelId) {
+        assert(data.data.some(label => label.id === createdLabelId), '期望包含刚创建的标签')
       }
       
-      return `AI 拆解成功，生成 ${data.data.length} 个子任务`
+      return `返回 ${data.data.length} 个标签`
     }
   },
 
   {
-    name: 'POST /api/tasks/breakdown - 直接传入 taskTitle',
+    name: 'POST /api/tasks - 创建带标签的任务',
     run: async () => {
-      const { status, data } = await request('POST', '/api/tasks/breakdown', {
-        taskTitle: '学习 TypeScript'
-      })
-      
-      // 如果缺少 API Key，跳过测试
-      if (status === 500 && data.error && (data.error.includes('DEEPSEEK_API_KEY') || data.error.includes('not configured'))) {
-        return '跳过：未配置 DEEPSEEK_API_KEY'
+      if (!createdLabelId) {
+        return '跳过：没有标签 ID'
       }
       
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '标签测试 ' + Date.now(),
+        labels: [createdLabelId]
+      })
+      
       assert(status === 201, `期望状态码 201，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
-      assert(Array.isArray(data.data), '期望返回 data 数组')
-      assert(data.data.length >= 3, `期望至少有 3 个子任务，实际 ${data.data.length}`)
+      assert(Array.isArray(data.data.labels), '期望返回 labels 数组')
+      assert(data.data.labels.some(label => label.id === createdLabelId), '期望任务带有该标签')
       
-      return `AI 拆解成功，生成 ${data.data.length} 个子任务`
+      labeledTaskId = data.data.id
+      return `创建任务 ID: ${labeledTaskId}`
     }
   },
 
   {
-    name: 'POST /api/tasks/breakdown - 缺少参数',
+    name: 'POST /api/tasks - 不存在的标签',
     run: async () => {
-      const { status, data } = await request('POST', '/api/tasks/breakdown', {})
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '测试任务',
+        labels: [999999999]
+      })
       
       assert(status === 400, `期望状态码 400，实际 ${status}`)
       assert(data.success === false, '期望 success 为 false')
@@ -378,50 +659,2138 @@ const tests = [
     }
   },
 
-  // ==================== DELETE /api/tasks/[id] ====================
   {
-    name: 'DELETE /api/tasks/:id - 删除子任务',
+    name: 'GET /api/tasks?labels=xxx - 按标签筛选',
     run: async () => {
-      if (!createdSubtaskId) {
-        return '跳过：没有子任务 ID'
+      if (!createdLabelId) {
+        return '跳过：没有标签 ID'
       }
       
-      const { status, data } = await request('DELETE', `/api/tasks/${createdSubtaskId}`)
+      const { status, data } = await request('GET', `/api/tasks?labels=${createdLabelId}&labels_mode=all`)
       
       assert(status === 200, `期望状态码 200，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
-      assert(data.data.message === '任务已删除', '期望返回删除成功消息')
+      const allLabeled = data.data.every(task => task.labels.some(label => label.id === createdLabelId))
+      assert(allLabeled, '期望所有任务都带有该标签')
+      assert(data.data.some(task => task.id === labeledTaskId), '期望包含刚创建的任务')
       
-      return `已删除子任务 ID: ${createdSubtaskId}`
+      return `返回 ${data.data.length} 条任务`
     }
   },
 
   {
-    name: 'DELETE /api/tasks/:id - 删除主任务',
+    name: 'PATCH /api/tasks/:id - 清空任务标签',
     run: async () => {
-      if (!createdTaskId) {
-        return '跳过：没有任务 ID'
+      if (!labeledTaskId) {
+        return '跳过：没有带标签的任务'
       }
       
-      const { status, data } = await request('DELETE', `/api/tasks/${createdTaskId}`)
+      const { status, data } = await request('PATCH', `/api/tasks/${labeledTaskId}`, { labels: [] })
       
       assert(status === 200, `期望状态码 200，实际 ${status}`)
-      assert(data.success === true, '期望 success 为 true')
+      assert(data.data.labels.length === 0, '期望标签已清空')
       
-      return `已删除任务 ID: ${createdTaskId}`
+      return '标签已清空'
     }
   },
 
   {
-    name: 'DELETE /api/tasks/:id - 删除不存在的任务',
+    name: 'DELETE /api/labels/:id - 删除标签',
     run: async () => {
-      const { status, data } = await request('DELETE', '/api/tasks/999999999')
+      if (!createdLabelId) {
+        return '跳过：没有标签 ID'
+      }
       
-      assert(status === 404, `期望状态码 404，实际 ${status}`)
+      const { status, data } = await request('DELETE', `/api/labels/${createdLabelId}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      
+      if (labeledTaskId) {
+        await request('DELETE', `/api/tasks/${labeledTaskId}`)
+      }
+      
+      return `已删除标签 ID: ${createdLabelId}`
+    }
+  },
+
+  // ==================== POST /api/tasks/bulk ====================
+  {
+    name: 'POST /api/tasks/bulk - 批量设置优先级',
+    run: async () => {
+      for (let i = 0; i < 2; i++) {
+        const { data } = await request('POST', '/api/tasks', { title: `批量测试 ${i} ` + Date.now() })
+        bulkTaskIds.push(data.data.id)
+      }
+      
+      const { status, data } = await request('POST', '/api/tasks/bulk', {
+        ids: bulkTaskIds,
+        action: 'set_priority',
+        priority: 'low'
+      })
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.succeeded === bulkTaskIds.length, '期望所有任务都更新成功')
+      assert(data.data.tasks.every(task => task.priority === 'low'), '期望优先级已更新为 low')
+      
+      return `已更新 ${data.data.succeeded} 个任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/bulk - 包含不存在的任务时整批不执行',
+    run: async () => {
+      if (bulkTaskIds.length === 0) {
+        return '跳过：没有批量测试任务'
+      }
+      
+      const { status, data } = await request('POST', '/api/tasks/bulk', {
+        ids: [...bulkTaskIds, 999999999],
+        action: 'complete'
+      })
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.data.failed === 1, '期望 1 个任务校验失败')
+      const missing = data.data.results.find(item => item.id === 999999999)
+      assert(missing && !missing.success, '期望逐项结果标记不存在的任务')
+      
+      const { data: check } = await request('GET', `/api/tasks/${bulkTaskIds[0]}`)
+      assert(check.data.status === 'pending', '期望任务未被修改')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/bulk - 不能移动到自己的子任务下',
+    run: async () => {
+      if (bulkTaskIds.length < 2) {
+        return '跳过：没有批量测试任务'
+      }
+      
+      await request('PATCH', `/api/tasks/${bulkTaskIds[1]}`, { parent_id: bulkTaskIds[0] })
+      const { status, data } = await request('POST', '/api/tasks/bulk', {
+        ids: [bulkTaskIds[0]],
+        action: 'move',
+        parent_id: bulkTaskIds[1]
+      })
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.data.results[0].success === false, '期望逐项结果标记失败')
+      
+      return `正确返回错误: ${data.data.results[0].error}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/bulk - 批量删除',
+    run: async () => {
+      if (bulkTaskIds.length === 0) {
+        return '跳过：没有批量测试任务'
+      }
+      
+      const { status, data } = await request('POST', '/api/tasks/bulk', {
+        ids: bulkTaskIds,
+        action: 'delete'
+      })
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.succeeded === bulkTaskIds.length, '期望所有任务都删除成功')
+      
+      const { status: checkStatus } = await request('GET', `/api/tasks/${bulkTaskIds[0]}`)
+      assert(checkStatus === 404, '期望任务已被删除')
+      
+      return `已删除 ${data.data.succeeded} 个任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/bulk - 无效的 action',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks/bulk', { ids: [1], action: 'archive' })
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  // ==================== GET /api/tasks/[id] ====================
+  {
+    name: 'GET /api/tasks/:id - 获取单个任务（包含子任务）',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const { status, data } = await request('GET', `/api/tasks/${createdTaskId}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(data.data.id === createdTaskId, '期望返回正确的任务')
+      assert(Array.isArray(data.data.subtasks), '期望包含 subtasks 数组')
+      
+      return `任务: ${data.data.title}, 子任务数: ${data.data.subtasks.length}`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks/:id - 获取不存在的任务',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks/999999999')
+      
+      assert(status === 404, `期望状态码 404，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回 404`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks/:id - 无效的 ID 格式',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks/abc')
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  // ==================== PATCH /api/tasks/[id] ====================
+  {
+    name: 'PATCH /api/tasks/:id - 更新任务状态',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {
+        status: 'completed'
+      })
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(data.data.status === 'completed', '期望状态已更新为 completed')
+      
+      return `状态已更新为: ${data.data.status}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 更新任务标题',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const newTitle = '更新后的标题 ' + Date.now()
+      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {
+        title: newTitle
+      })
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.title === newTitle, '期望标题已更新')
+      
+      return `标题已更新为: ${data.data.title}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 修改描述和优先级',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+
+      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {
+        description: '  第一行\n第二行  ',
+        priority: 'low'
+      })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.description === '第一行\n第二行', '期望保留多行描述并去掉首尾空白')
+      assert(data.data.priority === 'low', '期望优先级已更新')
+
+      const { data: cleared } = await request('PATCH', `/api/tasks/${createdTaskId}`, { description: '   ' })
+      assert(cleared.data.description === null, '期望空白描述被清除')
+
+      // 校验错误原样显示在编辑框下方
+      const emptyTitle = await request('PATCH', `/api/tasks/${createdTaskId}`, { title: '  ' })
+      assert(emptyTitle.status === 400 && emptyTitle.data.error === 'title 不能为空', `期望标题不能为空，实际 ${emptyTitle.data.error}`)
+
+      const longDescription = await request('PATCH', `/api/tasks/${createdTaskId}`, { description: 'x'.repeat(1001) })
+      assert(longDescription.status === 400, `描述过长期望状态码 400，实际 ${longDescription.status}`)
+
+      return `描述和优先级已更新，校验错误: ${emptyTitle.data.error}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 空更新请求',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const { status, data } = await request('PATCH', `/api/tasks/${createdTaskId}`, {})
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  // ==================== GET /api/tasks?status=xxx ====================
+  {
+    name: 'GET /api/tasks?status=completed - 筛选已完成任务',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks?status=completed')
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      
+      // 检查所有返回的任务都是 completed
+      const allCompleted = data.data.every(task => task.status === 'completed')
+      assert(allCompleted, '期望所有任务状态都是 completed')
+      
+      return `返回 ${data.data.length} 条已完成任务`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?parent_id=null - 只获取顶级任务',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks?parent_id=null')
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      
+      // 检查所有返回的任务都是顶级任务
+      const allTopLevel = data.data.every(task => task.parent_id === null)
+      assert(allTopLevel, '期望所有任务都是顶级任务')
+      
+      return `返回 ${data.data.length} 条顶级任务`
+    }
+  },
+
+  // ==================== GET /api/tasks 分页与排序 ====================
+  {
+    name: 'GET /api/tasks?limit=1 - 分页返回总数',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks?limit=1')
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.length <= 1, `期望最多 1 条任务，实际 ${data.data.length}`)
+      assert(data.pagination, '期望返回 pagination')
+      assert(typeof data.pagination.total === 'number', '期望 pagination.total 是数字')
+      assert(data.pagination.page === 1, '期望默认 page 为 1')
+      
+      return `总数: ${data.pagination.total}, has_more: ${data.pagination.has_more}`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?cursor=xxx - 游标分页获取下一页',
+    run: async () => {
+      const first = await request('GET', '/api/tasks?limit=1&sort=priority&order=desc')
+      assert(first.status === 200, `期望状态码 200，实际 ${first.status}`)
+      
+      if (!first.data.pagination.next_cursor) {
+        return '跳过：任务不足两条'
+      }
+      
+      const cursor = encodeURIComponent(first.data.pagination.next_cursor)
+      const { status, data } = await request('GET', `/api/tasks?limit=1&sort=priority&order=desc&cursor=${cursor}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.length === 1, '期望返回 1 条任务')
+      assert(data.data[0].id !== first.data.data[0].id, '期望下一页不包含上一页的任务')
+      assert(data.pagination.total === first.data.pagination.total, '期望总数不受游标影响')
+      
+      return `第二页任务 ID: ${data.data[0].id}`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?sort=xxx - 无效的排序字段',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks?sort=title_desc')
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?parent_id=null&with_subtasks=true - 附带子任务树',
+    run: async () => {
+      const { status, data } = await request('GET', '/api/tasks?parent_id=null&with_subtasks=true&limit=5')
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.every(task => Array.isArray(task.subtasks)), '期望每个任务包含 subtasks 数组')
+      
+      return `返回 ${data.data.length} 条顶级任务`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?with_ancestors=true - 筛选命中的子任务附带祖先任务',
+    run: async () => {
+      const { data: root } = await request('POST', '/api/tasks', { title: '上下文测试', priority: 'low' })
+      const { data: middle } = await request('POST', '/api/tasks', { title: '中间层', parent_id: root.data.id, priority: 'low' })
+      const { data: leaf } = await request('POST', '/api/tasks', { title: '紧急子任务', parent_id: middle.data.id, priority: 'high' })
+
+      const { status, data } = await request('GET', '/api/tasks?priority=high&status=pending&with_ancestors=true&limit=100')
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.every(task => task.priority === 'high' && task.status === 'pending'), '期望只返回符合筛选条件的任务')
+      const match = data.data.find(task => task.id === leaf.data.id)
+      assert(match, '期望返回命中的子任务')
+      assert(
+        JSON.stringify(match.ancestors.map(task => task.id)) === JSON.stringify([root.data.id, middle.data.id]),
+        '期望按从顶级任务开始的顺序附带祖先任务'
+      )
+      assert(data.data.every(task => Array.isArray(task.ancestors)), '期望每个任务都包含 ancestors 数组')
+
+      await request('DELETE', `/api/tasks/${root.data.id}`)
+      return `命中 ${data.data.length} 条，子任务附带 ${match.ancestors.length} 个祖先任务`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks?sort=title - 按标题排序和游标分页',
+    run: async () => {
+      const prefix = `标题排序 ${Date.now()} `
+      for (const title of ['c', 'a', 'b']) {
+        await request('POST', '/api/tasks', { title: prefix + title })
+      }
+
+      const titles = []
+      let cursor = null
+      do {
+        const path = `/api/tasks?sort=title&order=asc&limit=2${cursor ? `&cursor=${cursor}` : ''}`
+        const { status, data } = await request('GET', path)
+        assert(status === 200, `期望状态码 200，实际 ${status}`)
+        titles.push(...data.data.map(task => task.title))
+        cursor = data.pagination.next_cursor
+      } while (cursor)
+
+      const sorted = [...titles].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0))
+      assert(JSON.stringify(titles) === JSON.stringify(sorted), '期望按标题升序排列')
+      const ours = titles.filter(title => title.startsWith(prefix))
+      assert(JSON.stringify(ours) === JSON.stringify(['a', 'b', 'c'].map(x => prefix + x)), '期望游标分页不重复、不遗漏')
+
+      const { data: all } = await request('GET', '/api/tasks?limit=100')
+      await Promise.all(all.data.filter(task => task.title.startsWith(prefix)).map(task => request('DELETE', `/api/tasks/${task.id}`)))
+      return `分页读取 ${titles.length} 条任务`
+    }
+  },
+
+  // ==================== 重复任务 ====================
+  {
+    name: 'POST /api/tasks - 无效的重复规则',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks', {
+        title: '无效的重复任务',
+        recurrence: { freq: 'yearly', interval: 0 }
+      })
+
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 完成重复任务后生成下一次任务',
+    run: async () => {
+      const dueAt = '2030-01-07T09:00:00.000Z' // 周一
+      const { data: created } = await request('POST', '/api/tasks', {
+        title: '周报 ' + Date.now(),
+        due_at: dueAt,
+        recurrence: { freq: 'weekly', interval: 1, by_weekday: [1, 3] }
+      })
+      assert(created.success === true, `创建重复任务失败: ${created.error}`)
+      recurringTaskId = created.data.id
+
+      await request('POST', '/api/tasks', { title: '整理数据', parent_id: recurringTaskId, due_at: dueAt })
+
+      const { status, data } = await request('PATCH', `/api/tasks/${recurringTaskId}`, { status: 'completed' })
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.recurrence === null, '期望已完成的任务不再带有重复规则')
+
+      const next = data.data.next_occurrence
+      assert(next, '期望返回 next_occurrence')
+      assert(next.status === 'pending', '期望下一次任务为 pending')
+      assert(next.due_at === '2030-01-09T09:00:00.000Z', `期望下一次在周三，实际 ${next.due_at}`)
+      assert(next.recurrence && next.recurrence.freq === 'weekly', '期望重复规则转移到下一次任务')
+      assert(next.subtasks.length === 1 && next.subtasks[0].title === '整理数据', '期望复制子任务')
+      assert(next.subtasks[0].due_at === next.due_at, '期望子任务截止时间同步平移')
+
+      nextOccurrenceId = next.id
+      return `生成下一次任务 ID: ${next.id}，截止 ${next.due_at}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 逾期完成重复任务时跳到当前时间之后',
+    run: async () => {
+      const dueAt = new Date(Date.now() - 10 * DAY_MS).toISOString()
+      const { data: created } = await request('POST', '/api/tasks', {
+        title: '逾期的重复任务 ' + Date.now(),
+        due_at: dueAt,
+        recurrence: { freq: 'daily', interval: 3 }
+      })
+      assert(created.success === true, `创建重复任务失败: ${created.error}`)
+
+      const { data } = await request('PATCH', `/api/tasks/${created.data.id}`, { status: 'completed' })
+      const next = data.data.next_occurrence
+      assert(next, '期望返回 next_occurrence')
+      const offset = Date.parse(next.due_at) - Date.parse(dueAt)
+      assert(Date.parse(next.due_at) > Date.now(), `期望下一次在当前时间之后，实际 ${next.due_at}`)
+      assert(offset % (3 * DAY_MS) === 0 && offset <= 12 * DAY_MS, `期望按 3 天的间隔顺延，实际 ${next.due_at}`)
+
+      // until 已过去时系列结束
+      const { data: ended } = await request('POST', '/api/tasks', {
+        title: '已结束的重复任务 ' + Date.now(),
+        due_at: dueAt,
+        recurrence: { freq: 'daily', interval: 1, until: new Date(Date.now() - DAY_MS).toISOString() }
+      })
+      const { data: endedResult } = await request('PATCH', `/api/tasks/${ended.data.id}`, { status: 'completed' })
+      assert(!endedResult.data.next_occurrence, '期望超过 until 后不再生成下一次任务')
+
+      await request('POST', '/api/tasks/bulk', { ids: [created.data.id, next.id, ended.data.id], action: 'delete' })
+      return `下一次截止 ${next.due_at}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 每月重复保持原来的日期',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', {
+        title: '月末结账 ' + Date.now(),
+        due_at: '2099-01-31T09:00:00.000Z',
+        recurrence: { freq: 'monthly', interval: 1 }
+      })
+      assert(created.success === true, `创建重复任务失败: ${created.error}`)
+
+      const { data: february } = await request('PATCH', `/api/tasks/${created.data.id}`, { status: 'completed' })
+      const second = february.data.next_occurrence
+      assert(second.due_at === '2099-02-28T09:00:00.000Z', `期望 2 月取最后一天，实际 ${second.due_at}`)
+      assert(second.recurrence.by_monthday === 31, '期望记录每月的日期')
+
+      const { data: march } = await request('PATCH', `/api/tasks/${second.id}`, { status: 'completed' })
+      const third = march.data.next_occurrence
+      assert(third.due_at === '2099-03-31T09:00:00.000Z', `期望 3 月回到 31 日，实际 ${third.due_at}`)
+
+      const { status } = await request('PATCH', `/api/tasks/${third.id}`, {
+        recurrence: { freq: 'weekly', interval: 1, by_monthday: 31 }
+      })
+      assert(status === 400, '期望 by_monthday 只能用于 monthly')
+
+      await request('POST', '/api/tasks/bulk', { ids: [created.data.id, second.id, third.id], action: 'delete' })
+      return `${second.due_at} -> ${third.due_at}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/:id - 停止重复',
+    run: async () => {
+      if (!nextOccurrenceId) {
+        return '跳过：没有重复任务'
+      }
+
+      const { status, data } = await request('PATCH', `/api/tasks/${nextOccurrenceId}`, { recurrence: null })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.recurrence === null, '期望 recurrence 为 null')
+
+      const { data: completed } = await request('PATCH', `/api/tasks/${nextOccurrenceId}`, { status: 'completed' })
+      assert(!completed.data.next_occurrence, '期望停止重复后完成不再生成下一次任务')
+
+      await request('POST', '/api/tasks/bulk', { ids: [recurringTaskId, nextOccurrenceId], action: 'delete' })
+      return '已停止重复'
+    }
+  },
+
+  // ==================== 任务历史 ====================
+  {
+    name: 'GET /api/tasks/:id/history - 获取任务历史',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+
+      const { status, data } = await request('GET', `/api/tasks/${createdTaskId}/history`)
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.task && data.data.task.id === createdTaskId, '期望返回任务本身')
+
+      const events = data.data.events
+      assert(events.length > 0, '期望至少有一条历史记录')
+      assert(events[events.length - 1].type === 'created', '期望最早的记录为创建')
+      assert(events[events.length - 1].actor === testEmail, '期望操作者为当前用户')
+      for (let i = 1; i < events.length; i++) {
+        assert(events[i - 1].id > events[i].id, '期望按时间倒序排列')
+      }
+
+      const statusEvent = events.find(event => event.type === 'status_changed')
+      assert(statusEvent && statusEvent.changes.status.after, '期望记录状态变更前后的值')
+
+      return `共 ${events.length} 条记录`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks/:id/history - 分页',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+
+      const { data: first } = await request('GET', `/api/tasks/${createdTaskId}/history?limit=1`)
+      assert(first.data.events.length === 1, '期望第一页只有 1 条')
+
+      if (!first.data.next_before) {
+        return '只有 1 条记录'
+      }
+
+      const { data: second } = await request('GET', `/api/tasks/${createdTaskId}/history?limit=1&before=${first.data.next_before}`)
+      assert(second.data.events.length === 1, '期望第二页有 1 条')
+      assert(second.data.events[0].id < first.data.events[0].id, '期望第二页是更早的记录')
+
+      return '分页正常'
+    }
+  },
+
+  {
+    name: 'GET /api/tasks/:id/history - 删除后仍保留历史',
+    run: async () => {
+      if (!recurringTaskId) {
+        return '跳过：没有重复任务'
+      }
+
+      const { status, data } = await request('GET', `/api/tasks/${recurringTaskId}/history`)
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.task === null, '期望已删除任务的 task 为 null')
+
+      const types = data.data.events.map(event => event.type)
+      assert(types[0] === 'deleted', `期望最新的记录为删除，实际 ${types[0]}`)
+      assert(types.includes('status_changed') && types.includes('created'), '期望包含创建和状态变更记录')
+
+      const { data: next } = await request('GET', `/api/tasks/${nextOccurrenceId}/history`)
+      const created = next.data.events.find(event => event.type === 'created')
+      assert(created && created.actor_type === 'system', '期望自动生成的下一次任务由系统创建')
+
+      return `共 ${types.length} 条记录：${types.join(', ')}`
+    }
+  },
+
+  {
+    name: 'GET /api/tasks/:id/history - 不存在的任务',
+    run: async () => {
+      const { status } = await request('GET', '/api/tasks/99999999/history')
+      assert(status === 404, `期望状态码 404，实际 ${status}`)
+      return '正确返回 404'
+    }
+  },
+
+  // ==================== 用户数据隔离 ====================
+  {
+    name: 'GET /api/tasks - 其他用户看不到我的任务',
+    run: async () => {
+      const { data: signup, cookie } = await request('POST', '/api/auth/signup', {
+        email: `other-${Date.now()}@example.com`,
+        password: testPassword
+      }, null)
+      assert(signup.success === true && cookie, '期望第二个账号注册成功')
+      otherUserCookie = cookie
+
+      const { status, data } = await request('GET', '/api/tasks', null, otherUserCookie)
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.every(t => t.id !== createdTaskId), '期望列表中不包含其他用户的任务')
+
+      return `第二个账号看到 ${data.data.length} 个任务`
+    }
+  },
+
+  {
+    name: 'GET/PATCH/DELETE /api/tasks/:id - 不能访问其他用户的任务',
+    run: async () => {
+      if (!createdTaskId || !otherUserCookie) {
+        return '跳过：没有任务 ID 或第二个账号'
+      }
+
+      const get = await request('GET', `/api/tasks/${createdTaskId}`, null, otherUserCookie)
+      const patch = await request('PATCH', `/api/tasks/${createdTaskId}`, { title: '篡改' }, otherUserCookie)
+      const del = await request('DELETE', `/api/tasks/${createdTaskId}`, null, otherUserCookie)
+
+      assert(get.status === 404, `GET 期望状态码 404，实际 ${get.status}`)
+      assert(patch.status === 404, `PATCH 期望状态码 404，实际 ${patch.status}`)
+      assert(del.status === 404, `DELETE 期望状态码 404，实际 ${del.status}`)
+
+      const history = await request('GET', `/api/tasks/${createdTaskId}/history`, null, otherUserCookie)
+      assert(history.status === 404, `历史 期望状态码 404，实际 ${history.status}`)
+
+      const { data } = await request('GET', `/api/tasks/${createdTaskId}`)
+      assert(data.success === true && data.data.title !== '篡改', '期望任务未被修改')
+
+      return '其他用户的读取、修改、删除、历史均返回 404'
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 不能拆解其他用户的任务',
+    run: async () => {
+      if (!createdTaskId || !otherUserCookie) {
+        return '跳过：没有任务 ID 或第二个账号'
+      }
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskId: createdTaskId
+      }, otherUserCookie)
+
+      assert(status === 404, `期望状态码 404，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+
+      return `正确拒绝: ${data.error}`
+    }
+  },
+
+  // ==================== POST /api/tasks/breakdown ====================
+  {
+    name: 'POST /api/tasks/breakdown - AI 拆解任务（通过 taskId）',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskId: createdTaskId
+      })
+      
+      // 如果缺少 API Key，跳过测试
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+      
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(Array.isArray(data.data), '期望返回 data 数组')
+      assert(data.data.length >= 3, `期望至少有 3 个子任务，实际 ${data.data.length}`)
+      assert(data.data.length <= 5, `期望最多 5 个子任务，实际 ${data.data.length}`)
+      
+      // 更新 createdSubtaskId 为 AI 生成的第一个子任务
+      if (data.data.length > 0) {
+        createdSubtaskId = data.data[0].id
+      }
+
+      // 子任务带有 AI 建议的优先级和预计用时
+      assert(data.data.every(task => Number.isInteger(task.estimated_minutes)), '期望子任务带有预计用时')
+
+      // 子任务由 AI 创建，被拆解的任务记录 breakdown 事件
+      const { data: subtaskHistory } = await request('GET', `/api/tasks/${createdSubtaskId}/history`)
+      assert(subtaskHistory.data.events[0].actor_type === 'ai', '期望子任务的创建者为 AI')
+      const { data: parentHistory } = await request('GET', `/api/tasks/${createdTaskId}/history`)
+      assert(parentHistory.data.events[0].type === 'breakdown', '期望被拆解的任务记录 breakdown 事件')
+      
+      return `AI 拆解成功，生成 ${data.data.length} 个子任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 直接传入 taskTitle',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskTitle: '学习 TypeScript'
+      })
+      
+      // 如果缺少 API Key，跳过测试
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+      
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(Array.isArray(data.data), '期望返回 data 数组')
+      assert(data.data.length >= 3, `期望至少有 3 个子任务，实际 ${data.data.length}`)
+      
+      return `AI 拆解成功，生成 ${data.data.length} 个子任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 缺少参数',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {})
+      
+      assert(status === 400, `期望状态码 400，实际 ${status}`)
+      assert(data.success === false, '期望 success 为 false')
+      
+      return `正确返回错误: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - dryRun 预览后确认保存',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '拆解预览测试任务' })
+      const parentId = created.data.id
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskId: parentId,
+        dryRun: true
+      })
+
+      // 如果缺少 API Key，跳过测试
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.parent_id === parentId, '期望预览返回被拆解的任务 ID')
+      assert(data.data.subtasks.length >= 3, `期望至少有 3 个建议步骤，实际 ${data.data.subtasks.length}`)
+
+      // 预览不写入数据库
+      const { data: children } = await request('GET', `/api/tasks?parent_id=${parentId}`)
+      assert(children.data.length === 0, `期望预览后没有子任务，实际 ${children.data.length}`)
+
+      // 删掉一个建议、改名一个、再添加一个（只传标题），只保存确认后的列表
+      const [first, second] = data.data.subtasks
+      const accepted = [{ ...second, title: `${second.title}（已修改）` }, first, '自己添加的步骤']
+      const commit = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        subtasks: accepted
+      })
+      assert(commit.status === 201, `期望状态码 201，实际 ${commit.status}`)
+      assert(commit.data.data.length === accepted.length, `期望创建 ${accepted.length} 个子任务`)
+      const titles = accepted.map(item => (typeof item === 'string' ? item : item.title))
+      assert(
+        commit.data.data.every((task, i) => task.title === titles[i] && task.parent_id === parentId),
+        '期望按确认的顺序创建子任务'
+      )
+      assert(commit.data.data[1].priority === first.priority, '期望保存建议的优先级')
+      assert(commit.data.data[1].estimated_minutes === first.estimated_minutes, '期望保存建议的预计用时')
+      assert(commit.data.data[2].priority === 'medium' && commit.data.data[2].estimated_minutes === null,
+        '只传标题时期望使用默认优先级、没有预计用时')
+
+      const { data: parentHistory } = await request('GET', `/api/tasks/${parentId}/history`)
+      assert(parentHistory.data.events[0].type === 'breakdown', '期望被拆解的任务记录 breakdown 事件')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `预览 ${data.data.subtasks.length} 个步骤，确认保存 ${commit.data.data.length} 个子任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - stream 模式逐个返回子任务',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '流式拆解测试任务' })
+      const parentId = created.data.id
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskId: parentId,
+        dryRun: true,
+        stream: true
+      })
+
+      // 如果缺少 API Key，跳过测试（配置错误在开始流式输出前以 JSON 返回）
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(typeof data === 'string', '期望返回 text/event-stream')
+      const events = parseEventStream(data)
+      const subtaskEvents = events.filter(e => e.event === 'subtask')
+      const done = events[events.length - 1]
+
+      assert(events[0].event === 'progress', '期望第一个事件为 progress')
+      assert(subtaskEvents.length >= 3, `期望至少 3 个 subtask 事件，实际 ${subtaskEvents.length}`)
+      assert(subtaskEvents.every((e, i) => e.data.index === i), '期望 subtask 事件按顺序编号')
+      assert(done.event === 'done', `期望最后一个事件为 done，实际 ${done.event}`)
+      assert(
+        JSON.stringify(done.data.data.subtasks.map(subtask => subtask.title)) === JSON.stringify(subtaskEvents.map(e => e.data.title)),
+        '期望 done 中的子任务与逐个返回的一致'
+      )
+
+      const { data: children } = await request('GET', `/api/tasks?parent_id=${parentId}`)
+      assert(children.data.length === 0, '期望 dryRun 的流式拆解不写入数据库')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `收到 ${events.length} 个事件，${subtaskEvents.length} 个子任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 多层拆解',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '多层拆解测试任务' })
+      const parentId = created.data.id
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskId: parentId,
+        minSubtasks: 3,
+        maxSubtasks: 3,
+        depth: 2,
+        maxNodes: 8
+      })
+
+      // 如果缺少 API Key，跳过测试
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      const countNodes = list => list.reduce((sum, task) => sum + 1 + countNodes(task.subtasks || []), 0)
+      const total = countNodes(data.data)
+      assert(data.data.length === 3, `期望第一层 3 个子任务，实际 ${data.data.length}`)
+      assert(total <= 8, `期望总数不超过 maxNodes，实际 ${total}`)
+      assert(data.data[0].subtasks.length === 3, '期望第一个子任务被继续拆解')
+      assert(data.data.every(task => task.parent_id === parentId), '期望第一层挂在被拆解的任务下')
+      assert(
+        data.data.every(task => (task.subtasks || []).every(child => child.parent_id === task.id && !child.subtasks?.length)),
+        '期望第二层挂在对应的子任务下，且不超过 depth'
+      )
+
+      // 写入后按 parent_id 能查到第二层
+      const firstId = data.data[0].id
+      const { data: grandchildren } = await request('GET', `/api/tasks?parent_id=${firstId}`)
+      assert(grandchildren.data.length === 3, `期望第一个子任务下有 3 个子任务，实际 ${grandchildren.data.length}`)
+
+      const { data: childHistory } = await request('GET', `/api/tasks/${firstId}/history`)
+      assert(childHistory.data.events.some(event => event.type === 'breakdown'), '期望被继续拆解的子任务记录 breakdown 事件')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `创建 ${total} 个任务（maxNodes 8）`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 拆解选项',
+    run: async () => {
+      const invalid = [
+        { depth: 4 },
+        { minSubtasks: 6, maxSubtasks: 4 },
+        { maxSubtasks: 11 },
+        { language: 'fr' },
+        { granularity: 'medium' },
+        { maxNodes: 0 }
+      ]
+      for (const options of invalid) {
+        const { status } = await request('POST', '/api/tasks/breakdown', { taskTitle: '选项测试', dryRun: true, ...options })
+        assert(status === 400, `${JSON.stringify(options)} 期望状态码 400，实际 ${status}`)
+      }
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', {
+        taskTitle: 'Plan a trip',
+        dryRun: true,
+        language: 'en',
+        granularity: 'detailed',
+        minSubtasks: 5,
+        maxSubtasks: 6
+      })
+
+      // 如果缺少 API Key，跳过测试
+      if (status === 500 && data.error && data.error.includes('API Key 未配置')) {
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const count = data.data.subtasks.length
+      assert(count >= 5 && count <= 6, `期望 5-6 个步骤，实际 ${count}`)
+
+      return `拒绝 ${invalid.length} 组无效选项，按选项返回 ${count} 个步骤`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown/commit - 保存多层子任务',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '多层确认测试任务' })
+      const parentId = created.data.id
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        subtasks: [
+          { title: '第一步', subtasks: ['第一步 - a', { title: '第一步 - b', subtasks: ['第一步 - b - i'] }] },
+          '第二步'
+        ]
+      })
+
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      const [first, second] = data.data
+      assert(first.parent_id === parentId && second.parent_id === parentId, '期望第一层挂在被拆解的任务下')
+      assert(first.subtasks.length === 2 && first.subtasks.every(task => task.parent_id === first.id), '期望第二层挂在第一步下')
+      const deepest = first.subtasks[1].subtasks[0]
+      assert(deepest.title === '第一步 - b - i' && deepest.parent_id === first.subtasks[1].id, '期望第三层挂在对应的子任务下')
+
+      const tooMany = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        subtasks: Array.from({ length: 10 }, (_, i) => ({ title: `步骤 ${i}`, subtasks: Array.from({ length: 5 }, (_, j) => `步骤 ${i}.${j}`) }))
+      })
+      assert(tooMany.status === 400, `超过总数上限期望状态码 400，实际 ${tooMany.status}`)
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return '按层级保存 5 个子任务'
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 再次拆解只补充缺少的步骤',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '重复拆解测试任务', description: '测试去重' })
+      const parentId = created.data.id
+
+      const first = await request('POST', '/api/tasks/breakdown', { taskId: parentId })
+
+      // 如果缺少 API Key，跳过测试
+      if (first.status === 500 && first.data.error && first.data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+      assert(first.status === 201, `期望状态码 201，实际 ${first.status}`)
+      const childCount = first.data.data.length
+
+      // 模拟服务对同一任务总是返回相同的步骤，再次拆解时全部与现有子任务重复
+      const preview = await request('POST', '/api/tasks/breakdown', { taskId: parentId, dryRun: true })
+      assert(preview.status === 200, `期望状态码 200，实际 ${preview.status}`)
+      assert(preview.data.data.mode === 'append', '期望默认 mode 为 append')
+      assert(preview.data.data.subtasks.length === 0, `期望去掉重复的步骤，实际剩余 ${preview.data.data.subtasks.length} 个`)
+      assert(preview.data.data.skipped.length === childCount, '期望返回跳过的步骤')
+
+      const second = await request('POST', '/api/tasks/breakdown', { taskId: parentId })
+      assert(second.status === 201 && second.data.data.length === 0, '期望再次拆解不创建重复的子任务')
+      const { data: children } = await request('GET', `/api/tasks?parent_id=${parentId}`)
+      assert(children.data.length === childCount, `期望仍为 ${childCount} 个子任务，实际 ${children.data.length}`)
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `跳过 ${preview.data.data.skipped.length} 个重复步骤`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - replace 只替换未完成的子任务',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '替换拆解测试任务' })
+      const parentId = created.data.id
+      const { data: committed } = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        subtasks: ['已完成的步骤', { title: '有已完成后代的步骤', subtasks: ['已完成的下层步骤'] }, '未完成的步骤']
+      })
+      const [done, withDoneChild, pending] = committed.data
+      await request('PATCH', `/api/tasks/${done.id}`, { status: 'completed' })
+      await request('PATCH', `/api/tasks/${withDoneChild.subtasks[0].id}`, { status: 'completed' })
+
+      const preview = await request('POST', '/api/tasks/breakdown', { taskId: parentId, mode: 'replace', dryRun: true })
+
+      // 如果缺少 API Key，跳过测试
+      if (preview.status === 500 && preview.data.error && preview.data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+      assert(preview.status === 200, `期望状态码 200，实际 ${preview.status}`)
+      assert(
+        JSON.stringify(preview.data.data.removed.map(task => task.id)) === JSON.stringify([pending.id]),
+        '期望只替换没有已完成后代的未完成子任务'
+      )
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown', { taskId: parentId, mode: 'replace' })
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      const { data: children } = await request('GET', `/api/tasks?parent_id=${parentId}`)
+      const childIds = children.data.map(task => task.id)
+      assert(childIds.includes(done.id) && childIds.includes(withDoneChild.id), '期望保留已完成的子任务')
+      assert(!childIds.includes(pending.id), '期望未完成的子任务移到回收站')
+      assert(children.data.length === 2 + data.data.length, '期望新子任务追加在保留的子任务之后')
+      const { data: kept } = await request('GET', `/api/tasks/${done.id}`)
+      assert(kept.data.title === '已完成的步骤' && kept.data.status === 'completed', '期望已完成的子任务不被修改')
+
+      const { data: trash } = await request('GET', '/api/tasks/trash')
+      assert(trash.data.some(entry => entry.task.id === pending.id), '期望被替换的子任务在回收站中')
+
+      const titleOnly = await request('POST', '/api/tasks/breakdown', { taskTitle: '无父任务', mode: 'replace' })
+      assert(titleOnly.status === 400, `只提供 taskTitle 时 replace 期望状态码 400，实际 ${titleOnly.status}`)
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `替换 1 个子任务，新建 ${data.data.length} 个`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - refine 细化未完成的子任务',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: '细化拆解测试任务' })
+      const parentId = created.data.id
+      const { data: committed } = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        subtasks: ['粗略的步骤一', '已完成的步骤', '粗略的步骤二']
+      })
+      const [stepOne, done, stepTwo] = committed.data
+      await request('PATCH', `/api/tasks/${done.id}`, { status: 'completed' })
+
+      const preview = await request('POST', '/api/tasks/breakdown', { taskId: parentId, mode: 'refine', dryRun: true })
+
+      // 如果缺少 API Key，跳过测试
+      if (preview.status === 500 && preview.data.error && preview.data.error.includes('API Key 未配置')) {
+        await request('DELETE', `/api/tasks/${parentId}`)
+        return '跳过：未配置 AI 服务（可使用 LLM_PROVIDER=mock）'
+      }
+      assert(preview.status === 200, `期望状态码 200，实际 ${preview.status}`)
+      const refIds = preview.data.data.subtasks.map(subtask => subtask.task_id).filter(Boolean)
+      assert(refIds.every(id => id === stepOne.id || id === stepTwo.id), '期望只细化未完成的子任务')
+
+      const invalid = [
+        { mode: 'refine', subtasks: [{ title: '改已完成的', task_id: done.id }] },
+        { mode: 'append', subtasks: [{ title: '不是 refine', task_id: stepOne.id }] },
+        { mode: 'refine', subtasks: [{ title: 'a', task_id: stepOne.id }, { title: 'b', task_id: stepOne.id }] },
+        { mode: 'refine', subtasks: [{ title: '下层', subtasks: [{ title: 'x', task_id: stepTwo.id }] }] }
+      ]
+      for (const body of invalid) {
+        const { status } = await request('POST', '/api/tasks/breakdown/commit', { taskId: parentId, ...body })
+        assert(status === 400, `${JSON.stringify(body)} 期望状态码 400，实际 ${status}`)
+      }
+
+      const { status, data } = await request('POST', '/api/tasks/breakdown/commit', {
+        taskId: parentId,
+        mode: 'refine',
+        subtasks: [{ title: '具体的步骤一', task_id: stepOne.id, estimated_minutes: 30 }, '新增的步骤']
+      })
+      assert(status === 201, `期望状态码 201，实际 ${status}`)
+      assert(data.data[0].id === stepOne.id && data.data[0].title === '具体的步骤一', '期望返回细化后的子任务')
+      assert(data.data[1].parent_id === parentId && data.data[1].title === '新增的步骤', '期望新增步骤挂在被拆解的任务下')
+
+      const { data: children } = await request('GET', `/api/tasks?parent_id=${parentId}`)
+      assert(children.data.length === 4, `期望 4 个子任务，实际 ${children.data.length}`)
+      const { data: kept } = await request('GET', `/api/tasks/${done.id}`)
+      assert(kept.data.title === '已完成的步骤', '期望已完成的子任务不被修改')
+      const { data: history } = await request('GET', `/api/tasks/${stepOne.id}/history`)
+      assert(history.data.events[0].type === 'updated', '期望细化记录为 updated 事件')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `预览细化 ${refIds.length} 个子任务，确认后细化 1 个、新增 1 个`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown/commit - 参数验证',
+    run: async () => {
+      const empty = await request('POST', '/api/tasks/breakdown/commit', { taskTitle: '测试', subtasks: [] })
+      assert(empty.status === 400, `空列表期望状态码 400，实际 ${empty.status}`)
+
+      const blank = await request('POST', '/api/tasks/breakdown/commit', { taskTitle: '测试', subtasks: ['步骤', '  '] })
+      assert(blank.status === 400, `空标题期望状态码 400，实际 ${blank.status}`)
+
+      const missing = await request('POST', '/api/tasks/breakdown/commit', { taskId: 999999, subtasks: ['步骤'] })
+      assert(missing.status === 404, `不存在的任务期望状态码 404，实际 ${missing.status}`)
+
+      return '正确拒绝无效的确认请求'
+    }
+  },
+
+  // ==================== POST /api/tasks/parse ====================
+  {
+    name: 'POST /api/tasks/parse - 规则解析优先级、截止日期和拆解意图',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks/parse', {
+        text: '周五前高优先级：整理发布说明，并拆成几步',
+        ai: false,
+        timezoneOffset: 0
+      })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const { task, breakdown, source } = data.data
+      assert(source === 'rules', `期望规则解析，实际 ${source}`)
+      assert(task.title === '整理发布说明', `期望标题为「整理发布说明」，实际「${task.title}」`)
+      assert(task.priority === 'high', `期望高优先级，实际 ${task.priority}`)
+      assert(breakdown === true, '期望识别出拆解意图')
+      assert(task.due_at && new Date(task.due_at).getUTCDay() === 5, `期望截止日期为周五，实际 ${task.due_at}`)
+      assert(task.parent_id === null, '期望没有父任务')
+
+      return `${task.title} / ${task.priority} / ${task.due_at}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/parse - 匹配已有任务作为父任务',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: `发布准备 ${Date.now()}` })
+      const { status, data } = await request('POST', '/api/tasks/parse', {
+        text: `在「${parent.data.title}」下：写更新日志`,
+        ai: false
+      })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.task.parent_id === parent.data.id, '期望匹配到父任务')
+      assert(data.data.parent.title === parent.data.title, '期望返回父任务标题')
+      assert(data.data.task.title === '写更新日志', `期望标题为「写更新日志」，实际「${data.data.task.title}」`)
+
+      await request('DELETE', `/api/tasks/${parent.data.id}`)
+      return `父任务: ${data.data.parent.title}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/parse - AI 解析',
+    run: async () => {
+      const { status, data } = await request('POST', '/api/tasks/parse', { text: '给客户回邮件' })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.task.title.length > 0, '期望解析出标题')
+      if (data.data.source === 'rules') {
+        return `AI 不可用，已改用规则解析: ${data.data.warning}`
+      }
+      assert(data.data.warning === null, '期望 AI 解析成功时没有 warning')
+      return `模型: ${data.data.model}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/parse - 参数验证',
+    run: async () => {
+      const empty = await request('POST', '/api/tasks/parse', { text: '   ' })
+      assert(empty.status === 400, `空文本期望状态码 400，实际 ${empty.status}`)
+
+      const offset = await request('POST', '/api/tasks/parse', { text: '写周报', timezoneOffset: 10000 })
+      assert(offset.status === 400, `无效时区期望状态码 400，实际 ${offset.status}`)
+
+      const method = await request('GET', '/api/tasks/parse')
+      assert(method.status === 405, `GET 期望状态码 405，实际 ${method.status}`)
+
+      return '正确拒绝无效的解析请求'
+    }
+  },
+
+  // ==================== POST /api/plan ====================
+  {
+    name: 'POST /api/plan - 按规则安排今天的计划',
+    run: async () => {
+      const { cookie } = await request('POST', '/api/auth/signup', {
+        email: `plan-${Date.now()}@example.com`,
+        password: testPassword
+      }, null)
+
+      const { data: empty } = await request('POST', '/api/plan', { ai: false }, cookie)
+      assert(empty.data.items.length === 0, '期望没有任务时计划为空')
+
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()
+      const { data: overdue } = await request('POST', '/api/tasks', { title: '逾期的报销', priority: 'low', due_at: yesterday }, cookie)
+      const { data: big } = await request('POST', '/api/tasks', { title: '写季度总结', priority: 'high', estimated_minutes: 60 }, cookie)
+      await request('POST', '/api/tasks', { title: '整理书架', priority: 'low', estimated_minutes: 120 }, cookie)
+      const { data: parent } = await request('POST', '/api/tasks', { title: '准备分享', priority: 'medium' }, cookie)
+      const { data: step } = await request('POST', '/api/tasks', { title: '写大纲', parent_id: parent.data.id }, cookie)
+      await request('POST', '/api/tasks', { title: '做幻灯片', parent_id: parent.data.id }, cookie)
+      await request('PATCH', `/api/tasks/${step.data.id}`, { status: 'completed' }, cookie)
+
+      const { status, data } = await request('POST', '/api/plan', { minutes: 90, ai: false, timezoneOffset: 0 }, cookie)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const plan = data.data
+      assert(plan.source === 'rules', `期望规则安排，实际 ${plan.source}`)
+      assert(plan.total_minutes <= 90, `期望不超过可用时间，实际 ${plan.total_minutes}`)
+      assert(plan.items[0].task.id === overdue.data.id, '期望逾期的任务排在最前')
+      assert(plan.items[0].suggested_priority === 'high', '期望建议提高逾期任务的优先级')
+      assert(plan.items.some(item => item.task.id === big.data.id && item.minutes === 60), '期望按预计用时安排')
+      assert(plan.items.every(item => item.rationale.length > 0), '期望每个任务都有理由')
+      assert(plan.items.every(item => item.task.parent_id === null), '期望只安排顶级任务')
+
+      const shared = plan.items.find(item => item.task.id === parent.data.id)
+      if (shared) {
+        assert(shared.subtasks.completed === 1 && shared.subtasks.total === 2, '期望返回子任务进度')
+      }
+
+      // 接受计划：通过 PATCH 调整优先级
+      const { data: patched } = await request('PATCH', `/api/tasks/${overdue.data.id}`, { priority: plan.items[0].suggested_priority }, cookie)
+      assert(patched.data.priority === 'high', '期望优先级已调整')
+
+      const { data: ai } = await request('POST', '/api/plan', { minutes: 120 }, cookie)
+      assert(ai.data.total_minutes <= 120, '期望 AI 计划不超过可用时间')
+      if (ai.data.source === 'rules') {
+        return `规则计划 ${plan.items.length} 项；AI 不可用: ${ai.data.warning}`
+      }
+      return `规则计划 ${plan.items.length} 项，AI 计划 ${ai.data.items.length} 项（${ai.data.model}）`
+    }
+  },
+
+  {
+    name: 'POST /api/plan - 参数验证',
+    run: async () => {
+      const small = await request('POST', '/api/plan', { minutes: 5 })
+      assert(small.status === 400, `可用时间过短期望状态码 400，实际 ${small.status}`)
+
+      const ai = await request('POST', '/api/plan', { ai: 'yes' })
+      assert(ai.status === 400, `无效的 ai 期望状态码 400，实际 ${ai.status}`)
+
+      const method = await request('GET', '/api/plan')
+      assert(method.status === 405, `GET 期望状态码 405，实际 ${method.status}`)
+
+      const anonymous = await request('POST', '/api/plan', {}, null)
+      assert(anonymous.status === 401, `未登录期望状态码 401，实际 ${anonymous.status}`)
+
+      return '正确拒绝无效的计划请求'
+    }
+  },
+
+  // ==================== GET /api/reports ====================
+  {
+    name: 'PATCH /api/tasks/[id] - 完成时记下 completed_at，重新打开时清空',
+    run: async () => {
+      const { data: created } = await request('POST', '/api/tasks', { title: `完成时间测试 ${Date.now()}` })
+      assert(created.data.completed_at === null, '期望新任务没有完成时间')
+
+      const before = Date.now()
+      const { data: completed } = await request('PATCH', `/api/tasks/${created.data.id}`, { status: 'completed' })
+      const completedAt = completed.data.completed_at
+      assert(completedAt && Date.parse(completedAt) >= before - 1000, `期望记下完成时间，实际 ${completedAt}`)
+
+      const { data: renamed } = await request('PATCH', `/api/tasks/${created.data.id}`, { title: '改名后的任务', status: 'completed' })
+      assert(renamed.data.completed_at === completedAt, '期望状态不变时保留原来的完成时间')
+
+      const { data: reopened } = await request('POST', '/api/tasks/bulk', { ids: [created.data.id], action: 'reopen' })
+      assert(reopened.data.tasks[0].completed_at === null, '期望重新打开后清空完成时间')
+
+      await request('DELETE', `/api/tasks/${created.data.id}`)
+      return `完成时间: ${completedAt}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/[id] - 完成时未完成的后代任务一并完成',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: `级联完成测试 ${Date.now()}` })
+      const parentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', { title: '子任务', parent_id: parentId })
+      const { data: grandchild } = await request('POST', '/api/tasks', { title: '孙任务', parent_id: child.data.id })
+      const { data: done } = await request('POST', '/api/tasks', { title: '已完成的子任务', parent_id: parentId, status: 'completed' })
+
+      await request('PATCH', `/api/tasks/${parentId}`, { status: 'completed' })
+      const { data: tree } = await request('GET', `/api/tasks/${parentId}`)
+      assert(tree.data.subtasks.every(task => task.status === 'completed'), '期望子任务一并完成')
+      const { data: grandchildAfter } = await request('GET', `/api/tasks/${grandchild.data.id}`)
+      assert(grandchildAfter.data.status === 'completed', '期望孙任务一并完成')
+
+      const { data: history } = await request('GET', `/api/tasks/${grandchild.data.id}/history`)
+      const statusEvent = history.data.events.find(event => event.type === 'status_changed')
+      assert(statusEvent && statusEvent.note === `随父任务 #${parentId} 一起完成`, '期望后代任务记录状态变更')
+      const { data: doneHistory } = await request('GET', `/api/tasks/${done.data.id}/history`)
+      assert(!doneHistory.data.events.some(event => event.type === 'status_changed'), '期望已完成的子任务不再记录')
+
+      await request('PATCH', `/api/tasks/${parentId}`, { status: 'pending' })
+      const { data: reopened } = await request('GET', `/api/tasks/${child.data.id}`)
+      assert(reopened.data.status === 'completed', '期望重新打开父任务时不影响子任务')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return '子任务和孙任务随父任务完成'
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/[id] - 一并完成的重复子任务生成下一次任务',
+    run: async () => {
+      const dueAt = '2099-03-02T09:00:00.000Z'
+      const { data: parent } = await request('POST', '/api/tasks', { title: `级联完成重复任务 ${Date.now()}`, due_at: dueAt })
+      const parentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', {
+        title: '每天的子任务',
+        parent_id: parentId,
+        due_at: '2099-03-01T09:00:00.000Z',
+        recurrence: { freq: 'daily', interval: 1 }
+      })
+
+      await request('PATCH', `/api/tasks/${parentId}`, { status: 'completed' })
+      const { data: childAfter } = await request('GET', `/api/tasks/${child.data.id}`)
+      assert(childAfter.data.status === 'completed', '期望重复子任务一并完成')
+      assert(childAfter.data.recurrence === null, '期望完成的子任务不再带有重复规则')
+
+      const { data: tree } = await request('GET', `/api/tasks/${parentId}`)
+      const next = tree.data.subtasks.find(task => task.id !== child.data.id)
+      assert(next && next.status === 'pending', '期望生成下一次子任务')
+      assert(next.due_at === '2099-03-02T09:00:00.000Z', `期望下一次子任务顺延一天，实际 ${next && next.due_at}`)
+      assert(next.recurrence && next.recurrence.freq === 'daily', '期望重复规则转移到下一次子任务')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `下一次子任务 ID: ${next.id}`
+    }
+  },
+
+  {
+    name: 'PATCH /api/tasks/[id] - 重复任务的重复子任务随下一次任务复制',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', {
+        title: `每周的重复任务 ${Date.now()}`,
+        due_at: '2099-03-02T09:00:00.000Z',
+        recurrence: { freq: 'weekly', interval: 1 }
+      })
+      const parentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', {
+        title: '每天的子任务',
+        parent_id: parentId,
+        due_at: '2099-03-01T09:00:00.000Z',
+        recurrence: { freq: 'daily', interval: 1 }
+      })
+
+      const { data } = await request('PATCH', `/api/tasks/${parentId}`, { status: 'completed' })
+      const next = data.data.next_occurrence
+      assert(next && next.subtasks.length === 1, '期望下一次任务复制子任务')
+      assert(next.subtasks[0].recurrence && next.subtasks[0].recurrence.freq === 'daily', '期望子任务的重复规则随之复制')
+
+      const { data: tree } = await request('GET', `/api/tasks/${parentId}`)
+      assert(tree.data.subtasks.length === 1, '期望原来的子任务不再单独生成下一次任务')
+      const { data: childAfter } = await request('GET', `/api/tasks/${child.data.id}`)
+      assert(childAfter.data.status === 'completed' && childAfter.data.recurrence === null, '期望原来的子任务完成且不再带有重复规则')
+
+      await request('POST', '/api/tasks/bulk', { ids: [parentId, next.id], action: 'delete' })
+      return `下一次任务 ID: ${next.id}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/bulk - 批量完成时后代任务一并完成',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: `批量级联完成 ${Date.now()}` })
+      const parentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', {
+        title: '每天的子任务',
+        parent_id: parentId,
+        due_at: '2099-03-01T09:00:00.000Z',
+        recurrence: { freq: 'daily', interval: 1 }
+      })
+
+      const { status, data } = await request('POST', '/api/tasks/bulk', { ids: [parentId], action: 'complete' })
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.succeeded === 1, '期望 succeeded 只计算选中的任务')
+      const returnedChild = data.data.tasks.find(task => task.id === child.data.id)
+      assert(returnedChild && returnedChild.status === 'completed', '期望返回一并完成的子任务')
+      assert(returnedChild.recurrence === null, '期望完成的子任务不再带有重复规则')
+      assert(data.data.next_occurrences.length === 1 && data.data.next_occurrences[0].parent_id === parentId, '期望重复子任务生成下一次任务')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return '批量完成与单个完成的处理一致'
+    }
+  },
+
+  {
+    name: 'GET /api/reports - 按顶级任务汇总完成的任务',
+    run: async () => {
+      const { cookie } = await request('POST', '/api/auth/signup', {
+        email: `report-${Date.now()}@example.com`,
+        password: testPassword
+      }, null)
+
+      const { data: empty } = await request('GET', '/api/reports?timezoneOffset=0', null, cookie)
+      assert(empty.data.completed_count === 0, '期望没有完成的任务')
+      assert(empty.data.source === 'template' && empty.data.warning === null, '期望没有任务时直接使用模板')
+
+      const { data: release } = await request('POST', '/api/tasks', { title: '发布 v2.0' }, cookie)
+      const { data: notes } = await request('POST', '/api/tasks', { title: '整理发布说明', parent_id: release.data.id }, cookie)
+      const { data: design } = await request('POST', '/api/tasks', { title: '设计', parent_id: release.data.id }, cookie)
+      const { data: mockup } = await request('POST', '/api/tasks', { title: '画原型', parent_id: design.data.id }, cookie)
+      const { data: chore } = await request('POST', '/api/tasks', { title: '续费域名' }, cookie)
+      const { data: reopened } = await request('POST', '/api/tasks', { title: '又打开的任务' }, cookie)
+      await request('POST', '/api/tasks/bulk', {
+        ids: [notes.data.id, mockup.data.id, chore.data.id, reopened.data.id],
+        action: 'complete'
+      }, cookie)
+      await request('PATCH', `/api/tasks/${reopened.data.id}`, { status: 'pending' }, cookie)
+
+      const { status, data } = await request('GET', '/api/reports?ai=false&timezoneOffset=0', null, cookie)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const report = data.data
+      const today = new Date().toISOString().slice(0, 10)
+      assert(report.to === today, `期望默认截止到今天，实际 ${report.to}`)
+      assert(report.completed_count === 3, `期望完成 3 个任务，实际 ${report.completed_count}`)
+      assert(report.source === 'template', `期望模板生成，实际 ${report.source}`)
+
+      const group = report.groups[0]
+      assert(group.root.id === release.data.id && group.entries.length === 2, '期望子任务按顶级任务分组')
+      const nested = group.entries.find(entry => entry.task.id === mockup.data.id)
+      assert(nested && nested.path.join() === '设计', '期望记录中间层的父任务')
+      assert(report.groups[1].root.id === chore.data.id, '期望单独完成的任务自成一组')
+      assert(report.markdown.includes('## 发布 v2.0（进行中）'), '期望顶级任务作为小节标题')
+      assert(report.markdown.includes('设计 › 画原型'), '期望显示中间层的父任务')
+      assert(report.markdown.includes('续费域名') && !report.markdown.includes('又打开的任务'), '期望只包含已完成的任务')
+
+      // 范围之外的日期没有完成的任务
+      const { data: past } = await request('GET', '/api/reports?ai=false&from=2020-01-01&to=2020-01-07', null, cookie)
+      assert(past.data.completed_count === 0, '期望范围之外没有完成的任务')
+
+      // 直接下载 Markdown
+      const file = await request('GET', '/api/reports?ai=false&timezoneOffset=0&format=markdown', null, cookie)
+      assert(file.headers['content-type'].startsWith('text/markdown'), `期望 Markdown 文件，实际 ${file.headers['content-type']}`)
+      assert(file.headers['content-disposition'].includes('.md'), '期望作为附件下载')
+      assert(file.data === report.markdown, '期望文件内容与报告一致')
+
+      const { data: ai } = await request('GET', '/api/reports?timezoneOffset=0', null, cookie)
+      assert(ai.data.markdown.length > 0, '期望 AI 润色后的报告不为空')
+      if (ai.data.source === 'template') {
+        return `模板报告 ${report.groups.length} 组；AI 不可用: ${ai.data.warning}`
+      }
+      return `模板报告 ${report.groups.length} 组，AI 润色（${ai.data.model}）`
+    }
+  },
+
+  {
+    name: 'GET /api/reports - 参数验证',
+    run: async () => {
+      const invalid = await request('GET', '/api/reports?from=2024-02-30')
+      assert(invalid.status === 400, `无效的日期期望状态码 400，实际 ${invalid.status}`)
+
+      const reversed = await request('GET', '/api/reports?from=2024-03-02&to=2024-03-01')
+      assert(reversed.status === 400, `from 晚于 to 期望状态码 400，实际 ${reversed.status}`)
+
+      const long = await request('GET', '/api/reports?from=2022-01-01&to=2024-01-01')
+      assert(long.status === 400, `范围过长期望状态码 400，实际 ${long.status}`)
+
+      const ai = await request('GET', '/api/reports?ai=yes')
+      assert(ai.status === 400, `无效的 ai 期望状态码 400，实际 ${ai.status}`)
+
+      const format = await request('GET', '/api/reports?format=pdf')
+      assert(format.status === 400, `无效的 format 期望状态码 400，实际 ${format.status}`)
+
+      const method = await request('POST', '/api/reports', {})
+      assert(method.status === 405, `POST 期望状态码 405，实际 ${method.status}`)
+
+      const anonymous = await request('GET', '/api/reports', null, null)
+      assert(anonymous.status === 401, `未登录期望状态码 401，实际 ${anonymous.status}`)
+
+      return '正确拒绝无效的报告请求'
+    }
+  },
+
+  // ==================== AI 缓存、限额与用量 ====================
+  {
+    name: 'POST /api/tasks/breakdown - 相同的请求使用缓存的结果',
+    run: async () => {
+      const taskTitle = `缓存测试 ${Date.now()}`
+      const first = await request('POST', '/api/tasks/breakdown', { taskTitle, dryRun: true })
+      assert(first.status === 200, `期望状态码 200，实际 ${first.status}`)
+      assert(first.data.data.cached === false, '期望第一次请求调用 AI')
+
+      const second = await request('POST', '/api/tasks/breakdown', { taskTitle: `  ${taskTitle} `, dryRun: true })
+      assert(second.data.data.cached === true, '期望第二次请求使用缓存')
+      assert(
+        JSON.stringify(second.data.data.subtasks) === JSON.stringify(first.data.data.subtasks),
+        '期望缓存的结果与第一次相同'
+      )
+
+      const other = await request('POST', '/api/tasks/breakdown', { taskTitle, dryRun: true, maxSubtasks: 4 })
+      assert(other.data.data.cached === false, '期望选项不同时不使用缓存')
+
+      const fresh = await request('POST', '/api/tasks/breakdown', { taskTitle, dryRun: true, cache: false })
+      assert(fresh.data.data.cached === false, '期望 cache: false 时重新生成')
+
+      const invalid = await request('POST', '/api/tasks/breakdown', { taskTitle, dryRun: true, cache: 'no' })
+      assert(invalid.status === 400, `无效的 cache 期望状态码 400，实际 ${invalid.status}`)
+
+      return '第二次请求命中缓存'
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/breakdown - 超出频率限制时返回 429',
+    run: async () => {
+      const { cookie } = await request('POST', '/api/auth/signup', {
+        email: `limit-${Date.now()}@example.com`,
+        password: testPassword
+      }, null)
+
+      // 相同的请求命中缓存，不会产生 AI 费用，但仍计入频率限制
+      for (let i = 0; i < 200; i++) {
+        const { status, data, headers } = await request('POST', '/api/tasks/breakdown', { taskTitle: '频率限制测试', dryRun: true }, cookie)
+        if (status === 429) {
+          assert(Number(headers['retry-after']) > 0, '期望返回 Retry-After 头')
+          assert(data.success === false && data.error, '期望返回错误信息')
+
+          const parsed = await request('POST', '/api/tasks/parse', { text: '写周报' }, cookie)
+          assert(parsed.status === 200 && parsed.data.data.source === 'rules', '期望解析任务改用规则解析')
+          return `第 ${i + 1} 次请求被拒绝: ${data.error}`
+        }
+        assert(status === 200, `期望状态码 200，实际 ${status}`)
+      }
+      return '跳过：未启用频率限制'
+    }
+  },
+
+  {
+    name: 'GET /api/ai/usage - 只有管理员可以查看',
+    run: async () => {
+      const { status } = await request('GET', '/api/ai/usage')
+      assert(status === 403, `期望普通用户状态码 403，实际 ${status}`)
+
+      const { status: anonymous } = await request('GET', '/api/ai/usage', null, null)
+      assert(anonymous === 401, `期望未登录状态码 401，实际 ${anonymous}`)
+
+      return '正确拒绝非管理员'
+    }
+  },
+
+  {
+    name: 'GET /api/ai/usage - 管理员查看用量记录',
+    run: async () => {
+      const adminEmail = process.env.TEST_ADMIN_EMAIL
+      if (!adminEmail) {
+        return '跳过：未设置 TEST_ADMIN_EMAIL'
+      }
+
+      let { cookie } = await request('POST', '/api/auth/signin', { email: adminEmail, password: testPassword }, null)
+      if (!cookie) {
+        ({ cookie } = await request('POST', '/api/auth/signup', { email: adminEmail, password: testPassword }, null))
+      }
+      assert(cookie, '期望管理员账号登录成功')
+
+      const { status, data } = await request('GET', '/api/ai/usage?days=1', null, cookie)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      const report = data.data
+      assert(report.totals.requests > 0 && report.totals.tokens > 0, '期望统计到调用模型的请求和 token 用量')
+      assert(report.totals.by_outcome.cached > 0, '期望统计到使用缓存的请求')
+      assert(report.records.some(record => record.route === 'breakdown' && record.latency_ms >= 0), '期望返回拆解的用量记录')
+      assert(report.by_user.length >= 2, '期望按用户合计')
+
+      const userId = report.records[0].user_id
+      const { data: filtered } = await request('GET', `/api/ai/usage?userId=${encodeURIComponent(userId)}`, null, cookie)
+      assert(filtered.data.records.every(record => record.user_id === userId), '期望只返回指定用户的记录')
+
+      const { status: invalid } = await request('GET', '/api/ai/usage?days=100', null, cookie)
+      assert(invalid === 400, `无效的 days 期望状态码 400，实际 ${invalid}`)
+
+      return `共 ${report.totals.requests} 次请求、${report.totals.tokens} tokens`
+    }
+  },
+
+  // ==================== POST /api/tasks/[id]/move ====================
+  {
+    name: 'POST /api/tasks/:id/move - 调整顺序和父任务',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: '排序测试' })
+      const parentId = parent.data.id
+      const childIds = []
+      for (const title of ['步骤一', '步骤二', '步骤三']) {
+        const { data } = await request('POST', '/api/tasks', { title, parent_id: parentId })
+        childIds.push(data.data.id)
+      }
+      const subtaskIds = async () => (await request('GET', `/api/tasks/${parentId}`)).data.data.subtasks.map(t => t.id)
+      assert(JSON.stringify(await subtaskIds()) === JSON.stringify(childIds), '期望子任务默认按创建顺序排列')
+
+      // 调整同级顺序：步骤三移到最前
+      const reorder = await request('POST', `/api/tasks/${childIds[2]}/move`, { parent_id: parentId, index: 0 })
+      assert(reorder.status === 200, `期望状态码 200，实际 ${reorder.status}`)
+      assert(typeof reorder.data.data.task.position === 'number', '期望返回新的 position')
+      assert(JSON.stringify(await subtaskIds()) === JSON.stringify([childIds[2], childIds[0], childIds[1]]), '期望步骤三排在最前')
+
+      // 顶级任务移到其他任务下成为子任务
+      const { data: other } = await request('POST', '/api/tasks', { title: '移入的任务' })
+      const otherId = other.data.id
+      const nest = await request('POST', `/api/tasks/${otherId}/move`, { parent_id: parentId, index: 1 })
+      assert(nest.status === 200 && nest.data.data.task.parent_id === parentId, '期望成为子任务')
+      assert(
+        JSON.stringify(await subtaskIds()) === JSON.stringify([childIds[2], otherId, childIds[0], childIds[1]]),
+        '期望插入到第二个位置'
+      )
+      const { data: history } = await request('GET', `/api/tasks/${otherId}/history`)
+      assert(history.data.events.some(event => event.type === 'reparented'), '期望记录 reparented 历史')
+
+      // 移回顶级并排在最前
+      const outdent = await request('POST', `/api/tasks/${otherId}/move`, { parent_id: null, index: 0 })
+      assert(outdent.status === 200 && outdent.data.data.task.parent_id === null, '期望移回顶级')
+      const { data: list } = await request('GET', '/api/tasks?parent_id=null&sort=position&order=asc&limit=5')
+      assert(list.data[0].id === otherId, '期望按 position 排序时排在最前')
+
+      await request('DELETE', `/api/tasks/${otherId}`)
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return '排序、移入子任务和移回顶级均正确'
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/:id/move - 反复插入到同一位置时重新编号',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: '重新编号测试' })
+      const parentId = parent.data.id
+      const ids = []
+      for (const title of ['甲', '乙', '丙']) {
+        const { data } = await request('POST', '/api/tasks', { title, parent_id: parentId })
+        ids.push(data.data.id)
+      }
+
+      // 交替把最后一个任务插到第二位，相邻位置之间的空隙每次减半
+      let repositioned = []
+      let moves = 0
+      while (repositioned.length === 0 && moves < 80) {
+        const { data: current } = await request('GET', `/api/tasks/${parentId}`)
+        const last = current.data.subtasks[2]
+        const { status, data } = await request('POST', `/api/tasks/${last.id}/move`, { parent_id: parentId, index: 1 })
+        assert(status === 200, `期望状态码 200，实际 ${status}`)
+        repositioned = data.data.repositioned
+        moves++
+      }
+      assert(repositioned.length > 0, '期望空隙用完后重新编号')
+
+      const { data: final } = await request('GET', `/api/tasks/${parentId}`)
+      const positions = final.data.subtasks.map(t => t.position)
+      assert(positions[0] < positions[1] && positions[1] < positions[2], '期望重新编号后顺序不变且位置互不相同')
+
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `第 ${moves} 次移动后重新编号 ${repositioned.length} 个任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/:id/move - 参数验证',
+    run: async () => {
+      const dueAt = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString()
+      const { data: parent } = await request('POST', '/api/tasks', { title: '移动验证', due_at: dueAt })
+      const parentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', { title: '子任务', parent_id: parentId })
+      const childId = child.data.id
+      const later = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000).toISOString()
+      const { data: late } = await request('POST', '/api/tasks', { title: '截止较晚的任务', due_at: later })
+      const lateId = late.data.id
+
+      const cycle = await request('POST', `/api/tasks/${parentId}/move`, { parent_id: childId, index: 0 })
+      assert(cycle.status === 400, `移到子任务下期望状态码 400，实际 ${cycle.status}`)
+
+      const self = await request('POST', `/api/tasks/${parentId}/move`, { parent_id: parentId, index: 0 })
+      assert(self.status === 400, `移到自己下期望状态码 400，实际 ${self.status}`)
+
+      const range = await request('POST', `/api/tasks/${childId}/move`, { parent_id: parentId, index: 5 })
+      assert(range.status === 400 && range.data.error === 'index 不能大于 0', `期望 index 超出范围，实际 ${range.data.error}`)
+
+      const due = await request('POST', `/api/tasks/${lateId}/move`, { parent_id: parentId, index: 0 })
+      assert(due.status === 400, `截止时间晚于父任务期望状态码 400，实际 ${due.status}`)
+
+      const invalid = await request('POST', `/api/tasks/${childId}/move`, { parent_id: 'x', index: -1 })
+      assert(invalid.status === 400, `无效参数期望状态码 400，实际 ${invalid.status}`)
+
+      const missing = await request('POST', '/api/tasks/99999999/move', { parent_id: null, index: 0 })
+      assert(missing.status === 404, `任务不存在期望状态码 404，实际 ${missing.status}`)
+
+      const method = await request('GET', `/api/tasks/${childId}/move`)
+      assert(method.status === 405, `GET 期望状态码 405，实际 ${method.status}`)
+
+      const anonymous = await request('POST', `/api/tasks/${childId}/move`, { parent_id: null, index: 0 }, null)
+      assert(anonymous.status === 401, `未登录期望状态码 401，实际 ${anonymous.status}`)
+
+      await request('DELETE', `/api/tasks/${lateId}`)
+      await request('DELETE', `/api/tasks/${parentId}`)
+      return `正确拒绝无效的移动: ${cycle.data.error}`
+    }
+  },
+
+  // ==================== DELETE /api/tasks/[id] ====================
+  {
+    name: 'DELETE /api/tasks/:id - 删除子任务',
+    run: async () => {
+      if (!createdSubtaskId) {
+        return '跳过：没有子任务 ID'
+      }
+      
+      const { status, data } = await request('DELETE', `/api/tasks/${createdSubtaskId}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      assert(data.data.message === '任务已移到回收站', '期望返回删除成功消息')
+      assert(data.data.deleted.deleted_at, '期望返回删除时间')
+      
+      return `已删除子任务 ID: ${createdSubtaskId}`
+    }
+  },
+
+  {
+    name: 'DELETE /api/tasks/:id - 删除主任务',
+    run: async () => {
+      if (!createdTaskId) {
+        return '跳过：没有任务 ID'
+      }
+      
+      const { status, data } = await request('DELETE', `/api/tasks/${createdTaskId}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      
+      return `已删除任务 ID: ${createdTaskId}`
+    }
+  },
+
+  {
+    name: 'DELETE /api/tasks/:id - 删除带截止时间的任务',
+    run: async () => {
+      if (!datedTaskId) {
+        return '跳过：没有带截止时间的任务'
+      }
+      
+      const { status, data } = await request('DELETE', `/api/tasks/${datedTaskId}`)
+      
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.success === true, '期望 success 为 true')
+      
+      return `已删除任务 ID: ${datedTaskId}`
+    }
+  },
+
+  {
+    name: 'DELETE /api/tasks/:id - 删除不存在的任务',
+    run: async () => {
+      const { status, data } = await request('DELETE', '/api/tasks/999999999')
+      
+      assert(status === 404, `期望状态码 404，实际 ${status}`)
       assert(data.success === false, '期望 success 为 false')
       
       return `正确返回 404`
     }
+  },
+
+  // ==================== 回收站 ====================
+  {
+    name: 'DELETE /api/tasks/:id - 连同子任务移到回收站',
+    run: async () => {
+      const { data: parent } = await request('POST', '/api/tasks', { title: '回收站测试 ' + Date.now() })
+      trashParentId = parent.data.id
+      const { data: child } = await request('POST', '/api/tasks', { title: '回收站子任务', parent_id: trashParentId })
+      trashChildId = child.data.id
+
+      const { status } = await request('DELETE', `/api/tasks/${trashParentId}`)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+
+      const { status: childStatus } = await request('GET', `/api/tasks/${trashChildId}`)
+      assert(childStatus === 404, '期望子任务也不再可见')
+
+      const { data: list } = await request('GET', '/api/tasks?limit=100')
+      assert(list.data.every(t => t.id !== trashParentId), '期望任务列表不包含回收站中的任务')
+
+      const { status: trashStatus, data: trash } = await request('GET', '/api/tasks/trash')
+      assert(trashStatus === 200, `期望状态码 200，实际 ${trashStatus}`)
+      const entry = trash.data.find(item => item.task.id === trashParentId)
+      assert(entry, '期望回收站中有该任务')
+      assert(entry.descendant_count === 1, `期望包含 1 个子任务，实际 ${entry.descendant_count}`)
+      assert(entry.purge_at, '期望返回自动清除时间')
+      assert(trash.data.every(item => item.task.id !== trashChildId), '期望子任务不单独列出')
+
+      return `回收站共 ${trash.data.length} 个条目`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/:id/restore - 父任务在回收站中时不能单独恢复子任务',
+    run: async () => {
+      if (!trashChildId) {
+        return '跳过：没有回收站任务'
+      }
+
+      const { status, data } = await request('POST', `/api/tasks/${trashChildId}/restore`)
+      assert(status === 409, `期望状态码 409，实际 ${status}`)
+      return `正确拒绝: ${data.error}`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/:id/restore - 恢复任务及子任务',
+    run: async () => {
+      if (!trashParentId) {
+        return '跳过：没有回收站任务'
+      }
+
+      const { status, data } = await request('POST', `/api/tasks/${trashParentId}/restore`)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data[0].id === trashParentId && data.data[0].deleted_at === null, '期望被恢复的任务在前')
+      assert(data.data.some(t => t.id === trashChildId), '期望子任务一并恢复')
+
+      const { status: childStatus } = await request('GET', `/api/tasks/${trashChildId}`)
+      assert(childStatus === 200, '期望子任务重新可见')
+
+      const { status: againStatus } = await request('POST', `/api/tasks/${trashParentId}/restore`)
+      assert(againStatus === 404, `期望再次恢复返回 404，实际 ${againStatus}`)
+
+      const { data: history } = await request('GET', `/api/tasks/${trashParentId}/history`)
+      assert(history.data.events[0].type === 'restored', '期望历史中记录恢复')
+
+      return `已恢复 ${data.data.length} 个任务`
+    }
+  },
+
+  {
+    name: 'POST /api/tasks/:id/purge - 彻底删除',
+    run: async () => {
+      if (!trashParentId) {
+        return '跳过：没有回收站任务'
+      }
+
+      const { status: activeStatus } = await request('POST', `/api/tasks/${trashParentId}/purge`)
+      assert(activeStatus === 404, `期望不在回收站的任务返回 404，实际 ${activeStatus}`)
+
+      await request('DELETE', `/api/tasks/${trashParentId}`)
+      const { status, data } = await request('POST', `/api/tasks/${trashParentId}/purge`)
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+      assert(data.data.purged === 2, `期望彻底删除 2 个任务，实际 ${data.data.purged}`)
+
+      const { data: trash } = await request('GET', '/api/tasks/trash')
+      assert(trash.data.every(item => item.task.id !== trashParentId), '期望回收站中不再有该任务')
+
+      const { status: restoreStatus } = await request('POST', `/api/tasks/${trashParentId}/restore`)
+      assert(restoreStatus === 404, `期望无法恢复，实际 ${restoreStatus}`)
+
+      return '已彻底删除'
+    }
+  },
+
+  {
+    name: 'DELETE /api/tasks/trash - 清空回收站',
+    run: async () => {
+      const { status, data } = await request('DELETE', '/api/tasks/trash')
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+
+      const { data: trash } = await request('GET', '/api/tasks/trash')
+      assert(trash.data.length === 0, '期望回收站为空')
+
+      return `彻底删除 ${data.data.purged} 个任务`
+    }
+  },
+
+  // ==================== POST /api/auth/signout ====================
+  {
+    name: 'POST /api/auth/signout - 退出登录后会话失效',
+    run: async () => {
+      const { status } = await request('POST', '/api/auth/signout')
+      assert(status === 200, `期望状态码 200，实际 ${status}`)
+
+      const { status: meStatus } = await request('GET', '/api/auth/me')
+      assert(meStatus === 401, `期望退出后状态码 401，实际 ${meStatus}`)
+
+      return '已退出登录'
+    }
+  },
+
+  // ==================== 存储后端（不经过开发服务器） ====================
+  {
+    name: 'TASK_STORAGE=file - 重启后数据仍在',
+    run: async () => {
+      const file = path.join(os.tmpdir(), `todo-test-${Date.now()}.json`)
+      try {
+        return await withEnv({ TASK_STORAGE: 'file', TASK_STORAGE_FILE: file }, async () => {
+          const before = requireLib('repository', { fresh: true })
+          const { session } = await before.getAuthProvider().signUp(testEmail, testPassword)
+          const task = await before.getRepositories(session).tasks.create(storageTaskInput('重启前创建的任务'))
+          assert(fs.existsSync(file), '期望写入存储文件')
+
+          const after = requireLib('repository', { fresh: true })
+          assert(after !== before, '期望重新加载存储模块')
+          const restored = await after.getAuthProvider().signIn(testEmail, testPassword)
+          const loaded = await after.getRepositories(restored).tasks.getById(task.id)
+          assert(loaded && loaded.title === '重启前创建的任务', '期望重启后读到之前创建的任务')
+
+          return `重启后读到任务 #${task.id}`
+        })
+      } finally {
+        fs.rmSync(file, { force: true })
+      }
+    }
+  },
+
+  {
+    name: 'TASK_STORAGE - 按环境变量选择存储后端',
+    run: async () => {
+      const file = path.join(os.tmpdir(), `todo-test-${Date.now()}.json`)
+      await withEnv({ TASK_STORAGE: 'memory', TASK_STORAGE_FILE: file }, async () => {
+        const repository = requireLib('repository', { fresh: true })
+        const { session } = await repository.getAuthProvider().signUp(testEmail, testPassword)
+        await repository.getRepositories(session).tasks.create(storageTaskInput('内存中的任务'))
+        assert(!fs.existsSync(file), 'memory 不应写入存储文件')
+
+        const restarted = requireLib('repository', { fresh: true })
+        const signInError = await restarted.getAuthProvider().signIn(testEmail, testPassword).then(() => null, err => err)
+        assert(signInError, 'memory 重启后期望数据丢失（账号不存在）')
+      })
+
+      await withEnv({ TASK_STORAGE: 'redis' }, async () => {
+        const repository = requireLib('repository', { fresh: true })
+        let error = null
+        try {
+          repository.getAuthProvider()
+        } catch (err) {
+          error = err
+        }
+        assert(error && error.message.includes('Unknown TASK_STORAGE'), '期望未知的 TASK_STORAGE 报错')
+      })
+
+      requireLib('repository', { fresh: true })
+      return 'memory 不写文件、重启后清空，未知的值报错'
+    }
+  },
+
+  // ==================== 计划的候选任务（不经过开发服务器） ====================
+  {
+    name: 'loadPlanCandidates - 逾期和即将到期的任务排在前面，不因数量上限被截掉',
+    run: async () => {
+      return withEnv({ TASK_STORAGE: 'memory' }, async () => {
+        const repository = requireLib('repository', { fresh: true })
+        const { loadPlanCandidates, PLAN_MAX_CANDIDATES } = requireLib('plan')
+        const { session } = await repository.getAuthProvider().signUp(testEmail, testPassword)
+        const { tasks } = repository.getRepositories(session)
+
+        for (let i = 0; i < PLAN_MAX_CANDIDATES + 5; i++) {
+          await tasks.create({ ...storageTaskInput(`高优先级任务 ${i}`), priority: 'high' })
+        }
+        const now = new Date()
+        const overdue = await tasks.create({
+          ...storageTaskInput('逾期的低优先级任务'),
+          priority: 'low',
+          due_at: new Date(now.getTime() - 2 * DAY_MS).toISOString()
+        })
+        const dueSoon = await tasks.create({
+          ...storageTaskInput('明天到期的任务'),
+          priority: 'medium',
+          due_at: new Date(now.getTime() + DAY_MS).toISOString()
+        })
+
+        const candidates = await loadPlanCandidates(tasks, now, 0)
+        assert(candidates.length === PLAN_MAX_CANDIDATES, `期望最多 ${PLAN_MAX_CANDIDATES} 个候选任务，实际 ${candidates.length}`)
+        assert(candidates[0].task.id === overdue.id, '期望逾期的任务排在第一个')
+        assert(candidates[1].task.id === dueSoon.id, '期望即将到期的任务排在其后')
+        assert(candidates.slice(2).every(candidate => candidate.task.priority === 'high'), '期望其余按优先级排列')
+
+        requireLib('repository', { fresh: true })
+        return `前两个候选: ${candidates[0].task.title}、${candidates[1].task.title}`
+      })
+    }
+  },
+
+  // ==================== AI 调用层（不经过开发服务器） ====================
+  {
+    name: 'withRetry - 只重试可以重试的错误',
+    run: async () => {
+      const { withRetry } = requireLib('llm/retry')
+      const { LLMError, cancelledError } = requireLib('llm/errors')
+      const config = { maxRetries: 2, retryBackoffMs: 1 }
+
+      let calls = 0
+      const result = await withRetry(config, async () => {
+        calls++
+        if (calls < 3) throw new LLMError('服务暂时不可用', true, 503)
+        return 'ok'
+      })
+      assert(result === 'ok' && calls === 3, `期望重试 2 次后成功，实际调用 ${calls} 次`)
+
+      calls = 0
+      const exhausted = await captureError(withRetry(config, async () => {
+        calls++
+        throw new LLMError('服务暂时不可用', true, 503)
+      }))
+      assert(exhausted && calls === 3, `期望最多调用 maxRetries + 1 次，实际 ${calls} 次`)
+
+      calls = 0
+      const badRequest = await captureError(withRetry(config, async () => {
+        calls++
+        throw new LLMError('请求无效', false, 400)
+      }))
+      assert(badRequest.status === 400 && calls === 1, `期望不可重试的错误不重试，实际调用 ${calls} 次`)
+
+      calls = 0
+      const cancelled = await captureError(withRetry(config, async () => {
+        calls++
+        throw cancelledError()
+      }))
+      assert(cancelled.isCancelled && calls === 1, `期望取消后不重试，实际调用 ${calls} 次`)
+
+      return '5xx 重试，4xx 和取消不重试'
+    }
+  },
+
+  {
+    name: 'OllamaProvider - 5xx 重试，4xx 直接返回错误',
+    run: async () => {
+      const { OllamaProvider } = requireLib('llm/ollama')
+
+      const flaky = await startFakeLLMServer([
+        [503, { error: 'model is loading' }],
+        [200, { model: 'test-model', message: { content: '好的' }, done: true }]
+      ])
+      try {
+        const result = await new OllamaProvider(llmTestConfig(flaky.url)).complete(testMessages)
+        assert(result.content === '好的' && flaky.requests === 2, `期望 503 后重试成功，实际请求 ${flaky.requests} 次`)
+      } finally {
+        await flaky.close()
+      }
+
+      const invalid = await startFakeLLMServer([[400, { error: 'invalid model' }]])
+      try {
+        const error = await captureError(new OllamaProvider(llmTestConfig(invalid.url)).complete(testMessages))
+        assert(error && error.name === 'LLMError', '期望返回 LLMError')
+        assert(error.status === 400 && error.retryable === false, `期望状态码 400 且不可重试，实际 ${error.status}`)
+        assert(error.message.includes('invalid model'), '期望错误信息包含服务返回的内容')
+        assert(invalid.requests === 1, `期望 4xx 不重试，实际请求 ${invalid.requests} 次`)
+      } finally {
+        await invalid.close()
+      }
+
+      return '503 重试成功，400 不重试'
+    }
+  },
+
+  {
+    name: 'OpenAICompatibleProvider - 5xx 重试，4xx 直接返回错误',
+    run: async () => {
+      const { OpenAICompatibleProvider } = requireLib('llm/openai')
+      const completion = {
+        id: 'chatcmpl-test',
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: 'test-model',
+        choices: [{ index: 0, message: { role: 'assistant', content: '好的' }, finish_reason: 'stop' }],
+        usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+      }
+
+      const flaky = await startFakeLLMServer([
+        [500, { error: { message: 'internal error' } }],
+        [200, completion]
+      ])
+      try {
+        const result = await new OpenAICompatibleProvider(llmTestConfig(flaky.url)).complete(testMessages)
+        assert(result.content === '好的' && flaky.requests === 2, `期望 500 后重试成功，实际请求 ${flaky.requests} 次`)
+        assert(result.usage && result.usage.prompt_tokens === 3, '期望返回 token 用量')
+      } finally {
+        await flaky.close()
+      }
+
+      const unauthorized = await startFakeLLMServer([[401, { error: { message: 'invalid api key' } }]])
+      try {
+        const error = await captureError(new OpenAICompatibleProvider(llmTestConfig(unauthorized.url)).complete(testMessages))
+        assert(error && error.name === 'LLMError', '期望返回 LLMError')
+        assert(error.status === 401 && error.retryable === false, `期望状态码 401 且不可重试，实际 ${error.status}`)
+        assert(unauthorized.requests === 1, `期望 4xx 不重试，实际请求 ${unauthorized.requests} 次`)
+      } finally {
+        await unauthorized.close()
+      }
+
+      return '500 重试成功，401 不重试'
+    }
+  },
+
+  {
+    name: 'MockProvider - 流式输出中取消后不重试',
+    run: async () => {
+      const { MockProvider } = requireLib('llm/mock')
+      const { withRetry } = requireLib('llm/retry')
+      const provider = new MockProvider(llmTestConfig(''))
+      const controller = new AbortController()
+
+      let calls = 0
+      let received = ''
+      const error = await captureError(withRetry(llmTestConfig(''), () => {
+        calls++
+        return provider.stream(testMessages, delta => {
+          received += delta
+          controller.abort()
+        }, { signal: controller.signal })
+      }))
+
+      assert(error && error.isCancelled === true, '期望返回取消的错误')
+      assert(calls === 1, `期望取消后不重试，实际调用 ${calls} 次`)
+      assert(received.length > 0, '期望取消前已经收到部分内容')
+
+      return `取消前收到 ${received.length} 个字符`
+    }
   }
 ]
 
@@ -1,54 +1,382 @@
 -- =============================================
 -- TodoList 数据库表结构
+-- 用户账号使用 Supabase Auth（auth.users），每个任务和标签都归属于一个用户
 -- =============================================
 
 -- 创建 tasks 表
 CREATE TABLE tasks (
   id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
   title TEXT NOT NULL,
   description TEXT,
   status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'completed')),
   priority TEXT NOT NULL DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high')),
   parent_id BIGINT REFERENCES tasks(id) ON DELETE CASCADE,
-  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+  start_at TIMESTAMPTZ,
+  due_at TIMESTAMPTZ,
+  recurrence JSONB,
+  estimated_minutes INTEGER CHECK (estimated_minutes BETWEEN 1 AND 10080),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  completed_at TIMESTAMPTZ,
+  -- 在同级任务中的排列位置（升序），由触发器 set_task_position 分配
+  position DOUBLE PRECISION NOT NULL,
+  deleted_at TIMESTAMPTZ,
+  -- 优先级排序值（high=3, medium=2, low=1），用于按优先级排序和游标分页
+  priority_rank SMALLINT GENERATED ALWAYS AS (
+    CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END
+  ) STORED,
+  CONSTRAINT tasks_start_before_due CHECK (start_at IS NULL OR due_at IS NULL OR start_at <= due_at)
 );
 
 -- 创建索引，加速查询
+CREATE INDEX idx_tasks_user_id ON tasks(user_id);
 CREATE INDEX idx_tasks_status ON tasks(status);
 CREATE INDEX idx_tasks_priority ON tasks(priority);
 CREATE INDEX idx_tasks_parent_id ON tasks(parent_id);
 CREATE INDEX idx_tasks_created_at ON tasks(created_at DESC);
+CREATE INDEX idx_tasks_priority_rank ON tasks(priority_rank, id);
+CREATE INDEX idx_tasks_due_at ON tasks(due_at);
+CREATE INDEX idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX idx_tasks_completed_at ON tasks(user_id, completed_at) WHERE completed_at IS NOT NULL;
+CREATE INDEX idx_tasks_position ON tasks(parent_id, position, id);
 
 -- 添加注释
 COMMENT ON TABLE tasks IS '待办事项任务表';
 COMMENT ON COLUMN tasks.id IS '主键';
+COMMENT ON COLUMN tasks.user_id IS '所属用户（auth.users.id）';
 COMMENT ON COLUMN tasks.title IS '任务标题';
 COMMENT ON COLUMN tasks.description IS '任务描述（可选）';
 COMMENT ON COLUMN tasks.status IS '状态：pending 或 completed';
 COMMENT ON COLUMN tasks.priority IS '优先级：low、medium 或 high';
 COMMENT ON COLUMN tasks.parent_id IS '父任务ID，用于关联AI拆解的子任务';
+COMMENT ON COLUMN tasks.start_at IS '计划开始时间（可选）';
+COMMENT ON COLUMN tasks.due_at IS '截止时间（可选），子任务不能晚于父任务';
+COMMENT ON COLUMN tasks.recurrence IS '重复规则（可选）：{ freq, interval, by_weekday, by_monthday, until }，完成后转移到自动生成的下一次任务';
+COMMENT ON COLUMN tasks.estimated_minutes IS '预计用时（分钟，可选），AI 拆解时给出建议值';
 COMMENT ON COLUMN tasks.created_at IS '创建时间';
+COMMENT ON COLUMN tasks.position IS '在同级任务中的排列位置（升序）：新建的顶级任务排在最前，子任务排在最后，可通过 /api/tasks/[id]/move 调整';
+COMMENT ON COLUMN tasks.completed_at IS '最近一次标记为完成的时间（未完成时为空），由触发器 set_task_completed_at 维护';
+COMMENT ON COLUMN tasks.deleted_at IS '移到回收站的时间（为空表示未删除），彻底删除时才真正删除记录';
+COMMENT ON COLUMN tasks.priority_rank IS '优先级排序值（由 priority 自动生成）';
+
+-- status 变为 completed 时记下完成时间，变为 pending 时清空；其余修改保留原值（客户端写入的 completed_at 会被忽略）
+CREATE FUNCTION set_task_completed_at() RETURNS TRIGGER
+  LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.status IS DISTINCT FROM OLD.status THEN
+    NEW.completed_at := CASE WHEN NEW.status = 'completed' THEN NOW() ELSE NULL END;
+  ELSE
+    NEW.completed_at := OLD.completed_at;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER tasks_set_completed_at
+  BEFORE INSERT OR UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION set_task_completed_at();
+
+-- 新建任务、或修改父任务但没有指定位置时分配排列位置：以当前时间（毫秒）为基数，顶级任务取负值排在最前，子任务取正值排在最后
+-- 与 lib/position.ts 的 initialPosition 规则相同；使用 clock_timestamp() 使同一事务中写入的任务树保持写入顺序
+CREATE FUNCTION set_task_position() RETURNS TRIGGER
+  LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR (NEW.parent_id IS DISTINCT FROM OLD.parent_id AND NEW.position = OLD.position) THEN
+    NEW.position := EXTRACT(EPOCH FROM clock_timestamp()) * 1000 * CASE WHEN NEW.parent_id IS NULL THEN -1 ELSE 1 END;
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+CREATE TRIGGER tasks_set_position
+  BEFORE INSERT OR UPDATE ON tasks
+  FOR EACH ROW EXECUTE FUNCTION set_task_position();
+
+-- 判断任务是否属于当前用户
+-- 使用 SECURITY DEFINER 绕过 RLS，避免在 tasks 的策略中查询 tasks 造成递归
+CREATE FUNCTION owns_task(target_id BIGINT) RETURNS BOOLEAN
+  LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public
+AS $$
+  SELECT EXISTS (SELECT 1 FROM tasks WHERE id = target_id AND user_id = auth.uid())
+$$;
 
 -- 启用 RLS（行级安全）
 ALTER TABLE tasks ENABLE ROW LEVEL SECURITY;
 
--- 创建公开访问策略（开发阶段，生产环境请根据需要调整）
-CREATE POLICY "允许所有操作" ON tasks
+-- 用户只能访问自己的任务，父任务也必须是自己的任务
+CREATE POLICY "用户只能访问自己的任务" ON tasks
   FOR ALL
-  USING (true)
-  WITH CHECK (true);
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid() AND (parent_id IS NULL OR owns_task(parent_id)));
 
+-- =============================================
+-- 标签
+-- =============================================
 
+-- 创建 labels 表
+CREATE TABLE labels (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 50),
+  color TEXT NOT NULL DEFAULT '#8b7355' CHECK (color ~ '^#[0-9a-fA-F]{6}$'),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 创建 task_labels 关联表（任务与标签多对多）
+CREATE TABLE task_labels (
+  task_id BIGINT NOT NULL REFERENCES tasks(id) ON DELETE CASCADE,
+  label_id BIGINT NOT NULL REFERENCES labels(id) ON DELETE CASCADE,
+  PRIMARY KEY (task_id, label_id)
+);
 
+-- 创建索引
+CREATE UNIQUE INDEX idx_labels_user_name ON labels(user_id, lower(name));
+CREATE INDEX idx_task_labels_label_id ON task_labels(label_id);
 
+-- 添加注释
+COMMENT ON TABLE labels IS '任务标签表';
+COMMENT ON COLUMN labels.user_id IS '所属用户（auth.users.id）';
+COMMENT ON COLUMN labels.name IS '标签名称（同一用户内不区分大小写唯一）';
+COMMENT ON COLUMN labels.color IS '标签颜色，#RRGGBB 格式';
+COMMENT ON TABLE task_labels IS '任务与标签的关联表';
 
+-- 启用 RLS（行级安全）
+ALTER TABLE labels ENABLE ROW LEVEL SECURITY;
+ALTER TABLE task_labels ENABLE ROW LEVEL SECURITY;
 
+-- 用户只能访问自己的标签
+CREATE POLICY "用户只能访问自己的标签" ON labels
+  FOR ALL
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
 
+-- 只能在自己的任务上关联自己的标签
+CREATE POLICY "用户只能关联自己的任务和标签" ON task_labels
+  FOR ALL
+  USING (owns_task(task_id))
+  WITH CHECK (
+    owns_task(task_id)
+    AND EXISTS (SELECT 1 FROM labels WHERE labels.id = label_id AND labels.user_id = auth.uid())
+  );
 
+-- =============================================
+-- 任务活动历史（只追加）
+-- =============================================
+
+-- 创建 task_events 表（不引用 tasks，任务删除后历史仍然保留）
+CREATE TABLE task_events (
+  id BIGSERIAL PRIMARY KEY,
+  task_id BIGINT NOT NULL,
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  type TEXT NOT NULL CHECK (
+    type IN ('created', 'updated', 'status_changed', 'reparented', 'deleted', 'restored', 'purged', 'breakdown')
+  ),
+  actor_type TEXT NOT NULL CHECK (actor_type IN ('user', 'ai', 'system')),
+  actor TEXT NOT NULL,
+  changes JSONB NOT NULL DEFAULT '{}',
+  note TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 创建索引
+CREATE INDEX idx_task_events_task_id ON task_events(task_id, id DESC);
+
+-- 添加注释
+COMMENT ON TABLE task_events IS '任务活动历史（只追加，不能修改或删除）';
+COMMENT ON COLUMN task_events.task_id IS '任务ID（任务删除后保留）';
+COMMENT ON COLUMN task_events.type IS '事件类型：created、updated、status_changed、reparented、deleted（移到回收站）、restored、purged（彻底删除）或 breakdown';
+COMMENT ON COLUMN task_events.actor_type IS '操作者类型：user、ai 或 system';
+COMMENT ON COLUMN task_events.actor IS '操作者：用户邮箱、AI 模型名称或系统操作来源';
+COMMENT ON COLUMN task_events.changes IS '字段变更：{ 字段: { before, after } }';
+COMMENT ON COLUMN task_events.note IS '补充说明（可选）';
+
+-- 启用 RLS（行级安全）
+ALTER TABLE task_events ENABLE ROW LEVEL SECURITY;
+
+-- 只允许查询和插入自己的记录；没有 UPDATE / DELETE 策略，记录不能被修改或删除
+CREATE POLICY "用户只能查看自己的任务历史" ON task_events
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "用户只能追加自己的任务历史" ON task_events
+  FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+-- =============================================
+-- 一次写入任务树（AI 多层拆解）
+-- =============================================
 
+-- 在 parent 下写入 nodes（[{ title, description, priority, estimated_minutes, subtasks: [...] }]），按写入顺序返回全部任务
+-- 使用调用者权限，RLS 照常生效；在一个事务中执行，任一节点失败时整体回滚
+CREATE FUNCTION insert_task_tree(parent BIGINT, nodes JSONB) RETURNS SETOF tasks
+  LANGUAGE plpgsql SET search_path = public
+AS $$
+DECLARE
+  node JSONB;
+  created tasks;
+BEGIN
+  FOR node IN SELECT value FROM jsonb_array_elements(nodes) LOOP
+    INSERT INTO tasks (title, description, status, priority, parent_id, start_at, due_at, recurrence, estimated_minutes)
+    VALUES (
+      node->>'title',
+      node->>'description',
+      COALESCE(node->>'status', 'pending'),
+      COALESCE(node->>'priority', 'medium'),
+      parent,
+      (node->>'start_at')::TIMESTAMPTZ,
+      (node->>'due_at')::TIMESTAMPTZ,
+      NULLIF(node->'recurrence', 'null'::JSONB),
+      (node->>'estimated_minutes')::INTEGER
+    )
+    RETURNING * INTO created;
+    RETURN NEXT created;
+
+    IF jsonb_typeof(node->'subtasks') = 'array' THEN
+      RETURN QUERY SELECT * FROM insert_task_tree(created.id, node->'subtasks');
+    END IF;
+  END LOOP;
+END;
+$$;
+
+-- =============================================
+-- 回收站定时清理（可选）
+-- =============================================
+
+-- 彻底删除在回收站中超过保留期的任务（子任务由外键级联删除）
+-- 应用在访问回收站时也会按 TRASH_RETENTION_DAYS 清理当前用户的任务，这里用于不常访问的账号
+CREATE FUNCTION purge_expired_trash(retention INTERVAL DEFAULT INTERVAL '30 days') RETURNS INTEGER
+  LANGUAGE sql SECURITY DEFINER SET search_path = public
+AS $$
+  WITH purged AS (
+    DELETE FROM tasks WHERE deleted_at < NOW() - retention RETURNING id
+  )
+  SELECT COUNT(*)::INTEGER FROM purged
+$$;
+REVOKE EXECUTE ON FUNCTION purge_expired_trash(INTERVAL) FROM PUBLIC, anon, authenticated;
+
+-- 启用 pg_cron 扩展后每天凌晨执行：
+-- SELECT cron.schedule('purge-expired-trash', '0 3 * * *', $$SELECT purge_expired_trash()$$);
+
+-- =============================================
+-- AI 用量记录（只追加）
+-- =============================================
+
+-- 每次 AI 请求一条记录，用于每日额度检查和管理员查看用量
+CREATE TABLE ai_usage (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE,
+  route TEXT NOT NULL CHECK (route IN ('breakdown', 'parse', 'plan', 'report')),
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  calls INTEGER NOT NULL DEFAULT 0 CHECK (calls >= 0),
+  prompt_tokens INTEGER NOT NULL DEFAULT 0 CHECK (prompt_tokens >= 0),
+  completion_tokens INTEGER NOT NULL DEFAULT 0 CHECK (completion_tokens >= 0),
+  latency_ms INTEGER NOT NULL DEFAULT 0 CHECK (latency_ms >= 0),
+  outcome TEXT NOT NULL CHECK (outcome IN ('success', 'cached', 'error', 'cancelled', 'limited')),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- 创建索引
+CREATE INDEX idx_ai_usage_user_created ON ai_usage(user_id, created_at DESC);
+CREATE INDEX idx_ai_usage_created_at ON ai_usage(created_at DESC);
+
+-- 添加注释
+COMMENT ON TABLE ai_usage IS 'AI 用量记录（只追加，不能修改或删除）';
+COMMENT ON COLUMN ai_usage.route IS '使用 AI 的接口：breakdown（AI 拆解）、parse（一句话解析任务）、plan（今天的计划）或 report（进展报告）';
+COMMENT ON COLUMN ai_usage.calls IS '本次请求调用模型的次数，缓存命中和被拒绝的请求为 0';
+COMMENT ON COLUMN ai_usage.latency_ms IS '请求耗时（毫秒）';
+COMMENT ON COLUMN ai_usage.outcome IS '结果：success、cached（使用缓存）、error、cancelled（客户端取消）或 limited（超出限额被拒绝）';
+
+-- 启用 RLS（行级安全）
+ALTER TABLE ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- 只允许查询和插入自己的记录；管理员通过 service role（SUPABASE_SERVICE_ROLE_KEY）查看所有用户的记录
+CREATE POLICY "用户只能查看自己的 AI 用量" ON ai_usage
+  FOR SELECT
+  USING (user_id = auth.uid());
+
+CREATE POLICY "用户只能追加自己的 AI 用量" ON ai_usage
+  FOR INSERT
+  WITH CHECK (user_id = auth.uid());
+
+-- =============================================
+-- 升级已有数据库（从旧版本表结构迁移时执行）
+-- =============================================
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS priority_rank SMALLINT GENERATED ALWAYS AS (
+  CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END
+) STORED;
+CREATE INDEX IF NOT EXISTS idx_tasks_priority_rank ON tasks(priority_rank, id);
+
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS start_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS due_at TIMESTAMPTZ;
+ALTER TABLE tasks ADD CONSTRAINT tasks_start_before_due
+  CHECK (start_at IS NULL OR due_at IS NULL OR start_at <= due_at);
+CREATE INDEX IF NOT EXISTS idx_tasks_due_at ON tasks(due_at);
+
+-- labels / task_labels 为新增表，直接执行上方「标签」部分的语句即可
+
+-- 任务与标签归属用户：旧数据没有所属用户，执行后需手动设置 user_id，否则任何用户都看不到
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+ALTER TABLE labels ADD COLUMN IF NOT EXISTS user_id UUID DEFAULT auth.uid() REFERENCES auth.users(id) ON DELETE CASCADE;
+-- UPDATE tasks SET user_id = '<用户 ID>' WHERE user_id IS NULL;
+-- UPDATE labels SET user_id = '<用户 ID>' WHERE user_id IS NULL;
+-- ALTER TABLE tasks ALTER COLUMN user_id SET NOT NULL;
+-- ALTER TABLE labels ALTER COLUMN user_id SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_user_id ON tasks(user_id);
+DROP INDEX IF EXISTS idx_labels_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_labels_user_name ON labels(user_id, lower(name));
+
+-- 替换原有的公开访问策略（owns_task 函数见上方 tasks 部分，需先创建）
+DROP POLICY IF EXISTS "允许所有操作" ON tasks;
+DROP POLICY IF EXISTS "允许所有操作" ON labels;
+DROP POLICY IF EXISTS "允许所有操作" ON task_labels;
+-- 然后执行上方 tasks、labels、task_labels 的 CREATE POLICY 语句
+
+-- 重复任务
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS recurrence JSONB;
+
+-- 任务活动历史：task_events 为新增表，直接执行上方「任务活动历史」部分的语句即可
+
+-- 回收站
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_tasks_deleted_at ON tasks(deleted_at) WHERE deleted_at IS NOT NULL;
+ALTER TABLE task_events DROP CONSTRAINT IF EXISTS task_events_type_check;
+ALTER TABLE task_events ADD CONSTRAINT task_events_type_check CHECK (
+  type IN ('created', 'updated', 'status_changed', 'reparented', 'deleted', 'restored', 'purged', 'breakdown')
+);
+-- purge_expired_trash 函数见上方「回收站定时清理」部分
 
+-- 预计用时
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS estimated_minutes INTEGER
+  CHECK (estimated_minutes BETWEEN 1 AND 10080);
 
+-- AI 多层拆解：insert_task_tree 为新增函数，直接执行上方「一次写入任务树」部分的语句即可
 
+-- AI 用量记录：ai_usage 为新增表，直接执行上方「AI 用量记录」部分的语句即可
 
+-- 今天的计划
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_route_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_route_check CHECK (route IN ('breakdown', 'parse', 'plan'));
 
+-- 进展报告：set_task_completed_at 函数和触发器见上方 tasks 部分
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+CREATE INDEX IF NOT EXISTS idx_tasks_completed_at ON tasks(user_id, completed_at) WHERE completed_at IS NOT NULL;
+-- 已完成的任务取最近一次标记完成的时间（没有记录时取创建时间）
+UPDATE tasks SET completed_at = COALESCE(
+  (SELECT MAX(e.created_at) FROM task_events e
+    WHERE e.task_id = tasks.id AND e.type = 'status_changed' AND e.changes->'status'->>'after' = 'completed'),
+  created_at
+) WHERE status = 'completed' AND completed_at IS NULL;
+ALTER TABLE ai_usage DROP CONSTRAINT IF EXISTS ai_usage_route_check;
+ALTER TABLE ai_usage ADD CONSTRAINT ai_usage_route_check CHECK (route IN ('breakdown', 'parse', 'plan', 'report'));
 
+-- 手动排序：set_task_position 函数和触发器见上方 tasks 部分（先添加列并填充，再创建触发器）
+ALTER TABLE tasks ADD COLUMN IF NOT EXISTS position DOUBLE PRECISION;
+UPDATE tasks SET position = EXTRACT(EPOCH FROM created_at) * 1000 * CASE WHEN parent_id IS NULL THEN -1 ELSE 1 END
+  WHERE position IS NULL;
+ALTER TABLE tasks ALTER COLUMN position SET NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_tasks_position ON tasks(parent_id, position, id);
@@ -0,0 +1,72 @@
+/**
+ * 使用 AI 的接口：breakdown 为 AI 拆解，parse 为一句话解析任务，plan 为安排今天的计划，report 为润色进展报告
+ */
+export type AIRoute = 'breakdown' | 'parse' | 'plan' | 'report'
+
+/**
+ * 一次 AI 请求的结果
+ *   - success：调用成功
+ *   - cached：使用了缓存的结果，没有调用模型
+ *   - error：调用失败或输出无效
+ *   - cancelled：客户端取消
+ *   - limited：超出频率限制或每日额度而被拒绝，没有调用模型
+ */
+export type AIUsageOutcome = 'success' | 'cached' | 'error' | 'cancelled' | 'limited'
+
+/**
+ * AIUsageRecord 接口 - AI 用量记录（每次请求一条，只追加）
+ */
+export interface AIUsageRecord {
+  id: number
+  user_id: string
+  route: AIRoute
+  provider: string
+  model: string
+  // 本次请求调用模型的次数（修正输出、多层拆解时会多次调用）
+  calls: number
+  prompt_tokens: number
+  completion_tokens: number
+  // 请求耗时（毫秒）
+  latency_ms: number
+  outcome: AIUsageOutcome
+  error: string | null
+  created_at: string
+}
+
+/**
+ * AIUsageTotals 接口 - 用量合计
+ */
+export interface AIUsageTotals {
+  // 实际调用了模型的请求数（不含缓存命中和被拒绝的请求）
+  requests: number
+  tokens: number
+}
+
+/**
+ * AIUsageReport 接口 - 管理员查看的用量报告（GET /api/ai/usage）
+ */
+export interface AIUsageReport {
+  since: string
+  totals: AIUsageTotals & {
+    prompt_tokens: number
+    completion_tokens: number
+    by_outcome: Record<AIUsageOutcome, number>
+    // 调用了模型的请求的平均耗时（毫秒），没有请求时为 null
+    avg_latency_ms: number | null
+  }
+  // 按用户合计，token 用量多的在前
+  by_user: Array<AIUsageTotals & { user_id: string }>
+  // 最近的用量记录（按时间倒序）
+  records: AIUsageRecord[]
+  // 当前的限额配置（0 表示不限制）
+  limits: AILimits
+}
+
+/**
+ * AILimits 接口 - 每个用户的 AI 使用限额
+ */
+export interface AILimits {
+  requests_per_minute: number
+  daily_requests: number
+  daily_tokens: number
+}
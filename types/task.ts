@@ -8,18 +8,88 @@ export type TaskStatus = 'pending' | 'completed'
  */
 export type TaskPriority = 'low' | 'medium' | 'high'
 
+/**
+ * 重复频率
+ */
+export type RecurrenceFrequency = 'daily' | 'weekly' | 'monthly'
+
+/**
+ * TaskRecurrence 接口 - 重复规则（对应 iCalendar RRULE 的 FREQ、INTERVAL、BYDAY、BYMONTHDAY、UNTIL）
+ */
+export interface TaskRecurrence {
+  freq: RecurrenceFrequency
+  // 每隔几个周期重复一次，默认 1
+  interval: number
+  // 仅 weekly 使用：在每周的哪几天重复（0=周日 … 6=周六），为空时按当前日期的星期重复
+  by_weekday: number[]
+  // 仅 monthly 使用：每月的第几天（1-31），该月没有这一天时取最后一天；为 null 时取第一次的日期（完成后记录在转移的规则中）
+  by_monthday: number | null
+  // 重复截止时间，下一次晚于该时间时整个系列结束
+  until: string | null
+}
+
+/**
+ * 标签筛选方式：any（包含任一标签）或 all（包含全部标签）
+ */
+export type LabelMatchMode = 'any' | 'all'
+
+/**
+ * Label 接口 - 标签实体
+ */
+export interface Label {
+  id: number
+  user_id: string
+  name: string
+  color: string
+  created_at: string
+}
+
+/**
+ * CreateLabelRequest 接口 - 创建标签请求
+ */
+export interface CreateLabelRequest {
+  name: string
+  color?: string
+}
+
+/**
+ * UpdateLabelRequest 接口 - 更新标签请求
+ */
+export interface UpdateLabelRequest {
+  name?: string
+  color?: string
+}
+
 /**
  * Task 接口 - 数据库任务实体
  */
 export interface Task {
   id: number
+  user_id: string
   title: string
   description: string | null
   status: TaskStatus
   priority: TaskPriority
   parent_id: number | null
+  start_at: string | null
+  due_at: string | null
+  // 重复规则；完成后由新生成的下一次任务接管，已完成的这一次不再带有规则
+  recurrence: TaskRecurrence | null
+  // 预计用时（分钟），未估计时为 null
+  estimated_minutes: number | null
+  // 在同级任务中的排列位置（升序；由存储层分配，通过 POST /api/tasks/[id]/move 调整）
+  position: number
   created_at: string
+  // 最近一次标记为完成的时间，未完成时为 null（由存储层随 status 自动维护）
+  completed_at: string | null
+  // 移到回收站的时间，未删除时为 null（回收站中的任务不会出现在列表、搜索等接口中）
+  deleted_at: string | null
+  labels?: Label[]
   subtasks?: Task[]
+  // 仅在 GET /api/tasks?with_ancestors=true 时返回：从顶级任务开始的祖先任务（用于显示层级上下文）
+  ancestors?: Task[]
+  // 仅在 PATCH 将重复任务标记为完成时返回：自动生成的下一次任务（附带复制的子任务）
+  next_occurrence?: Task
 }
 
 /**
@@ -31,6 +101,11 @@ export interface CreateTaskRequest {
   status?: TaskStatus
   priority?: TaskPriority
   parent_id?: number | null
+  start_at?: string | null
+  due_at?: string | null
+  labels?: number[]
+  recurrence?: TaskRecurrence | null
+  estimated_minutes?: number | null
 }
 
 /**
@@ -42,6 +117,80 @@ export interface UpdateTaskRequest {
   status?: TaskStatus
   priority?: TaskPriority
   parent_id?: number | null
+  start_at?: string | null
+  due_at?: string | null
+  labels?: number[]
+  // 设为 null 停止重复
+  recurrence?: TaskRecurrence | null
+  estimated_minutes?: number | null
+}
+
+/**
+ * MoveTaskRequest 接口 - 移动任务（调整顺序或父任务）
+ */
+export interface MoveTaskRequest {
+  // 目标父任务，null 表示移到顶级
+  parent_id: number | null
+  // 在目标父任务的子任务（不含被移动的任务）中的位置，0 表示最前
+  index: number
+}
+
+/**
+ * MoveTaskResult 接口 - 移动结果
+ */
+export interface MoveTaskResult {
+  task: Task
+  // 同级任务之间没有空隙时重新编号，这里是位置有变化的其他任务
+  repositioned: Array<Pick<Task, 'id' | 'position'>>
+}
+
+/**
+ * 批量操作类型
+ */
+export type BulkAction = 'complete' | 'reopen' | 'set_priority' | 'move' | 'delete'
+
+/**
+ * BulkTaskRequest 接口 - 批量操作请求
+ */
+export interface BulkTaskRequest {
+  ids: number[]
+  action: BulkAction
+  priority?: TaskPriority
+  parent_id?: number | null
+}
+
+/**
+ * 批量操作中单个任务的结果
+ */
+export interface BulkItemResult {
+  id: number
+  success: boolean
+  error: string | null
+}
+
+/**
+ * BulkTaskResult 接口 - 批量操作结果
+ */
+export interface BulkTaskResult {
+  action: BulkAction
+  succeeded: number
+  failed: number
+  results: BulkItemResult[]
+  // 更新后的任务（delete 操作为空数组；complete 操作还包括一并完成的后代任务）
+  tasks: Task[]
+  // complete 操作中重复任务自动生成的下一次任务
+  next_occurrences: Task[]
+}
+
+/**
+ * TrashEntry 接口 - 回收站条目（一次删除操作移入的任务，后代任务随之一起恢复或彻底删除）
+ */
+export interface TrashEntry {
+  task: Task
+  // 一起移入回收站的后代任务数量
+  descendant_count: number
+  // 超过保留期后自动彻底删除的时间
+  purge_at: string
 }
 
 /**
@@ -55,12 +204,25 @@ export interface ApiResponse<T> {
 
 /**
  * 分页参数
+ * - page/limit：按页码分页
+ * - cursor：基于游标分页（优先于 page），取自上一页返回的 next_cursor
  */
 export interface PaginationParams {
   page?: number
   limit?: number
+  cursor?: string
 }
 
+/**
+ * 任务列表可排序字段
+ */
+export type TaskSortField = 'created_at' | 'priority' | 'status' | 'position' | 'title'
+
+/**
+ * 排序方向
+ */
+export type SortOrder = 'asc' | 'desc'
+
 /**
  * 任务查询参数
  */
@@ -68,13 +230,116 @@ export interface TaskQueryParams extends PaginationParams {
   status?: TaskStatus
   priority?: TaskPriority
   parent_id?: string | null
+  due_before?: string
+  due_after?: string
+  overdue?: boolean
+  labels?: number[]
+  labels_mode?: LabelMatchMode
+  sort?: TaskSortField
+  order?: SortOrder
+  with_subtasks?: boolean
+  with_ancestors?: boolean
 }
 
+/**
+ * 分页信息
+ */
+export interface PaginationMeta {
+  total: number
+  page: number | null
+  limit: number | null
+  has_more: boolean
+  next_cursor: string | null
+}
 
+/**
+ * PaginatedResponse<T> 分页列表响应类型
+ */
+export interface PaginatedResponse<T> extends ApiResponse<T[]> {
+  pagination: PaginationMeta | null
+}
 
+/**
+ * 高亮片段：highlight 为 true 的部分是命中的关键词
+ */
+export interface HighlightSegment {
+  text: string
+  highlight: boolean
+}
 
+/**
+ * TaskSearchResult 接口 - 搜索结果
+ */
+export interface TaskSearchResult {
+  task: Task
+  score: number
+  highlights: {
+    title: HighlightSegment[]
+    description: HighlightSegment[] | null
+  }
+  // 祖先任务路径（从顶级任务到直接父任务）
+  ancestors: Task[]
+}
 
+/**
+ * 任务事件类型
+ * - created / deleted：创建、移到回收站（删除父任务时每个一起移入的子任务各记录一条）
+ * - restored / purged：从回收站恢复、彻底删除
+ * - updated：标题、描述、优先级、时间、标签、重复规则等字段的修改
+ * - status_changed：完成或重新打开
+ * - reparented：移动到其他父任务下
+ * - breakdown：AI 拆解出子任务（记录在被拆解的任务上）
+ */
+export type TaskEventType =
+  | 'created'
+  | 'updated'
+  | 'status_changed'
+  | 'reparented'
+  | 'deleted'
+  | 'restored'
+  | 'purged'
+  | 'breakdown'
 
+/**
+ * 操作者类型：user（用户）、ai（AI 生成）、system（系统自动操作，如生成下一次重复任务、清理过期的回收站）
+ */
+export type TaskActorType = 'user' | 'ai' | 'system'
+
+/**
+ * 字段变更前后的值（创建时 before 为 null，删除时 after 为 null）
+ */
+export interface TaskFieldChange {
+  before: unknown
+  after: unknown
+}
+
+/**
+ * TaskEvent 接口 - 任务活动记录（只追加，不修改也不删除；任务删除后记录仍然保留）
+ */
+export interface TaskEvent {
+  id: number
+  task_id: number
+  user_id: string
+  type: TaskEventType
+  actor_type: TaskActorType
+  // 操作者：用户为邮箱，AI 为模型名称，系统为操作来源
+  actor: string
+  changes: Record<string, TaskFieldChange>
+  // 补充说明，如「由 AI 从「…」拆解生成」
+  note: string | null
+  created_at: string
+}
+
+/**
+ * TaskHistory 接口 - 任务历史（按时间倒序）
+ */
+export interface TaskHistory {
+  // 任务已删除时为 null
+  task: Task | null
+  events: TaskEvent[]
+  // 下一页的 before 参数，没有更多记录时为 null
+  next_before: number | null
+}
 
 
 
@@ -84,3 +349,201 @@ export interface TaskQueryParams extends PaginationParams {
 
 
 
+
+
+
+
+
+
+
+/**
+ * BreakdownSuggestion 接口 - AI 建议的一个子任务
+ */
+export interface BreakdownSuggestion {
+  title: string
+  description: string | null
+  priority: TaskPriority
+  // 预计用时（分钟）
+  estimated_minutes: number | null
+  // 多层拆解（depth > 1）时继续拆出的子任务
+  subtasks?: BreakdownSuggestion[]
+  // refine 模式下被细化的现有子任务 ID（为空表示新增的步骤）
+  task_id?: number | null
+}
+
+/**
+ * 再次拆解已有子任务的任务时的处理方式
+ *   - append：只补充缺少的步骤（默认）
+ *   - replace：未完成的子任务移到回收站，重新生成剩余步骤（已完成的子任务保留）
+ *   - refine：改进未完成的子任务（标题、描述、优先级、预计用时），必要时补充步骤
+ */
+export type BreakdownMode = 'append' | 'replace' | 'refine'
+
+/**
+ * 拆解结果的语言：zh 中文，en 英文
+ */
+export type BreakdownLanguage = 'zh' | 'en'
+
+/**
+ * 拆解步骤的粒度：coarse 阶段性里程碑，detailed 可立即执行的具体动作
+ */
+export type BreakdownGranularity = 'coarse' | 'detailed'
+
+/**
+ * BreakdownPreview 接口 - AI 拆解预览（dryRun，未写入数据库）
+ */
+export interface BreakdownPreview {
+  // 被拆解的任务 ID，按 taskTitle 拆解时为 null
+  parent_id: number | null
+  parent_title: string
+  // 建议的子任务（按执行顺序）
+  subtasks: BreakdownSuggestion[]
+  // 生成建议的模型
+  model: string
+  mode: BreakdownMode
+  // replace 模式下保存时将移到回收站的子任务
+  removed: Array<Pick<Task, 'id' | 'title'>>
+  // 与现有子任务重复而跳过的步骤标题
+  skipped: string[]
+  // 结果来自缓存（相同的任务上下文和选项之前拆解过），请求时传 cache: false 可重新生成
+  cached: boolean
+}
+
+/**
+ * 确认保存的一个子任务：可以只传标题（字符串），也可以带上描述、优先级、预计用时和下一层子任务
+ */
+export type CommitBreakdownSubtask = string | (Pick<BreakdownSuggestion, 'title'> & Partial<Omit<BreakdownSuggestion, 'subtasks'>> & {
+  subtasks?: CommitBreakdownSubtask[]
+})
+
+/**
+ * CommitBreakdownRequest 接口 - 保存确认后的拆解结果
+ */
+export interface CommitBreakdownRequest {
+  taskId?: number
+  taskTitle?: string
+  // 默认 append；replace 和 refine 需要提供 taskId，第一层子任务带 task_id 时细化该子任务（仅 refine）
+  mode?: BreakdownMode
+  subtasks: CommitBreakdownSubtask[]
+}
+
+/**
+ * ParseTaskRequest 接口 - 将一句话解析为任务
+ */
+export interface ParseTaskRequest {
+  text: string
+  // 为 false 时只使用规则解析（默认优先使用 AI）
+  ai?: boolean
+  // 客户端时区与 UTC 的差值（分钟，同 Date.getTimezoneOffset()），用于计算「今天」「周五」等日期
+  timezoneOffset?: number
+}
+
+/**
+ * ParsedTask 接口 - 解析结果，task 可直接提交到 POST /api/tasks
+ */
+export interface ParsedTask {
+  task: Required<Pick<CreateTaskRequest, 'title' | 'description' | 'priority' | 'parent_id' | 'due_at'>>
+  // 建议的父任务（从现有的未完成任务中匹配），与 task.parent_id 对应
+  parent: Pick<Task, 'id' | 'title'> | null
+  // 输入中要求拆分步骤时为 true，创建后应使用 AI 拆解
+  breakdown: boolean
+  // 解析方式：ai 或 rules（规则解析）
+  source: 'ai' | 'rules'
+  model: string | null
+  // 未能使用 AI 而改用规则解析的原因
+  warning: string | null
+}
+
+/**
+ * PlanRequest 接口 - 安排今天的计划
+ */
+export interface PlanRequest {
+  // 今天可用的时间（分钟，默认 240）
+  minutes?: number
+  // 为 false 时只使用规则排序（默认优先使用 AI）
+  ai?: boolean
+  // 客户端时区与 UTC 的差值（分钟，同 Date.getTimezoneOffset()），用于判断是否逾期、今天到期
+  timezoneOffset?: number
+}
+
+/**
+ * PlanItem 接口 - 计划中的一个任务
+ */
+export interface PlanItem {
+  task: Task
+  // 为该任务安排的时间（分钟）
+  minutes: number
+  // 选择该任务的理由
+  rationale: string
+  // 建议调整的优先级（与当前相同时为 null），接受计划时通过 PATCH /api/tasks/[id] 修改
+  suggested_priority: TaskPriority | null
+  // 直接子任务的完成进度
+  subtasks: { completed: number; total: number }
+}
+
+/**
+ * DailyPlan 接口 - 今天的计划（items 按建议的执行顺序）
+ */
+export interface DailyPlan {
+  budget_minutes: number
+  total_minutes: number
+  items: PlanItem[]
+  summary: string | null
+  // 计划方式：ai 或 rules（规则排序）
+  source: 'ai' | 'rules'
+  model: string | null
+  // 未能使用 AI 而改用规则排序的原因
+  warning: string | null
+}
+
+/**
+ * ReportQueryParams 接口 - 进展报告查询参数（GET /api/reports）
+ */
+export interface ReportQueryParams {
+  // 日期范围（客户端本地日期 YYYY-MM-DD，包含两端），默认最近 7 天
+  from?: string
+  to?: string
+  // 为 false 时只使用模板生成（默认优先使用 AI 润色）
+  ai?: boolean
+  // 客户端时区与 UTC 的差值（分钟，同 Date.getTimezoneOffset()），用于划分日期
+  timezoneOffset?: number
+  // markdown 时直接返回 Markdown 文件（作为附件下载），默认 json
+  format?: 'json' | 'markdown'
+}
+
+/**
+ * ReportEntry 接口 - 报告中的一个已完成任务
+ */
+export interface ReportEntry {
+  task: Task
+  // 顶级任务与该任务之间的祖先任务标题（从上到下），直接属于顶级任务时为空数组
+  path: string[]
+}
+
+/**
+ * ReportGroup 接口 - 按顶级任务分组的已完成任务
+ */
+export interface ReportGroup {
+  // 所属的顶级任务（已完成的顶级任务本身也在 entries 中）
+  root: Task
+  // 范围内完成的任务，按完成时间正序
+  entries: ReportEntry[]
+}
+
+/**
+ * TaskReport 接口 - 一段时间内的进展报告
+ */
+export interface TaskReport {
+  from: string
+  to: string
+  // 范围内完成的任务总数（可能多于 groups 中列出的任务）
+  completed_count: number
+  // 完成任务多的分组在前
+  groups: ReportGroup[]
+  markdown: string
+  // 生成方式：ai（AI 润色）或 template（模板）
+  source: 'ai' | 'template'
+  model: string | null
+  // 未能使用 AI 而改用模板的原因
+  warning: string | null
+}
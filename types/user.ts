@@ -0,0 +1,24 @@
+/**
+ * User 接口 - 当前登录用户
+ */
+export interface User {
+  id: string
+  email: string
+}
+
+/**
+ * AuthRequest 接口 - 注册 / 登录请求
+ */
+export interface AuthRequest {
+  email: string
+  password: string
+}
+
+/**
+ * AuthResult 接口 - 注册 / 登录结果
+ * 注册后需要邮箱确认时 user 有值但不会建立会话（confirmation_required 为 true）
+ */
+export interface AuthResult {
+  user: User
+  confirmation_required: boolean
+}
@@ -0,0 +1,71 @@
+// AI 拆解的纯函数：读取流式响应、确认对话框中的步骤树
+
+// 读取 SSE 响应，每收到一个事件调用 onEvent(event, data)
+export const readEventStream = async (res, onEvent) => {
+  const reader = res.body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    buffer += decoder.decode(value, { stream: true })
+    const messages = buffer.split('\n\n')
+    buffer = messages.pop()
+    messages.forEach(message => {
+      let event = 'message'
+      let data = ''
+      message.split('\n').forEach(line => {
+        if (line.startsWith('event:')) event = line.slice(6).trim()
+        else if (line.startsWith('data:')) data += line.slice(5).trim()
+      })
+      if (data) onEvent(event, JSON.parse(data))
+    })
+  }
+}
+
+// 按子任务在树中的位置（如 [0, 2]）排序，父任务在前
+export const comparePaths = (a, b) => {
+  for (let i = 0; i < Math.min(a.path.length, b.path.length); i++) {
+    if (a.path[i] !== b.path[i]) return a.path[i] - b.path[i]
+  }
+  return a.path.length - b.path.length
+}
+
+// 为拆解建议的子任务树加上对话框中使用的 key（nextKey 生成不重复的 key）
+export const toReviewItems = (subtasks = [], nextKey) => subtasks.map(({ subtasks: children, ...subtask }) => ({
+  key: nextKey(),
+  ...subtask,
+  subtasks: toReviewItems(children, nextKey)
+}))
+
+// 修改步骤树中 key 所在的同级列表
+export const updateReviewSiblings = (items, key, update) => items.some(item => item.key === key)
+  ? update(items)
+  : items.map(item => ({ ...item, subtasks: updateReviewSiblings(item.subtasks, key, update) }))
+
+// 在同级步骤中上移（offset = -1）或下移（offset = 1）
+export const moveReviewSibling = (items, key, offset) => {
+  const index = items.findIndex(item => item.key === key)
+  const target = index + offset
+  if (target < 0 || target >= items.length) return items
+  const next = [...items]
+  const [item] = next.splice(index, 1)
+  next.splice(target, 0, item)
+  return next
+}
+
+// 转换为提交的子任务树（标题为空的步骤连同下层步骤一起跳过，细化的步骤带上 task_id）
+export const toCommitSubtasks = (items) => items
+  .filter(item => item.title.trim())
+  .map(({ title, description, priority, estimated_minutes, subtasks, task_id }) => ({
+    title: title.trim(),
+    description,
+    priority,
+    estimated_minutes,
+    ...(task_id ? { task_id } : { subtasks: toCommitSubtasks(subtasks) })
+  }))
+
+// 将要保存的步骤数（含下层步骤，标题为空的步骤不计）
+export const countAccepted = (items) => items
+  .filter(item => item.title.trim())
+  .reduce((sum, item) => sum + 1 + countAccepted(item.subtasks), 0)
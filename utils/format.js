@@ -0,0 +1,50 @@
+// 日期、重复规则、用时和字段值的显示格式
+
+// 星期名称（下标与 Date.getDay() 一致，0 为周日）
+export const WEEKDAY_NAMES = ['日', '一', '二', '三', '四', '五', '六']
+// 重复规则编辑器中星期的显示顺序（周一在前）
+export const WEEKDAY_ORDER = [1, 2, 3, 4, 5, 6, 0]
+const FREQ_UNITS = { daily: '天', weekly: '周', monthly: '月' }
+
+// 状态和优先级的显示名称
+export const VALUE_NAMES = { pending: '未完成', completed: '已完成', low: '低', medium: '中', high: '高' }
+
+// 日期转为 <input type="date"> 使用的本地日期字符串（YYYY-MM-DD）
+export const toDateInputValue = (iso) => {
+  if (!iso) return ''
+  const date = new Date(iso)
+  const pad = (n) => String(n).padStart(2, '0')
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+}
+
+// 判断任务的截止状态：overdue（已逾期）、today（今天到期）或 null
+export const getDueState = (task) => {
+  if (!task.due_at || task.status === 'completed') return null
+  const due = new Date(task.due_at)
+  if (due.getTime() < Date.now()) return 'overdue'
+  if (toDateInputValue(task.due_at) === toDateInputValue(new Date().toISOString())) return 'today'
+  return null
+}
+
+// 重复规则的文字描述，例如「每 2 周（一、三），至 2024-12-31」「每月（31 日）」
+export const describeRecurrence = (rule) => {
+  const unit = FREQ_UNITS[rule.freq]
+  let text = rule.interval > 1 ? `每 ${rule.interval} ${unit}` : `每${unit}`
+  if (rule.freq === 'weekly' && rule.by_weekday.length > 0) {
+    text += `（${rule.by_weekday.map(day => WEEKDAY_NAMES[day]).join('、')}）`
+  }
+  if (rule.freq === 'monthly' && rule.by_monthday) {
+    text += `（${rule.by_monthday} 日）`
+  }
+  if (rule.until) {
+    text += `，至 ${toDateInputValue(rule.until)}`
+  }
+  return text
+}
+
+// 预计用时的文字描述，如「45 分钟」「1 小时 30 分钟」
+export const formatMinutes = (minutes) => {
+  if (minutes < 60) return `${minutes} 分钟`
+  const hours = Math.floor(minutes / 60)
+  return minutes % 60 ? `${hours} 小时 ${minutes % 60} 分钟` : `${hours} 小时`
+}
@@ -0,0 +1,79 @@
+// 任务列表的纯函数：任务树展开、排列位置、子树判断和字段校验
+
+// 插入到最后时与前一个任务的位置间隔（与服务端 lib/position 的 POSITION_GAP 一致）
+export const POSITION_GAP = 1024
+// 标题和描述的长度上限（与 PATCH /api/tasks/[id] 的校验一致）
+const TITLE_MAX_LENGTH = 200
+const DESCRIPTION_MAX_LENGTH = 1000
+
+// 将带 subtasks 的任务树展开为扁平列表（父任务在前）
+export const flattenTasks = (taskList) => {
+  const result = []
+  const walk = (list) => {
+    list.forEach(({ subtasks, ...task }) => {
+      result.push(task)
+      if (subtasks && subtasks.length > 0) {
+        walk(subtasks)
+      }
+    })
+  }
+  walk(taskList)
+  return result
+}
+
+// 按同级任务中的排列位置比较（与服务端 lib/position 的 byPosition 一致）
+export const byPosition = (a, b) => a.position - b.position || a.id - b.id
+
+// 同级任务（按排列位置），可排除正在移动的任务
+export const getSiblings = (taskList, parentId, excludeId = null) => taskList
+  .filter(t => t.parent_id === parentId && t.id !== excludeId)
+  .sort(byPosition)
+
+// task 是否为 ancestorId 本身或其后代（不能把任务移到自己的子树中）
+export const isInSubtree = (taskList, task, ancestorId) => {
+  const byId = new Map(taskList.map(t => [t.id, t]))
+  for (let current = task; current; current = byId.get(current.parent_id)) {
+    if (current.id === ancestorId) return true
+  }
+  return false
+}
+
+// 收集给定任务及其全部后代任务的 ID
+export const collectSubtreeIds = (taskList, rootIds) => {
+  const result = new Set(rootIds)
+  let changed = true
+  while (changed) {
+    changed = false
+    taskList.forEach(t => {
+      if (t.parent_id && result.has(t.parent_id) && !result.has(t.id)) {
+        result.add(t.id)
+        changed = true
+      }
+    })
+  }
+  return result
+}
+
+// 同步前显示的位置：放在 siblings 的第 index 个位置（前后两个任务位置的中间值），同步后以服务端的位置为准
+export const positionAt = (siblings, index) => {
+  const before = siblings[index - 1]
+  const after = siblings[index]
+  if (before && after) return before.position + (after.position - before.position) / 2
+  if (before) return before.position + POSITION_GAP
+  return after ? after.position - POSITION_GAP : 0
+}
+
+// 发送给服务端的 index：只计算已同步的同级任务（本地 ID 的任务可能尚未创建或创建失败，服务端按自己的列表计算）
+export const syncedIndex = (siblings, index) => siblings.slice(0, index).filter(t => t.id > 0).length
+
+// 修改标题、描述前的校验，返回错误信息（没有问题时返回 null）
+export const validateTaskFields = (changes) => {
+  if (changes.title !== undefined) {
+    if (!changes.title.trim()) return '标题不能为空'
+    if (changes.title.length > TITLE_MAX_LENGTH) return `标题长度不能超过 ${TITLE_MAX_LENGTH} 字符`
+  }
+  if (changes.description !== undefined && changes.description.length > DESCRIPTION_MAX_LENGTH) {
+    return `描述长度不能超过 ${DESCRIPTION_MAX_LENGTH} 字符`
+  }
+  return null
+}
@@ -0,0 +1,155 @@
+import { byPosition } from './tasks'
+
+// 列表视图（筛选、排序、分组）的可选值，默认值不写入地址栏
+// sort 的值为各排序方式的默认方向：优先级和创建时间默认从高到低、从新到旧
+export const VIEW_SORTS = { position: 'asc', priority: 'desc', created_at: 'desc', title: 'asc' }
+export const VIEW_SORT_NAMES = { position: '手动排列', priority: '优先级', created_at: '创建时间', title: '标题' }
+const VIEW_GROUPS = { priority: ['high', 'medium', 'low'], status: ['pending', 'completed'] }
+export const DEFAULT_VIEW = { status: '', priority: '', sort: 'position', order: 'asc', group: '' }
+// 每页加载的顶级任务数量
+const PAGE_SIZE = 20
+
+// 从地址栏查询参数读取列表视图，无效的值使用默认值
+export const parseView = (query) => {
+  const single = (value) => (Array.isArray(value) ? value[0] : value) || ''
+  const status = single(query.status)
+  const priority = single(query.priority)
+  const sort = single(query.sort)
+  const order = single(query.order)
+  const group = single(query.group)
+  const view = { ...DEFAULT_VIEW }
+  if (VIEW_GROUPS.status.includes(status)) view.status = status
+  if (VIEW_GROUPS.priority.includes(priority)) view.priority = priority
+  if (VIEW_SORTS[sort]) {
+    view.sort = sort
+    view.order = order === 'asc' || order === 'desc' ? order : VIEW_SORTS[sort]
+  }
+  if (VIEW_GROUPS[group]) view.group = group
+  return view
+}
+
+// 列表视图 -> 地址栏查询参数（省略默认值，排序方向与该排序方式的默认方向相同时也省略）
+export const viewToQuery = (view) => {
+  const query = {}
+  if (view.status) query.status = view.status
+  if (view.priority) query.priority = view.priority
+  if (view.sort !== DEFAULT_VIEW.sort) query.sort = view.sort
+  if (view.order !== VIEW_SORTS[view.sort]) query.order = view.order
+  if (view.group) query.group = view.group
+  return query
+}
+
+// GET /api/tasks 的查询参数：不筛选时按顶级任务分页并附带完整子任务树，
+// 按状态、优先级或标签筛选时直接分页返回所有命中的任务（包括子任务），并附带祖先任务作为上下文
+export const listQueryParams = (view, labelFilter, cursor) => {
+  const params = new URLSearchParams({ limit: String(PAGE_SIZE), sort: view.sort, order: view.order })
+  if (isFilteredView(view, labelFilter)) {
+    if (view.status) params.set('status', view.status)
+    if (view.priority) params.set('priority', view.priority)
+    if (labelFilter.ids.length > 0) {
+      params.set('labels', labelFilter.ids.join(','))
+      params.set('labels_mode', labelFilter.mode)
+    }
+    params.set('with_ancestors', 'true')
+  } else {
+    params.set('parent_id', 'null')
+    params.set('with_subtasks', 'true')
+  }
+  if (cursor) {
+    params.set('cursor', cursor)
+  }
+  return params
+}
+
+// 是否按状态、优先级或标签筛选
+export const isFilteredView = (view, labelFilter) => Boolean(view.status || view.priority || labelFilter.ids.length > 0)
+
+// 按列表视图的排序方式比较同级任务（与 GET /api/tasks 的排序一致：排序值相同时按 ID）
+const PRIORITY_RANK = { low: 1, medium: 2, high: 3 }
+const compareByView = (view) => (a, b) => {
+  if (view.sort === 'position') return byPosition(a, b)
+  const value = (task) => (view.sort === 'priority' ? PRIORITY_RANK[task.priority] : task[view.sort])
+  const [va, vb] = [value(a), value(b)]
+  const result = va < vb ? -1 : va > vb ? 1 : a.id - b.id
+  return view.order === 'desc' ? -result : result
+}
+
+// 任务是否符合当前的状态、优先级和标签筛选（任务状态修改后立即按新的值显示或隐藏）
+const matchesFilter = (task, view, labelFilter) => {
+  if (view.status && task.status !== view.status) return false
+  if (view.priority && task.priority !== view.priority) return false
+  if (labelFilter.ids.length > 0) {
+    const taskLabelIds = (task.labels || []).map(label => label.id)
+    const matched = labelFilter.ids.filter(id => taskLabelIds.includes(id))
+    if (labelFilter.mode === 'all' ? matched.length < labelFilter.ids.length : matched.length === 0) return false
+  }
+  return true
+}
+
+// 筛选时显示的任务：符合条件的任务及其祖先，不符合条件的祖先作为上下文显示
+const getFilterState = (tasks, view, labelFilter) => {
+  const matches = (task) => matchesFilter(task, view, labelFilter)
+  const byId = new Map(tasks.map(t => [t.id, t]))
+  const visibleIds = new Set()
+  const contextIds = new Set()
+  tasks.filter(matches).forEach(task => {
+    visibleIds.add(task.id)
+    for (let parent = byId.get(task.parent_id); parent && !visibleIds.has(parent.id); parent = byId.get(parent.parent_id)) {
+      visibleIds.add(parent.id)
+      contextIds.add(parent.id)
+    }
+  })
+  contextIds.forEach(id => {
+    if (matches(byId.get(id))) contextIds.delete(id)
+  })
+  return { visibleIds, contextIds }
+}
+
+// 按分组方式把顶级任务分组（子任务跟随顶级任务），返回 [{ key, tasks }]，不分组时返回 null
+const groupTasks = (rootTasks, view) => {
+  if (!view.group) return null
+  return VIEW_GROUPS[view.group]
+    .map(key => ({ key, tasks: rootTasks.filter(task => task[view.group] === key) }))
+    .filter(group => group.tasks.length > 0)
+}
+
+// 组织任务层级结构（同级任务按列表视图的排序方式排列）
+const organizeTasks = (taskList, view) => {
+  const taskMap = new Map()
+  const rootTasks = []
+  const ordered = [...taskList].sort(compareByView(view))
+
+  ordered.forEach(task => {
+    taskMap.set(task.id, { ...task, children: [] })
+  })
+
+  ordered.forEach(task => {
+    const taskNode = taskMap.get(task.id)
+    if (task.parent_id && taskMap.has(task.parent_id)) {
+      taskMap.get(task.parent_id).children.push(taskNode)
+    } else {
+      rootTasks.push(taskNode)
+    }
+  })
+
+  return rootTasks
+}
+
+// 按列表视图、筛选和搜索结果组织要显示的任务树
+//   filterState：筛选时的 { visibleIds, contextIds }，taskGroups：分组（不分组时为 null）
+//   navigationOrder：键盘浏览的顺序，与显示顺序一致的深度优先遍历
+export const buildTaskTree = (tasks, { view, labelFilter, searchState }) => {
+  const filterState = isFilteredView(view, labelFilter) ? getFilterState(tasks, view, labelFilter) : null
+  const visibleTasks = searchState
+    ? tasks.filter(t => searchState.visibleIds.has(t.id))
+    : filterState ? tasks.filter(t => filterState.visibleIds.has(t.id)) : tasks
+  const organizedTasks = organizeTasks(visibleTasks, view)
+  const taskGroups = groupTasks(organizedTasks, view)
+  const navigationOrder = []
+  const walkNavigation = (list) => list.forEach(task => {
+    navigationOrder.push(task)
+    walkNavigation(task.children)
+  })
+  walkNavigation(taskGroups ? taskGroups.flatMap(group => group.tasks) : organizedTasks)
+  return { filterState, organizedTasks, taskGroups, navigationOrder }
+}